@@ -2,20 +2,57 @@
 /* global chrome */
 
 import { createProtoServiceCacheEntry, findCachedProtoMetadata } from './proto-cache.ts';
+import { parseTrailerBlock, grpcStatusFromMetadata } from '../lib/grpc-trailers.ts';
+import {
+  CONNECT_END_STREAM_FLAG,
+  connectContentKind,
+  connectErrorStatus,
+  connectUnaryTrailers,
+  isConnectRequest,
+  parseConnectEndStream,
+  parseConnectGetRequest,
+  parseJsonBytes,
+} from '../lib/connect-protocol.ts';
+import { decompressPayload, mergeCompression, messageEncoding } from '../lib/compression-codecs.ts';
+import { joinBase64Chunks } from '../lib/stream-frames.ts';
+import { normalizeContextType } from '../lib/request-context.ts';
+import { buildCdpTiming } from '../lib/network-timing.ts';
+import { clientFailureStatus, evaluateDeadline } from '../lib/call-deadline.ts';
+import { evaluateCaptureRules, normalizeCaptureRules, rulesForRecordedHeaders } from '../lib/capture-rules.ts';
+import { DEFAULT_RECORD_RETENTION, RECORD_PAGE_SIZE, normalizeRecordRetention } from '../lib/record-retention.ts';
+import {
+  appendRecord,
+  appendRecordChunk,
+  clearStoredRecords,
+  completeStoredStream,
+  listStoredTabIds,
+  patchStoredRecord,
+  pruneStoredRecords,
+  readRecordChanges,
+  readRecordPage,
+  readRecordStats,
+  updateStoredRecords,
+} from './record-store.ts';
 
 // protobuf-ts calls retain their generated method metadata at runtime. This
 // inspector pauses immediately before fetch/XHR, discovers that metadata, and
 // delegates JSON conversion back to the page's protobuf-ts runtime.
 const PROTOCOL_VERSION = '1.3';
-const RECORDS_KEY = 'protobufTsInspectorRecordsV2';
+// 舊版把所有紀錄存在 chrome.storage.local；啟動時搬到 IndexedDB (見 record-store) 後移除
+const LEGACY_RECORDS_KEY = 'protobufTsInspectorRecordsV2';
+const RECORD_RETENTION_KEY = 'protobufTsInspectorRecordRetention';
 const PROTO_CACHE_KEY = 'protobufTsInspectorProtoCacheV3';
-const MAX_RECORDS_PER_TAB = 200;
+// 擷取規則依頁面 Origin 保存：{ [origin]: CaptureRule[] }
+const CAPTURE_RULES_KEY = 'protobufTsInspectorCaptureRules';
 const OBJECT_GROUP = 'protobuf-ts-inspector';
 const PAUSE_INSPECTION_BUDGET_MS = 350;
 const PAUSE_WATCHDOG_MS = 300;
 const INSPECTION_COMMAND_TIMEOUT_MS = 200;
 const NETWORK_BODY_COMMAND_TIMEOUT_MS = 5000;
 const RUNTIME_DECODE_COMMAND_TIMEOUT_MS = 5000;
+const AUTO_ATTACH_PARAMS = { autoAttach: true, waitForDebuggerOnStart: true, flatten: true };
+// 定期淘汰超過保留時間的紀錄；新增紀錄時的淘汰只在分頁仍有新呼叫時發生
+const RECORD_PRUNE_ALARM = 'protobufTsInspectorPruneRecords';
 
 const processingTargets = new Set();
 const endpointTypes = new Map();
@@ -26,11 +63,17 @@ const detectionConfigs = new Map();
 const detectedServicesByTab = new Map();
 const detectionTransitions = new Map();
 const lightweightInterceptorStates = new Map();
+const lightweightStreams = new Map();
+// 自動附加的 iframe 與 Worker Session，以 debuggerTargetKey 為 Key
+const targetContexts = new Map();
+// 分頁目前頁面 Origin 的擷取規則 ({origin, rules})，CDP 事件需同步取用
+const captureRulesByTab = new Map();
+// 各分頁被 mute 規則略過的呼叫次數：tabId -> Map<ruleId, number>
+const mutedCallsByTab = new Map();
+// 依序執行紀錄的寫入，確保 patch 不會早於對應的新增
 let recordMutation = Promise.resolve();
-let recordsCache = null;
-let recordsLoad = null;
-let recordFlushTimer = null;
-let recordFlush = Promise.resolve();
+let recordRetention = null;
+let recordRetentionLoad = null;
 let protoCache = null;
 let protoCacheLoad = null;
 let protoCacheMutation = Promise.resolve();
@@ -47,6 +90,16 @@ void chrome.tabs.query({ active: true, lastFocusedWindow: true }).then(([tab]) =
   if (Number.isInteger(tab?.id)) return bindSidePanelToTab(tab.id);
 }).catch((error) => console.warn('Unable to find active tab for Side Panel:', error));
 
+void maintainStoredRecords().catch((error) => console.warn('Unable to maintain stored records:', error));
+
+void chrome.alarms.create(RECORD_PRUNE_ALARM, { periodInMinutes: 1 })
+  .catch((error) => console.warn('Unable to schedule record pruning:', error));
+
+chrome.alarms.onAlarm.addListener((alarm) => {
+  if (alarm.name !== RECORD_PRUNE_ALARM) return;
+  void pruneExpiredRecords().catch((error) => console.warn('Unable to prune expired records:', error));
+});
+
 function bindSidePanelToTab(tabId) {
   return chrome.sidePanel.setOptions({
     tabId,
@@ -72,13 +125,22 @@ chrome.debugger.onEvent.addListener((source, method, params) => {
     handleRequestWillBeSent(source, params);
   } else if (method === 'Network.responseReceived') {
     handleResponseReceived(source, params);
+  } else if (method === 'Network.dataReceived') {
+    handleDataReceived(source, params);
   } else if (method === 'Network.loadingFinished') {
     void handleLoadingFinished(source, params);
   } else if (method === 'Network.loadingFailed') {
     void handleLoadingFailed(source, params);
+  } else if (method === 'Target.attachedToTarget') {
+    void handleTargetAttached(source, params);
+  } else if (method === 'Target.detachedFromTarget') {
+    if (source.tabId != null && params?.sessionId) clearDecoderStateForSession(source.tabId, params.sessionId);
   } else if (method === 'Runtime.executionContextsCleared') {
-    if (source.tabId != null) clearDecoderStateForTab(source.tabId);
-  } else if (method === 'Page.frameNavigated' && !params?.frame?.parentId) {
+    // 子 Session (iframe、Worker) 的重新載入只影響自己的狀態
+    if (source.tabId == null) return;
+    if (source.sessionId) clearDecoderStateForSession(source.tabId, source.sessionId, false);
+    else clearDecoderStateForTab(source.tabId);
+  } else if (method === 'Page.frameNavigated' && !params?.frame?.parentId && !source.sessionId) {
     if (source.tabId != null) {
       clearDecoderStateForTab(source.tabId);
       resetDetectedServices(source.tabId);
@@ -90,8 +152,13 @@ chrome.debugger.onDetach.addListener((source) => {
   if (source.tabId != null) clearRuntimeStateForTab(source.tabId);
 });
 
-chrome.webNavigation.onCommitted.addListener(({ tabId, frameId }) => {
-  if (frameId === 0) lightweightInterceptorStates.delete(tabId);
+chrome.webNavigation.onCommitted.addListener(({ tabId, frameId, url }) => {
+  if (frameId === 0) {
+    lightweightInterceptorStates.delete(tabId);
+    clearLightweightStreams(tabId);
+    // 導覽到其他 Origin 時改用該 Origin 的規則
+    if (captureRulesByTab.get(tabId)?.origin !== pageOrigin(url)) void loadCaptureRules(tabId, url);
+  }
 });
 
 async function handleMessage(message, sender) {
@@ -120,8 +187,13 @@ async function handleMessage(message, sender) {
       }
       return {};
     case 'lightweightPayload':
-      if (Number.isInteger(sender?.tab?.id)) {
-        await addLightweightPayload(sender.tab.id, message.payload);
+      if (Number.isInteger(sender?.tab?.id) && message.payload?.phase === 'muted') {
+        countMutedCall(sender.tab.id, message.payload.ruleId);
+      } else if (Number.isInteger(sender?.tab?.id)) {
+        await addLightweightPayload(sender.tab.id, message.payload, {
+          type: sender.frameId ? 'iframe' : 'page',
+          url: String(sender.url ?? ''),
+        });
       }
       return {};
     case 'status':
@@ -135,21 +207,39 @@ async function handleMessage(message, sender) {
           await configureLightweightInterceptor(message.tabId, true);
         }
         const hiddenServices = (await chrome.storage.local.get(hiddenServicesStorageKey(message.tabId)))[hiddenServicesStorageKey(message.tabId)] ?? [];
+        const captureRules = await loadCaptureRules(message.tabId);
         return {
           attached: await isAttached(message.tabId),
           urlFilter: config?.urlFilter ?? '',
           requestDetectionEnabled: Boolean(config?.requestDetectionEnabled),
           protoDetectionEnabled: Boolean(config?.protoDetectionEnabled),
           hiddenServices,
+          captureRulesOrigin: captureRules.origin,
+          captureRules: captureRules.rules,
+          mutedCounts: Object.fromEntries(mutedCallsByTab.get(message.tabId) ?? []),
+          recordRetention: await loadRecordRetention(),
+          recordStats: await getRecordStats(message.tabId),
         };
       });
     case 'records':
-      return { records: await getRecords(message.tabId) };
+      return getRecords(message.tabId, message);
+    case 'setRecordRetention':
+      return { recordRetention: await saveRecordRetention(message.retention) };
     case 'setHiddenServices':
       hiddenServicesByTab.set(message.tabId, new Set(message.services ?? []));
       await chrome.storage.local.set({ [hiddenServicesStorageKey(message.tabId)]: message.services ?? [] });
       return {};
+    case 'setCaptureRules':
+      return queueDetectionTransition(message.tabId, async () => {
+        const captureRules = await saveCaptureRules(message.tabId, message.rules);
+        const config = await getDetectionConfig(message.tabId);
+        if (config?.requestDetectionEnabled && !config.protoDetectionEnabled) {
+          await configureLightweightInterceptor(message.tabId, true, true);
+        }
+        return { captureRulesOrigin: captureRules.origin, captureRules: captureRules.rules };
+      });
     case 'clear':
+      mutedCallsByTab.delete(message.tabId);
       await clearRecords(message.tabId);
       return {};
     case 'inspectorRecordAdded':
@@ -218,6 +308,7 @@ async function startProtoInspection(tabId, normalizedFilter, previous = {}) {
   if (!previous?.protoDetectionEnabled) resetDetectedServices(tabId);
   const storedHidden = (await chrome.storage.local.get(hiddenServicesStorageKey(tabId)))[hiddenServicesStorageKey(tabId)] ?? [];
   hiddenServicesByTab.set(tabId, new Set(storedHidden));
+  await loadCaptureRules(tabId);
   const target = { tabId };
   if (!(await isAttached(tabId))) await chrome.debugger.attach(target, PROTOCOL_VERSION);
 
@@ -243,6 +334,44 @@ async function startProtoInspection(tabId, normalizedFilter, previous = {}) {
   }
 
   await send(target, 'DOMDebugger.setXHRBreakpoint', { url: normalizedFilter });
+  await send(target, 'Target.setAutoAttach', AUTO_ATTACH_PARAMS);
+}
+
+/**
+ * iframe (跨 Origin 時位於獨立的行程) 與 Worker 以 flatten 模式自動附加為子 Session；
+ * 啟用與根 Session 相同的偵測後才讓 Worker 開始執行，避免漏掉啟動時的請求
+ */
+async function handleTargetAttached(source, params) {
+  if (source.tabId == null || !params?.sessionId) return;
+  const child = { tabId: source.tabId, sessionId: params.sessionId };
+  const info = params.targetInfo ?? {};
+  targetContexts.set(debuggerTargetKey(child), { type: normalizeContextType(info.type), url: String(info.url ?? '') });
+  try {
+    const config = await getDetectionConfig(source.tabId);
+    const domains = ['Debugger.enable', 'Runtime.enable'];
+    if (info.type === 'iframe') domains.push('Page.enable');
+    await Promise.all([
+      ...domains.map((method) => send(child, method)),
+      send(child, 'Network.enable', {
+        maxTotalBufferSize: 50 * 1024 * 1024,
+        maxResourceBufferSize: 10 * 1024 * 1024,
+        maxPostDataSize: 10 * 1024 * 1024,
+      }),
+    ]);
+    await send(child, 'DOMDebugger.setXHRBreakpoint', { url: config?.urlFilter ?? '' });
+    await send(child, 'Target.setAutoAttach', AUTO_ATTACH_PARAMS);
+  } catch (error) {
+    // 部分 Target (例如已結束的 Worker) 不支援這些 Domain，不影響其他 Session。
+    console.warn('Unable to inspect child target:', error);
+  } finally {
+    if (params.waitingForDebugger) {
+      await send(child, 'Runtime.runIfWaitingForDebugger').catch(() => {});
+    }
+  }
+}
+
+function targetContext(source, documentUrl) {
+  return targetContexts.get(debuggerTargetKey(source)) ?? { type: 'page', url: String(documentUrl ?? '') };
 }
 
 async function stopProtoInspection(tabId, config = {}) {
@@ -264,8 +393,6 @@ async function stopProtoInspection(tabId, config = {}) {
     await chrome.debugger.detach(target);
   }
 
-  // 紀錄會自行排程持久化；不可因其他分頁的大量寫入阻塞此分頁的停止操作。
-  void flushRecords().catch(() => {});
   detectedServicesByTab.delete(tabId);
   clearRuntimeStateForTab(tabId);
 }
@@ -273,25 +400,27 @@ async function stopProtoInspection(tabId, config = {}) {
 async function configureLightweightInterceptor(tabId, enabled, force = false) {
   if (!force && lightweightInterceptorStates.get(tabId) === enabled) return;
   try {
+    // 每個 iframe 都有自己的 fetch / XHR / WebSocket，攔截器需注入所有 Frame
     await chrome.scripting.executeScript({
-      target: { tabId },
+      target: { tabId, allFrames: true },
       files: ['request-bridge.js'],
     });
     await chrome.scripting.executeScript({
-      target: { tabId },
+      target: { tabId, allFrames: true },
       world: 'MAIN',
       files: ['request-interceptor.js'],
     });
     await chrome.scripting.executeScript({
-      target: { tabId },
+      target: { tabId, allFrames: true },
       world: 'MAIN',
-      func: (isEnabled) => {
+      func: (isEnabled, rules) => {
         if (window.__GRPC_DEBUGGER_LIGHTWEIGHT_INTERCEPTOR__) {
           window.__GRPC_DEBUGGER_LIGHTWEIGHT_INTERCEPTOR__.enabled = isEnabled;
+          window.__GRPC_DEBUGGER_LIGHTWEIGHT_INTERCEPTOR__.rules = rules;
           window.__GRPC_DEBUGGER_LIGHTWEIGHT_INTERCEPTOR__.configured = true;
         }
       },
-      args: [enabled],
+      args: [enabled, (await loadCaptureRules(tabId)).rules],
     });
     lightweightInterceptorStates.set(tabId, enabled);
   } catch (error) {
@@ -300,8 +429,13 @@ async function configureLightweightInterceptor(tabId, enabled, force = false) {
   }
 }
 
-async function addLightweightPayload(tabId, payload) {
-  if (!payload?.url || payload.method !== 'POST') return;
+async function addLightweightPayload(tabId, payload, context = null) {
+  if (payload?.phase === 'frames' || payload?.phase === 'end') {
+    await appendLightweightStream(tabId, payload);
+    return;
+  }
+  const isConnect = payload?.protocol === 'connect';
+  if (!payload?.url || (payload.method !== 'POST' && !(payload.method === 'GET' && isConnect))) return;
   if (isServiceHidden(tabId, payload.url)) return;
 
   const config = await getDetectionConfig(tabId);
@@ -310,15 +444,28 @@ async function addLightweightPayload(tabId, payload) {
 
   const requestContentType = String(payload.requestContentType ?? '');
   const responseContentType = String(payload.responseContentType ?? '');
-  if (!isGrpcContentType(requestContentType || responseContentType)) return;
+  if (!isConnect && !isGrpcContentType(requestContentType || responseContentType)) return;
+  const ruleHeaders = {
+    ...pickStringHeaders(payload.requestEncodings),
+    ...pickStringHeaders(payload.requestRuleHeaders),
+    'content-type': requestContentType,
+  };
+  // 攔截器在收到規則前 (頁面剛載入) 擷取的呼叫在此補上規則判斷；攔截器只送出部分標頭，未記錄的標頭規則略過
+  if (!applyCaptureRules(tabId, payload.url, ruleHeaders, true)) return;
 
   let endpoint;
   try { endpoint = new URL(payload.url).pathname; } catch { endpoint = String(payload.url).split('?')[0]; }
   const metadata = await getCachedProtoMetadata(tabId, payload.url, endpoint);
-  const timestamp = new Date(payload.timestamp ?? Date.now()).toISOString();
+  const receivedAt = Number(payload.timestamp) || Date.now();
+  const startedAt = Math.min(Number(payload.startedAt) || receivedAt, receivedAt);
+  const timestamp = new Date(startedAt).toISOString();
   const httpStatus = Number(payload.httpStatus) || 0;
+  const requestHeaders = {
+    ...ruleHeaders,
+    ...pickStringHeaders(payload.requestDeadlines),
+  };
 
-  await addRecord({
+  const record = {
     id: createRecordId(`lightweight-${tabId}`),
     tabId,
     timestamp,
@@ -330,14 +477,118 @@ async function addLightweightPayload(tabId, payload) {
     requestBase64Encoded: true,
     responseRaw: payload.responseBase64 ?? null,
     responseBase64Encoded: true,
-    requestHeaders: { 'content-type': requestContentType },
-    responseHeaders: { 'content-type': responseContentType },
+    requestHeaders,
+    responseHeaders: { ...pickStringHeaders(payload.responseEncodings), 'content-type': responseContentType },
     httpStatus,
     responseError: httpStatus >= 400 ? `HTTP ${httpStatus}` : undefined,
+    responseReceivedAt: new Date(receivedAt).toISOString(),
+    duration: receivedAt - startedAt,
     status: 'finished',
     _source: 'lightweight',
+    context,
     ...metadata,
-  });
+  };
+  if (payload.phase === 'start' && payload.callId) {
+    // Streaming 回應 (與 WebSocket 呼叫的雙向訊息) 在 frames 事件中逐步附加，直到 end 才結束紀錄
+    const isWebSocket = payload.transport === 'websocket';
+    lightweightStreams.set(`${tabId}:${payload.callId}`, {
+      recordId: record.id,
+      startedAt,
+      requestHeaders,
+      responseHeaders: record.responseHeaders,
+      request: { chunks: [], messageTimes: [] },
+      response: { chunks: [], messageTimes: [] },
+    });
+    record.status = 'pending';
+    delete record.responseReceivedAt;
+    delete record.duration;
+    record.responseMessageTimes = [];
+    if (isWebSocket) {
+      record.transport = 'websocket';
+      record.requestMessageTimes = [];
+    }
+  } else {
+    Object.assign(
+      record,
+      typeof payload.error === 'string' ? { responseError: payload.error } : {},
+      lightweightFailurePatch(payload, requestHeaders, record.duration),
+    );
+  }
+  await addRecord(record);
+}
+
+/**
+ * 攔截器回報請求在收到回應前被取消時，依期限區分 CANCELLED 與 DEADLINE_EXCEEDED
+ */
+function lightweightFailurePatch(payload, requestHeaders, duration) {
+  if (!payload.canceled) return {};
+  const failure = clientFailureStatus({ canceled: true, deadline: evaluateDeadline(requestHeaders, duration) });
+  return { ...failure, responseError: failure.grpcMessage };
+}
+
+async function appendLightweightStream(tabId, payload) {
+  const key = `${tabId}:${payload.callId}`;
+  const stream = lightweightStreams.get(key);
+  if (!stream) return;
+  const receivedAt = Number(payload.timestamp) || Date.now();
+
+  if (payload.phase === 'frames') {
+    const direction = payload.direction === 'request' ? 'request' : 'response';
+    const state = stream[direction];
+    const base64 = direction === 'request' ? payload.requestBase64 : payload.responseBase64;
+    // 攔截器暫存的 Frame 附有實際收到的時間
+    const messageTime = Number(payload.receivedAt) || receivedAt;
+    const messageCount = Math.max(0, Math.floor(Number(payload.messageCount) || 0));
+    const messageTimes = Array.from({ length: messageCount }, () => messageTime);
+    // WebSocket 的回應標頭位於第一個 Header Frame，而非 HTTP 回應
+    if (payload.responseHeaders && typeof payload.responseHeaders === 'object') {
+      stream.responseHeaders = { ...stream.responseHeaders, ...pickStringHeaders(payload.responseHeaders) };
+      await patchRecord(tabId, stream.recordId, { responseHeaders: stream.responseHeaders });
+    }
+    const chunk = typeof base64 === 'string' ? base64 : '';
+    if (!chunk && messageCount === 0) return;
+    // 分塊各自存放，不改寫整筆紀錄；串流結束時才合併編碼 (見 finishedStreamPatch)
+    if (chunk) state.chunks.push(chunk);
+    state.messageTimes.push(...messageTimes);
+    await writeRecord(tabId, () => appendRecordChunk(tabId, stream.recordId, { direction, base64: chunk, messageTimes }));
+    return;
+  }
+  lightweightStreams.delete(key);
+  const duration = receivedAt - stream.startedAt;
+  await writeRecord(tabId, () => completeStoredStream(tabId, stream.recordId, {
+    ...finishedStreamPatch(stream),
+    status: 'finished',
+    responseReceivedAt: new Date(receivedAt).toISOString(),
+    duration,
+    ...(typeof payload.error === 'string' ? { responseError: payload.error } : {}),
+    ...lightweightFailurePatch(payload, stream.requestHeaders, duration),
+  }));
+}
+
+/**
+ * 串流結束時將累積的分塊合併為 requestRaw / responseRaw，並寫入所有訊息的收到時間
+ */
+function finishedStreamPatch(stream) {
+  const patch = {};
+  for (const direction of ['request', 'response']) {
+    const { chunks, messageTimes } = stream[direction];
+    if (chunks.length > 0) patch[`${direction}Raw`] = joinBase64Chunks(chunks);
+    if (messageTimes.length > 0) patch[`${direction}MessageTimes`] = messageTimes;
+  }
+  return patch;
+}
+
+function clearLightweightStreams(tabId) {
+  for (const [key, stream] of lightweightStreams) {
+    if (!key.startsWith(`${tabId}:`)) continue;
+    lightweightStreams.delete(key);
+    // 頁面離開後不會再收到 end 事件，結束仍在進行中的紀錄
+    void writeRecord(tabId, () => completeStoredStream(tabId, stream.recordId, {
+      ...finishedStreamPatch(stream),
+      status: 'finished',
+      responseError: '串流在擷取結束前中斷',
+    }));
+  }
 }
 
 async function isAttached(tabId) {
@@ -705,13 +956,22 @@ async function getGrpcWebTypeHandles(source, methodDescriptorId, inputObjectId)
 function handleRequestWillBeSent(source, params) {
   if (source.tabId == null || !params?.requestId || !params?.request?.url) return;
   if (isServiceHidden(source.tabId, params.request.url)) return;
-  if (params.request.method !== 'POST') return;
+  // Connect 的無副作用 Unary 呼叫以 GET 送出，訊息位於查詢參數
+  const connectGet = params.request.method === 'GET' ? parseConnectGetRequest(params.request.url) : null;
+  if (params.request.method !== 'POST' && !connectGet) return;
   const preCapturedCall = takePreCapturedCall(source, params.request.url);
   const knownEndpoint = findKnownEndpoint(source, params.request.url);
-  const requestContentType = getHeaderValue(params.request.headers, 'content-type').toLowerCase();
-  if (!isGrpcContentType(requestContentType) && !knownEndpoint && !preCapturedCall) return;
+  const requestContentType = connectGet
+    ? `application/${connectGet.codec}`
+    : getHeaderValue(params.request.headers, 'content-type').toLowerCase();
+  const isConnect = Boolean(connectGet) || isConnectRequest({
+    url: params.request.url,
+    headers: { 'connect-protocol-version': getHeaderValue(params.request.headers, 'connect-protocol-version'), 'content-type': requestContentType },
+  });
+  if (!isGrpcContentType(requestContentType) && !isConnect && !knownEndpoint && !preCapturedCall) return;
   const endpoint = knownEndpoint ?? preCapturedCall?.endpoint;
   if (!endpoint) return;
+  if (!applyCaptureRules(source.tabId, params.request.url, { ...params.request.headers, 'content-type': requestContentType })) return;
 
   const typeInfo = endpointTypes.get(endpointKey(source, endpoint));
   const requestId = params.requestId;
@@ -729,6 +989,7 @@ function handleRequestWillBeSent(source, params) {
       'content-type': requestContentType || 'application/grpc',
     },
     status: 'pending',
+    context: targetContext(source, params.documentURL),
     _source: typeInfo?.adapter ?? preCapturedCall?.adapter ?? 'protobuf-ts',
     ...preCapturedCall?.metadata,
     ...typeInfo?.metadata,
@@ -742,25 +1003,36 @@ function handleRequestWillBeSent(source, params) {
     endpoint,
     url: params.request.url,
     startedAt: Date.now(),
+    startTimestamp: params.timestamp,
     typeInfo,
     requestContentType: requestContentType || 'application/grpc',
+    requestHeaders: lowercaseHeaders(params.request.headers),
+    isConnectGet: Boolean(connectGet),
   });
   if (typeInfo) {
-    void decodeAndPatchRequestBody(source, requestId, recordId, typeInfo, requestContentType || 'application/grpc');
+    void decodeAndPatchRequestBody(source, requestId, recordId, typeInfo, requestContentType || 'application/grpc', connectGet, lowercaseHeaders(params.request.headers));
   }
 }
 
-async function decodeAndPatchRequestBody(source, requestId, recordId, typeInfo, contentType) {
+async function decodeAndPatchRequestBody(source, requestId, recordId, typeInfo, contentType, connectGet = null, headers = {}) {
   try {
-    const postData = await sendNetworkCommand(source, 'Network.getRequestPostData', { requestId });
-    const request = await decodeGrpcPayload(
-      source,
-      typeInfo,
-      decodeCdpBody(postData?.postData ?? '', Boolean(postData?.base64Encoded)),
-      contentType,
-      'request',
-    );
-    await patchRecord(source.tabId, recordId, { request });
+    let bytes;
+    let getCompression = null;
+    if (connectGet) {
+      bytes = connectGet.message;
+      if (connectGet.compression) {
+        ({ data: bytes, compression: getCompression } = await decompressPayload(connectGet.compression, bytes));
+      }
+    } else {
+      const postData = await sendNetworkCommand(source, 'Network.getRequestPostData', { requestId });
+      bytes = decodeCdpBody(postData?.postData ?? '', Boolean(postData?.base64Encoded));
+    }
+    const { messages: requestMessages, compression } = await decodeGrpcPayload(source, typeInfo, bytes, contentType, 'request', headers);
+    await patchRecord(source.tabId, recordId, {
+      request: collapseGrpcMessages(requestMessages),
+      requestMessages,
+      requestCompression: mergeCompression(getCompression, compression),
+    });
   } catch (error) {
     logRecordFailure('request decode', source, { requestId, recordId }, error);
     await patchRecord(source.tabId, recordId, { requestError: error instanceof Error ? error.message : String(error) });
@@ -772,9 +1044,33 @@ function handleResponseReceived(source, params) {
   if (!request) return;
   const headers = params?.response?.headers ?? {};
   request.contentType = String(headers['content-type'] ?? headers['Content-Type'] ?? params?.response?.mimeType ?? '').toLowerCase();
+  request.responseHeaders = lowercaseHeaders(headers);
+  request.httpStatus = params?.response?.status;
+  request.resourceTiming = params?.response?.timing ?? null;
   void patchRecord(source.tabId, request.recordId, {
     httpStatus: params?.response?.status,
     responseHeaders: headers,
+    timing: cdpTiming(request),
+  });
+}
+
+/**
+ * Streaming 回應分多次抵達，記錄第一與最後一批資料的時間；結束時隨 timing 一併寫入紀錄
+ */
+function handleDataReceived(source, params) {
+  const request = networkRequests.get(networkRequestKey(source, params?.requestId));
+  if (!request || !Number.isFinite(params?.timestamp)) return;
+  request.firstDataTimestamp ??= params.timestamp;
+  request.lastDataTimestamp = params.timestamp;
+}
+
+function cdpTiming(request, endTimestamp = null) {
+  return buildCdpTiming({
+    startTimestamp: request.startTimestamp,
+    resourceTiming: request.resourceTiming,
+    firstDataTimestamp: request.firstDataTimestamp,
+    lastDataTimestamp: request.lastDataTimestamp,
+    endTimestamp,
   });
 }
 
@@ -782,24 +1078,49 @@ async function handleLoadingFinished(source, params) {
   const key = networkRequestKey(source, params?.requestId);
   const request = networkRequests.get(key);
   if (!request?.endpoint) return;
+  const timing = cdpTiming(request, params?.timestamp);
   try {
     const typeInfo = request.typeInfo ?? endpointTypes.get(endpointKey(source, request.endpoint));
+    if (isConnectUnaryError(request)) {
+      // 錯誤 JSON 不需要型別資訊即可解析
+      const body = await sendNetworkCommand(source, 'Network.getResponseBody', { requestId: params.requestId });
+      const status = connectErrorStatus(parseJsonBytes(decodeCdpBody(body?.body ?? '', Boolean(body?.base64Encoded))), request.httpStatus);
+      await patchRecord(source.tabId, request.recordId, {
+        status: 'finished',
+        trailers: connectUnaryTrailers(request.responseHeaders),
+        ...connectStatusPatch(status),
+        responseReceivedAt: new Date().toISOString(),
+        duration: Date.now() - request.startedAt,
+        timing,
+      });
+      return;
+    }
     if (!typeInfo) {
       await patchRecord(source.tabId, request.recordId, {
         status: 'finished',
         responseReceivedAt: new Date().toISOString(),
         duration: Date.now() - request.startedAt,
+        timing,
+        ...grpcStatusPatch(null, request.responseHeaders),
       });
       return;
     }
     const body = await sendNetworkCommand(source, 'Network.getResponseBody', { requestId: params.requestId });
     const raw = decodeCdpBody(body?.body ?? '', Boolean(body?.base64Encoded));
-    const response = await decodeGrpcPayload(source, typeInfo, raw, request.contentType || request.requestContentType, 'response');
+    const { messages: responseMessages, trailers, status, compression } = await decodeGrpcPayload(
+      source, typeInfo, raw, request.contentType || request.requestContentType, 'response', request.responseHeaders,
+    );
+    const unaryTrailers = connectContentKind(request.contentType)?.streaming === false ? connectUnaryTrailers(request.responseHeaders) : null;
     const patch = {
       status: 'finished',
-      response,
+      response: collapseGrpcMessages(responseMessages),
+      responseMessages,
+      responseCompression: compression,
+      trailers: trailers ?? unaryTrailers,
+      ...(status ? connectStatusPatch(status) : grpcStatusPatch(trailers, request.responseHeaders)),
       responseReceivedAt: new Date().toISOString(),
       duration: Date.now() - request.startedAt,
+      timing,
     };
     await patchRecord(source.tabId, request.recordId, patch);
   } catch (error) {
@@ -807,6 +1128,7 @@ async function handleLoadingFinished(source, params) {
     await patchRecord(source.tabId, request.recordId, {
       status: 'finished',
       duration: Date.now() - request.startedAt,
+      timing,
       responseError: error instanceof Error ? error.message : String(error),
     });
   } finally {
@@ -818,11 +1140,19 @@ async function handleLoadingFailed(source, params) {
   const key = networkRequestKey(source, params?.requestId);
   const request = networkRequests.get(key);
   if (request) {
-    logRecordFailure('network failure', source, request, params?.errorText || '網路請求失敗');
+    const duration = Date.now() - request.startedAt;
+    // 用戶端中斷 (AbortController、xhr.abort() 或期限到達) 時 CDP 會標示 canceled
+    const failure = clientFailureStatus({
+      canceled: Boolean(params?.canceled),
+      deadline: evaluateDeadline(request.requestHeaders, duration),
+    });
+    if (!failure) logRecordFailure('network failure', source, request, params?.errorText || '網路請求失敗');
     await patchRecord(source.tabId, request.recordId, {
       status: 'finished',
-      duration: Date.now() - request.startedAt,
-      responseError: params?.errorText || '網路請求失敗',
+      duration,
+      timing: cdpTiming(request, params?.timestamp),
+      ...failure,
+      responseError: failure?.grpcMessage ?? (params?.errorText || '網路請求失敗'),
     });
   }
   networkRequests.delete(key);
@@ -878,31 +1208,79 @@ async function decodeGrpcWebRequest(source, inputTypeId, bytes) {
   return result?.result?.value;
 }
 
-async function decodeGrpcPayload(source, typeInfo, rawBytes, contentType, direction) {
+async function decodeGrpcPayload(source, typeInfo, rawBytes, contentType, direction, headers = {}) {
+  const connect = connectContentKind(contentType);
+  if (connect && !connect.streaming) {
+    // Connect Unary 沒有 Framing，整個 Body 即為一則訊息；回應的 content-encoding 已由瀏覽器解開
+    const encoding = direction === 'request' ? headers['content-encoding'] : null;
+    const { data: bytes, compression } = encoding && encoding !== 'identity'
+      ? await decompressPayload(encoding, rawBytes)
+      : { data: rawBytes, compression: null };
+    const data = await decodeRuntimeMessage(source, typeInfo, bytes, direction, connect.codec);
+    return { messages: [{ size: rawBytes.length, data }], trailers: null, status: null, compression };
+  }
   let bytes = rawBytes;
   if (contentType?.includes('grpc-web-text')) {
     bytes = decodeBase64StreamBytes(new TextDecoder().decode(bytes));
   }
-  const values = [];
+  const messages = [];
+  let trailers = null;
+  let status = null;
+  let compression = null;
   for (const frame of parseGrpcWebFrames(bytes)) {
-    if (frame.isTrailer) continue;
+    let frameData = frame.data;
     if (frame.compressed) {
-      values.push({ _error: '尚不支援壓縮的 gRPC-Web frame。' });
+      const result = await decompressPayload(messageEncoding(headers), frameData);
+      compression = mergeCompression(compression, result.compression);
+      if (result.compression.status !== 'applied') {
+        messages.push({ size: frame.data.length, data: { _error: `無法解壓 ${result.compression.encoding} 壓縮的 frame。` } });
+        continue;
+      }
+      frameData = result.data;
+    }
+    if (connect && (frame.flags & CONNECT_END_STREAM_FLAG) !== 0) {
+      ({ trailers, status } = parseConnectEndStream(frameData));
       continue;
     }
-    if (typeInfo.adapter === 'grpc-web') {
-      values.push(direction === 'request'
-        ? await decodeGrpcWebRequest(source, typeInfo.inputTypeId, frame.data)
-        : await decodeGrpcWebResponse(source, typeInfo.methodDescriptorId, frame.data));
-    } else {
-      values.push(await decodeMessageWithRuntime(
-        source,
-        direction === 'request' ? typeInfo.inputTypeId : typeInfo.outputTypeId,
-        frame.data,
-      ));
+    if (!connect && frame.isTrailer) {
+      trailers = { ...trailers, ...parseTrailerBlock(frameData) };
+      continue;
     }
+    const data = await decodeRuntimeMessage(source, typeInfo, frameData, direction, connect?.codec ?? 'proto');
+    messages.push({ size: frame.data.length, data });
+  }
+  return { messages, trailers, status, compression };
+}
+async function decodeRuntimeMessage(source, typeInfo, bytes, direction, codec) {
+  // Connect JSON 編碼的訊息已是 protobuf-ts toJson 的格式，不需再交給頁面 runtime
+  if (codec === 'json') return parseJsonBytes(bytes) ?? { _error: '無法解析 Connect JSON 訊息。' };
+  if (typeInfo.adapter === 'grpc-web') {
+    return direction === 'request'
+      ? decodeGrpcWebRequest(source, typeInfo.inputTypeId, bytes)
+      : decodeGrpcWebResponse(source, typeInfo.methodDescriptorId, bytes);
   }
-  return values.length <= 1 ? values[0] ?? null : values;
+  return decodeMessageWithRuntime(
+    source,
+    direction === 'request' ? typeInfo.inputTypeId : typeInfo.outputTypeId,
+    bytes,
+  );
+}
+function grpcStatusPatch(trailers, headers) {
+  // gRPC-Web 的狀態在 Trailer Frame 中；Trailers-Only 回應則直接放在標頭
+  const status = grpcStatusFromMetadata(trailers) ?? grpcStatusFromMetadata(headers);
+  return status ? { grpcStatus: status.code, grpcMessage: status.message } : {};
+}
+function connectStatusPatch(status) {
+  // Connect 的錯誤詳情保留原始 JSON，交由面板以已載入的 Schema 解碼
+  return { grpcStatus: status.code, grpcMessage: status.message, connectError: status.code > 0 ? status : undefined };
+}
+function isConnectUnaryError(request) {
+  const connect = connectContentKind(request.requestContentType);
+  const isUnary = request.isConnectGet || connect?.streaming === false;
+  return isUnary && Number(request.httpStatus) > 0 && Number(request.httpStatus) !== 200;
+}
+function collapseGrpcMessages(messages) {
+  return messages.length <= 1 ? messages[0]?.data ?? null : messages.map((message) => message.data);
 }
 
 function captureRpcInPage(input) {
@@ -929,7 +1307,15 @@ function captureRpcInPage(input) {
       if (field.kind === 'scalar') item.type = scalarNames[field.T] ?? `scalar(${String(field.T)})`;
       else if (field.kind === 'message') { const nested = resolveLazy(field.T); item.typeName = nested?.typeName ?? 'unknown'; visitMessage(nested); }
       else if (field.kind === 'enum') item.typeName = summarizeEnum(field.T).typeName;
-      else if (field.kind === 'map') { item.keyType = scalarNames[field.K] ?? `scalar(${String(field.K)})`; item.value = field.V?.kind; }
+      else if (field.kind === 'map') {
+        item.keyType = scalarNames[field.K] ?? `scalar(${String(field.K)})`;
+        item.value = field.V?.kind;
+        if (field.V?.kind === 'scalar') item.valueType = scalarNames[field.V.T] ?? `scalar(${String(field.V.T)})`;
+        else if (field.V?.kind === 'message') { const nested = resolveLazy(field.V.T); item.valueTypeName = nested?.typeName ?? 'unknown'; visitMessage(nested); }
+        else if (field.V?.kind === 'enum') item.valueTypeName = summarizeEnum(field.V.T).typeName;
+      }
+      // proto2 預設值；BigInt 與 Uint8Array 無法 JSON 序列化，分別轉為字串與數字陣列
+      if (field.default !== undefined) item.defaultValue = typeof field.default === 'bigint' ? String(field.default) : field.default instanceof Uint8Array ? Array.from(field.default) : field.default;
       message.fields.push(item);
     }
   };
@@ -949,6 +1335,13 @@ function captureRpcInPage(input) {
   };
 }
 
+function pickStringHeaders(headers) {
+  // 頁面傳來的資料不可信任，只保留字串值
+  return Object.fromEntries(Object.entries(headers ?? {}).filter(([, value]) => typeof value === 'string').map(([key, value]) => [key.toLowerCase(), value]));
+}
+function lowercaseHeaders(headers) {
+  return Object.fromEntries(Object.entries(headers ?? {}).map(([key, value]) => [key.toLowerCase(), value]));
+}
 function decodeCdpBody(body, base64Encoded) { return base64Encoded ? decodeBase64Bytes(body) : new TextEncoder().encode(body); }
 function decodeBase64Bytes(base64) {
   const normalized = base64.replace(/\s+/g, '');
@@ -977,7 +1370,7 @@ function parseGrpcWebFrames(bytes) {
     const length = ((bytes[offset + 1] * 0x1000000) + (bytes[offset + 2] * 0x10000) + (bytes[offset + 3] * 0x100) + bytes[offset + 4]) >>> 0;
     offset += 5;
     if (offset + length > bytes.length) throw new Error(`無效的 gRPC-Web frame 長度：${length}`);
-    frames.push({ isTrailer: (flags & 0x80) !== 0, compressed: (flags & 0x01) !== 0, data: bytes.slice(offset, offset + length) });
+    frames.push({ flags, isTrailer: (flags & 0x80) !== 0, compressed: (flags & 0x01) !== 0, data: bytes.slice(offset, offset + length) });
     offset += length;
   }
   return frames;
@@ -1019,16 +1412,74 @@ function takePreCapturedCall(source, rawUrl) {
   else preCapturedCalls.delete(key);
   return call;
 }
-async function loadRecordsCache() {
-  if (recordsCache) return recordsCache;
-  if (!recordsLoad) {
-    recordsLoad = chrome.storage.local.get(RECORDS_KEY).then((stored) => {
-      const value = stored[RECORDS_KEY];
-      recordsCache = value && typeof value === 'object' && !Array.isArray(value) ? value : {};
-      return recordsCache;
+async function loadRecordRetention() {
+  if (recordRetention) return recordRetention;
+  if (!recordRetentionLoad) {
+    recordRetentionLoad = chrome.storage.local.get(RECORD_RETENTION_KEY).then((stored) => {
+      recordRetention = normalizeRecordRetention(stored[RECORD_RETENTION_KEY] ?? DEFAULT_RECORD_RETENTION);
+      return recordRetention;
     });
   }
-  return recordsLoad;
+  return recordRetentionLoad;
+}
+
+/**
+ * 保存保留設定並立即套用到所有已保存的分頁
+ */
+async function saveRecordRetention(retention) {
+  recordRetention = normalizeRecordRetention(retention);
+  await chrome.storage.local.set({ [RECORD_RETENTION_KEY]: recordRetention });
+  const saved = recordRetention;
+  await pruneAllStoredRecords(saved);
+  return saved;
+}
+
+/**
+ * 淘汰超過保留時間的紀錄 (由 RECORD_PRUNE_ALARM 定期觸發)；未限制保留時間時略過
+ */
+async function pruneExpiredRecords() {
+  const retention = await loadRecordRetention();
+  if (retention.maxAgeMinutes > 0) await pruneAllStoredRecords(retention);
+}
+
+/**
+ * 依保留設定整理所有分頁的紀錄，並通知面板重新整理有淘汰紀錄的分頁
+ */
+async function pruneAllStoredRecords(retention) {
+  const prunedTabIds = await queueRecordMutation(async () => {
+    const pruned = [];
+    for (const tabId of await listStoredTabIds()) {
+      if (await pruneStoredRecords(tabId, retention)) pruned.push(tabId);
+    }
+    return pruned;
+  });
+  for (const tabId of prunedTabIds) {
+    chrome.runtime.sendMessage({ type: 'inspectorRecordAdded', tabId }).catch(() => {});
+  }
+}
+
+/**
+ * 背景啟動時將舊版存在 chrome.storage.local 的紀錄搬到 IndexedDB，
+ * 並依保留設定整理紀錄；已關閉分頁的紀錄無法再檢視，直接清除
+ */
+function maintainStoredRecords() {
+  return queueRecordMutation(async () => {
+    const retention = await loadRecordRetention();
+    const legacy = (await chrome.storage.local.get(LEGACY_RECORDS_KEY))[LEGACY_RECORDS_KEY];
+    if (legacy && typeof legacy === 'object') {
+      for (const records of Object.values(legacy)) {
+        for (const record of Array.isArray(records) ? records : []) {
+          if (Number.isInteger(record?.tabId) && record.id != null) await appendRecord(record, retention);
+        }
+      }
+      await chrome.storage.local.remove(LEGACY_RECORDS_KEY);
+    }
+    for (const tabId of await listStoredTabIds()) {
+      const exists = await chrome.tabs.get(tabId).then(() => true, () => false);
+      if (exists) await pruneStoredRecords(tabId, retention);
+      else await clearStoredRecords(tabId);
+    }
+  });
 }
 
 async function getDetectionConfig(tabId) {
@@ -1098,74 +1549,70 @@ function findProtoMetadataForUrl(cacheByOrigin, rawUrl, endpoint) {
 
 async function enrichLightweightRecords(tabId) {
   const cache = await loadProtoCache();
-  await mutateRecords(tabId, (records) => records.map((record) => {
+  await queueRecordMutation(() => updateStoredRecords(tabId, (record) => {
     if (record._source !== 'lightweight' || !record.url || !record.endpoint) return record;
     const metadata = findProtoMetadataForUrl(cache[tabId], record.url, record.endpoint);
     return metadata ? { ...record, ...metadata } : record;
   }));
 }
 
-function persistRecords() {
-  const snapshot = recordsCache ?? {};
-  recordFlush = recordFlush.catch(() => {}).then(() => {
-    return chrome.storage.local.set({ [RECORDS_KEY]: snapshot });
-  });
-  return recordFlush;
-}
-
-function scheduleRecordFlush() {
-  if (recordFlushTimer) return;
-  recordFlushTimer = setTimeout(() => {
-    recordFlushTimer = null;
-    void persistRecords();
-  }, 80);
-}
-
-async function flushRecords() {
-  await recordMutation;
-  if (recordFlushTimer) {
-    clearTimeout(recordFlushTimer);
-    recordFlushTimer = null;
-  }
-  await persistRecords();
-}
-
-function mutateRecords(tabId, mutator) {
-  recordMutation = recordMutation.catch(() => {}).then(async () => {
-    const recordsByTab = await loadRecordsCache();
-    recordsCache = {
-      ...recordsByTab,
-      [tabId]: mutator(recordsByTab[tabId] ?? []),
-    };
-    scheduleRecordFlush();
-  });
+function queueRecordMutation(operation) {
+  recordMutation = recordMutation.catch(() => {}).then(operation);
   return recordMutation;
 }
 function addRecord(record) {
-  return mutateRecords(record.tabId, (records) => {
-    const retained = records.length >= MAX_RECORDS_PER_TAB
-      ? records.slice(1)
-      : records;
-    return [...retained, record];
+  return queueRecordMutation(async () => {
+    await appendRecord(record, await loadRecordRetention());
   }).then(() => {
     chrome.runtime.sendMessage({ type: 'inspectorRecordAdded', tabId: record.tabId }).catch(() => {});
   });
 }
 function patchRecord(tabId, id, patch) {
-  return mutateRecords(tabId, (records) => records.map((record) => {
-    return record.id === id ? { ...record, ...patch } : record;
-  })).then(() => {
+  return writeRecord(tabId, () => patchStoredRecord(tabId, id, patch));
+}
+
+/**
+ * 排入寫入並在完成後通知面板重新整理
+ */
+function writeRecord(tabId, write) {
+  return queueRecordMutation(write).then(() => {
     chrome.runtime.sendMessage({ type: 'inspectorRecordAdded', tabId }).catch(() => {});
   });
 }
-async function getRecords(tabId) { await recordMutation; return [...((await loadRecordsCache())[tabId] ?? [])]; }
-async function clearRecords(tabId) { await mutateRecords(tabId, () => []); await flushRecords(); }
+/**
+ * 讀取紀錄 (唯讀，淘汰只在寫入與定期整理時進行)：
+ * 指定 sinceRev 時回傳之後新增或更新的紀錄，否則回傳 seq 早於 beforeSeq 的最新 limit 筆
+ */
+async function getRecords(tabId, { limit = RECORD_PAGE_SIZE, beforeSeq = null, sinceRev = null } = {}) {
+  await recordMutation.catch(() => {});
+  if (Number.isInteger(sinceRev)) return readRecordChanges(tabId, sinceRev);
+  const pageSize = Number.isInteger(limit) && limit > 0 ? limit : RECORD_PAGE_SIZE;
+  return readRecordPage(tabId, pageSize, Number.isInteger(beforeSeq) ? beforeSeq : null);
+}
+async function getRecordStats(tabId) { await recordMutation; return readRecordStats(tabId); }
+async function clearRecords(tabId) { await queueRecordMutation(() => clearStoredRecords(tabId)); }
 function clearRuntimeStateForTab(tabId) {
   hiddenServicesByTab.delete(tabId);
+  captureRulesByTab.delete(tabId);
   detectedServicesByTab.delete(tabId);
   lightweightInterceptorStates.delete(tabId);
+  clearLightweightStreams(tabId);
+  for (const key of targetContexts.keys()) if (key.startsWith(`${tabId}:`)) targetContexts.delete(key);
   clearDecoderStateForTab(tabId);
 }
+/**
+ * 子 Session 結束或重新載入時清除其狀態
+ *
+ * @param {boolean} [detached] Session 已結束時一併移除其執行環境資訊
+ */
+function clearDecoderStateForSession(tabId, sessionId, detached = true) {
+  const targetKey = debuggerTargetKey({ tabId, sessionId });
+  if (detached) targetContexts.delete(targetKey);
+  for (const key of endpointTypes.keys()) if (key.startsWith(`${targetKey}:`)) endpointTypes.delete(key);
+  for (const key of networkRequests.keys()) if (key.startsWith(`${targetKey}:`)) networkRequests.delete(key);
+  preCapturedCalls.delete(targetKey);
+  processingTargets.delete(targetKey);
+}
 function clearDecoderStateForTab(tabId) {
   const prefix = `${tabId}:`;
   for (const key of endpointTypes.keys()) if (key.startsWith(prefix)) endpointTypes.delete(key);
@@ -1183,6 +1630,13 @@ function createRecordId(prefix) {
 function cacheOrigin(rawUrl) {
   try { return new URL(rawUrl).origin; } catch { return 'unknown'; }
 }
+/**
+ * 規則所屬的頁面 Origin；about:blank、chrome:// 等沒有 Origin 的頁面回傳空字串
+ */
+function pageOrigin(rawUrl) {
+  const origin = cacheOrigin(rawUrl);
+  return origin === 'unknown' || origin === 'null' ? '' : origin;
+}
 function configStorageKey(tabId) { return `protobufTsInspectorConfig:${tabId}`; }
 function hiddenServicesStorageKey(tabId) { return `protobufTsInspectorHiddenServices:${tabId}`; }
 function getHeaderValue(headers, name) {
@@ -1192,6 +1646,54 @@ function getHeaderValue(headers, name) {
 function isGrpcContentType(contentType) {
   return /(?:grpc|connect|protobuf|proto)/i.test(contentType);
 }
+/**
+ * 讀取分頁目前頁面 Origin 的擷取規則並快取
+ *
+ * @param {number} tabId
+ * @param {string} [pageUrl] 已知的頁面網址 (導覽事件)，省略時查詢分頁
+ */
+async function loadCaptureRules(tabId, pageUrl = null) {
+  let url = pageUrl;
+  if (!url) {
+    try { url = (await chrome.tabs.get(tabId))?.url ?? ''; } catch { url = ''; }
+  }
+  const origin = pageOrigin(url);
+  const stored = (await chrome.storage.local.get(CAPTURE_RULES_KEY))[CAPTURE_RULES_KEY] ?? {};
+  const captureRules = { origin, rules: origin ? normalizeCaptureRules(stored[origin]) : [] };
+  captureRulesByTab.set(tabId, captureRules);
+  return captureRules;
+}
+async function saveCaptureRules(tabId, rules) {
+  const { origin } = await loadCaptureRules(tabId);
+  if (!origin) throw new Error('此頁面沒有可保存規則的 Origin');
+  const normalized = normalizeCaptureRules(rules);
+  const stored = (await chrome.storage.local.get(CAPTURE_RULES_KEY))[CAPTURE_RULES_KEY] ?? {};
+  if (normalized.length > 0) stored[origin] = normalized;
+  else delete stored[origin];
+  await chrome.storage.local.set({ [CAPTURE_RULES_KEY]: stored });
+  const captureRules = { origin, rules: normalized };
+  captureRulesByTab.set(tabId, captureRules);
+  return captureRules;
+}
+/**
+ * 依擷取規則決定是否記錄呼叫；mute 規則只計數
+ * partialHeaders 表示 headers 只有部分請求標頭 (輕量攔截器)
+ *
+ * @returns {boolean} 是否擷取
+ */
+function applyCaptureRules(tabId, url, headers, partialHeaders = false) {
+  const rules = captureRulesByTab.get(tabId)?.rules ?? [];
+  const decision = evaluateCaptureRules(partialHeaders ? rulesForRecordedHeaders(rules, headers) : rules, { url, headers });
+  if (decision.action === 'mute') countMutedCall(tabId, decision.ruleId);
+  return decision.action === 'capture';
+}
+function countMutedCall(tabId, ruleId) {
+  const counts = mutedCallsByTab.get(tabId) ?? new Map();
+  const key = String(ruleId ?? '');
+  counts.set(key, (counts.get(key) ?? 0) + 1);
+  mutedCallsByTab.set(tabId, counts);
+  chrome.runtime.sendMessage({ type: 'inspectorRecordAdded', tabId }).catch(() => {});
+}
 function isServiceHidden(tabId, rawUrl) {
   const hidden = hiddenServicesByTab.get(tabId);
   if (!hidden?.size || !rawUrl) return false;
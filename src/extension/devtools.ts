@@ -11,9 +11,10 @@ import {
 } from './devtools-polling.ts';
 import { PAGE_MANAGED_CALL_QUEUE_FLAG } from './call-queue-mode.ts';
 import { resolveTimestampMs } from '../lib/time.ts';
+import { isConnectRequest } from '../lib/connect-protocol.ts';
 
 /**
- * 檢查是否為 gRPC-Web 請求
+ * 檢查是否為 gRPC-Web 或 Connect 請求
  */
 function isGrpcWebRequest(entry) {
   const contentType = entry.request?.postData?.mimeType || '';
@@ -22,7 +23,12 @@ function isGrpcWebRequest(entry) {
     contentType.includes('grpc-web') ||
     contentType.includes('application/grpc') ||
     responseType.includes('grpc-web') ||
-    responseType.includes('application/grpc')
+    responseType.includes('application/grpc') ||
+    isConnectRequest({
+      method: entry.request?.method,
+      url: entry.request?.url,
+      headers: headersToObject(entry.request?.headers),
+    })
   );
 }
 
@@ -41,6 +41,7 @@ export function findCachedProtoMetadata(cache: Record<string, any> | null, endpo
     return {
       service: entry.service,
       schema: entry.schema,
+      schemaUpdatedAt: entry.updatedAt,
       ...methodMetadata,
     };
   }
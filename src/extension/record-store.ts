@@ -0,0 +1,411 @@
+import {
+  estimateRecordBytes,
+  recordTime,
+  retentionCutoff,
+  shouldEvictRecord,
+  type RecordRetention,
+  type RecordStats,
+} from '../lib/record-retention';
+
+/**
+ * Record Store - 以 IndexedDB 保存擷取紀錄
+ *
+ * 每筆紀錄獨立寫入：新增只 append 一筆，更新只改寫該筆，不再每次覆寫整個分頁的陣列。
+ * 紀錄依分頁內遞增的 seq 排序，以 seq 為游標由新到舊分頁讀取；每次新增或更新另外記下分頁內遞增的 rev，
+ * 面板只需讀取上次之後變動的紀錄。各分頁的筆數與容量統計另存於 stats，
+ * 淘汰時依保留設定 (見 lib/record-retention) 從最舊的紀錄開始刪除。
+ * 進行中的串流每次收到的分塊另存於 chunks (各自帶有 rev)，不改寫紀錄本身；串流結束時才合併回紀錄並刪除分塊。
+ */
+
+const DATABASE_NAME = 'protobufTsInspectorRecords';
+const DATABASE_VERSION = 3;
+const RECORDS_STORE = 'records';
+const STATS_STORE = 'stats';
+const CHUNKS_STORE = 'chunks';
+const SEQ_INDEX = 'bySeq';
+const REV_INDEX = 'byRev';
+
+interface StoredRecord {
+  tabId: number;
+  id: string;
+  seq: number;
+  rev: number;
+  time: number;
+  size: number;
+  record: Record<string, any>;
+}
+
+interface StoredChunk {
+  tabId: number;
+  id: string;
+  rev: number;
+  direction: 'request' | 'response';
+  base64: string;
+  messageTimes: number[];
+}
+
+export interface RecordChunk {
+  /** 所屬紀錄的 ID */
+  id: string;
+  rev: number;
+  direction: 'request' | 'response';
+  base64: string;
+  /** 分塊內每則訊息收到的時間 */
+  messageTimes: number[];
+}
+
+interface TabStats extends RecordStats {
+  tabId: number;
+  nextSeq: number;
+  nextRev: number;
+}
+
+export interface RecordPage {
+  /** 由舊到新排列，每筆附上 `_seq` 供下一頁作為游標；進行中的串流另附目前所有分塊 `_chunks` */
+  records: Record<string, any>[];
+  /** 是否還有更早的紀錄 */
+  hasMore: boolean;
+  /** 分頁目前的 rev，下次以此讀取之後變動的紀錄 */
+  rev: number;
+}
+
+export interface RecordChanges {
+  /** 新增或更新的紀錄，依 rev 排列 */
+  records: Record<string, any>[];
+  /** 其餘紀錄新附加的串流分塊，依 rev 排列 */
+  chunks: RecordChunk[];
+  rev: number;
+  /** 仍保存的最舊紀錄的 seq；更早的紀錄已被淘汰或清除，沒有紀錄時為 null */
+  minSeq: number | null;
+}
+
+let database: Promise<IDBDatabase> | null = null;
+
+function openDatabase() {
+  database ??= new Promise<IDBDatabase>((resolve, reject) => {
+    const request = indexedDB.open(DATABASE_NAME, DATABASE_VERSION);
+    request.onupgradeneeded = (event) => {
+      const db = request.result;
+      if (event.oldVersion < 1) {
+        db.createObjectStore(RECORDS_STORE, { keyPath: ['tabId', 'id'] }).createIndex(SEQ_INDEX, ['tabId', 'seq']);
+        db.createObjectStore(STATS_STORE, { keyPath: 'tabId' });
+      }
+      // 版本 1 的紀錄沒有 rev，不會出現在變動中，只能由分頁讀取
+      if (event.oldVersion < 2) request.transaction.objectStore(RECORDS_STORE).createIndex(REV_INDEX, ['tabId', 'rev']);
+      if (event.oldVersion < 3) db.createObjectStore(CHUNKS_STORE, { keyPath: ['tabId', 'id', 'rev'] }).createIndex(REV_INDEX, ['tabId', 'rev']);
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  }).catch((error) => {
+    database = null;
+    throw error;
+  });
+  return database;
+}
+
+function requestResult<T>(request: IDBRequest<T>) {
+  return new Promise<T>((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * 在同一個交易內操作 records、stats 與 chunks；run 只能等待 IndexedDB 請求，否則交易會提前結束
+ */
+async function withStores<T>(
+  mode: IDBTransactionMode,
+  run: (records: IDBObjectStore, stats: IDBObjectStore, chunks: IDBObjectStore) => Promise<T>,
+) {
+  const db = await openDatabase();
+  const transaction = db.transaction([RECORDS_STORE, STATS_STORE, CHUNKS_STORE], mode);
+  const completed = new Promise<void>((resolve, reject) => {
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error ?? new Error('IndexedDB 交易已中止'));
+  });
+  completed.catch(() => {});
+
+  let result: T;
+  try {
+    result = await run(
+      transaction.objectStore(RECORDS_STORE),
+      transaction.objectStore(STATS_STORE),
+      transaction.objectStore(CHUNKS_STORE),
+    );
+  } catch (error) {
+    try { transaction.abort(); } catch { /* 交易已結束 */ }
+    throw error;
+  }
+  await completed;
+  return result;
+}
+
+async function readStats(stats: IDBObjectStore, tabId: number): Promise<TabStats> {
+  const stored = await requestResult<TabStats>(stats.get(tabId));
+  return { tabId, count: 0, bytes: 0, nextSeq: 1, nextRev: 1, ...stored };
+}
+
+/**
+ * 以游標走訪 cursor 的每一筆；visit 回傳 false 時停止
+ */
+async function iterate(request: IDBRequest<IDBCursorWithValue | null>, visit: (cursor: IDBCursorWithValue) => boolean | void) {
+  while (true) {
+    const cursor = await requestResult(request);
+    if (!cursor || visit(cursor) === false) return;
+    cursor.continue();
+  }
+}
+
+/**
+ * 分頁內 [tabId, lower] 到 [tabId, upper) 的範圍
+ */
+function tabRange(tabId: number, lower = -Infinity, upper = Infinity) {
+  return IDBKeyRange.bound([tabId, lower], [tabId, upper], false, upper !== Infinity);
+}
+
+function withSeq(stored: StoredRecord) {
+  return { ...stored.record, _seq: stored.seq };
+}
+
+/**
+ * 分塊的 key 為 [tabId, id, rev]；陣列 key 大於任何數字與字串，作為範圍的上界
+ */
+function chunkRange(tabId: number, id?: string) {
+  return id === undefined
+    ? IDBKeyRange.bound([tabId], [tabId, []])
+    : IDBKeyRange.bound([tabId, id], [tabId, id, []]);
+}
+
+function toRecordChunk({ id, rev, direction, base64, messageTimes }: StoredChunk): RecordChunk {
+  return { id, rev, direction, base64, messageTimes };
+}
+
+/**
+ * 附上進行中串流的分塊；已結束的紀錄沒有分塊
+ */
+async function withChunks(chunks: IDBObjectStore, stored: StoredRecord) {
+  const record = withSeq(stored);
+  if (stored.record.status !== 'pending') return record;
+  const items = await requestResult<StoredChunk[]>(chunks.getAll(chunkRange(stored.tabId, stored.id)));
+  return items.length > 0 ? { ...record, _chunks: items.map(toRecordChunk) } : record;
+}
+
+function chunkBytes(chunk: Pick<StoredChunk, 'base64' | 'messageTimes'>) {
+  return chunk.base64.length + estimateRecordBytes(chunk.messageTimes);
+}
+
+/**
+ * 新增紀錄並依保留設定淘汰最舊的紀錄；相同 ID 的紀錄會被取代 (視為更新，不改變順序)
+ */
+export function appendRecord(record: Record<string, any>, retention: RecordRetention) {
+  return withStores('readwrite', async (records, stats, chunks) => {
+    const current = await readStats(stats, record.tabId);
+    const existing = await requestResult<StoredRecord>(records.get([record.tabId, record.id]));
+    const size = estimateRecordBytes(record);
+    records.put({
+      tabId: record.tabId,
+      id: record.id,
+      seq: existing?.seq ?? current.nextSeq,
+      rev: current.nextRev,
+      time: recordTime(record),
+      size,
+      record,
+    });
+    stats.put(await evictOldest(records, chunks, {
+      ...current,
+      count: current.count + (existing ? 0 : 1),
+      bytes: current.bytes - (existing?.size ?? 0) + size,
+      nextSeq: existing ? current.nextSeq : current.nextSeq + 1,
+      nextRev: current.nextRev + 1,
+    }, retention, Date.now()));
+  });
+}
+
+/**
+ * 合併欄位到既有紀錄；紀錄已被淘汰或清除時略過
+ *
+ * @returns {Promise<boolean>} 是否有更新
+ */
+export function patchStoredRecord(tabId: number, id: string, patch: Record<string, any>) {
+  return withStores('readwrite', async (records, stats) => {
+    const existing = await requestResult<StoredRecord>(records.get([tabId, id]));
+    if (!existing) return false;
+    const record = { ...existing.record, ...patch };
+    // size 包含分塊，只重新估算紀錄本身的部分
+    const size = existing.size - estimateRecordBytes(existing.record) + estimateRecordBytes(record);
+    const current = await readStats(stats, tabId);
+    records.put({ ...existing, rev: current.nextRev, size, record });
+    stats.put({ ...current, bytes: current.bytes - existing.size + size, nextRev: current.nextRev + 1 });
+    return true;
+  });
+}
+
+/**
+ * 為進行中的串流附加一個分塊；只新增分塊，不改寫紀錄的內容
+ *
+ * @returns {Promise<boolean>} 紀錄已被淘汰或清除時回傳 false
+ */
+export function appendRecordChunk(tabId: number, id: string, chunk: Pick<StoredChunk, 'direction' | 'base64' | 'messageTimes'>) {
+  return withStores('readwrite', async (records, stats, chunks) => {
+    const existing = await requestResult<StoredRecord>(records.get([tabId, id]));
+    if (!existing) return false;
+    const current = await readStats(stats, tabId);
+    const size = chunkBytes(chunk);
+    chunks.put({ tabId, id, rev: current.nextRev, ...chunk });
+    records.put({ ...existing, size: existing.size + size });
+    stats.put({ ...current, bytes: current.bytes + size, nextRev: current.nextRev + 1 });
+    return true;
+  });
+}
+
+/**
+ * 串流結束：合併欄位 (包含由分塊組成的完整 Raw) 到紀錄並刪除分塊
+ *
+ * @returns {Promise<boolean>} 是否有更新
+ */
+export function completeStoredStream(tabId: number, id: string, patch: Record<string, any>) {
+  return withStores('readwrite', async (records, stats, chunks) => {
+    const existing = await requestResult<StoredRecord>(records.get([tabId, id]));
+    if (!existing) return false;
+    const record = { ...existing.record, ...patch };
+    const size = estimateRecordBytes(record);
+    const current = await readStats(stats, tabId);
+    chunks.delete(chunkRange(tabId, id));
+    records.put({ ...existing, rev: current.nextRev, size, record });
+    stats.put({ ...current, bytes: current.bytes - existing.size + size, nextRev: current.nextRev + 1 });
+    return true;
+  });
+}
+
+/**
+ * 以 mapper 改寫分頁內的紀錄；mapper 回傳同一個物件時不寫入
+ */
+export function updateStoredRecords(tabId: number, mapper: (record: Record<string, any>) => Record<string, any>) {
+  return withStores('readwrite', async (records, stats) => {
+    const current = await readStats(stats, tabId);
+    let { bytes, nextRev } = current;
+    await iterate(records.index(SEQ_INDEX).openCursor(tabRange(tabId)), (cursor) => {
+      const stored = cursor.value as StoredRecord;
+      const record = mapper(stored.record);
+      if (record === stored.record) return;
+      const size = stored.size - estimateRecordBytes(stored.record) + estimateRecordBytes(record);
+      bytes += size - stored.size;
+      cursor.update({ ...stored, rev: nextRev++, size, record });
+    });
+    if (nextRev !== current.nextRev) stats.put({ ...current, bytes, nextRev });
+  });
+}
+
+/**
+ * 讀取分頁中 seq 早於 beforeSeq 的最新 limit 筆紀錄；未指定 beforeSeq 時讀取最新的一頁
+ */
+export function readRecordPage(tabId: number, limit: number, beforeSeq: number | null = null): Promise<RecordPage> {
+  return withStores('readonly', async (records, stats, chunks) => {
+    const newestFirst: StoredRecord[] = [];
+    await iterate(records.index(SEQ_INDEX).openCursor(tabRange(tabId, -Infinity, beforeSeq ?? Infinity), 'prev'), (cursor) => {
+      newestFirst.push(cursor.value as StoredRecord);
+      return newestFirst.length <= limit;
+    });
+    const page = [];
+    for (const stored of newestFirst.slice(0, limit).reverse()) page.push(await withChunks(chunks, stored));
+    const { nextRev } = await readStats(stats, tabId);
+    return {
+      records: page,
+      hasMore: newestFirst.length > limit,
+      rev: nextRev - 1,
+    };
+  });
+}
+
+/**
+ * 讀取 rev 大於 sinceRev 的紀錄 (上次讀取後新增或更新的紀錄) 與其他紀錄新附加的分塊
+ */
+export function readRecordChanges(tabId: number, sinceRev: number): Promise<RecordChanges> {
+  return withStores('readonly', async (records, stats, chunks) => {
+    const changedRecords: StoredRecord[] = [];
+    await iterate(records.index(REV_INDEX).openCursor(tabRange(tabId, sinceRev + 1)), (cursor) => {
+      changedRecords.push(cursor.value as StoredRecord);
+    });
+    const changed = [];
+    for (const stored of changedRecords) changed.push(await withChunks(chunks, stored));
+    // 變動的紀錄已附上所有分塊，只回傳其他紀錄的新分塊
+    const changedIds = new Set(changedRecords.map((stored) => stored.id));
+    const appended: RecordChunk[] = [];
+    await iterate(chunks.index(REV_INDEX).openCursor(tabRange(tabId, sinceRev + 1)), (cursor) => {
+      const chunk = cursor.value as StoredChunk;
+      if (!changedIds.has(chunk.id)) appended.push(toRecordChunk(chunk));
+    });
+    let minSeq = null;
+    await iterate(records.index(SEQ_INDEX).openCursor(tabRange(tabId)), (cursor) => {
+      minSeq = (cursor.value as StoredRecord).seq;
+      return false;
+    });
+    const { nextRev } = await readStats(stats, tabId);
+    return { records: changed, chunks: appended, rev: nextRev - 1, minSeq };
+  });
+}
+
+export function readRecordStats(tabId: number): Promise<RecordStats> {
+  return withStores('readonly', async (_records, stats) => {
+    const { count, bytes } = await readStats(stats, tabId);
+    return { count, bytes };
+  });
+}
+
+export function clearStoredRecords(tabId: number) {
+  return withStores('readwrite', async (records, stats, chunks) => {
+    await iterate(records.index(SEQ_INDEX).openCursor(tabRange(tabId)), (cursor) => {
+      cursor.delete();
+    });
+    chunks.delete(chunkRange(tabId));
+    stats.delete(tabId);
+  });
+}
+
+/**
+ * 依保留設定由最舊的紀錄開始淘汰 (例如修改設定後，或超過保留時間但沒有新紀錄時)
+ *
+ * @returns {Promise<boolean>} 是否有紀錄被淘汰
+ */
+export function pruneStoredRecords(tabId: number, retention: RecordRetention, now = Date.now()) {
+  return withStores('readwrite', async (records, stats, chunks) => {
+    const current = await readStats(stats, tabId);
+    const next = await evictOldest(records, chunks, current, retention, now);
+    if (next.count === current.count) return false;
+    stats.put(next);
+    return true;
+  });
+}
+
+/**
+ * @returns {Promise<TabStats>} 淘汰後的分頁統計
+ */
+async function evictOldest(
+  records: IDBObjectStore,
+  chunks: IDBObjectStore,
+  current: TabStats,
+  retention: RecordRetention,
+  now: number,
+) {
+  const cutoff = retentionCutoff(retention, now);
+  let { count, bytes } = current;
+  await iterate(records.index(SEQ_INDEX).openCursor(tabRange(current.tabId)), (cursor) => {
+    const stored = cursor.value as StoredRecord;
+    if (!shouldEvictRecord(stored, { count, bytes }, retention, cutoff)) return false;
+    cursor.delete();
+    chunks.delete(chunkRange(stored.tabId, stored.id));
+    count -= 1;
+    bytes -= stored.size;
+  });
+  return { ...current, count, bytes };
+}
+
+/**
+ * 列出有紀錄的分頁 (背景啟動時依保留設定整理)
+ */
+export function listStoredTabIds(): Promise<number[]> {
+  return withStores('readonly', async (_records, stats) => {
+    return (await requestResult(stats.getAllKeys())).map(Number);
+  });
+}
@@ -1,12 +1,25 @@
+import { captureRuleHeaderNames, evaluateCaptureRules } from '../lib/capture-rules';
+import { connectContentKind, isConnectRequest } from '../lib/connect-protocol';
+import { createGrpcWebSocketCall, isGrpcWebSocket, toHttpUrl } from '../lib/grpc-websocket';
+import { concatBytes } from '../lib/inflate';
+import { createFrameSplitter, streamTrailerFlag } from '../lib/stream-frames';
+
 (() => {
   const STATE_KEY = '__GRPC_DEBUGGER_LIGHTWEIGHT_INTERCEPTOR__';
   const MESSAGE_TYPE = '__GRPC_DEBUGGER_LIGHTWEIGHT_CALL__';
   const MAX_CAPTURE_BYTES = 10 * 1024 * 1024;
+  // 回應的 content-encoding 在讀取前已由瀏覽器解開，只需保留訊息層級的壓縮標頭
+  const REQUEST_ENCODING_HEADERS = ['grpc-encoding', 'connect-content-encoding', 'content-encoding'];
+  const RESPONSE_ENCODING_HEADERS = ['grpc-encoding', 'connect-content-encoding'];
+  // 背景以期限判斷被取消的請求是否為逾時
+  const REQUEST_DEADLINE_HEADERS = ['grpc-timeout', 'connect-timeout-ms'];
+  // gRPC-Web 回應超過此時間仍未結束時視為 Streaming，建立進行中的紀錄
+  const STREAM_START_DELAY_MS = 250;
 
   if (window[STATE_KEY]) return;
 
   // document_start 先短暫擷取，等待背景依此 tab 的設定明確開啟或關閉。
-  const state = { enabled: true, configured: false };
+  const state = { enabled: true, configured: false, rules: [] };
   window[STATE_KEY] = state;
   setTimeout(() => {
     if (!state.configured) state.enabled = false;
@@ -17,6 +30,7 @@
   const originalOpen = XMLHttpRequest.prototype.open;
   const originalSend = XMLHttpRequest.prototype.send;
   const originalSetRequestHeader = XMLHttpRequest.prototype.setRequestHeader;
+  const OriginalWebSocket = window.WebSocket;
 
   window.fetch = function(input, init) {
     const snapshot = state.enabled ? createFetchSnapshot(input, init) : null;
@@ -41,59 +55,259 @@
 
   XMLHttpRequest.prototype.send = function(body) {
     const info = xhrInfo.get(this);
-    if (state.enabled && info?.method === 'POST') {
+    if (state.enabled && isCapturableRequest(info) && shouldCapture(info)) {
       const requestBody = readBody(body);
+      info.startedAt = Date.now();
+      info.canceled = false;
+      this.addEventListener('abort', () => { info.canceled = true; }, { once: true });
       this.addEventListener('loadend', () => { void captureXhr(this, info, requestBody); }, { once: true });
     }
     return originalSend.apply(this, arguments);
   };
 
+  // Proxy 保留 WebSocket 的靜態常數、prototype 與 instanceof 判斷
+  window.WebSocket = new Proxy(OriginalWebSocket, {
+    construct(target, args, newTarget) {
+      const socket = Reflect.construct(target, args, newTarget);
+      if (state.enabled && isGrpcWebSocket(args[1])) watchGrpcWebSocket(socket, args[0]);
+      return socket;
+    },
+  });
+
+  /**
+   * improbable-eng WebSocket transport：送出請求標頭時建立紀錄，之後雙向的訊息都以 frames 事件附加，連線關閉時結束
+   */
+  function watchGrpcWebSocket(socket, rawUrl) {
+    const call = createGrpcWebSocketCall();
+    const callId = `${Date.now()}-${Math.random().toString(36).slice(2)}`;
+    const url = toHttpUrl(new URL(rawUrl, window.location.href).href);
+    let started = false;
+    // 接收的 Blob 需非同步讀取，以佇列維持雙向訊息的先後順序
+    let queue = Promise.resolve();
+    const enqueue = (task) => {
+      queue = queue.then(task).catch(() => {});
+    };
+
+    const originalSocketSend = socket.send;
+    socket.send = function(data) {
+      const bytes = toBytes(data);
+      if (bytes) enqueue(() => handleSent(bytes));
+      return originalSocketSend.apply(this, arguments);
+    };
+    socket.addEventListener('message', (event) => {
+      if (typeof event.data === 'string') return;
+      enqueue(async () => handleReceived(new Uint8Array(event.data instanceof Blob ? await event.data.arrayBuffer() : event.data)));
+    });
+    socket.addEventListener('close', (event) => {
+      enqueue(() => {
+        if (!started) return;
+        emit({ callId, phase: 'end', error: event.wasClean ? undefined : `WebSocket 連線中斷 (${event.code})` }, true);
+      });
+    });
+
+    function handleSent(bytes) {
+      const { headers, bytes: frames, messageCount } = call.sent(bytes);
+      if (headers) {
+        const contentType = headers['content-type'] || 'application/grpc-web+proto';
+        if (!shouldCapture({ method: 'POST', url, headers: { ...headers, 'content-type': contentType } })) return;
+        started = true;
+        emit({
+          callId,
+          phase: 'start',
+          transport: 'websocket',
+          url,
+          method: 'POST',
+          requestContentType: contentType,
+          responseContentType: contentType,
+          requestEncodings: pickHeaders(REQUEST_ENCODING_HEADERS, (name) => headers[name]),
+          requestDeadlines: pickHeaders(REQUEST_DEADLINE_HEADERS, (name) => headers[name]),
+          requestRuleHeaders: pickRuleHeaders((name) => headers[name]),
+          responseEncodings: {},
+        });
+      } else if (started && frames?.length > 0) {
+        emit({ callId, phase: 'frames', direction: 'request', requestBase64: toBase64(frames), messageCount }, true);
+      }
+    }
+
+    function handleReceived(bytes) {
+      if (!started) return;
+      const { headers, bytes: frames, messageCount } = call.received(bytes);
+      if (!headers && frames.length === 0) return;
+      emit({ callId, phase: 'frames', direction: 'response', responseHeaders: headers, responseBase64: frames.length > 0 ? toBase64(frames) : null, messageCount }, true);
+    }
+  }
+
   function createFetchSnapshot(input, init) {
     const request = input instanceof Request ? input : null;
     const url = new URL(request?.url ?? input, window.location.href).href;
     const method = String(init?.method ?? request?.method ?? 'GET').toUpperCase();
-    if (method !== 'POST') return null;
-
     const headers = toHeaders(init?.headers ?? request?.headers);
+    if (!isCapturableRequest({ method, url, headers }) || !shouldCapture({ method, url, headers })) return null;
+
     const body = init?.body !== undefined
       ? readBody(init.body)
       : request
         ? request.clone().arrayBuffer().catch(() => null)
         : Promise.resolve(null);
 
-    return { url, method, headers, body };
+    return { url, method, headers, body, signal: init?.signal ?? request?.signal, startedAt: Date.now() };
   }
 
   async function captureFetch(snapshot, responsePromise) {
     try {
-      const response = await responsePromise;
+      let response;
+      try {
+        response = await responsePromise;
+      } catch (error) {
+        // AbortController 在收到回應前中斷：仍留下紀錄，讓背景標示為取消或逾時
+        if (isAbortError(error, snapshot.signal)) await captureCanceledFetch(snapshot);
+        return;
+      }
       const responseContentType = response.headers.get('content-type') ?? '';
       const requestContentType = snapshot.headers['content-type'] ?? '';
-      if (!isGrpcContentType(requestContentType || responseContentType)) return;
+      const isConnect = isConnectRequest(snapshot);
+      if (!isConnect && !isGrpcContentType(requestContentType || responseContentType)) return;
+
+      const call = {
+        url: snapshot.url,
+        method: snapshot.method,
+        requestContentType,
+        responseContentType,
+        requestEncodings: pickHeaders(REQUEST_ENCODING_HEADERS, (name) => snapshot.headers[name]),
+        requestDeadlines: pickHeaders(REQUEST_DEADLINE_HEADERS, (name) => snapshot.headers[name]),
+        requestRuleHeaders: pickRuleHeaders((name) => snapshot.headers[name]),
+        responseEncodings: pickHeaders(RESPONSE_ENCODING_HEADERS, (name) => response.headers.get(name)),
+        httpStatus: response.status,
+        protocol: isConnect ? 'connect' : undefined,
+        startedAt: snapshot.startedAt,
+      };
+      const trailerFlag = streamTrailerFlag(responseContentType);
+      if (trailerFlag !== null && response.body) {
+        await captureFetchStream(call, snapshot, response, trailerFlag);
+        return;
+      }
 
       const [requestBuffer, responseBuffer] = await Promise.all([
         snapshot.body,
         response.clone().arrayBuffer().catch(() => null),
       ]);
       emit({
-        url: snapshot.url,
-        method: snapshot.method,
+        ...call,
         requestBase64: toBase64(requestBuffer),
         responseBase64: toBase64(responseBuffer),
-        requestContentType,
-        responseContentType,
-        httpStatus: response.status,
+        canceled: responseBuffer === null && Boolean(snapshot.signal?.aborted),
       });
     } catch {
       // 網頁請求本身不應因除錯攔截失敗而受到影響。
     }
   }
 
+  async function captureCanceledFetch(snapshot) {
+    const requestContentType = snapshot.headers['content-type'] ?? '';
+    const isConnect = isConnectRequest(snapshot);
+    if (!isConnect && !isGrpcContentType(requestContentType)) return;
+    emit({
+      url: snapshot.url,
+      method: snapshot.method,
+      requestBase64: toBase64(await snapshot.body),
+      responseBase64: null,
+      requestContentType,
+      responseContentType: '',
+      requestEncodings: pickHeaders(REQUEST_ENCODING_HEADERS, (name) => snapshot.headers[name]),
+      requestDeadlines: pickHeaders(REQUEST_DEADLINE_HEADERS, (name) => snapshot.headers[name]),
+      requestRuleHeaders: pickRuleHeaders((name) => snapshot.headers[name]),
+      responseEncodings: {},
+      httpStatus: 0,
+      protocol: isConnect ? 'connect' : undefined,
+      startedAt: snapshot.startedAt,
+      canceled: true,
+    });
+  }
+
+  function isAbortError(error, signal) {
+    return error?.name === 'AbortError' || Boolean(signal?.aborted);
+  }
+
+  /**
+   * Streaming 回應可能長時間不會結束：從 clone (與網頁讀取的 Body 分流) 逐塊讀取，送出 start 建立進行中的紀錄後，
+   * 每湊齊完整的 Frame 就送出 frames，結束或中斷時送出 end。
+   * Connect 的 Content-Type 標示 Streaming，立即建立紀錄；gRPC-Web 無法區分 Unary 與 Streaming，
+   * 超過 STREAM_START_DELAY_MS 仍未結束才建立紀錄，在此之前結束的回應與一般回應相同，只送出一次。
+   */
+  async function captureFetchStream(call, snapshot, response, trailerFlag) {
+    const callId = `${Date.now()}-${Math.random().toString(36).slice(2)}`;
+    const reader = response.clone().body.getReader();
+    const splitter = createFrameSplitter(trailerFlag);
+    const requestBase64 = toBase64(await snapshot.body);
+    // 建立紀錄前收到的分塊與 Frame (附收到的時間)
+    const pendingChunks = [];
+    const pendingFrames = [];
+    let started = false;
+    let received = 0;
+    let error;
+    let canceled = false;
+    const start = () => {
+      if (started) return;
+      started = true;
+      emit({ ...call, callId, phase: 'start', requestBase64 });
+      for (const frames of pendingFrames) {
+        emit({
+          callId,
+          phase: 'frames',
+          responseBase64: toBase64(frames.bytes),
+          messageCount: frames.messageCount,
+          receivedAt: frames.receivedAt,
+        }, true);
+      }
+      pendingChunks.length = 0;
+      pendingFrames.length = 0;
+    };
+    let startTimer = null;
+    if (connectContentKind(call.responseContentType)?.streaming) start();
+    else startTimer = setTimeout(start, STREAM_START_DELAY_MS);
+    try {
+      for (;;) {
+        const { done, value } = await reader.read();
+        if (done) break;
+        received += value.byteLength;
+        if (received > MAX_CAPTURE_BYTES) {
+          error = `回應超過 ${MAX_CAPTURE_BYTES} bytes，停止擷取`;
+          void reader.cancel().catch(() => {});
+          break;
+        }
+        const { bytes, messageCount } = splitter.push(value);
+        if (started) {
+          if (bytes.length > 0) emit({ callId, phase: 'frames', responseBase64: toBase64(bytes), messageCount }, true);
+          continue;
+        }
+        pendingChunks.push(value);
+        if (bytes.length > 0) pendingFrames.push({ bytes, messageCount, receivedAt: Date.now() });
+      }
+    } catch (readError) {
+      error = readError instanceof Error ? readError.message : String(readError);
+      canceled = isAbortError(readError, snapshot.signal);
+    }
+    clearTimeout(startTimer);
+    if (!error && splitter.remainder().length > 0) error = '串流在 Frame 中途結束';
+    if (started) {
+      emit({ callId, phase: 'end', error, canceled }, true);
+      return;
+    }
+    emit({
+      ...call,
+      requestBase64,
+      responseBase64: toBase64(concatBytes(pendingChunks)),
+      error,
+      canceled,
+    });
+  }
+
   async function captureXhr(xhr, info, requestBody) {
     try {
       const responseContentType = xhr.getResponseHeader('content-type') ?? '';
       const requestContentType = info.headers['content-type'] ?? '';
-      if (!isGrpcContentType(requestContentType || responseContentType)) return;
+      const isConnect = isConnectRequest(info);
+      if (!isConnect && !isGrpcContentType(requestContentType || responseContentType)) return;
 
       emit({
         url: info.url,
@@ -102,15 +316,36 @@
         responseBase64: toBase64(await readBody(xhr.response)),
         requestContentType,
         responseContentType,
+        requestEncodings: pickHeaders(REQUEST_ENCODING_HEADERS, (name) => info.headers[name]),
+        requestDeadlines: pickHeaders(REQUEST_DEADLINE_HEADERS, (name) => info.headers[name]),
+        requestRuleHeaders: pickRuleHeaders((name) => info.headers[name]),
+        responseEncodings: pickHeaders(RESPONSE_ENCODING_HEADERS, (name) => xhr.getResponseHeader(name)),
         httpStatus: xhr.status,
+        protocol: isConnect ? 'connect' : undefined,
+        startedAt: info.startedAt,
+        canceled: info.canceled,
       });
     } catch {
       // 網頁請求本身不應因除錯攔截失敗而受到影響。
     }
   }
 
-  function emit(payload) {
-    if (!state.enabled) return;
+  /**
+   * 套用背景傳入的擷取規則 (見 lib/capture-rules)；mute 規則略過的 gRPC / Connect 呼叫只回報次數
+   */
+  function shouldCapture(call) {
+    const decision = evaluateCaptureRules(state.rules, call);
+    if (decision.action === 'mute' && (isConnectRequest(call) || isGrpcContentType(call.headers['content-type'] ?? ''))) {
+      emit({ phase: 'muted', ruleId: decision.ruleId });
+    }
+    return decision.action === 'capture';
+  }
+
+  /**
+   * @param {boolean} [continuation] 已開始擷取的串流在停用後仍需送出後續事件，背景才能結束其紀錄
+   */
+  function emit(payload, continuation = false) {
+    if (!state.enabled && !continuation) return;
     window.postMessage({ type: MESSAGE_TYPE, payload: { ...payload, timestamp: Date.now() } }, window.location.origin);
   }
 
@@ -125,10 +360,42 @@
     return result;
   }
 
+  function pickHeaders(names, getHeader) {
+    const result = {};
+    for (const name of names) {
+      const value = getHeader(name);
+      if (value) result[name] = String(value);
+    }
+    return result;
+  }
+
+  /**
+   * 擷取規則比對的請求標頭，讓背景與列表能以相同的規則判斷紀錄
+   */
+  function pickRuleHeaders(getHeader) {
+    return pickHeaders(captureRuleHeaderNames(state.rules), getHeader);
+  }
+
+  /**
+   * gRPC 與 Connect Streaming 只會使用 POST；Connect 的無副作用 Unary 呼叫則可能以 GET 送出
+   */
+  function isCapturableRequest({ method, url, headers }) {
+    return method === 'POST' || (method === 'GET' && isConnectRequest({ method, url, headers }));
+  }
+
   function isGrpcContentType(contentType) {
     return /(?:grpc|connect|protobuf|proto)/i.test(contentType);
   }
 
+  /**
+   * 同步複製送出的資料，避免頁面之後重複使用同一個緩衝區
+   */
+  function toBytes(data) {
+    if (data instanceof ArrayBuffer) return new Uint8Array(data.slice(0));
+    if (ArrayBuffer.isView(data)) return new Uint8Array(data.buffer.slice(data.byteOffset, data.byteOffset + data.byteLength));
+    return null;
+  }
+
   async function readBody(body) {
     if (!body) return null;
     if (body instanceof ArrayBuffer) return body;
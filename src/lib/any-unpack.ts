@@ -0,0 +1,57 @@
+/**
+ * google.protobuf.Any 解包工具
+ *
+ * ProtoEngine 與 cached-proto-decoder 共用相同的輸出格式：
+ * - 找得到型別：就地展開為內含訊息，並以 `@type` 標示原始的 type_url (與 Proto3 JSON Mapping 一致)。
+ * - 找不到型別：`$typeName` 標示 type_url 指向的型別，附上 `_error` 與 wire format 解讀。
+ *
+ * 兩個解碼器各自只認得部分 Schema (Reflection / 匯入 vs. runtime 擷取)，
+ * 因此透過 `resolveAny(typeName, bytes)` 讓呼叫端串接另一個解碼器作為備援。
+ */
+
+import { decodeWireFormat } from './wire-format-decoder';
+
+export const ANY_TYPE_NAME = 'google.protobuf.Any';
+
+/**
+ * 從 type_url (例如 `type.googleapis.com/pkg.Event`) 取出完整型別名稱
+ *
+ * @param {string} typeUrl
+ * @returns {string}
+ */
+export function typeNameFromUrl(typeUrl) {
+  const url = String(typeUrl ?? '');
+  return url.slice(url.lastIndexOf('/') + 1);
+}
+
+/**
+ * 依 type_url 解碼 Any 的內容
+ *
+ * @param {string} typeUrl Any.type_url
+ * @param {Uint8Array} value Any.value
+ * @param {Array<(typeName: string, bytes: Uint8Array) => object | null>} resolvers 依序嘗試的解碼器，回傳 null 代表不認得此型別
+ * @returns {object} 展開後的訊息，或帶有 `_error` 的未知型別標記
+ */
+export function unpackAny(typeUrl, value, resolvers) {
+  const typeName = typeNameFromUrl(typeUrl);
+  const bytes = value ?? new Uint8Array();
+
+  if (typeName) {
+    for (const resolve of resolvers) {
+      const decoded = resolve?.(typeName, bytes);
+      if (decoded) {
+        const { $typeName, ...fields } = decoded;
+        return { $typeName: $typeName ?? typeName, '@type': typeUrl, ...fields };
+      }
+    }
+  }
+
+  return {
+    $typeName: typeName || ANY_TYPE_NAME,
+    '@type': typeUrl,
+    _error: `找不到 Any 型別定義: ${typeUrl || '(空的 type_url)'}`,
+    _decodeReason: 'missing_schema',
+    _rawLength: bytes.length,
+    _wire: decodeWireFormat(bytes),
+  };
+}
@@ -1,127 +1,329 @@
+/**
+ * Cached Proto Decoder - 以 runtime 擷取的 Schema 解碼訊息
+ *
+ * 頁面內的 protobuf-es 只提供欄位清單 (見 background 的 captureRpcInPage)，沒有完整的描述符，
+ * 因此這裡直接走訪 wire format，輸出與 ProtoEngine (@bufbuild/protobuf) 相同的結構：
+ * - map 解為物件，key 一律以字串表示
+ * - 同一 oneof 的成員以最後出現者為準；單一訊息欄位重複出現時依規範合併
+ * - proto2 group 與 schema.extensions 宣告的擴充欄位 (以 `[完整名稱]` 為 key)
+ * - Schema 沒有宣告或 wire type 不相符的欄位收集於 `_unknown`，以 wire format 解讀呈現
+ */
+
+import { ANY_TYPE_NAME, unpackAny } from './any-unpack';
+import { UNKNOWN_FIELDS_KEY } from './schema-drift';
+import { DEFAULT_VALUE_RENDERING, UNSET_FIELDS_KEY, formatBytes, formatEnum, formatInt64 } from './value-rendering';
+import { decodeWireFormat } from './wire-format-decoder';
+
 const textDecoder = new TextDecoder();
 
-export function decodeCachedProtoMessage(schema, typeName, buffer) {
-  const message = schema?.messages?.[cleanTypeName(typeName)];
+// 未指定 rendering 時只呈現 wire 上出現的欄位
+const WIRE_ONLY_RENDERING = Object.freeze({ ...DEFAULT_VALUE_RENDERING, presence: 'hide' });
+// map 的 key 與 @bufbuild/protobuf 相同，以數值的字串形式表示
+const MAP_KEY_RENDERING = Object.freeze({ ...DEFAULT_VALUE_RENDERING, int64: 'string' });
+const INT64_TYPES = new Set(['int64', 'uint64', 'sint64', 'fixed64', 'sfixed64']);
+
+/**
+ * 以 runtime 擷取的 Schema 解碼訊息
+ *
+ * @param {object} schema entry.schema (包含 messages 與 enums；可選的 extensions 以被擴充的訊息型別為 key，值為欄位陣列)
+ * @param {string} typeName 訊息類型名稱
+ * @param {Uint8Array} buffer 原始二進位數據
+ * @param {object} [options]
+ * @param {(typeName: string, bytes: Uint8Array) => object | null} [options.resolveAny] runtime Schema 中找不到 Any 內含型別時的備援解碼器
+ * @param {import('./value-rendering').ValueRendering} [options.rendering] int64、bytes、enum 與未設定欄位的呈現方式
+ * @returns {object | null} 無法解碼時回傳 null
+ */
+export function decodeCachedProtoMessage(schema, typeName, buffer, options = {}) {
+  const name = cleanTypeName(typeName);
+  if (name === ANY_TYPE_NAME && buffer) {
+    try {
+      return decodeAny(schema, new Uint8Array(buffer), options);
+    } catch {
+      return null;
+    }
+  }
+
+  const message = schema?.messages?.[name];
   if (!message?.fields || !buffer?.length) return null;
 
   try {
-    return decodeMessage(schema, message, new Uint8Array(buffer));
+    return decodeMessage(schema, message, new Uint8Array(buffer), options);
   } catch {
     return null;
   }
 }
 
-function decodeMessage(schema, message, bytes) {
-  const result = { $typeName: message.typeName };
-  const fields = new Map(message.fields.map((field) => [field.number, field]));
+/**
+ * Any 的欄位固定為 type_url (1) 與 value (2)，不依賴 runtime Schema 是否擷取到 Any 本身
+ */
+function decodeAny(schema, bytes, options) {
+  let typeUrl = '';
+  let value = new Uint8Array();
   let offset = 0;
 
   while (offset < bytes.length) {
-    const tag = readVarint(bytes, offset);
+    const tag = readTag(bytes, offset);
     offset = tag.offset;
-    const field = fields.get(Number(tag.value >> 3n));
-    const wireType = Number(tag.value & 7n);
-    if (!field) {
-      offset = skipField(bytes, offset, wireType);
+    if ((tag.fieldNumber === 1 || tag.fieldNumber === 2) && tag.wireType === 2) {
+      const { start, end } = readLength(bytes, offset);
+      const data = bytes.slice(start, end);
+      if (tag.fieldNumber === 1) typeUrl = textDecoder.decode(data);
+      else value = data;
+      offset = end;
+    } else {
+      offset = skipField(bytes, offset, tag.wireType, tag.fieldNumber);
+    }
+  }
+
+  return unpackAny(typeUrl, value, [
+    (typeName, data) => {
+      const message = schema?.messages?.[cleanTypeName(typeName)];
+      if (!message?.fields) return null;
+      try {
+        return decodeMessage(schema, message, data, options);
+      } catch (e) {
+        return { $typeName: message.typeName, _error: `解碼失敗: ${e.message}` };
+      }
+    },
+    options.resolveAny,
+  ]);
+}
+
+function decodeMessage(schema, message, bytes, options = {}) {
+  const rendering = options.rendering ?? WIRE_ONLY_RENDERING;
+  const result = { $typeName: message.typeName };
+  const fields = fieldsByNumber(schema, message);
+  // 單一訊息欄位重複出現時，依規範等同於解碼所有片段串接後的內容
+  const messageParts = new Map();
+  const unknown = [];
+  let offset = 0;
+
+  while (offset < bytes.length) {
+    const start = offset;
+    const tag = readTag(bytes, offset);
+    const field = fields.get(tag.fieldNumber);
+    if (!field || !acceptsWireType(field, tag.wireType)) {
+      offset = skipField(bytes, tag.offset, tag.wireType, tag.fieldNumber);
+      unknown.push(bytes.subarray(start, offset));
       continue;
     }
 
-    const decoded = readField(schema, field, bytes, offset, wireType);
+    const decoded = readValue(schema, field, bytes, tag, options, rendering);
     offset = decoded.offset;
-    if (decoded.value === undefined) continue;
-
-    if (field.repeated) {
-      result[field.name] = [...(result[field.name] ?? []), ...(Array.isArray(decoded.value) ? decoded.value : [decoded.value])];
-    } else {
-      result[field.name] = decoded.value;
+    let value = decoded.value;
+    if (decoded.content) {
+      if (field.repeated) {
+        value = decodeEmbedded(schema, field.typeName, decoded.content, options);
+      } else {
+        const parts = [...(messageParts.get(field.number) ?? []), decoded.content];
+        messageParts.set(field.number, parts);
+        value = decodeEmbedded(schema, field.typeName, concatBytes(parts), options);
+      }
     }
+
+    setFieldValue(result, message, field, value, messageParts);
   }
 
+  if (rendering.presence !== 'hide') fillUnsetFields(schema, message, result, rendering);
+  if (unknown.length > 0) result[UNKNOWN_FIELDS_KEY] = decodeWireFormat(concatBytes(unknown));
   return result;
 }
 
-function readField(schema, field, bytes, offset, wireType) {
-  if (wireType === 2) {
-    const length = readVarint(bytes, offset);
-    const start = length.offset;
-    const end = start + Number(length.value);
-    if (end > bytes.length) throw new Error('Invalid length-delimited field');
-    const value = bytes.slice(start, end);
-
-    if (field.kind === 'message') {
-      return { offset: end, value: decodeCachedProtoMessage(schema, field.typeName, value) ?? bytesToBase64(value) };
-    }
-    if (field.kind === 'map') {
-      return { offset: end, value: bytesToBase64(value) };
-    }
-    if (field.kind === 'scalar' && field.type === 'bytes') {
-      return { offset: end, value: bytesToBase64(value) };
-    }
-    if (field.kind === 'scalar' && field.type === 'string') {
-      return { offset: end, value: textDecoder.decode(value) };
-    }
-    if (field.repeated && isPackable(field)) {
-      return { offset: end, value: decodePacked(field, value) };
+/**
+ * 擴充欄位與一般欄位共用欄位編號空間，名稱改為 `[完整名稱]` 以免與一般欄位衝突
+ */
+function fieldsByNumber(schema, message) {
+  const fields = new Map(message.fields.map((field) => [field.number, field]));
+  for (const extension of schema?.extensions?.[message.typeName] ?? []) {
+    if (!fields.has(extension.number)) fields.set(extension.number, { ...extension, name: `[${extension.name}]` });
+  }
+  return fields;
+}
+
+function setFieldValue(result, message, field, value, messageParts) {
+  if (field.kind === 'map') {
+    result[field.name] = { ...result[field.name], [value.key]: value.value };
+  } else if (field.repeated) {
+    result[field.name] = [...(result[field.name] ?? []), ...(Array.isArray(value) ? value : [value])];
+  } else {
+    if (field.oneof) {
+      for (const member of message.fields) {
+        if (member.oneof !== field.oneof || member === field) continue;
+        delete result[member.name];
+        messageParts.delete(member.number);
+      }
     }
-    return { offset: end, value: textDecoder.decode(value) };
+    result[field.name] = value;
+  }
+}
+
+/**
+ * 補上 wire 上沒有出現的欄位；未設定的 oneof 成員不屬於任何預設值，一律略過
+ */
+function fillUnsetFields(schema, message, result, rendering) {
+  const unsetFields = [];
+  for (const field of message.fields) {
+    if (field.oneof || field.name in result) continue;
+    result[field.name] = defaultFieldValue(schema, field, rendering);
+    unsetFields.push(field.name);
+  }
+  if (rendering.presence === 'grey' && unsetFields.length > 0) result[UNSET_FIELDS_KEY] = unsetFields;
+}
+
+/**
+ * 預設值依序取 proto2 宣告的 defaultValue 與型別的零值；enum 的零值為第一個宣告的值
+ */
+function defaultFieldValue(schema, field, rendering) {
+  if (field.kind === 'map') return {};
+  if (field.repeated) return [];
+  if (field.kind === 'message') return null;
+  if (field.kind === 'enum') {
+    const values = schema?.enums?.[field.typeName]?.values ?? [];
+    const number = field.defaultValue ?? values[0]?.number ?? 0;
+    return formatEnum(number, values.find((item) => item.number === number)?.name, rendering.enums);
+  }
+  if (field.defaultValue !== undefined) return convertDefaultValue(field, rendering);
+  if (field.type === 'string') return '';
+  if (field.type === 'bool') return false;
+  if (field.type === 'bytes') return formatBytes(new Uint8Array(), rendering.bytes);
+  if (INT64_TYPES.has(field.type)) return formatInt64(0n, rendering.int64);
+  return 0;
+}
+
+/**
+ * 擷取時 int64 的預設值轉為字串、bytes 轉為數字陣列，讓 Schema 可以 JSON 序列化
+ */
+function convertDefaultValue(field, rendering) {
+  if (INT64_TYPES.has(field.type)) return formatInt64(BigInt(field.defaultValue), rendering.int64);
+  if (field.type === 'bytes') return formatBytes(Uint8Array.from(field.defaultValue), rendering.bytes);
+  return field.defaultValue;
+}
+
+function acceptsWireType(field, wireType) {
+  if (field.kind === 'map') return wireType === 2;
+  if (field.kind === 'message') return wireType === 2 || wireType === 3;
+  if (field.type === 'string' || field.type === 'bytes') return wireType === 2;
+  // repeated 數值欄位不論宣告是否 packed 都需接受兩種編碼
+  return wireType === packedWireType(field.type) || (wireType === 2 && Boolean(field.repeated));
+}
+
+/**
+ * @returns {{offset: number, value?: any, content?: Uint8Array}} 訊息與 group 回傳尚未解碼的內容
+ */
+function readValue(schema, field, bytes, tag, options, rendering) {
+  const { offset, wireType } = tag;
+  if (wireType === 3) {
+    const { end, next } = findGroupEnd(bytes, offset, tag.fieldNumber);
+    return { offset: next, content: bytes.subarray(offset, end) };
+  }
+
+  if (wireType === 2) {
+    const { start, end } = readLength(bytes, offset);
+    const data = bytes.subarray(start, end);
+    if (field.kind === 'message') return { offset: end, content: data };
+    if (field.kind === 'map') return { offset: end, value: decodeMapEntry(schema, field, data, options, rendering) };
+    if (field.type === 'string') return { offset: end, value: textDecoder.decode(data) };
+    if (field.type === 'bytes') return { offset: end, value: formatBytes(data, rendering.bytes) };
+    return { offset: end, value: decodePacked(schema, field, data, rendering) };
   }
 
   if (wireType === 0) {
     const decoded = readVarint(bytes, offset);
-    return { offset: decoded.offset, value: decodeVarintValue(schema, field, decoded.value) };
+    return { offset: decoded.offset, value: decodeVarintValue(schema, field, decoded.value, rendering) };
   }
 
   if (wireType === 1) {
-    const end = offset + 8;
-    if (end > bytes.length) throw new Error('Invalid fixed64 field');
+    const end = checkedEnd(bytes, offset + 8);
     const view = new DataView(bytes.buffer, bytes.byteOffset + offset, 8);
-    return {
-      offset: end,
-      value: field.type === 'double' ? view.getFloat64(0, true) : bigintToValue(view.getBigUint64(0, true)),
-    };
+    if (field.type === 'double') return { offset: end, value: view.getFloat64(0, true) };
+    const value = field.type === 'sfixed64' ? view.getBigInt64(0, true) : view.getBigUint64(0, true);
+    return { offset: end, value: formatInt64(value, rendering.int64) };
+  }
+
+  const end = checkedEnd(bytes, offset + 4);
+  const view = new DataView(bytes.buffer, bytes.byteOffset + offset, 4);
+  return {
+    offset: end,
+    value: field.type === 'float' ? view.getFloat32(0, true) : field.type === 'sfixed32' ? view.getInt32(0, true) : view.getUint32(0, true),
+  };
+}
+
+/**
+ * 巢狀型別不在 runtime Schema 中或內容損毀時，保留原始位元組的 base64
+ */
+function decodeEmbedded(schema, typeName, bytes, options) {
+  const name = cleanTypeName(typeName);
+  try {
+    if (name === ANY_TYPE_NAME) return decodeAny(schema, bytes, options);
+    const message = schema?.messages?.[name];
+    if (message?.fields) return decodeMessage(schema, message, bytes, options);
+  } catch {
+    // 以 base64 呈現
   }
+  return formatBytes(bytes, 'base64');
+}
+
+/**
+ * map 的每個 Entry 是含 key (1) 與 value (2) 的訊息；缺少的 key 或 value 以預設值補上
+ */
+function decodeMapEntry(schema, field, bytes, options, rendering) {
+  const keyField = { kind: 'scalar', type: field.keyType };
+  const valueField = { kind: field.value ?? 'scalar', type: field.valueType, typeName: field.valueTypeName };
+  let key;
+  let value;
+  let offset = 0;
 
-  if (wireType === 5) {
-    const end = offset + 4;
-    if (end > bytes.length) throw new Error('Invalid fixed32 field');
-    const view = new DataView(bytes.buffer, bytes.byteOffset + offset, 4);
-    return {
-      offset: end,
-      value: field.type === 'float' ? view.getFloat32(0, true) : view.getUint32(0, true),
-    };
+  while (offset < bytes.length) {
+    const tag = readTag(bytes, offset);
+    if (tag.fieldNumber === 1 && acceptsWireType(keyField, tag.wireType)) {
+      const decoded = readValue(schema, keyField, bytes, tag, options, MAP_KEY_RENDERING);
+      offset = decoded.offset;
+      key = decoded.value;
+    } else if (tag.fieldNumber === 2 && acceptsWireType(valueField, tag.wireType)) {
+      const decoded = readValue(schema, valueField, bytes, tag, options, rendering);
+      offset = decoded.offset;
+      value = decoded.content ? decodeEmbedded(schema, valueField.typeName, decoded.content, options) : decoded.value;
+    } else {
+      offset = skipField(bytes, tag.offset, tag.wireType, tag.fieldNumber);
+    }
   }
 
-  return { offset: skipField(bytes, offset, wireType), value: undefined };
+  if (value === undefined) {
+    value = valueField.kind === 'message'
+      ? decodeEmbedded(schema, valueField.typeName, new Uint8Array(), options)
+      : defaultFieldValue(schema, valueField, rendering);
+  }
+  return { key: String(key ?? defaultFieldValue(schema, keyField, MAP_KEY_RENDERING)), value };
 }
 
-function decodePacked(field, bytes) {
+function decodePacked(schema, field, bytes, rendering) {
   const values = [];
   let offset = 0;
   const wireType = packedWireType(field.type);
+  const element = { ...field, repeated: false };
   while (offset < bytes.length) {
-    const decoded = readField(null, { ...field, repeated: false }, bytes, offset, wireType);
+    const decoded = readValue(schema, element, bytes, { fieldNumber: 0, wireType, offset }, {}, rendering);
     values.push(decoded.value);
     offset = decoded.offset;
   }
   return values;
 }
 
-function decodeVarintValue(schema, field, value) {
+/**
+ * varint 讀出的是 64 位元無號整數；負的 int32 / int64 / enum 以二補數的 10 位元組編碼
+ */
+function decodeVarintValue(schema, field, value, rendering) {
   if (field.kind === 'enum') {
-    return schema?.enums?.[field.typeName]?.values?.find((item) => item.number === Number(value))?.name ?? Number(value);
+    const number = Number(BigInt.asIntN(32, value));
+    return formatEnum(number, schema?.enums?.[field.typeName]?.values?.find((item) => item.number === number)?.name, rendering.enums);
   }
   if (field.type === 'bool') return value !== 0n;
   if (field.type === 'sint32' || field.type === 'sint64') value = (value >> 1n) ^ (-(value & 1n));
-  return bigintToValue(value, field.type);
-}
-
-function bigintToValue(value, type = '') {
-  if (/64/.test(type) || value > BigInt(Number.MAX_SAFE_INTEGER)) return value.toString();
-  return Number(value);
-}
-
-function isPackable(field) {
-  return field.kind === 'enum' || (field.kind === 'scalar' && !['string', 'bytes'].includes(field.type));
+  if (field.type === 'int32') return Number(BigInt.asIntN(32, value));
+  if (field.type === 'uint32') return Number(BigInt.asUintN(32, value));
+  if (field.type === 'int64') return formatInt64(BigInt.asIntN(64, value), rendering.int64);
+  if (INT64_TYPES.has(field.type)) return formatInt64(value, rendering.int64);
+  return value > BigInt(Number.MAX_SAFE_INTEGER) ? value.toString() : Number(value);
 }
 
 function packedWireType(type) {
@@ -130,34 +332,70 @@ function packedWireType(type) {
   return 0;
 }
 
+function readTag(bytes, offset) {
+  const tag = readVarint(bytes, offset);
+  const fieldNumber = Number(tag.value >> 3n);
+  if (fieldNumber === 0) throw new Error('Invalid field number');
+  return { fieldNumber, wireType: Number(tag.value & 7n), offset: tag.offset };
+}
+
 function readVarint(bytes, offset) {
   let value = 0n;
   let shift = 0n;
   while (offset < bytes.length) {
     const byte = bytes[offset++];
     value |= BigInt(byte & 0x7f) << shift;
-    if ((byte & 0x80) === 0) return { value, offset };
+    if ((byte & 0x80) === 0) return { value: BigInt.asUintN(64, value), offset };
     shift += 7n;
     if (shift > 70n) break;
   }
   throw new Error('Invalid varint');
 }
 
-function skipField(bytes, offset, wireType) {
-  if (wireType === 0) return readVarint(bytes, offset).offset;
-  if (wireType === 1) return offset + 8;
-  if (wireType === 2) {
-    const length = readVarint(bytes, offset);
-    return length.offset + Number(length.value);
+function readLength(bytes, offset) {
+  const length = readVarint(bytes, offset);
+  return { start: length.offset, end: checkedEnd(bytes, length.offset + Number(length.value)) };
+}
+
+function checkedEnd(bytes, end) {
+  if (end > bytes.length) throw new Error('Truncated field');
+  return end;
+}
+
+/**
+ * @returns {{end: number, next: number}} end 為 END_GROUP 標籤的起點，next 為其後的位置
+ */
+function findGroupEnd(bytes, offset, fieldNumber) {
+  while (offset < bytes.length) {
+    const start = offset;
+    const tag = readTag(bytes, offset);
+    if (tag.wireType === 4) {
+      if (tag.fieldNumber !== fieldNumber) throw new Error('Mismatched end group');
+      return { end: start, next: tag.offset };
+    }
+    offset = skipField(bytes, tag.offset, tag.wireType, tag.fieldNumber);
   }
-  if (wireType === 5) return offset + 4;
+  throw new Error('Unterminated group');
+}
+
+function skipField(bytes, offset, wireType, fieldNumber) {
+  if (wireType === 0) return readVarint(bytes, offset).offset;
+  if (wireType === 1) return checkedEnd(bytes, offset + 8);
+  if (wireType === 2) return readLength(bytes, offset).end;
+  if (wireType === 3) return findGroupEnd(bytes, offset, fieldNumber).next;
+  if (wireType === 5) return checkedEnd(bytes, offset + 4);
   throw new Error('Unsupported wire type');
 }
 
-function bytesToBase64(bytes) {
-  let binary = '';
-  for (const byte of bytes) binary += String.fromCharCode(byte);
-  return btoa(binary);
+function concatBytes(parts) {
+  if (parts.length === 1) return parts[0];
+  const result = new Uint8Array(parts.reduce((total, part) => total + part.length, 0));
+  let offset = 0;
+  for (const part of parts) {
+    result.set(part, offset);
+    offset += part.length;
+  }
+  return result;
 }
 
 function cleanTypeName(typeName) {
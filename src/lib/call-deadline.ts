@@ -0,0 +1,119 @@
+/**
+ * Call Deadline - 呼叫期限與用戶端取消
+ *
+ * gRPC 與 gRPC-Web 以 `grpc-timeout` 標頭傳遞剩餘期限 (例如 `500m`、`3S`)，Connect 使用 `connect-timeout-ms`。
+ * 用戶端在期限到達時會自行中斷請求，瀏覽器只看得到一個被取消的請求；
+ * 此模組比對期限與實際耗時，區分「超過期限」、「用戶端取消」與一般的網路錯誤。
+ */
+
+export const GRPC_OK = 0;
+export const GRPC_CANCELLED = 1;
+export const GRPC_DEADLINE_EXCEEDED = 4;
+
+export type DeadlineHeader = 'grpc-timeout' | 'connect-timeout-ms';
+
+export interface CallDeadline {
+  header: DeadlineHeader;
+  timeoutMs: number;
+  /** 呼叫尚未結束時為 null */
+  exceeded: boolean | null;
+}
+
+const GRPC_TIMEOUT_UNITS = { H: 3600000, M: 60000, S: 1000, m: 1, u: 0.001, n: 0.000001 };
+
+// 用戶端的計時器從送出前開始，瀏覽器記錄的耗時會略短於期限
+const MAX_TOLERANCE_MS = 50;
+
+/**
+ * 解析 `grpc-timeout`：最多 8 位數字接單位 (H、M、S、m、u、n)
+ *
+ * @returns {number | null} 毫秒
+ */
+export function parseGrpcTimeout(value) {
+  const match = /^(\d{1,8})([HMSmun])$/.exec(String(value ?? '').trim());
+  return match ? Number(match[1]) * GRPC_TIMEOUT_UNITS[match[2]] : null;
+}
+
+/**
+ * 解析 `connect-timeout-ms`：最多 10 位數字的毫秒數
+ *
+ * @returns {number | null}
+ */
+export function parseConnectTimeout(value) {
+  const text = String(value ?? '').trim();
+  return /^\d{1,10}$/.test(text) ? Number(text) : null;
+}
+
+/**
+ * 從請求標頭取得呼叫期限 (標頭名稱不分大小寫)
+ *
+ * @param {Record<string, string>} headers
+ * @returns {{header: DeadlineHeader, timeoutMs: number} | null}
+ */
+export function requestTimeout(headers): { header: DeadlineHeader; timeoutMs: number } | null {
+  let grpcTimeout = null;
+  let connectTimeout = null;
+  for (const [name, value] of Object.entries(headers ?? {})) {
+    const key = name.toLowerCase();
+    if (key === 'grpc-timeout') grpcTimeout = parseGrpcTimeout(value);
+    else if (key === 'connect-timeout-ms') connectTimeout = parseConnectTimeout(value);
+  }
+  if (grpcTimeout != null) return { header: 'grpc-timeout', timeoutMs: grpcTimeout };
+  if (connectTimeout != null) return { header: 'connect-timeout-ms', timeoutMs: connectTimeout };
+  return null;
+}
+
+/**
+ * 比對期限與實際耗時；伺服器回傳 DEADLINE_EXCEEDED 時一律視為超過期限，成功 (OK) 的呼叫一律沒有超過，
+ * 只有失敗或沒有狀態的呼叫才依耗時推斷
+ *
+ * @param {Record<string, string>} headers 請求標頭
+ * @param {number | null | undefined} durationMs 呼叫結束時的耗時
+ * @param {number | null} [grpcStatus]
+ * @returns {CallDeadline | null}
+ */
+export function evaluateDeadline(headers, durationMs, grpcStatus = null): CallDeadline | null {
+  const timeout = requestTimeout(headers);
+  if (!timeout) return null;
+  const duration = Number(durationMs);
+  let exceeded = null;
+  if (grpcStatus === GRPC_DEADLINE_EXCEEDED) exceeded = true;
+  else if (grpcStatus === GRPC_OK) exceeded = false;
+  else if (durationMs != null && Number.isFinite(duration)) {
+    exceeded = duration + Math.min(MAX_TOLERANCE_MS, timeout.timeoutMs * 0.1) >= timeout.timeoutMs;
+  }
+  return { ...timeout, exceeded };
+}
+
+/**
+ * 以紀錄的請求標頭、耗時與狀態評估期限；進行中的呼叫尚無法判斷
+ *
+ * @param {{requestHeaders?: Record<string, string>, duration?: number, grpcStatus?: number, status?: string}} entry
+ */
+export function evaluateEntryDeadline(entry) {
+  if (!entry) return null;
+  return evaluateDeadline(entry.requestHeaders, entry.status === 'pending' ? null : entry.duration, entry.grpcStatus ?? null);
+}
+
+/**
+ * 請求在收到 gRPC 狀態前中斷時，推斷用戶端看到的狀態：
+ * 超過期限為 DEADLINE_EXCEEDED，其餘的取消為 CANCELLED；一般的網路錯誤回傳 null
+ *
+ * @param {{canceled?: boolean, deadline?: CallDeadline | null}} failure
+ * @returns {{grpcStatus: number, grpcMessage: string} | null}
+ */
+export function clientFailureStatus({ canceled = false, deadline = null }) {
+  if (deadline?.exceeded) {
+    return { grpcStatus: GRPC_DEADLINE_EXCEEDED, grpcMessage: `呼叫超過期限 (${deadline.header}: ${formatTimeout(deadline.timeoutMs)})` };
+  }
+  if (canceled) return { grpcStatus: GRPC_CANCELLED, grpcMessage: '請求已由用戶端取消' };
+  return null;
+}
+
+/**
+ * @param {number} timeoutMs
+ */
+export function formatTimeout(timeoutMs: number) {
+  if (timeoutMs >= 1000) return `${Number((timeoutMs / 1000).toFixed(3))} s`;
+  return `${Number(timeoutMs.toFixed(3))} ms`;
+}
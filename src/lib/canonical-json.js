@@ -0,0 +1,142 @@
+/**
+ * Proto3 Canonical JSON 轉換
+ *
+ * 解碼結果中的 Well-Known Types 預設保留原始結構 (例如 Timestamp 的 seconds/nanos)，
+ * 此模組依 `$typeName` 將它們轉為 Proto3 JSON Mapping 規定的表示法：
+ * - Timestamp：RFC 3339 字串；Duration："1.5s"
+ * - Wrapper 型別：直接展開為內含的值
+ * - Struct / Value / ListValue：一般的 JSON 物件、值與陣列
+ * - FieldMask：以逗號分隔的 lowerCamelCase 路徑
+ *
+ * ProtoEngine 與 cached-proto-decoder 的輸出都帶有 `$typeName`，因此可共用同一個轉換。
+ */
+
+const WRAPPER_DEFAULTS = {
+  'google.protobuf.DoubleValue': 0,
+  'google.protobuf.FloatValue': 0,
+  'google.protobuf.Int64Value': '0',
+  'google.protobuf.UInt64Value': '0',
+  'google.protobuf.Int32Value': 0,
+  'google.protobuf.UInt32Value': 0,
+  'google.protobuf.BoolValue': false,
+  'google.protobuf.StringValue': '',
+  'google.protobuf.BytesValue': '',
+};
+
+const CONVERTERS = {
+  'google.protobuf.Timestamp': timestampToJson,
+  'google.protobuf.Duration': durationToJson,
+  'google.protobuf.Struct': structToJson,
+  'google.protobuf.Value': valueToJson,
+  'google.protobuf.ListValue': listValueToJson,
+  'google.protobuf.FieldMask': fieldMaskToJson,
+  'google.protobuf.Empty': () => ({}),
+};
+
+/**
+ * 將解碼結果轉為 Canonical JSON 表示
+ * 非 Well-Known Type 的訊息保留 `$typeName` 供 JsonTree 顯示型別標籤，僅遞迴轉換其欄位。
+ *
+ * @param {any} value 解碼後的訊息、陣列或純量
+ * @returns {any} 轉換後的新物件；原始資料不會被修改
+ */
+export function toCanonicalJson(value) {
+  if (Array.isArray(value)) return value.map(toCanonicalJson);
+  if (!isPlainObject(value)) return value;
+
+  const typeName = value.$typeName;
+  let converted;
+  if (typeName in WRAPPER_DEFAULTS) {
+    converted = wrapperToJson(value, typeName);
+  } else if (CONVERTERS[typeName]) {
+    converted = CONVERTERS[typeName](value);
+  }
+  if (converted !== undefined) {
+    // 由 Any 展開的 Well-Known Type 依規範表示為 {"@type": ..., "value": ...}
+    return '@type' in value ? { $typeName: typeName, '@type': value['@type'], value: converted } : converted;
+  }
+
+  const result = {};
+  for (const [key, child] of Object.entries(value)) {
+    result[key] = key === '$typeName' ? child : toCanonicalJson(child);
+  }
+  return result;
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !(value instanceof Uint8Array);
+}
+
+function wrapperToJson(message, typeName) {
+  const inner = message.value ?? WRAPPER_DEFAULTS[typeName];
+  // Int64Value 與 UInt64Value 依規範以字串表示
+  return typeof WRAPPER_DEFAULTS[typeName] === 'string' && typeof inner !== 'string' ? String(inner) : inner;
+}
+
+/**
+ * 無法表示的數值 (超出 RFC 3339 範圍或欄位格式錯誤) 回傳 undefined，保留原始結構
+ */
+function timestampToJson(message) {
+  const seconds = Number(message.seconds ?? 0);
+  const nanos = Number(message.nanos ?? 0);
+  const date = new Date(seconds * 1000);
+  if (!Number.isFinite(seconds) || Number.isNaN(date.getTime()) || date.getUTCFullYear() < 1 || date.getUTCFullYear() > 9999) {
+    return undefined;
+  }
+  return `${date.toISOString().slice(0, 19)}${formatNanos(nanos)}Z`;
+}
+
+function durationToJson(message) {
+  let seconds;
+  try {
+    seconds = BigInt(message.seconds ?? 0);
+  } catch {
+    return undefined;
+  }
+  const nanos = Number(message.nanos ?? 0);
+  const negative = seconds < 0n || nanos < 0;
+  const absSeconds = seconds < 0n ? -seconds : seconds;
+  return `${negative ? '-' : ''}${absSeconds}${formatNanos(Math.abs(nanos))}s`;
+}
+
+/**
+ * 小數位數依規範取 0、3、6 或 9 位
+ */
+function formatNanos(nanos) {
+  if (!nanos) return '';
+  const digits = String(nanos).padStart(9, '0');
+  if (nanos % 1000000 === 0) return `.${digits.slice(0, 3)}`;
+  if (nanos % 1000 === 0) return `.${digits.slice(0, 6)}`;
+  return `.${digits}`;
+}
+
+function structToJson(message) {
+  const fields = message.fields ?? {};
+  if (!isPlainObject(fields) || Array.isArray(fields)) return undefined;
+  const result = {};
+  for (const [key, child] of Object.entries(fields)) {
+    result[key] = valueToJson(child);
+  }
+  return result;
+}
+
+function valueToJson(message) {
+  if (!isPlainObject(message)) return message;
+  if ('null_value' in message) return null;
+  if ('number_value' in message) return message.number_value;
+  if ('string_value' in message) return message.string_value;
+  if ('bool_value' in message) return message.bool_value;
+  if ('struct_value' in message) return structToJson(message.struct_value) ?? toCanonicalJson(message.struct_value);
+  if ('list_value' in message) return listValueToJson(message.list_value);
+  return null;
+}
+
+function listValueToJson(message) {
+  return (message?.values ?? []).map(valueToJson);
+}
+
+function fieldMaskToJson(message) {
+  return (message.paths ?? [])
+    .map((path) => path.replace(/_([a-z0-9])/g, (_, c) => c.toUpperCase()))
+    .join(',');
+}
@@ -0,0 +1,176 @@
+/**
+ * Capture Rules - 依 Origin 保存的擷取規則
+ *
+ * 每條規則以 glob 或正規表示式比對呼叫的網址、服務、方法、Content-Type 或指定請求標頭的值，動作為：
+ * - include：擷取。只要存在啟用的 include 規則，沒有符合任何規則的呼叫就不擷取 (白名單)。
+ * - exclude：不擷取也不計數。
+ * - mute：不擷取內容，只計算次數 (例如心跳或輪詢)。
+ * 規則依順序比對，第一條符合的規則決定結果。攔截器、背景的 CDP 擷取與列表篩選共用此模組。
+ */
+
+export type CaptureRuleAction = 'include' | 'exclude' | 'mute';
+export type CaptureRuleField = 'url' | 'service' | 'method' | 'contentType' | 'header';
+export type CaptureRuleSyntax = 'glob' | 'regex';
+
+export const CAPTURE_RULE_ACTIONS: CaptureRuleAction[] = ['include', 'exclude', 'mute'];
+export const CAPTURE_RULE_FIELDS: CaptureRuleField[] = ['url', 'service', 'method', 'contentType', 'header'];
+export const CAPTURE_RULE_SYNTAXES: CaptureRuleSyntax[] = ['glob', 'regex'];
+
+export interface CaptureRule {
+  id: string;
+  enabled: boolean;
+  action: CaptureRuleAction;
+  field: CaptureRuleField;
+  /** field 為 header 時比對的請求標頭名稱 */
+  header: string;
+  syntax: CaptureRuleSyntax;
+  pattern: string;
+}
+
+export interface CaptureDecision {
+  action: 'capture' | 'exclude' | 'mute';
+  ruleId: string | null;
+}
+
+/**
+ * 建立新的規則 (預設為比對網址的 glob exclude 規則)
+ */
+export function createCaptureRule(overrides: Partial<CaptureRule> = {}): CaptureRule {
+  return normalizeCaptureRule({ id: createRuleId(), enabled: true, ...overrides });
+}
+
+/**
+ * 補齊或修正從 storage 讀回、或由介面傳入的規則
+ */
+export function normalizeCaptureRule(rule): CaptureRule {
+  return {
+    id: typeof rule?.id === 'string' && rule.id ? rule.id : createRuleId(),
+    enabled: rule?.enabled !== false,
+    action: CAPTURE_RULE_ACTIONS.includes(rule?.action) ? rule.action : 'exclude',
+    field: CAPTURE_RULE_FIELDS.includes(rule?.field) ? rule.field : 'url',
+    header: String(rule?.header ?? '').trim().toLowerCase(),
+    syntax: CAPTURE_RULE_SYNTAXES.includes(rule?.syntax) ? rule.syntax : 'glob',
+    pattern: String(rule?.pattern ?? ''),
+  };
+}
+
+/**
+ * @returns {CaptureRule[]}
+ */
+export function normalizeCaptureRules(rules): CaptureRule[] {
+  return Array.isArray(rules) ? rules.map(normalizeCaptureRule) : [];
+}
+
+/**
+ * 檢查規則是否可用，回傳錯誤原因 (供設定頁顯示)；可用時回傳 null
+ */
+export function validateCaptureRule(rule: CaptureRule) {
+  if (!rule.pattern) return 'empty_pattern';
+  if (rule.field === 'header' && !rule.header) return 'empty_header';
+  return compilePattern(rule) ? null : 'invalid_pattern';
+}
+
+/**
+ * 決定呼叫的擷取方式
+ *
+ * @param {CaptureRule[]} rules
+ * @param {{url: string, headers?: Record<string, string>}} call headers 為請求標頭
+ * @returns {CaptureDecision}
+ */
+export function evaluateCaptureRules(rules: CaptureRule[], call): CaptureDecision {
+  const active = (rules ?? []).filter((rule) => rule.enabled && !validateCaptureRule(rule));
+  if (active.length === 0) return { action: 'capture', ruleId: null };
+  const values = callValues(call);
+  for (const rule of active) {
+    const value = rule.field === 'header' ? values.headers[rule.header] : values[rule.field];
+    if (value == null || !compilePattern(rule).test(value)) continue;
+    return { action: rule.action === 'include' ? 'capture' : rule.action, ruleId: rule.id };
+  }
+  return active.some((rule) => rule.action === 'include')
+    ? { action: 'exclude', ruleId: null }
+    : { action: 'capture', ruleId: null };
+}
+
+/**
+ * 啟用的規則比對的請求標頭名稱；輕量攔截器只記錄這些標頭，不保存其他可能含有憑證的標頭
+ */
+export function captureRuleHeaderNames(rules: CaptureRule[]) {
+  const names = new Set<string>();
+  for (const rule of rules ?? []) {
+    if (rule.enabled && rule.field === 'header' && rule.header) names.add(rule.header);
+  }
+  return [...names];
+}
+
+/**
+ * 呼叫只記錄了部分請求標頭時 (輕量攔截器)，略過比對未記錄之標頭的規則：
+ * 無法判斷是否符合，不應因此被 include 規則排除或被 exclude 規則放行
+ *
+ * @param {Record<string, string>} headers 已記錄的請求標頭
+ */
+export function rulesForRecordedHeaders(rules: CaptureRule[], headers): CaptureRule[] {
+  const recorded = new Set(Object.keys(headers ?? {}).map((name) => name.toLowerCase()));
+  return (rules ?? []).filter((rule) => rule.field !== 'header' || recorded.has(rule.header));
+}
+
+/**
+ * 從 gRPC 路徑 (`/package.Service/Method`) 取出服務與方法名稱
+ */
+export function parseRpcPath(url) {
+  let pathname;
+  try {
+    pathname = new URL(String(url)).pathname;
+  } catch {
+    pathname = String(url ?? '').split('?')[0];
+  }
+  const segments = pathname.split('/').filter(Boolean).map(safeDecode);
+  return {
+    service: segments.length >= 2 ? segments[segments.length - 2] : '',
+    method: segments.length >= 1 ? segments[segments.length - 1] : '',
+  };
+}
+
+function callValues(call) {
+  const headers = {};
+  for (const [name, value] of Object.entries(call?.headers ?? {})) headers[name.toLowerCase()] = String(value);
+  const url = String(call?.url ?? '');
+  return {
+    url,
+    ...parseRpcPath(url),
+    contentType: headers['content-type'] ?? '',
+    headers,
+  };
+}
+
+const compiledPatterns = new Map<string, RegExp | null>();
+
+/**
+ * glob 需符合整個字串 (`*` 為任意字元、`?` 為單一字元)；正規表示式只需部分符合。兩者皆不分大小寫。
+ */
+function compilePattern(rule: CaptureRule): RegExp | null {
+  const key = `${rule.syntax}:${rule.pattern}`;
+  if (compiledPatterns.has(key)) return compiledPatterns.get(key);
+  let pattern = null;
+  try {
+    pattern = rule.syntax === 'regex'
+      ? new RegExp(rule.pattern, 'i')
+      : new RegExp(`^${rule.pattern.replace(/[.+^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*').replace(/\?/g, '.')}$`, 'i');
+  } catch {
+    pattern = null;
+  }
+  compiledPatterns.set(key, pattern);
+  return pattern;
+}
+
+function safeDecode(segment: string) {
+  try {
+    return decodeURIComponent(segment);
+  } catch {
+    return segment;
+  }
+}
+
+function createRuleId() {
+  if (typeof globalThis.crypto?.randomUUID === 'function') return globalThis.crypto.randomUUID();
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}`;
+}
@@ -0,0 +1,131 @@
+/**
+ * 壓縮編碼註冊表 (Compression Codec Registry)
+ *
+ * gRPC 以 `grpc-encoding`、Connect Streaming 以 `connect-content-encoding` 協商每則訊息的壓縮方式，
+ * Connect Unary 請求與 GET 請求則分別使用 `content-encoding` 與 `compression` 參數。
+ * 面板的解碼管線與背景的 decodeGrpcPayload 都透過此註冊表解壓，確保兩條路徑支援相同的編碼。
+ *
+ * 內建 gzip、deflate、snappy 與 zstd 的純 JS 實作；瀏覽器原生支援 Brotli 時另外註冊 br。
+ */
+
+import { gunzip, inflate } from './inflate';
+import { snappyDecompress } from './snappy';
+import { zstdDecompress } from './zstd';
+
+type Decompress = (bytes: Uint8Array) => Uint8Array | Promise<Uint8Array>;
+
+/**
+ * @typedef {object} CompressionInfo
+ * @property {string} encoding 編碼名稱；無法判斷時為 `unknown`
+ * @property {'applied' | 'missing' | 'failed'} status 已解壓、缺少解碼器或解壓失敗
+ * @property {string} [error] 解壓失敗的原因
+ */
+
+const codecs = new Map<string, Decompress>();
+
+/**
+ * 註冊或覆寫解壓縮實作
+ *
+ * @param {string} encoding 編碼名稱 (不分大小寫)
+ * @param {(bytes: Uint8Array) => Uint8Array | Promise<Uint8Array>} decompress
+ */
+export function registerCompressionCodec(encoding, decompress: Decompress) {
+  codecs.set(normalizeEncoding(encoding), decompress);
+}
+
+/**
+ * @param {string} encoding
+ * @returns {boolean}
+ */
+export function hasCompressionCodec(encoding) {
+  return codecs.has(normalizeEncoding(encoding));
+}
+
+/**
+ * 取得 Length-Prefixed 訊息的壓縮編碼標頭
+ *
+ * @param {Record<string, string> | null} headers Key 需為小寫
+ * @returns {string | null}
+ */
+export function messageEncoding(headers) {
+  return headers?.['grpc-encoding'] || headers?.['connect-content-encoding'] || null;
+}
+
+/**
+ * 依 Magic Number 推測壓縮格式
+ * 部分來源 (例如 lightweight 擷取) 取不到編碼標頭，只能從資料本身判斷。
+ *
+ * @param {Uint8Array} bytes
+ * @returns {string | null}
+ */
+export function sniffCompression(bytes) {
+  if (bytes[0] === 0x1f && bytes[1] === 0x8b) return 'gzip';
+  if (bytes[0] === 0x28 && bytes[1] === 0xb5 && bytes[2] === 0x2f && bytes[3] === 0xfd) return 'zstd';
+  if (bytes[0] === 0xff && bytes[1] === 0x06 && bytes[4] === 0x73 && bytes[5] === 0x4e) return 'snappy';
+  if (bytes.length >= 2 && (bytes[0] & 0x0f) === 8 && ((bytes[0] << 8) | bytes[1]) % 31 === 0) return 'deflate';
+  return null;
+}
+
+/**
+ * 以註冊的解碼器解壓資料；失敗時保留原始資料，並回報原因供 UI 顯示
+ *
+ * @param {string | null} encoding 協商的編碼；未提供或為 identity 時依資料內容推測
+ * @param {Uint8Array} bytes
+ * @returns {Promise<{data: Uint8Array, compression: CompressionInfo}>}
+ */
+export async function decompressPayload(encoding, bytes) {
+  const name = normalizeEncoding(encoding) || sniffCompression(bytes) || 'unknown';
+  const codec = codecs.get(name);
+  if (!codec) return { data: bytes, compression: { encoding: name, status: 'missing' } };
+  try {
+    return { data: await codec(bytes), compression: { encoding: name, status: 'applied' } };
+  } catch (e) {
+    return { data: bytes, compression: { encoding: name, status: 'failed', error: e.message } };
+  }
+}
+
+const STATUS_PRIORITY = { applied: 0, failed: 1, missing: 2 };
+
+/**
+ * 合併多個 Frame 的壓縮結果，保留最需要注意的狀態 (缺少解碼器 > 解壓失敗 > 已解壓)
+ *
+ * @param {CompressionInfo | null} current
+ * @param {CompressionInfo | null} next
+ * @returns {CompressionInfo | null}
+ */
+export function mergeCompression(current, next) {
+  if (!current) return next ?? null;
+  if (!next) return current;
+  return STATUS_PRIORITY[next.status] > STATUS_PRIORITY[current.status] ? next : current;
+}
+
+function normalizeEncoding(encoding) {
+  const name = String(encoding ?? '').split(',')[0].trim().toLowerCase();
+  if (name === 'identity') return '';
+  return name === 'x-gzip' ? 'gzip' : name;
+}
+
+/**
+ * Brotli 需要約 120KB 的靜態字典，不適合內建；僅在瀏覽器的 DecompressionStream 支援時使用
+ */
+function isNativeFormatSupported(format) {
+  try {
+    new DecompressionStream(format);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+async function decompressNative(format, bytes) {
+  const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream(format));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+registerCompressionCodec('gzip', gunzip);
+registerCompressionCodec('deflate', inflate);
+registerCompressionCodec('snappy', snappyDecompress);
+registerCompressionCodec('zstd', zstdDecompress);
+if (typeof DecompressionStream !== 'undefined' && isNativeFormatSupported('brotli')) {
+  registerCompressionCodec('br', (bytes) => decompressNative('brotli', bytes));
+}
@@ -0,0 +1,187 @@
+/**
+ * Connect 協定解析工具
+ *
+ * Connect 與 gRPC-Web 共用同一組 Protobuf 定義，但傳輸格式不同：
+ * - Unary：`application/proto` 或 `application/json`，整個 Body 就是一則訊息，沒有 Framing；
+ *   錯誤以非 200 的 HTTP 狀態搭配 JSON Body (`{code, message, details}`) 回傳，Trailers 放在 `trailer-` 前綴的標頭。
+ * - Streaming：`application/connect+proto` 或 `application/connect+json`，沿用 5-byte Envelope，
+ *   Flag 0x02 的 Envelope 為 End-Stream 訊息 (JSON)，攜帶錯誤與 Trailing Metadata。
+ * - 無副作用的 Unary 呼叫可用 GET，訊息放在 `?message=&encoding=&base64=&compression=` 查詢參數。
+ */
+
+export const CONNECT_COMPRESSED_FLAG = 0x01;
+export const CONNECT_END_STREAM_FLAG = 0x02;
+
+/**
+ * Connect 錯誤碼字串對應的 gRPC 數值狀態碼
+ */
+export const CONNECT_ERROR_CODES = {
+  canceled: 1,
+  unknown: 2,
+  invalid_argument: 3,
+  deadline_exceeded: 4,
+  not_found: 5,
+  already_exists: 6,
+  permission_denied: 7,
+  resource_exhausted: 8,
+  failed_precondition: 9,
+  aborted: 10,
+  out_of_range: 11,
+  unimplemented: 12,
+  internal: 13,
+  unavailable: 14,
+  data_loss: 15,
+  unauthenticated: 16,
+};
+
+/**
+ * 判斷 Content-Type 是否為 Connect 格式
+ * `application/json` 與 `application/proto` 也可能是一般 API，呼叫端應搭配 {@link isConnectRequest} 使用。
+ *
+ * @param {string} contentType
+ * @returns {{streaming: boolean, codec: 'proto' | 'json'} | null}
+ */
+export function connectContentKind(contentType) {
+  const mediaType = String(contentType ?? '').split(';')[0].trim().toLowerCase();
+  const match = /^application\/(connect\+)?(proto|json)$/.exec(mediaType);
+  return match ? { streaming: Boolean(match[1]), codec: match[2] as 'proto' | 'json' } : null;
+}
+
+/**
+ * 判斷請求是否使用 Connect 協定
+ * Connect 客戶端會送出 `connect-protocol-version` 標頭 (GET 則為 `connect=v1` 參數)，
+ * Streaming 的 Content-Type 本身即可辨識。
+ *
+ * @param {{method?: string, url?: string, headers?: Record<string, string>}} request 標頭 Key 需為小寫
+ * @returns {boolean}
+ */
+export function isConnectRequest({ method = 'POST', url = '', headers = {} }) {
+  if (String(method).toUpperCase() === 'GET') return parseConnectGetRequest(url) !== null;
+  if (headers['connect-protocol-version']) return true;
+  return connectContentKind(headers['content-type'])?.streaming === true;
+}
+
+/**
+ * 解析 Connect GET 請求的查詢參數
+ * `base64=1` 時 message 為 URL-safe Base64 (可省略 Padding)，否則為 Percent-Encoding 後的原文。
+ *
+ * @param {string} url 完整的請求 URL
+ * @returns {{message: Uint8Array, codec: 'proto' | 'json', compression: string | null} | null}
+ *   缺少 message 或 encoding 參數，或 message 不是有效的 Base64 時回傳 null
+ */
+export function parseConnectGetRequest(url) {
+  let params;
+  try {
+    params = new URL(url).searchParams;
+  } catch {
+    return null;
+  }
+  const encoding = params.get('encoding');
+  const message = params.get('message');
+  if ((encoding !== 'proto' && encoding !== 'json') || message === null) return null;
+
+  let bytes;
+  try {
+    bytes = params.get('base64') === '1' ? decodeBase64Url(message) : new TextEncoder().encode(message);
+  } catch {
+    return null;
+  }
+  const compression = params.get('compression');
+  return {
+    message: bytes,
+    codec: encoding,
+    compression: compression && compression !== 'identity' ? compression : null,
+  };
+}
+
+/**
+ * Unary 回應以 `trailer-` 前綴的標頭傳遞 Trailing Metadata
+ *
+ * @param {Record<string, string> | null} headers Key 需為小寫的回應標頭
+ * @returns {Record<string, string> | null} 去除前綴後的 Trailers；沒有任何 Trailer 時回傳 null
+ */
+export function connectUnaryTrailers(headers) {
+  let trailers = null;
+  for (const [key, value] of Object.entries(headers ?? {})) {
+    if (!key.startsWith('trailer-')) continue;
+    trailers = { ...trailers, [key.slice('trailer-'.length)]: String(value) };
+  }
+  return trailers;
+}
+
+/**
+ * 將 Connect 錯誤 JSON 轉為 gRPC 狀態
+ * 缺少或無法辨識的 code 依 HTTP 狀態推算，與 Connect 規範的對應表一致。
+ *
+ * @param {any} error 解析後的錯誤 JSON
+ * @param {number} [httpStatus] Unary 回應的 HTTP 狀態
+ * @returns {{code: number, message: string | null, details: Array<{type: string, value: string, debug?: any}>}}
+ */
+export function connectErrorStatus(error, httpStatus?: number) {
+  const code = CONNECT_ERROR_CODES[error?.code] ?? connectCodeFromHttpStatus(httpStatus);
+  return {
+    code,
+    message: typeof error?.message === 'string' ? error.message : null,
+    // 詳情應為 {type, value, debug?} 物件，略過 null 等無效的項目
+    details: Array.isArray(error?.details) ? error.details.filter((detail) => detail && typeof detail === 'object') : [],
+  };
+}
+
+/**
+ * 解析 End-Stream 訊息 `{"error": {...}, "metadata": {"key": ["value"]}}`
+ * Metadata 的多個值以 ", " 合併，與 gRPC Trailers 的格式一致；沒有 error 代表呼叫成功。
+ *
+ * @param {Uint8Array} data End-Stream Envelope 的內容
+ * @returns {{trailers: Record<string, string> | null, status: {code: number, message: string | null, details: any[]}}}
+ */
+export function parseConnectEndStream(data) {
+  const endStream = parseJsonBytes(data) ?? {};
+  let trailers = null;
+  for (const [key, values] of Object.entries(endStream.metadata ?? {})) {
+    trailers = { ...trailers, [key.toLowerCase()]: [].concat(values).map(String).join(', ') };
+  }
+  return {
+    trailers,
+    status: endStream.error ? connectErrorStatus(endStream.error) : { code: 0, message: null, details: [] },
+  };
+}
+
+/**
+ * 解析 UTF-8 JSON；格式錯誤時回傳 undefined
+ *
+ * @param {Uint8Array} data
+ * @returns {any}
+ */
+export function parseJsonBytes(data) {
+  try {
+    return JSON.parse(new TextDecoder().decode(data));
+  } catch {
+    return undefined;
+  }
+}
+
+/**
+ * 解碼 GET 的 message 參數與錯誤詳情的 value：兩者皆可省略 Padding，並可能使用標準或 URL-safe 字元
+ *
+ * @param {string} value
+ * @returns {Uint8Array}
+ */
+export function decodeBase64Url(value) {
+  const text = String(value).replace(/-/g, '+').replace(/_/g, '/').replace(/=+$/, '');
+  const binary = atob(text.padEnd(Math.ceil(text.length / 4) * 4, '='));
+  return Uint8Array.from(binary, (c) => c.charCodeAt(0));
+}
+
+function connectCodeFromHttpStatus(httpStatus) {
+  switch (httpStatus) {
+    case 400: return CONNECT_ERROR_CODES.internal;
+    case 401: return CONNECT_ERROR_CODES.unauthenticated;
+    case 403: return CONNECT_ERROR_CODES.permission_denied;
+    case 404: return CONNECT_ERROR_CODES.unimplemented;
+    case 429:
+    case 502:
+    case 503:
+    case 504: return CONNECT_ERROR_CODES.unavailable;
+    default: return CONNECT_ERROR_CODES.unknown;
+  }
+}
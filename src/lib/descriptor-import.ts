@@ -0,0 +1,67 @@
+/**
+ * Descriptor Import - 本地 Descriptor Set 匯入工具
+ *
+ * 負責解析使用者提供的 Schema 檔案：
+ * 1. `protoc --descriptor_set_out --include_imports` 產生的 FileDescriptorSet。
+ * 2. `buf build -o image.binpb` 產生的 Buf Image (與 FileDescriptorSet 傳輸格式相容，額外欄位會被忽略)。
+ *
+ * 解析後的 FileDescriptorProto 交由 ReflectionClient 的建構流程處理，與 Reflection 結果共用相同的格式。
+ */
+
+import { readTag, readLengthDelimited, skipField } from './descriptor-parser';
+import reflectionClient from './reflection-client';
+
+/**
+ * 從 FileDescriptorSet (或 Buf Image) 中取出每個 FileDescriptorProto 的位元組
+ *
+ * @param {Uint8Array} bytes 檔案的原始內容
+ * @returns {Uint8Array[]} FileDescriptorProto 二進位陣列
+ * @throws {Error} 檔案不是合法的 FileDescriptorSet 時
+ */
+export function parseDescriptorSet(bytes) {
+  const data = bytes instanceof Uint8Array ? bytes : new Uint8Array(bytes);
+  const files = [];
+  let pos = 0;
+
+  while (pos < data.length) {
+    const [fieldNum, wireType, newPos] = readTag(data, pos);
+    if (fieldNum === 0 || wireType > 5) {
+      throw new Error('檔案不是有效的 FileDescriptorSet');
+    }
+    pos = newPos;
+
+    // field 1: file (repeated FileDescriptorProto)
+    if (fieldNum === 1 && wireType === 2) {
+      const [fileData, nextPos] = readLengthDelimited(data, pos);
+      files.push(fileData);
+      pos = nextPos;
+    } else {
+      pos = skipField(data, pos, wireType);
+    }
+  }
+
+  if (pos > data.length || files.length === 0) {
+    throw new Error('檔案不是有效的 FileDescriptorSet');
+  }
+
+  return files;
+}
+
+/**
+ * 將多個 Descriptor Set 合併為單一 Schema
+ * 同名檔案以後匯入者為準；缺漏的 Google WKT 會由 ReflectionClient 自動補齊。
+ *
+ * @param {Uint8Array[]} descriptorSets 多個 FileDescriptorSet 的原始內容
+ * @returns {{services: object[], messages: object, registry: object}} 與 Reflection 相同格式的 Schema
+ * @throws {Error} 依賴缺漏等原因導致無法建立 Registry 時
+ */
+export function buildSchemaFromDescriptorSets(descriptorSets) {
+  const fileBytes = descriptorSets.flatMap((bytes) => parseDescriptorSet(bytes));
+  const result = reflectionClient._buildRegistryFromBytes(fileBytes);
+
+  if (!result.registry) {
+    throw new Error('無法建立 Schema 註冊表，請確認匯出時已包含所有 import (--include_imports)');
+  }
+
+  return result;
+}
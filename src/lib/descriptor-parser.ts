@@ -52,6 +52,30 @@ export function readVarint(data, pos) {
   return [result >>> 0, pos];
 }
 
+/**
+ * 讀取 64 位元 Varint
+ * readVarint 以 32 位元運算，無法表示 int64、uint64 等大數值；
+ * 沒有 Schema 可參考時需以 BigInt 保留完整數值，再由呼叫端決定如何解讀。
+ *
+ * @param {Uint8Array} data 原始字節數據
+ * @param {number} pos 起始偏移量
+ * @returns {[bigint, number]} [value, newPos] 傳回無號 64 位元數值與更新後的位置
+ * @throws {Error} Varint 被截斷或超過 10 個位元組時
+ */
+export function readVarint64(data, pos): [bigint, number] {
+  let result = 0n;
+  let shift = 0n;
+
+  while (pos < data.length && shift < 70n) {
+    const byte = data[pos++];
+    result |= BigInt(byte & 0x7f) << shift;
+    if ((byte & 0x80) === 0) return [BigInt.asUintN(64, result), pos];
+    shift += 7n;
+  }
+
+  throw new Error('Invalid varint');
+}
+
 /**
  * 讀取長度界定 (Length-Delimited) 欄位
  * 用於解碼字串 (string)、字節 (bytes) 或巢狀訊息 (embedded messages)。
@@ -0,0 +1,172 @@
+/**
+ * Google RPC Schema - 內建的 google.rpc 錯誤模型定義
+ *
+ * 伺服器以 `grpc-status-details-bin` 傳送 `google.rpc.Status`，其中的 `details` 是一組 Any，
+ * 通常裝載 `google/rpc/error_details.proto` 定義的標準錯誤型別。
+ * 這些定義幾乎不會出現在 Reflection 或使用者匯入的 Schema 中，因此直接以 FileDescriptorProto 內建，
+ * 不需在執行期解析 .proto (擴充功能頁面的 CSP 亦禁止 protobufjs 的程式碼產生)。
+ */
+
+import { create, createFileRegistry } from '@bufbuild/protobuf';
+import { protoCamelCase } from '@bufbuild/protobuf/reflect';
+import {
+  FileDescriptorProtoSchema,
+  file_google_protobuf_any,
+  file_google_protobuf_duration,
+} from '@bufbuild/protobuf/wkt';
+
+// FieldDescriptorProto.Type 與 Label 的數值
+const TYPE_INT32 = 5;
+const TYPE_INT64 = 3;
+const TYPE_STRING = 9;
+const TYPE_MESSAGE = 11;
+const LABEL_OPTIONAL = 1;
+const LABEL_REPEATED = 3;
+
+function field(name, number, type, options: { typeName?: string, repeated?: boolean } = {}) {
+  return {
+    name,
+    number,
+    type,
+    label: options.repeated ? LABEL_REPEATED : LABEL_OPTIONAL,
+    jsonName: protoCamelCase(name),
+    ...(options.typeName ? { typeName: options.typeName } : {}),
+  };
+}
+
+function stringField(name, number, repeated = false) {
+  return field(name, number, TYPE_STRING, { repeated });
+}
+
+/**
+ * 產生 map<string, string> 欄位與對應的 Entry 訊息
+ */
+function stringMapField(parentTypeName, name, number) {
+  const entryName = `${protoCamelCase(name).replace(/^./, (c) => c.toUpperCase())}Entry`;
+  return {
+    field: field(name, number, TYPE_MESSAGE, { typeName: `.${parentTypeName}.${entryName}`, repeated: true }),
+    entry: {
+      name: entryName,
+      field: [stringField('key', 1), stringField('value', 2)],
+      options: { mapEntry: true },
+    },
+  };
+}
+
+const errorInfoMetadata = stringMapField('google.rpc.ErrorInfo', 'metadata', 3);
+const quotaDimensions = stringMapField('google.rpc.QuotaFailure.Violation', 'quota_dimensions', 6);
+
+const statusFile = create(FileDescriptorProtoSchema, {
+  name: 'google/rpc/status.proto',
+  package: 'google.rpc',
+  dependency: ['google/protobuf/any.proto'],
+  syntax: 'proto3',
+  messageType: [{
+    name: 'Status',
+    field: [
+      field('code', 1, TYPE_INT32),
+      stringField('message', 2),
+      field('details', 3, TYPE_MESSAGE, { typeName: '.google.protobuf.Any', repeated: true }),
+    ],
+  }],
+});
+
+const errorDetailsFile = create(FileDescriptorProtoSchema, {
+  name: 'google/rpc/error_details.proto',
+  package: 'google.rpc',
+  dependency: ['google/protobuf/duration.proto'],
+  syntax: 'proto3',
+  messageType: [
+    {
+      name: 'ErrorInfo',
+      field: [stringField('reason', 1), stringField('domain', 2), errorInfoMetadata.field],
+      nestedType: [errorInfoMetadata.entry],
+    },
+    {
+      name: 'RetryInfo',
+      field: [field('retry_delay', 1, TYPE_MESSAGE, { typeName: '.google.protobuf.Duration' })],
+    },
+    {
+      name: 'DebugInfo',
+      field: [stringField('stack_entries', 1, true), stringField('detail', 2)],
+    },
+    {
+      name: 'QuotaFailure',
+      field: [field('violations', 1, TYPE_MESSAGE, { typeName: '.google.rpc.QuotaFailure.Violation', repeated: true })],
+      nestedType: [{
+        name: 'Violation',
+        field: [
+          stringField('subject', 1),
+          stringField('description', 2),
+          stringField('api_service', 3),
+          stringField('quota_metric', 4),
+          stringField('quota_id', 5),
+          quotaDimensions.field,
+          field('quota_value', 7, TYPE_INT64),
+          { ...field('future_quota_value', 8, TYPE_INT64), proto3Optional: true, oneofIndex: 0 },
+        ],
+        nestedType: [quotaDimensions.entry],
+        oneofDecl: [{ name: '_future_quota_value' }],
+      }],
+    },
+    {
+      name: 'PreconditionFailure',
+      field: [field('violations', 1, TYPE_MESSAGE, { typeName: '.google.rpc.PreconditionFailure.Violation', repeated: true })],
+      nestedType: [{
+        name: 'Violation',
+        field: [stringField('type', 1), stringField('subject', 2), stringField('description', 3)],
+      }],
+    },
+    {
+      name: 'BadRequest',
+      field: [field('field_violations', 1, TYPE_MESSAGE, { typeName: '.google.rpc.BadRequest.FieldViolation', repeated: true })],
+      nestedType: [{
+        name: 'FieldViolation',
+        field: [
+          stringField('field', 1),
+          stringField('description', 2),
+          stringField('reason', 3),
+          field('localized_message', 4, TYPE_MESSAGE, { typeName: '.google.rpc.LocalizedMessage' }),
+        ],
+      }],
+    },
+    {
+      name: 'RequestInfo',
+      field: [stringField('request_id', 1), stringField('serving_data', 2)],
+    },
+    {
+      name: 'ResourceInfo',
+      field: [
+        stringField('resource_type', 1),
+        stringField('resource_name', 2),
+        stringField('owner', 3),
+        stringField('description', 4),
+      ],
+    },
+    {
+      name: 'Help',
+      field: [field('links', 1, TYPE_MESSAGE, { typeName: '.google.rpc.Help.Link', repeated: true })],
+      nestedType: [{
+        name: 'Link',
+        field: [stringField('description', 1), stringField('url', 2)],
+      }],
+    },
+    {
+      name: 'LocalizedMessage',
+      field: [stringField('locale', 1), stringField('message', 2)],
+    },
+  ],
+});
+
+const wktFiles = {
+  'google/protobuf/any.proto': file_google_protobuf_any,
+  'google/protobuf/duration.proto': file_google_protobuf_duration,
+};
+
+/**
+ * 包含 google.rpc.Status 與標準錯誤詳情型別的 Registry
+ */
+export const googleRpcRegistry = createFileRegistry(
+  createFileRegistry(statusFile, (name) => wktFiles[name]),
+  createFileRegistry(errorDetailsFile, (name) => wktFiles[name]),
+);
@@ -0,0 +1,136 @@
+/**
+ * gRPC Trailers 解析工具
+ *
+ * gRPC-Web 無法使用 HTTP Trailers，因此將 `grpc-status`、`grpc-message` 與自訂的 Trailing Metadata
+ * 以 HTTP/1 標頭格式 (`key: value\r\n`) 放進最後一個 Flag 為 0x80 的 Frame。
+ * 呼叫失敗時 HTTP 狀態仍可能是 200，真正的結果只存在於此 Frame 中。
+ */
+
+const TRAILER_FLAG = 0x80;
+
+/**
+ * gRPC 標準狀態碼名稱，索引即為 `grpc-status` 的數值
+ */
+export const GRPC_STATUS_NAMES = [
+  'OK',
+  'CANCELLED',
+  'UNKNOWN',
+  'INVALID_ARGUMENT',
+  'DEADLINE_EXCEEDED',
+  'NOT_FOUND',
+  'ALREADY_EXISTS',
+  'PERMISSION_DENIED',
+  'RESOURCE_EXHAUSTED',
+  'FAILED_PRECONDITION',
+  'ABORTED',
+  'OUT_OF_RANGE',
+  'UNIMPLEMENTED',
+  'INTERNAL',
+  'UNAVAILABLE',
+  'DATA_LOSS',
+  'UNAUTHENTICATED',
+];
+
+/**
+ * 取得狀態碼的標準名稱，非標準的數值以 `CODE_<n>` 表示
+ *
+ * @param {number} code gRPC 狀態碼
+ * @returns {string}
+ */
+export function grpcStatusName(code) {
+  return GRPC_STATUS_NAMES[code] ?? `CODE_${code}`;
+}
+
+/**
+ * 解析 Trailer Frame 的內容
+ * Key 一律轉為小寫；同名的 Metadata 以 ", " 合併，與 HTTP 標頭的慣例一致。
+ *
+ * @param {Uint8Array} data Trailer Frame 的 Payload (不含 5-byte 標頭)
+ * @returns {Record<string, string>} Trailing Metadata
+ */
+export function parseTrailerBlock(data) {
+  const trailers: Record<string, string> = {};
+  const text = new TextDecoder().decode(data);
+
+  for (const line of text.split(/\r?\n/)) {
+    const separator = line.indexOf(':');
+    if (separator <= 0) continue;
+    const key = line.slice(0, separator).trim().toLowerCase();
+    const value = line.slice(separator + 1).trim();
+    trailers[key] = key in trailers ? `${trailers[key]}, ${value}` : value;
+  }
+
+  return trailers;
+}
+
+/**
+ * 走訪 Length-Prefixed Frames 並合併所有 Trailer Frame
+ *
+ * @param {Uint8Array} buffer 已去除 Base64 與整體壓縮的回應內容
+ * @returns {Record<string, string> | null} Trailing Metadata；回應中沒有 Trailer Frame 時回傳 null
+ */
+export function extractTrailers(buffer) {
+  let trailers = null;
+  let pos = 0;
+
+  while (pos + 5 <= buffer.length) {
+    const flags = buffer[pos];
+    const length = ((buffer[pos + 1] << 24) | (buffer[pos + 2] << 16) | (buffer[pos + 3] << 8) | buffer[pos + 4]) >>> 0;
+    const start = pos + 5;
+    const end = start + length;
+    if (end > buffer.length) break;
+
+    if ((flags & TRAILER_FLAG) !== 0) {
+      trailers = { ...trailers, ...parseTrailerBlock(buffer.subarray(start, end)) };
+    }
+    pos = end;
+  }
+
+  return trailers;
+}
+
+/**
+ * 從 Trailers (或 Trailers-Only 回應的標頭) 取得 gRPC 狀態
+ *
+ * @param {Record<string, string> | null} metadata Trailing Metadata 或回應標頭
+ * @returns {{code: number, message: string | null} | null} 沒有合法的 `grpc-status` 時回傳 null
+ */
+export function grpcStatusFromMetadata(metadata) {
+  const rawStatus = metadata?.['grpc-status'];
+  if (rawStatus == null || !/^\d+$/.test(String(rawStatus).trim())) return null;
+
+  const rawMessage = metadata['grpc-message'];
+  return {
+    code: Number.parseInt(String(rawStatus).trim(), 10),
+    message: rawMessage ? decodeGrpcMessage(rawMessage) : null,
+  };
+}
+
+/**
+ * `grpc-message` 以 Percent-Encoding 傳輸，格式錯誤時保留原文
+ */
+function decodeGrpcMessage(value) {
+  try {
+    return decodeURIComponent(value);
+  } catch {
+    return value;
+  }
+}
+
+/**
+ * 解碼以 `-bin` 結尾的二進位 Metadata (例如 `grpc-status-details-bin`)
+ * 值為標準 Base64，依規範可省略 Padding；同名 Metadata 合併後僅取第一個值。
+ *
+ * @param {string} value Metadata 原始字串
+ * @returns {Uint8Array | null} 格式錯誤時回傳 null
+ */
+export function decodeBinaryMetadata(value) {
+  const text = String(value).split(',')[0].replace(/\s/g, '').replace(/=+$/, '');
+  if (!text) return null;
+  try {
+    const binary = atob(text.padEnd(Math.ceil(text.length / 4) * 4, '='));
+    return Uint8Array.from(binary, (c) => c.charCodeAt(0));
+  } catch {
+    return null;
+  }
+}
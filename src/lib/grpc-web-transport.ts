@@ -5,6 +5,7 @@
  */
 
 import { createLogger } from './logger.js';
+import { extractTrailers } from './grpc-trailers';
 
 const logger = createLogger('Transport');
 
@@ -67,8 +68,8 @@ export function unframeResponse(data) {
 
     /**
      * Flags 欄位說明：
-     * - Bit 7 (0x80): 表示數據是否經過壓縮。
-     * - Bit 0 (0x01): 表示這是 Trailer Frame (包含 metadata 與狀態碼)。
+     * - Bit 7 (0x80): 表示這是 Trailer Frame (包含 metadata 與狀態碼)，由 extractTrailers 解析。
+     * - Bit 0 (0x01): 表示數據是否經過壓縮。
      * 我們目前只處理未壓縮且非 Trailer 的 Data Frame。
      */
     const isDataFrame = (flags & 0x80) === 0 && (flags & 0x01) === 0;
@@ -89,7 +90,7 @@ export function unframeResponse(data) {
  * @param {string} url 請求的端點 URL
  * @param {Uint8Array} requestBody 尚未封裝的請求內容
  * @param {Object} customHeaders 自定義請求標頭 (Metadata)
- * @returns {Promise<{data: Uint8Array[] | null, headers: Object}>} 解析後的 Data Frames 列表與回應標頭
+ * @returns {Promise<{data: Uint8Array[] | null, headers: Object, trailers: Object | null}>} 解析後的 Data Frames 列表、回應標頭與 Trailers
  */
 export async function sendGrpcWebRequest(url, requestBody, customHeaders = {}) {
   // 將內容封裝入 gRPC-Web Frame
@@ -120,10 +121,11 @@ export async function sendGrpcWebRequest(url, requestBody, customHeaders = {}) {
   const buffer = await response.arrayBuffer();
   const data = new Uint8Array(buffer);
 
-  // 解析回應中的 Frames 並傳回 Data 內容
+  // 解析回應中的 Frames 並傳回 Data 內容與 Trailers
   return {
     data: unframeResponse(data),
     headers: responseHeaders,
+    trailers: extractTrailers(data),
   };
 }
 
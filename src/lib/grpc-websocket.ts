@@ -0,0 +1,104 @@
+/**
+ * gRPC-Web over WebSocket - improbable-eng WebSocket transport 的訊框重組
+ *
+ * 此 transport 以子協定 `grpc-websockets` 建立連線，用於雙向 Streaming：
+ * - 用戶端的第一則 WebSocket 訊息是 HTTP/1 格式的請求標頭，沒有前置位元組。
+ *   其後每則訊息以一個位元組開頭：0x00 後接 gRPC-Web Frame，單獨的 0x01 表示結束傳送 (finish-send)。
+ * - 伺服器送出的位元組串接起來即為 gRPC-Web 回應，但 Frame 可能被拆成多個 WebSocket 訊息；
+ *   第一個帶 0x80 旗標且位於任何資料 Frame 之前的 Frame 是回應標頭，其餘與一般的 gRPC-Web 回應相同 (最後為 Trailers)。
+ *
+ * 重組後的位元組與 fetch 擷取的 gRPC-Web Body 格式相同，可直接交給既有的解碼管線。
+ */
+
+import { parseTrailerBlock } from './grpc-trailers';
+import { concatBytes } from './inflate';
+import { createFrameSplitter } from './stream-frames';
+
+export const GRPC_WEBSOCKET_PROTOCOL = 'grpc-websockets';
+
+const CLIENT_DATA = 0x00;
+const CLIENT_FINISH_SEND = 0x01;
+const HEADER_FLAG = 0x80;
+const FRAME_HEADER_LENGTH = 5;
+
+interface CapturedMessage {
+  headers?: Record<string, string>;
+  bytes?: Uint8Array;
+  messageCount: number;
+  finishSend?: boolean;
+}
+
+/**
+ * @param {string | string[] | undefined} protocols `new WebSocket(url, protocols)` 的第二個參數
+ */
+export function isGrpcWebSocket(protocols) {
+  const list = Array.isArray(protocols) ? protocols : [protocols];
+  return list.some((protocol) => String(protocol ?? '').toLowerCase() === GRPC_WEBSOCKET_PROTOCOL);
+}
+
+/**
+ * 將 ws: / wss: 網址轉為對應的 HTTP 網址，讓紀錄與 Schema 快取使用同一個 Origin
+ */
+export function toHttpUrl(url: string) {
+  return String(url).replace(/^ws(s?):/i, 'http$1:');
+}
+
+/**
+ * 建立單一 WebSocket 呼叫的重組狀態
+ */
+export function createGrpcWebSocketCall() {
+  const requestFrames = createFrameSplitter(HEADER_FLAG);
+  const responseFrames = createFrameSplitter(HEADER_FLAG);
+  let requestHeaders: Record<string, string> | null = null;
+  let responseHeaders: Record<string, string> | null = null;
+  let responseDataSeen = false;
+
+  return {
+    /**
+     * 處理用戶端送出的 WebSocket 訊息
+     *
+     * @param {Uint8Array} data
+     * @returns {{headers?: Record<string, string>, bytes?: Uint8Array, messageCount: number, finishSend?: boolean}}
+     */
+    sent(data: Uint8Array): CapturedMessage {
+      if (!requestHeaders) {
+        requestHeaders = parseTrailerBlock(data);
+        return { headers: requestHeaders, messageCount: 0 };
+      }
+      if (data.length === 1 && data[0] === CLIENT_FINISH_SEND) return { messageCount: 0, finishSend: true };
+      if (data.length === 0 || data[0] !== CLIENT_DATA) return { messageCount: 0 };
+      return requestFrames.push(data.subarray(1));
+    },
+
+    /**
+     * 處理伺服器送出的 WebSocket 訊息；回應標頭 Frame 會從位元組中移除
+     *
+     * @param {Uint8Array} data
+     * @returns {{headers?: Record<string, string>, bytes: Uint8Array, messageCount: number}}
+     */
+    received(data: Uint8Array): CapturedMessage & { bytes: Uint8Array } {
+      const { bytes, messageCount } = responseFrames.push(data);
+      let headers;
+      let offset = 0;
+      const kept = [];
+      while (offset + FRAME_HEADER_LENGTH <= bytes.length) {
+        const end = offset + FRAME_HEADER_LENGTH + new DataView(bytes.buffer, bytes.byteOffset + offset + 1, 4).getUint32(0);
+        const isHeaderFrame = !responseHeaders && !responseDataSeen && (bytes[offset] & HEADER_FLAG) !== 0;
+        if (isHeaderFrame) {
+          responseHeaders = parseTrailerBlock(bytes.subarray(offset + FRAME_HEADER_LENGTH, end));
+          headers = responseHeaders;
+        } else {
+          responseDataSeen = true;
+          kept.push(bytes.subarray(offset, end));
+        }
+        offset = end;
+      }
+      const result: CapturedMessage & { bytes: Uint8Array } = {
+        bytes: concatBytes(kept),
+        messageCount,
+      };
+      if (headers) result.headers = headers;
+      return result;
+    },
+  };
+}
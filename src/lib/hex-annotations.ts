@@ -0,0 +1,454 @@
+/**
+ * Hex Annotations - 標註訊息位元組所屬的 Frame 標頭、Tag、長度與值
+ *
+ * 十六進位檢視需要知道每個位元組屬於哪個欄位，才能與 JsonTree 雙向連動：
+ * 點選樹狀節點時標示對應的位元組，點選位元組時展開對應的欄位。
+ * 欄位路徑與 JsonTree、json-search 的格式相同 (以 `.` 串接 key 與陣列索引)：
+ * - 有 Schema 時使用欄位名稱，與 ProtoEngine 及 cached decoder 的輸出一致。
+ * - 沒有 Schema 時以 `_wire` 為根並使用欄位編號，與 wire-format-decoder 的輸出一致。
+ */
+
+import { ANY_TYPE_NAME, typeNameFromUrl } from './any-unpack';
+import { readTag, readVarint, readVarint64 } from './descriptor-parser';
+import { concatBytes } from './inflate';
+import { UNKNOWN_FIELDS_KEY } from './schema-drift';
+import { MAX_NESTING_DEPTH } from './wire-format-decoder';
+
+/**
+ * @typedef {object} FieldLayout
+ * @property {string} name 解碼結果中的 key (欄位的 proto 名稱)
+ * @property {'scalar' | 'enum' | 'message' | 'group' | 'map'} kind
+ * @property {string} [type] 純量型別名稱，例如 `int32`
+ * @property {string} [typeName] 訊息或 enum 的完整名稱
+ * @property {boolean} [repeated]
+ * @property {string} [mapKey] map 的 key 型別
+ * @property {FieldLayout} [mapValue] map 的 value 配置
+ */
+
+/**
+ * @typedef {object} ByteRange
+ * @property {number} start 起始位置 (含)
+ * @property {number} end 結束位置 (不含)
+ * @property {'frame' | 'tag' | 'length' | 'value' | 'field' | 'message'} kind
+ *   frame、tag、length、value 互不重疊，決定位元組的標示；field 與 message 為巢狀的容器，用於對應路徑
+ * @property {string} path JsonTree 路徑
+ * @property {number} [fieldNumber]
+ * @property {number} [wireType]
+ * @property {string} [name] 欄位名稱；未知欄位沒有名稱
+ * @property {string} [type] 值的型別 (純量名稱、訊息型別或 `json`)
+ * @property {number} [flags] Frame 的旗標
+ * @property {number} [length] Frame 或 Length-delimited 內容的長度
+ * @property {string} [error] 無法解析的原因
+ */
+
+type Resolver = (typeName: string) => Map<number, any> | null;
+
+interface Context {
+  ranges: any[];
+  resolve: Resolver;
+}
+
+// 與 FieldDescriptorProto.Type 及 @bufbuild/protobuf 的 ScalarType 數值相同
+const SCALAR_NAMES = {
+  1: 'double', 2: 'float', 3: 'int64', 4: 'uint64', 5: 'int32', 6: 'fixed64', 7: 'fixed32', 8: 'bool',
+  9: 'string', 12: 'bytes', 13: 'uint32', 15: 'sfixed32', 16: 'sfixed64', 17: 'sint32', 18: 'sint64',
+};
+
+// 可 packed 的型別與其單一元素的 wire type
+export const PACKED_WIRE_TYPES = {
+  double: 1, float: 5, int64: 0, uint64: 0, int32: 0, fixed64: 1, fixed32: 5, bool: 0,
+  uint32: 0, sfixed32: 5, sfixed64: 1, sint32: 0, sint64: 0, enum: 0,
+};
+
+const textDecoder = new TextDecoder();
+
+/**
+ * 將 @bufbuild/protobuf 的 DescMessage 轉為欄位配置
+ *
+ * @param {import('@bufbuild/protobuf').DescMessage} desc
+ * @returns {Map<number, FieldLayout>}
+ */
+export function layoutFromDescriptor(desc) {
+  const fields = new Map();
+  for (const field of desc.fields) {
+    const layout: Record<string, unknown> = { name: field.name };
+    switch (field.fieldKind) {
+      case 'map':
+        Object.assign(layout, {
+          kind: 'map',
+          mapKey: SCALAR_NAMES[field.mapKey],
+          mapValue: { name: 'value', kind: field.mapKind, type: SCALAR_NAMES[field.scalar], typeName: field.message?.typeName },
+        });
+        break;
+      case 'list':
+        Object.assign(layout, {
+          kind: field.listKind === 'message' && field.delimitedEncoding ? 'group' : field.listKind,
+          type: SCALAR_NAMES[field.scalar],
+          typeName: field.message?.typeName ?? field.enum?.typeName,
+          repeated: true,
+        });
+        break;
+      case 'message':
+        Object.assign(layout, { kind: field.delimitedEncoding ? 'group' : 'message', typeName: field.message.typeName });
+        break;
+      case 'enum':
+        Object.assign(layout, { kind: 'enum', typeName: field.enum.typeName });
+        break;
+      default:
+        Object.assign(layout, { kind: 'scalar', type: SCALAR_NAMES[field.scalar] });
+    }
+    fields.set(field.number, layout);
+  }
+  return fields;
+}
+
+/**
+ * 將 runtime 擷取的訊息 (entry.schema.messages 的值) 轉為欄位配置
+ *
+ * @param {{fields: object[]}} message
+ * @returns {Map<number, FieldLayout>}
+ */
+export function layoutFromRuntimeSchema(message) {
+  const fields = new Map();
+  for (const field of message.fields ?? []) {
+    const layout: Record<string, unknown> = { name: field.name, kind: field.kind, repeated: Boolean(field.repeated) };
+    if (field.kind === 'scalar') layout.type = field.type;
+    else if (field.kind === 'map') {
+      layout.mapKey = field.keyType;
+      layout.mapValue = { name: 'value', kind: field.value ?? 'scalar', type: field.valueType, typeName: field.valueTypeName };
+    } else layout.typeName = field.typeName;
+    fields.set(field.number, layout);
+  }
+  return fields;
+}
+
+/**
+ * 標註一組訊息 (依收到順序) 的位元組
+ * 多則訊息時路徑以索引為前綴，與 MessageStream 的 JsonTree 一致。
+ *
+ * @param {{bytes: Uint8Array, frameHeader?: {flags: number, length: number} | null}[]} messages
+ *   解除 Framing 與解壓後的訊息內容，以及原始的 5-byte Frame 標頭
+ * @param {object} [options]
+ * @param {string | null} [options.typeName] 訊息型別
+ * @param {(typeName: string) => Map<number, FieldLayout> | null} [options.resolve] 取得型別的欄位配置
+ * @param {'proto' | 'json'} [options.codec]
+ * @returns {{bytes: Uint8Array, ranges: ByteRange[]}} Frame 標頭與訊息串接後的位元組，與其標註
+ */
+export function annotateMessages(messages, options: { typeName?: string | null, resolve?: Resolver, codec?: string } = {}) {
+  const { typeName = null, resolve = () => null, codec = 'proto' } = options;
+  const context: Context = { ranges: [], resolve };
+  const parts = [];
+  let offset = 0;
+
+  messages.forEach((message, index) => {
+    const root = messages.length > 1 ? String(index) : '';
+    const bytes = message.bytes;
+    const header = message.frameHeader;
+    context.ranges.push({ start: offset, end: offset + (header ? 5 : 0) + bytes.length, kind: 'message', path: root });
+
+    if (header) {
+      const { flags, length } = header;
+      parts.push(Uint8Array.of(flags, (length >>> 24) & 0xff, (length >>> 16) & 0xff, (length >>> 8) & 0xff, length & 0xff));
+      context.ranges.push({ start: offset, end: offset + 5, kind: 'frame', path: root, flags, length });
+      offset += 5;
+    }
+    parts.push(bytes);
+
+    const fields = codec === 'json' || !typeName ? null : resolve(typeName);
+    if (codec === 'json') {
+      context.ranges.push({ start: offset, end: offset + bytes.length, kind: 'value', path: root, type: 'json' });
+    } else if (fields) {
+      annotateMessage(context, bytes, offset, fields, root);
+    } else {
+      annotateWire(context, bytes, offset, join(root, '_wire'), 0);
+    }
+    offset += bytes.length;
+  });
+
+  return { bytes: concatBytes(parts), ranges: context.ranges };
+}
+
+/**
+ * 找出包含指定位置的最內層欄位路徑
+ *
+ * @param {ByteRange[]} ranges
+ * @param {number} offset
+ * @returns {string | null}
+ */
+export function pathAtOffset(ranges, offset) {
+  let best = null;
+  for (const range of ranges) {
+    if (!isContainer(range) || offset < range.start || offset >= range.end) continue;
+    // 容器先於其內容加入，範圍相同時以後加入 (較內層) 的為準
+    if (!best || range.end - range.start <= best.end - best.start) best = range;
+  }
+  return best?.path ?? null;
+}
+
+/**
+ * 取得欄位 (含其子欄位) 的所有位元組範圍；repeated 欄位會對應到每個元素
+ *
+ * @param {ByteRange[]} ranges
+ * @param {string} path JsonTree 路徑；空字串代表單一訊息的根節點
+ * @returns {ByteRange[]}
+ */
+export function rangesForPath(ranges, path) {
+  return ranges.filter((range) => isContainer(range) && (path === '' || range.path === path || range.path.startsWith(`${path}.`)));
+}
+
+function isContainer(range) {
+  return range.kind === 'field' || range.kind === 'message';
+}
+
+function annotateMessage(context: Context, bytes, base, fields, path) {
+  const { fields: scanned, error, errorAt } = scanFields(bytes, true);
+  const indexes = new Map();
+  const unknownCounts = new Map();
+  for (const field of scanned) {
+    if (!fields.has(field.number)) unknownCounts.set(field.number, (unknownCounts.get(field.number) ?? 0) + 1);
+  }
+
+  for (const field of scanned) {
+    const layout = fields.get(field.number);
+    if (!layout) {
+      // 未知欄位對應到解碼結果 `_unknown` 中的 wire format 預覽；同一編號出現多次時為陣列
+      const key = join(path, `${UNKNOWN_FIELDS_KEY}.${field.number}`);
+      pushField(context, base, field, unknownCounts.get(field.number) > 1 ? join(key, nextIndex(indexes, field.number)) : key, {});
+      continue;
+    }
+
+    const fieldPath = join(path, layout.name);
+    if (layout.kind === 'map') {
+      annotateMapEntry(context, bytes, base, field, layout, fieldPath);
+    } else if (layout.repeated && field.wireType === 2 && (layout.kind === 'enum' ? 'enum' : layout.type) in PACKED_WIRE_TYPES) {
+      annotatePacked(context, bytes, base, field, layout, fieldPath, indexes);
+    } else {
+      const itemPath = layout.repeated ? join(fieldPath, nextIndex(indexes, field.number)) : fieldPath;
+      annotateValue(context, bytes, base, field, layout, itemPath);
+    }
+  }
+
+  if (error) pushError(context, base + errorAt, base + bytes.length, path, error);
+}
+
+function annotateValue(context: Context, bytes, base, field, layout, path) {
+  const info = { name: layout.name, type: layout.typeName ?? layout.type };
+  const nested = (layout.kind === 'message' || layout.kind === 'group') && (field.wireType === 2 || field.wireType === 3)
+    ? context.resolve(layout.typeName)
+    : null;
+  if (!nested) {
+    pushField(context, base, field, path, info);
+    return;
+  }
+
+  const content = bytes.subarray(field.dataStart, field.dataEnd);
+  pushField(context, base, field, path, info, (start) => {
+    // Any 已被解碼器就地展開為內含訊息，type_url 對應到 `@type`
+    if (layout.typeName === ANY_TYPE_NAME) annotateAny(context, content, start, path);
+    else annotateMessage(context, content, start, nested, path);
+  });
+}
+
+function annotateAny(context: Context, bytes, base, path) {
+  const { fields } = scanFields(bytes, false);
+  const typeUrl = fields.filter((field) => field.number === 1 && field.wireType === 2).pop();
+  const typeName = typeUrl ? typeNameFromUrl(textDecoder.decode(bytes.subarray(typeUrl.dataStart, typeUrl.dataEnd))) : '';
+  const inner = typeName ? context.resolve(typeName) : null;
+
+  for (const field of fields) {
+    if (field.number === 2 && field.wireType === 2) {
+      const content = bytes.subarray(field.dataStart, field.dataEnd);
+      pushField(context, base, field, path, { name: 'value', type: typeName }, (start) => {
+        if (inner) annotateMessage(context, content, start, inner, path);
+        else annotateWire(context, content, start, join(path, '_wire'), 0);
+      });
+    } else {
+      pushField(context, base, field, field.number === 1 ? join(path, '@type') : path, field.number === 1 ? { name: 'type_url', type: 'string' } : {});
+    }
+  }
+}
+
+/**
+ * map 的每個 Entry 是含 key (1) 與 value (2) 的訊息；解碼結果以 key 的字串值作為路徑
+ */
+function annotateMapEntry(context: Context, bytes, base, field, layout, fieldPath) {
+  const info = { name: layout.name, type: `map<${layout.mapKey}, ${layout.mapValue.typeName ?? layout.mapValue.type ?? 'bytes'}>` };
+  if (field.wireType !== 2) {
+    pushField(context, base, field, fieldPath, info);
+    return;
+  }
+
+  const content = bytes.subarray(field.dataStart, field.dataEnd);
+  const { fields } = scanFields(content, false);
+  const keyField = fields.filter((entryField) => entryField.number === 1).pop();
+  const entryPath = join(fieldPath, keyField ? decodeMapKey(content, keyField, layout.mapKey) : defaultMapKey(layout.mapKey));
+
+  pushField(context, base, field, entryPath, info, (start) => {
+    for (const entryField of fields) {
+      if (entryField.number === 2) annotateValue(context, content, start, entryField, layout.mapValue, entryPath);
+      else pushField(context, start, entryField, entryPath, entryField.number === 1 ? { name: 'key', type: layout.mapKey } : {});
+    }
+  });
+}
+
+function annotatePacked(context: Context, bytes, base, field, layout, fieldPath, indexes) {
+  const type = layout.kind === 'enum' ? 'enum' : layout.type;
+  const wireType = PACKED_WIRE_TYPES[type];
+  const info = { name: layout.name, type: layout.typeName ?? layout.type };
+
+  pushField(context, base, field, fieldPath, info, (start) => {
+    let pos = field.dataStart;
+    while (pos < field.dataEnd) {
+      let end;
+      try {
+        end = wireType === 0 ? readVarint64(bytes, pos)[1] : pos + (wireType === 1 ? 8 : 4);
+      } catch {
+        end = Infinity;
+      }
+      if (end > field.dataEnd) {
+        pushError(context, start + pos - field.dataStart, start + field.dataEnd - field.dataStart, fieldPath, `位置 ${pos} 的 packed 元素被截斷`);
+        return;
+      }
+      const item = { start: start + pos - field.dataStart, end: start + end - field.dataStart, path: join(fieldPath, nextIndex(indexes, field.number)), fieldNumber: field.number, wireType, ...info };
+      context.ranges.push({ ...item, kind: 'field' }, { ...item, kind: 'value' });
+      pos = end;
+    }
+  });
+}
+
+/**
+ * 沒有 Schema 時沿用 wire-format-decoder 的規則：
+ * 重複出現的欄位編號收集為陣列，可完整解析的 Length-delimited 內容視為巢狀訊息 (`message`)
+ */
+function annotateWire(context: Context, bytes, base, path, depth) {
+  const { fields, error, errorAt } = scanFields(bytes, false);
+  const counts = new Map();
+  for (const field of fields) counts.set(field.number, (counts.get(field.number) ?? 0) + 1);
+  const indexes = new Map();
+
+  for (const field of fields) {
+    const key = join(path, String(field.number));
+    const fieldPath = counts.get(field.number) > 1 ? join(key, nextIndex(indexes, field.number)) : key;
+    const content = field.wireType === 2 && field.dataEnd > field.dataStart && depth < MAX_NESTING_DEPTH
+      ? bytes.subarray(field.dataStart, field.dataEnd)
+      : null;
+    const nested = content ? scanFields(content, false) : null;
+    const isMessage = nested && !nested.error && nested.fields.length > 0;
+
+    pushField(context, base, field, fieldPath, {}, isMessage
+      ? (start) => annotateWire(context, content, start, join(fieldPath, 'message'), depth + 1)
+      : null);
+  }
+
+  if (error) pushError(context, base + errorAt, base + bytes.length, path, error);
+}
+
+/**
+ * 加入欄位的容器、Tag 與長度；annotateContent 提供時由其標註內容，否則整段內容視為單一的值
+ */
+function pushField(context: Context, base, field, path, info, annotateContent = null) {
+  const meta = { path, fieldNumber: field.number, wireType: field.wireType, ...info };
+  const { ranges } = context;
+  ranges.push({ ...meta, start: base + field.start, end: base + field.end, kind: 'field' });
+  ranges.push({ ...meta, start: base + field.start, end: base + field.valueStart, kind: 'tag' });
+  if (field.wireType === 2) {
+    ranges.push({ ...meta, start: base + field.valueStart, end: base + field.dataStart, kind: 'length', length: field.dataEnd - field.dataStart });
+  }
+  if (annotateContent) annotateContent(base + field.dataStart);
+  else if (field.dataEnd > field.dataStart) ranges.push({ ...meta, start: base + field.dataStart, end: base + field.dataEnd, kind: 'value' });
+  // Group 以 End Group Tag 結尾
+  if (field.wireType === 3) ranges.push({ ...meta, start: base + field.dataEnd, end: base + field.end, kind: 'tag' });
+}
+
+function pushError(context: Context, start, end, path, error) {
+  if (end > start) context.ranges.push({ start, end, kind: 'value', path, error });
+}
+
+/**
+ * 讀取一段位元組中的所有欄位位置；遇到損毀的資料時保留已讀取的欄位並回報中斷的位置
+ */
+export function scanFields(bytes, allowGroups) {
+  const fields = [];
+  let pos = 0;
+  try {
+    while (pos < bytes.length) {
+      const field = readFieldBounds(bytes, pos, allowGroups);
+      fields.push(field);
+      pos = field.end;
+    }
+  } catch (e) {
+    return { fields, error: e.message, errorAt: pos };
+  }
+  return { fields, error: null, errorAt: pos };
+}
+
+function readFieldBounds(bytes, pos, allowGroups) {
+  const [number, wireType, valueStart] = readTag(bytes, pos);
+  if (number === 0) throw new Error(`位置 ${pos} 的欄位編號為 0`);
+
+  switch (wireType) {
+    case 0: {
+      const end = readVarint64(bytes, valueStart)[1];
+      return { number, wireType, start: pos, valueStart, dataStart: valueStart, dataEnd: end, end };
+    }
+    case 1:
+    case 5: {
+      const end = valueStart + (wireType === 1 ? 8 : 4);
+      if (end > bytes.length) throw new Error(`位置 ${pos} 的 ${wireType === 1 ? 64 : 32} 位元欄位被截斷`);
+      return { number, wireType, start: pos, valueStart, dataStart: valueStart, dataEnd: end, end };
+    }
+    case 2: {
+      const [length, dataStart] = readVarint(bytes, valueStart);
+      const end = dataStart + length;
+      if (length < 0 || end > bytes.length) throw new Error(`位置 ${pos} 的長度超出資料範圍`);
+      return { number, wireType, start: pos, valueStart, dataStart, dataEnd: end, end };
+    }
+    case 3:
+      if (allowGroups) {
+        // 讀到對應的 End Group Tag 為止
+        let inner = valueStart;
+        while (inner < bytes.length) {
+          const [innerNumber, innerWireType, next] = readTag(bytes, inner);
+          if (innerWireType === 4) {
+            if (innerNumber !== number) break;
+            return { number, wireType, start: pos, valueStart, dataStart: valueStart, dataEnd: inner, end: next };
+          }
+          inner = readFieldBounds(bytes, inner, true).end;
+        }
+        throw new Error(`位置 ${pos} 的 Group 沒有對應的結尾`);
+      }
+    // falls through
+    default:
+      throw new Error(`位置 ${pos} 出現不支援的 wire type ${wireType}`);
+  }
+}
+
+function decodeMapKey(bytes, field, type) {
+  const data = bytes.subarray(field.dataStart, field.dataEnd);
+  if (field.wireType === 2) return textDecoder.decode(data);
+  if (field.wireType === 0) {
+    const [value] = readVarint64(data, 0);
+    if (type === 'bool') return String(value !== 0n);
+    if (type === 'sint32' || type === 'sint64') return String((value >> 1n) ^ -(value & 1n));
+    if (type === 'int32' || type === 'int64') return String(BigInt.asIntN(64, value));
+    return String(value);
+  }
+  const view = new DataView(data.buffer, data.byteOffset, data.length);
+  if (field.wireType === 5) return String(type === 'sfixed32' ? view.getInt32(0, true) : view.getUint32(0, true));
+  return String(type === 'sfixed64' ? view.getBigInt64(0, true) : view.getBigUint64(0, true));
+}
+
+function defaultMapKey(type) {
+  if (type === 'string') return '';
+  return type === 'bool' ? 'false' : '0';
+}
+
+function nextIndex(indexes, number) {
+  const index = indexes.get(number) ?? 0;
+  indexes.set(number, index + 1);
+  return String(index);
+}
+
+function join(path, key) {
+  return path ? `${path}.${key}` : key;
+}
@@ -41,7 +41,7 @@ export const translations = {
     coming_soon: 'Coming soon...',
     select_request: 'Select a request to view details',
     no_schemas_yet: 'No schemas registered yet.',
-    hint_register: 'Use Reflection or register via Frontend API.',
+    hint_register: 'Use Reflection, import a descriptor set, or register via Frontend API.',
     reflecting: 'Reflecting...',
     sync_ok: 'Sync OK',
     sync_failed: 'Sync Failed',
@@ -56,6 +56,8 @@ export const translations = {
     serialize_failed: 'Serialization failed',
     combined_view: 'Combined View',
     combined_view_desc: 'Show request and response in the same tab',
+    canonical_json: 'Canonical JSON',
+    canonical_json_desc: 'Render well-known types such as Timestamp, Duration, wrappers and Struct in proto3 JSON form',
     display_settings: 'Display Settings',
     combined_tab: 'Request / Response',
     playground: 'Playground',
@@ -88,13 +90,35 @@ export const translations = {
     ok_status: 'OK (0)',
     error: 'Error',
     waiting_for_response: 'Waiting for response from server...',
+    request_compression: 'Request compression',
+    response_compression: 'Response compression',
+    compression_applied: 'decompressed',
+    compression_missing: 'no codec available',
+    compression_failed: 'decompression failed',
+    proto_fields: 'Fields',
+    view_as_proto: 'View as .proto',
+    copy_proto: 'Copy',
+    download_proto_zip: 'Download .zip',
+    hex: 'Hex',
+    hex_frame: 'Frame header',
+    hex_tag: 'Tag',
+    hex_length: 'Length',
+    hex_value: 'Value',
+    hex_error: 'Unparsed',
+    hex_unknown_field: 'unknown field',
+    hex_root: 'Message',
+    hex_truncated: 'Showing',
     protobuf_ts_runtime: 'protobuf-ts Runtime',
     service: 'Service',
     request_type: 'Request type',
     response_type: 'Response type',
     decode_error: 'Decode error',
+    trailers: 'Trailers',
+    error_details: 'Error details',
     request_data: 'Request Data',
     response_data: 'Response Data',
+    stream_messages: 'messages',
+    bytes_unit: 'bytes',
     previous_match: 'Previous match',
     next_match: 'Next match',
     loading: 'Loading',
@@ -104,6 +128,125 @@ export const translations = {
     request_detection_desc: 'List gRPC and Connect requests without decoding payloads.',
     proto_detection: 'Proto detection',
     proto_detection_desc: 'Attach Chrome Debugger to detect runtime Proto types and decode messages.',
+    import_descriptors: 'Import descriptors',
+    import_descriptors_desc: 'Descriptor sets from protoc --descriptor_set_out --include_imports or buf build -o image.binpb, or .proto files. Imported definitions take precedence over reflection.',
+    import_proto_folder: 'Import .proto folder',
+    import_proto_folder_desc: 'Compile every .proto file in a folder. You can also drop files or folders onto this page.',
+    imported_descriptors: 'Imported Descriptors',
+    remove_descriptor: 'Remove',
+    local_schema: 'Local',
+    schema_origin: 'Origin that owns this schema',
+    schema_version: 'Schema',
+    schema_source_local: 'Local',
+    schema_source_reflection: 'Reflection',
+    schema_source_runtime: 'Runtime capture',
+    schema_source_global: 'Global',
+    message_types: 'Message types',
+    message_types_desc: 'Applies to every request to this endpoint on the same origin. Matching requests are decoded again right away.',
+    set_message_types: 'Set message types…',
+    search_message_types: 'Search message types...',
+    message_type_override: 'Manual',
+    message_type_not_loaded: 'This type is not loaded',
+    no_message_types: 'No message types loaded yet. Import descriptors or enable reflection first.',
+    reset_message_types: 'Reset',
+    save: 'Save',
+    cancel: 'Cancel',
+    suggested_types: 'Suggested types',
+    confidence: 'Confidence',
+    matched_fields: 'Matched fields',
+    apply_type: 'Use this type',
+    render_int64: '64-bit integers',
+    render_int64_desc: 'Numbers above 2^53 - 1 lose precision and are flagged',
+    render_int64_string: 'String',
+    render_int64_number: 'Number',
+    render_int64_bigint: 'BigInt',
+    render_bytes: 'Bytes',
+    render_bytes_desc: 'How bytes fields are displayed, copied and exported',
+    render_bytes_base64: 'Base64',
+    render_bytes_hex: 'Hex',
+    render_bytes_utf8: 'UTF-8',
+    render_enums: 'Enums',
+    render_enums_desc: 'Values missing from the schema are always shown as numbers',
+    render_enums_name: 'Name',
+    render_enums_number: 'Number',
+    render_enums_both: 'Both',
+    render_presence: 'Unset fields',
+    render_presence_desc: 'Fields that were not sent on the wire',
+    render_presence_hide: 'Hide',
+    render_presence_default: 'Default value',
+    render_presence_grey: 'Greyed out',
+    render_scope: 'Applies to records decoded from raw bytes, such as those captured by request detection. Proto detection records are decoded by the page runtime and keep its output.',
+    precision_loss: 'Precision lost: exceeds Number.MAX_SAFE_INTEGER',
+    unset_field: 'Not set (default value)',
+    schema_drift: 'drift',
+    schema_drift_desc: 'A message contains fields the loaded schema does not know; the frontend and backend may be running different versions',
+    schema_drift_summary: 'Schema drift (unknown fields this session)',
+    schema_drift_requests: 'requests',
+    stream_receiving: 'receiving…',
+    stream_received_at: 'Captured at',
+    transport_websocket_desc: 'gRPC-Web over WebSocket (bidirectional streaming)',
+    context_filter: 'Filter by the frame or worker that made the request',
+    context_all: 'All contexts',
+    context_page: 'Page',
+    context_iframe: 'iframe',
+    context_worker: 'Worker',
+    context_service_worker: 'Service Worker',
+    context_shared_worker: 'Shared Worker',
+    timing: 'Timing',
+    timing_queueing: 'Queueing',
+    timing_dns: 'DNS Lookup',
+    timing_connect: 'Initial Connection',
+    timing_tls: 'SSL/TLS',
+    timing_send: 'Request Sent',
+    timing_wait: 'Waiting (TTFB)',
+    timing_download: 'Content Download',
+    timing_first_message: 'First Message',
+    timing_last_message: 'Last Message',
+    timing_total: 'Total',
+    timing_estimated: 'Estimated from page events; network phases are only available in Proto detection mode',
+    timeline_column: 'Timeline Column',
+    timeline_column_desc: 'Show a waterfall of call timing in the request list',
+    deadline: 'Deadline',
+    deadline_actual: 'actual',
+    deadline_exceeded: 'Deadline exceeded',
+    deadline_exceeded_desc: 'The call took longer than the deadline sent in its request headers',
+    deadline_met: 'Within deadline',
+    capture_rules: 'Capture Rules',
+    capture_rules_desc: 'Rules are checked in order and the first match wins. While any include rule is enabled, calls that match no rule are not captured. Rules are saved per origin.',
+    capture_rules_origin: 'Origin',
+    capture_rules_no_origin: 'Open a web page to edit the capture rules for its origin',
+    capture_rules_save: 'Save Rules',
+    capture_rules_saved: 'Saved',
+    capture_rule_add: 'Add Rule',
+    capture_rule_enabled: 'Enabled',
+    capture_rule_move_up: 'Move up',
+    capture_rule_remove: 'Remove',
+    capture_rule_header_name: 'Header name',
+    capture_rule_pattern: 'Pattern',
+    capture_rule_action_include: 'Include',
+    capture_rule_action_exclude: 'Exclude',
+    capture_rule_action_mute: 'Mute (count only)',
+    capture_rule_field_url: 'URL',
+    capture_rule_field_service: 'Service',
+    capture_rule_field_method: 'Method',
+    capture_rule_field_contentType: 'Content-Type',
+    capture_rule_field_header: 'Header',
+    capture_rule_syntax_glob: 'Glob',
+    capture_rule_syntax_regex: 'Regex',
+    capture_rule_empty_pattern: 'Enter a pattern',
+    capture_rule_empty_header: 'Enter a header name',
+    capture_rule_invalid_pattern: 'Invalid regular expression',
+    muted_calls: 'Muted',
+    muted_calls_desc: 'Calls skipped by mute capture rules',
+    record_retention: 'Record Retention',
+    record_retention_desc: 'Calls are stored in the extension\'s IndexedDB. The oldest calls of each tab are removed once any limit is reached; 0 means no limit, leaving only the browser storage quota.',
+    retention_max_records: 'Max calls per tab',
+    retention_max_age: 'Max age (minutes)',
+    retention_max_size: 'Max size per tab (MB)',
+    retention_usage: 'Stored for this tab',
+    retention_save: 'Apply',
+    retention_saved: 'Applied',
+    load_older_records: 'Load earlier calls',
   },
   zh: {
     network: '網路紀錄',
@@ -140,7 +283,7 @@ export const translations = {
     coming_soon: '即將推出...',
     select_request: '選擇一個請求以查看詳情',
     no_schemas_yet: '尚未註冊任何 Schema 定義。',
-    hint_register: '請使用 Reflection 或透過前端 API 註冊。',
+    hint_register: '請使用 Reflection、匯入 Descriptor Set 或透過前端 API 註冊。',
     reflecting: '同步中...',
     sync_ok: '同步成功',
     sync_failed: '同步失敗',
@@ -155,6 +298,8 @@ export const translations = {
     serialize_failed: '序列化失敗',
     combined_view: '合併視圖',
     combined_view_desc: '在同一個頁籤顯示請求與回應',
+    canonical_json: 'Canonical JSON',
+    canonical_json_desc: '以 Proto3 JSON 格式呈現 Timestamp、Duration、Wrapper 與 Struct 等 Well-Known Types',
     display_settings: '顯示設定',
     combined_tab: '請求 / 回應',
     playground: '請求測試',
@@ -187,13 +332,35 @@ export const translations = {
     ok_status: '成功（0）',
     error: '錯誤',
     waiting_for_response: '等待伺服器回應中...',
+    request_compression: '請求壓縮',
+    response_compression: '回應壓縮',
+    compression_applied: '已解壓',
+    compression_missing: '缺少解碼器',
+    compression_failed: '解壓失敗',
+    proto_fields: '欄位',
+    view_as_proto: '以 .proto 檢視',
+    copy_proto: '複製',
+    download_proto_zip: '下載 .zip',
+    hex: 'Hex',
+    hex_frame: 'Frame 標頭',
+    hex_tag: 'Tag',
+    hex_length: '長度',
+    hex_value: '值',
+    hex_error: '無法解析',
+    hex_unknown_field: '未知欄位',
+    hex_root: '訊息',
+    hex_truncated: '僅顯示',
     protobuf_ts_runtime: 'protobuf-ts Runtime',
     service: '服務',
     request_type: '請求型別',
     response_type: '回應型別',
     decode_error: '解碼錯誤',
+    trailers: 'Trailers',
+    error_details: '錯誤詳情',
     request_data: '請求資料',
     response_data: '回應資料',
+    stream_messages: '則訊息',
+    bytes_unit: '位元組',
     previous_match: '上一筆符合項目',
     next_match: '下一筆符合項目',
     loading: '載入中',
@@ -203,6 +370,125 @@ export const translations = {
     request_detection_desc: '不解碼 payload，僅列出 gRPC 與 Connect 請求。',
     proto_detection: '偵測 Proto',
     proto_detection_desc: '附加 Chrome Debugger，偵測 runtime Proto 型別並解碼訊息。',
+    import_descriptors: '匯入 Descriptor',
+    import_descriptors_desc: '支援 protoc --descriptor_set_out --include_imports、buf build -o image.binpb 產生的檔案或 .proto 檔案，匯入的定義優先於 Reflection。',
+    import_proto_folder: '匯入 .proto 資料夾',
+    import_proto_folder_desc: '編譯資料夾中所有的 .proto 檔案，也可以直接將檔案或資料夾拖放到此頁面。',
+    imported_descriptors: '已匯入的 Descriptor',
+    remove_descriptor: '移除',
+    local_schema: '本地',
+    schema_origin: '此 Schema 所屬的 Origin',
+    schema_version: 'Schema',
+    schema_source_local: '本地',
+    schema_source_reflection: 'Reflection',
+    schema_source_runtime: 'Runtime 擷取',
+    schema_source_global: '全域',
+    message_types: '訊息型別',
+    message_types_desc: '套用到同一 Origin 下此端點的所有請求，並立即重新解碼。',
+    set_message_types: '指定訊息型別…',
+    search_message_types: '搜尋訊息型別...',
+    message_type_override: '手動指定',
+    message_type_not_loaded: '尚未載入此型別',
+    no_message_types: '尚未載入任何訊息型別，請先匯入 Descriptor 或啟用 Reflection。',
+    reset_message_types: '恢復自動對應',
+    save: '儲存',
+    cancel: '取消',
+    suggested_types: '推測的型別',
+    confidence: '信心分數',
+    matched_fields: '相符欄位',
+    apply_type: '使用此型別',
+    render_int64: '64 位元整數',
+    render_int64_desc: '超過 2^53 - 1 的數字會失去精度並加上標示',
+    render_int64_string: '字串',
+    render_int64_number: '數字',
+    render_int64_bigint: 'BigInt',
+    render_bytes: 'Bytes',
+    render_bytes_desc: 'bytes 欄位在畫面、複製與匯出時的呈現方式',
+    render_bytes_base64: 'Base64',
+    render_bytes_hex: '十六進位',
+    render_bytes_utf8: 'UTF-8',
+    render_enums: '列舉',
+    render_enums_desc: 'Schema 中沒有的數值一律顯示為數字',
+    render_enums_name: '名稱',
+    render_enums_number: '數值',
+    render_enums_both: '兩者',
+    render_presence: '未設定的欄位',
+    render_presence_desc: '沒有出現在 wire 上的欄位',
+    render_presence_hide: '隱藏',
+    render_presence_default: '顯示預設值',
+    render_presence_grey: '灰色顯示',
+    render_scope: '套用於由原始位元組解碼的紀錄 (例如只啟用「偵測請求」時擷取的紀錄)；「偵測 Proto」的紀錄由頁面 runtime 解碼，維持其輸出。',
+    precision_loss: '已失去精度：超出 Number.MAX_SAFE_INTEGER',
+    unset_field: '未設定 (預設值)',
+    schema_drift: '落差',
+    schema_drift_desc: '訊息中含有目前 Schema 不認得的欄位，前後端可能部署了不同版本',
+    schema_drift_summary: 'Schema 落差 (本次 Session 的未知欄位)',
+    schema_drift_requests: '個請求',
+    stream_receiving: '接收中…',
+    stream_received_at: '擷取時間',
+    transport_websocket_desc: '透過 WebSocket 傳輸的 gRPC-Web (雙向 Streaming)',
+    context_filter: '依發出請求的 Frame 或 Worker 過濾',
+    context_all: '所有執行環境',
+    context_page: '頁面',
+    context_iframe: 'iframe',
+    context_worker: 'Worker',
+    context_service_worker: 'Service Worker',
+    context_shared_worker: 'Shared Worker',
+    timing: '時間軸',
+    timing_queueing: '排隊',
+    timing_dns: 'DNS 查詢',
+    timing_connect: '建立連線',
+    timing_tls: 'SSL/TLS',
+    timing_send: '送出請求',
+    timing_wait: '等待回應 (TTFB)',
+    timing_download: '下載內容',
+    timing_first_message: '第一則訊息',
+    timing_last_message: '最後一則訊息',
+    timing_total: '總計',
+    timing_estimated: '依頁面事件估算；網路階段僅在「偵測 Proto」模式下可用',
+    timeline_column: '時間軸欄位',
+    timeline_column_desc: '在請求列表以 Waterfall 顯示各呼叫的時間',
+    deadline: '期限',
+    deadline_actual: '實際',
+    deadline_exceeded: '超過期限',
+    deadline_exceeded_desc: '呼叫耗時超過請求標頭指定的期限',
+    deadline_met: '未超過期限',
+    capture_rules: '擷取規則',
+    capture_rules_desc: '規則依順序比對，第一條符合的規則決定結果；只要啟用任何擷取規則，沒有符合任何規則的呼叫就不會記錄。規則依 Origin 保存。',
+    capture_rules_origin: 'Origin',
+    capture_rules_no_origin: '開啟網頁後才能編輯該 Origin 的擷取規則',
+    capture_rules_save: '儲存規則',
+    capture_rules_saved: '已儲存',
+    capture_rule_add: '新增規則',
+    capture_rule_enabled: '啟用',
+    capture_rule_move_up: '上移',
+    capture_rule_remove: '移除',
+    capture_rule_header_name: '標頭名稱',
+    capture_rule_pattern: '樣式',
+    capture_rule_action_include: '擷取',
+    capture_rule_action_exclude: '排除',
+    capture_rule_action_mute: '靜音 (僅計數)',
+    capture_rule_field_url: '網址',
+    capture_rule_field_service: '服務',
+    capture_rule_field_method: '方法',
+    capture_rule_field_contentType: 'Content-Type',
+    capture_rule_field_header: '標頭',
+    capture_rule_syntax_glob: 'Glob',
+    capture_rule_syntax_regex: '正規表示式',
+    capture_rule_empty_pattern: '請輸入樣式',
+    capture_rule_empty_header: '請輸入標頭名稱',
+    capture_rule_invalid_pattern: '正規表示式無效',
+    muted_calls: '已靜音',
+    muted_calls_desc: '被靜音規則略過的呼叫',
+    record_retention: '紀錄保留',
+    record_retention_desc: '呼叫紀錄保存在擴充功能的 IndexedDB。任一上限達到時移除該分頁最舊的紀錄；設為 0 代表不限制，只受瀏覽器的儲存空間配額限制。',
+    retention_max_records: '每個分頁的筆數上限',
+    retention_max_age: '保留時間 (分鐘)',
+    retention_max_size: '每個分頁的容量上限 (MB)',
+    retention_usage: '此分頁已保存',
+    retention_save: '套用',
+    retention_saved: '已套用',
+    load_older_records: '載入更早的呼叫',
   }
 };
 
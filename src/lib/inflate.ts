@@ -0,0 +1,297 @@
+/**
+ * DEFLATE 解壓縮 (RFC 1951)，以及 gzip (RFC 1952) 與 zlib (RFC 1950) 外層格式
+ *
+ * 擴充功能的背景 Service Worker 與面板都需要同步解壓單一 Frame，
+ * 且 DecompressionStream 並非在所有環境都可用，因此以純 JS 實作。
+ * 實作參考 zlib 的 puff.c：以 Canonical Huffman 的各長度碼數逐位元解碼，速度足以應付除錯用途。
+ */
+
+const LENGTH_BASE = [3, 4, 5, 6, 7, 8, 9, 10, 11, 13, 15, 17, 19, 23, 27, 31, 35, 43, 51, 59, 67, 83, 99, 115, 131, 163, 195, 227, 258];
+const LENGTH_EXTRA = [0, 0, 0, 0, 0, 0, 0, 0, 1, 1, 1, 1, 2, 2, 2, 2, 3, 3, 3, 3, 4, 4, 4, 4, 5, 5, 5, 5, 0];
+const DIST_BASE = [1, 2, 3, 4, 5, 7, 9, 13, 17, 25, 33, 49, 65, 97, 129, 193, 257, 385, 513, 769, 1025, 1537, 2049, 3073, 4097, 6145, 8193, 12289, 16385, 24577];
+const DIST_EXTRA = [0, 0, 0, 0, 1, 1, 2, 2, 3, 3, 4, 4, 5, 5, 6, 6, 7, 7, 8, 8, 9, 9, 10, 10, 11, 11, 12, 12, 13, 13];
+const CODE_LENGTH_ORDER = [16, 17, 18, 0, 8, 7, 9, 6, 10, 5, 11, 4, 12, 3, 13, 2, 14, 1, 15];
+const MAX_BITS = 15;
+
+const FIXED_TABLES = (() => {
+  const lengths = new Array(288).fill(8, 0, 144).fill(9, 144, 256).fill(7, 256, 280).fill(8, 280, 288);
+  return {
+    literal: buildHuffman(lengths),
+    distance: buildHuffman(new Array(30).fill(5)),
+  };
+})();
+
+/**
+ * 解壓 Raw DEFLATE 資料
+ *
+ * @param {Uint8Array} input
+ * @param {number} [offset] 起始位置
+ * @returns {{data: Uint8Array, end: number}} 解壓結果與壓縮資料結束 (位元組對齊後) 的位置
+ */
+export function inflateRaw(input, offset = 0) {
+  const reader = new BitReader(input, offset);
+  const output = new OutputBuffer(input.length * 4);
+
+  let last = 0;
+  while (!last) {
+    last = reader.bits(1);
+    const type = reader.bits(2);
+    if (type === 0) {
+      inflateStored(reader, output);
+    } else if (type === 1) {
+      inflateBlock(reader, output, FIXED_TABLES.literal, FIXED_TABLES.distance);
+    } else if (type === 2) {
+      const { literal, distance } = readDynamicTables(reader);
+      inflateBlock(reader, output, literal, distance);
+    } else {
+      throw new Error('無效的 DEFLATE 區塊類型');
+    }
+  }
+
+  return { data: output.result(), end: reader.alignedPosition() };
+}
+
+/**
+ * 解壓 gzip 資料；支援多個串接的 Member
+ *
+ * @param {Uint8Array} input
+ * @returns {Uint8Array}
+ */
+export function gunzip(input) {
+  const parts = [];
+  let pos = 0;
+  while (pos < input.length) {
+    if (input[pos] !== 0x1f || input[pos + 1] !== 0x8b || input[pos + 2] !== 8) {
+      if (parts.length > 0) break; // 結尾的填充資料
+      throw new Error('不是有效的 gzip 資料');
+    }
+    const flags = input[pos + 3];
+    pos += 10;
+    if (flags & 0x04) pos += 2 + (input[pos] | (input[pos + 1] << 8)); // FEXTRA
+    if (flags & 0x08) pos = skipZeroTerminated(input, pos); // FNAME
+    if (flags & 0x10) pos = skipZeroTerminated(input, pos); // FCOMMENT
+    if (flags & 0x02) pos += 2; // FHCRC
+
+    const { data, end } = inflateRaw(input, pos);
+    parts.push(data);
+    pos = end + 8; // CRC32 與 ISIZE
+  }
+  return concatBytes(parts);
+}
+
+/**
+ * 解壓 zlib 格式；HTTP 與 gRPC 的 `deflate` 依規範為 zlib，但部分實作直接傳送 Raw DEFLATE，此時改以 Raw 解壓
+ *
+ * @param {Uint8Array} input
+ * @returns {Uint8Array}
+ */
+export function inflate(input) {
+  const cmf = input[0];
+  const flg = input[1];
+  const isZlib = input.length >= 2 && (cmf & 0x0f) === 8 && (cmf >> 4) <= 7 && ((cmf << 8) | flg) % 31 === 0;
+  if (!isZlib) return inflateRaw(input).data;
+  if (flg & 0x20) throw new Error('不支援使用預設字典的 zlib 資料');
+  return inflateRaw(input, 2).data;
+}
+
+function skipZeroTerminated(input, pos) {
+  while (pos < input.length && input[pos] !== 0) pos += 1;
+  return pos + 1;
+}
+
+function inflateStored(reader, output) {
+  let pos = reader.alignedPosition();
+  const { input } = reader;
+  if (pos + 4 > input.length) throw new Error('DEFLATE 資料不完整');
+  const length = input[pos] | (input[pos + 1] << 8);
+  const complement = input[pos + 2] | (input[pos + 3] << 8);
+  if (length !== (~complement & 0xffff)) throw new Error('DEFLATE 未壓縮區塊長度錯誤');
+  pos += 4;
+  if (pos + length > input.length) throw new Error('DEFLATE 資料不完整');
+  output.write(input.subarray(pos, pos + length));
+  reader.seek(pos + length);
+}
+
+function inflateBlock(reader, output, literal, distance) {
+  while (true) {
+    const symbol = decodeSymbol(reader, literal);
+    if (symbol < 256) {
+      output.push(symbol);
+    } else if (symbol === 256) {
+      return;
+    } else {
+      const lengthIndex = symbol - 257;
+      if (lengthIndex >= LENGTH_BASE.length) throw new Error('無效的 DEFLATE 長度碼');
+      const length = LENGTH_BASE[lengthIndex] + reader.bits(LENGTH_EXTRA[lengthIndex]);
+      const distIndex = decodeSymbol(reader, distance);
+      if (distIndex >= DIST_BASE.length) throw new Error('無效的 DEFLATE 距離碼');
+      output.copy(DIST_BASE[distIndex] + reader.bits(DIST_EXTRA[distIndex]), length);
+    }
+  }
+}
+
+function readDynamicTables(reader) {
+  const literalCount = reader.bits(5) + 257;
+  const distanceCount = reader.bits(5) + 1;
+  const codeLengthCount = reader.bits(4) + 4;
+
+  const codeLengthLengths = new Array(19).fill(0);
+  for (let i = 0; i < codeLengthCount; i += 1) {
+    codeLengthLengths[CODE_LENGTH_ORDER[i]] = reader.bits(3);
+  }
+  const codeLengthTable = buildHuffman(codeLengthLengths);
+
+  const lengths = [];
+  while (lengths.length < literalCount + distanceCount) {
+    const symbol = decodeSymbol(reader, codeLengthTable);
+    if (symbol < 16) {
+      lengths.push(symbol);
+      continue;
+    }
+    let value = 0;
+    let repeat;
+    if (symbol === 16) {
+      if (lengths.length === 0) throw new Error('DEFLATE 碼長重複缺少前一個值');
+      value = lengths[lengths.length - 1];
+      repeat = 3 + reader.bits(2);
+    } else if (symbol === 17) {
+      repeat = 3 + reader.bits(3);
+    } else {
+      repeat = 11 + reader.bits(7);
+    }
+    for (let i = 0; i < repeat; i += 1) lengths.push(value);
+  }
+  if (lengths.length > literalCount + distanceCount) throw new Error('DEFLATE 碼長數量錯誤');
+
+  return {
+    literal: buildHuffman(lengths.slice(0, literalCount)),
+    distance: buildHuffman(lengths.slice(literalCount)),
+  };
+}
+
+/**
+ * 依碼長建立 Canonical Huffman 解碼表 (各長度的碼數與依碼排序的符號)
+ */
+function buildHuffman(lengths) {
+  const counts = new Uint16Array(MAX_BITS + 1);
+  for (const length of lengths) counts[length] += 1;
+  counts[0] = 0;
+
+  const offsets = new Uint16Array(MAX_BITS + 2);
+  for (let length = 1; length <= MAX_BITS; length += 1) {
+    offsets[length + 1] = offsets[length] + counts[length];
+  }
+  const symbols = new Uint16Array(lengths.length);
+  lengths.forEach((length, symbol) => {
+    if (length) symbols[offsets[length]++] = symbol;
+  });
+  return { counts, symbols };
+}
+
+function decodeSymbol(reader, table) {
+  let code = 0;
+  let first = 0;
+  let index = 0;
+  for (let length = 1; length <= MAX_BITS; length += 1) {
+    code |= reader.bits(1);
+    const count = table.counts[length];
+    if (code - first < count) return table.symbols[index + code - first];
+    index += count;
+    first = (first + count) << 1;
+    code <<= 1;
+  }
+  throw new Error('無效的 DEFLATE Huffman 碼');
+}
+
+/**
+ * LSB 優先的位元讀取器
+ */
+class BitReader {
+  input: Uint8Array;
+  pos: number;
+  bitBuffer = 0;
+  bitCount = 0;
+
+  constructor(input, pos) {
+    this.input = input;
+    this.pos = pos;
+  }
+
+  bits(count) {
+    while (this.bitCount < count) {
+      if (this.pos >= this.input.length) throw new Error('DEFLATE 資料不完整');
+      this.bitBuffer |= this.input[this.pos++] << this.bitCount;
+      this.bitCount += 8;
+    }
+    const value = this.bitBuffer & ((1 << count) - 1);
+    this.bitBuffer >>>= count;
+    this.bitCount -= count;
+    return value;
+  }
+
+  /**
+   * 捨棄目前位元組剩餘的位元，回傳下一個完整位元組的位置
+   */
+  alignedPosition() {
+    this.bitBuffer = 0;
+    this.bitCount = 0;
+    return this.pos;
+  }
+
+  seek(pos) {
+    this.pos = pos;
+  }
+}
+
+/**
+ * 可自動擴充的輸出緩衝區，支援 LZ77 的重疊複製
+ */
+export class OutputBuffer {
+  buffer: Uint8Array;
+  length = 0;
+
+  constructor(initialSize) {
+    this.buffer = new Uint8Array(Math.max(initialSize, 64));
+  }
+
+  ensure(extra) {
+    if (this.length + extra <= this.buffer.length) return;
+    const next = new Uint8Array(Math.max(this.buffer.length * 2, this.length + extra));
+    next.set(this.buffer.subarray(0, this.length));
+    this.buffer = next;
+  }
+
+  push(byte) {
+    this.ensure(1);
+    this.buffer[this.length++] = byte;
+  }
+
+  write(bytes) {
+    this.ensure(bytes.length);
+    this.buffer.set(bytes, this.length);
+    this.length += bytes.length;
+  }
+
+  copy(distance, length) {
+    if (distance <= 0 || distance > this.length) throw new Error('壓縮資料的回溯距離超出範圍');
+    this.ensure(length);
+    for (let i = 0; i < length; i += 1) {
+      this.buffer[this.length] = this.buffer[this.length - distance];
+      this.length += 1;
+    }
+  }
+
+  result() {
+    return this.buffer.slice(0, this.length);
+  }
+}
+
+export function concatBytes(parts) {
+  const output = new Uint8Array(parts.reduce((total, part) => total + part.length, 0));
+  let offset = 0;
+  for (const part of parts) {
+    output.set(part, offset);
+    offset += part.length;
+  }
+  return output;
+}
@@ -1,3 +1,5 @@
+import { isMetaKey } from './value-rendering';
+
 /**
  * 建立 JSON 搜尋結果與需展開的祖先節點索引。
  *
@@ -22,7 +24,7 @@ function collectMatches(value, query, prefix, matches, matchingAncestorPaths, an
 
   ancestors.add(value);
   for (const key of Object.keys(value)) {
-    if (key === '$typeName') continue;
+    if (isMetaKey(key)) continue;
 
     const path = prefix ? `${prefix}.${key}` : key;
     if (key.toLowerCase().includes(query)) {
@@ -61,3 +63,22 @@ function addMatch(path, type, matches, matchingAncestorPaths) {
     segments.pop();
   }
 }
+
+/**
+ * 找出資料中實際存在、最接近指定路徑的節點路徑
+ * 位元組對應的欄位可能因 Canonical JSON 或 Any 展開而不在樹中，此時退回最近的祖先節點。
+ *
+ * @param {unknown} data
+ * @param {string} path JsonTree 路徑
+ * @returns {string} 找不到任何節點時回傳空字串 (根節點)
+ */
+export function findClosestPath(data, path) {
+  let node = data;
+  let closest = '';
+  for (const key of path ? path.split('.') : []) {
+    if (!isSearchableObject(node) || !Object.prototype.hasOwnProperty.call(node, key)) break;
+    node = node[key];
+    closest = closest ? `${closest}.${key}` : key;
+  }
+  return closest;
+}
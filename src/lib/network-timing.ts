@@ -0,0 +1,157 @@
+/**
+ * Network Timing - 呼叫的各階段耗時
+ *
+ * CDP 紀錄以 `Network.requestWillBeSent` 的時間為起點，搭配回應的 `ResourceTiming` 與 `Network.dataReceived`
+ * 拆出排隊、DNS、連線、TLS、送出、等待首位元組 (TTFB) 與下載各階段；Streaming 呼叫另外標示第一與最後一批資料抵達的時間。
+ * Lightweight 紀錄沒有網路層的資訊，只能以攔截器記錄的開始時間、訊息抵達時間與總耗時估算。
+ *
+ * 所有時間皆為相對於呼叫開始的毫秒數，供詳情的 Waterfall 與列表的時間軸欄位共用。
+ */
+
+import { normalizeTimestampMs } from './time';
+
+export type TimingPhaseName = 'queueing' | 'dns' | 'connect' | 'tls' | 'send' | 'wait' | 'download';
+
+export interface TimingPhase {
+  name: TimingPhaseName;
+  start: number;
+  end: number;
+}
+
+export interface CallTiming {
+  /** `cdp` 為瀏覽器網路層的量測；`lightweight` 為頁面端依事件時間的估算 */
+  source: 'cdp' | 'lightweight';
+  phases: TimingPhase[];
+  firstMessage: number | null;
+  lastMessage: number | null;
+  /** 呼叫尚未結束時為 null */
+  total: number | null;
+}
+
+/**
+ * 以 CDP 事件的時間建立各階段耗時
+ * 事件的 timestamp 與 `ResourceTiming.requestTime` 同為單調時鐘的秒數，ResourceTiming 其餘欄位是相對 requestTime 的毫秒數，未發生的階段為 -1。
+ *
+ * @param {object} options
+ * @param {number} options.startTimestamp `Network.requestWillBeSent` 的 timestamp
+ * @param {object} [options.resourceTiming] `Network.responseReceived` 的 `response.timing`
+ * @param {number} [options.firstDataTimestamp] 第一個 `Network.dataReceived` 的 timestamp
+ * @param {number} [options.lastDataTimestamp] 最後一個 `Network.dataReceived` 的 timestamp
+ * @param {number} [options.endTimestamp] `Network.loadingFinished` / `loadingFailed` 的 timestamp
+ * @returns {CallTiming | null}
+ */
+export function buildCdpTiming({ startTimestamp, resourceTiming = null, firstDataTimestamp = null, lastDataTimestamp = null, endTimestamp = null }): CallTiming | null {
+  const start = secondsToMs(startTimestamp);
+  if (start == null) return null;
+  const relative = (timestamp) => {
+    const ms = secondsToMs(timestamp);
+    return ms == null ? null : Math.max(0, ms - start);
+  };
+  const total = relative(endTimestamp);
+  const phases: TimingPhase[] = [];
+  const push = (name: TimingPhaseName, phaseStart: number | null, phaseEnd: number | null) => {
+    if (phaseStart == null || phaseEnd == null || phaseEnd < phaseStart) return;
+    phases.push({ name, start: round(phaseStart), end: round(phaseEnd) });
+  };
+
+  const requestTime = relative(resourceTiming?.requestTime);
+  let headersEnd = null;
+  if (requestTime != null) {
+    const at = (value) => (Number.isFinite(Number(value)) && Number(value) >= 0 ? requestTime + Number(value) : null);
+    const sslStart = at(resourceTiming.sslStart);
+    push('queueing', 0, requestTime);
+    push('dns', at(resourceTiming.dnsStart), at(resourceTiming.dnsEnd));
+    // connectEnd 包含 TLS 交握，與 DevTools 一樣將 TLS 獨立出來
+    push('connect', at(resourceTiming.connectStart), sslStart ?? at(resourceTiming.connectEnd));
+    push('tls', sslStart, at(resourceTiming.sslEnd));
+    push('send', at(resourceTiming.sendStart), at(resourceTiming.sendEnd));
+    headersEnd = at(resourceTiming.receiveHeadersEnd);
+    push('wait', at(resourceTiming.sendEnd), headersEnd);
+  }
+  push('download', headersEnd, total);
+
+  return {
+    source: 'cdp',
+    phases,
+    firstMessage: roundOrNull(relative(firstDataTimestamp)),
+    lastMessage: roundOrNull(relative(lastDataTimestamp)),
+    total: roundOrNull(total),
+  };
+}
+
+/**
+ * 取得紀錄的各階段耗時：CDP 紀錄使用背景量測的 `timing`，其餘以開始時間、訊息抵達時間與 duration 估算
+ *
+ * @param {{timing?: CallTiming, startTime?: string | number, duration?: number, responseMessageTimes?: number[], status?: string}} entry
+ * @returns {CallTiming | null}
+ */
+export function resolveCallTiming(entry): CallTiming | null {
+  if (entry?.timing?.phases) return entry.timing;
+  const start = entryStartMs(entry);
+  const duration = Number(entry?.duration);
+  const total = entry?.status !== 'pending' && Number.isFinite(duration) ? Math.max(0, duration) : null;
+  const times = Array.isArray(entry?.responseMessageTimes) ? entry.responseMessageTimes.filter(Number.isFinite) : [];
+  const firstMessage = start != null && times.length > 0 ? Math.max(0, times[0] - start) : null;
+  const lastMessage = start != null && times.length > 0 ? Math.max(0, times[times.length - 1] - start) : null;
+  if (total == null && firstMessage == null) return null;
+
+  // 沒有網路層資訊：到第一則訊息抵達前視為等待，其後為下載
+  const waitEnd = firstMessage ?? total;
+  const phases: TimingPhase[] = [{ name: 'wait', start: 0, end: waitEnd }];
+  if (firstMessage != null && total != null && total > firstMessage) {
+    phases.push({ name: 'download', start: firstMessage, end: total });
+  }
+  return { source: 'lightweight', phases, firstMessage, lastMessage, total };
+}
+
+/**
+ * 呼叫目前已知的結束時間 (ms)：總耗時，或進行中呼叫最後觀察到的事件
+ */
+export function timingExtent(timing: CallTiming | null) {
+  if (!timing) return 0;
+  if (timing.total != null) return timing.total;
+  return Math.max(0, timing.lastMessage ?? 0, ...timing.phases.map((phase) => phase.end));
+}
+
+/**
+ * 列表時間軸欄位的共同範圍：最早開始的呼叫到最晚結束的呼叫 (epoch ms)
+ *
+ * @param {object[]} entries
+ * @returns {{start: number, end: number} | null}
+ */
+export function timelineRange(entries) {
+  let start = Infinity;
+  let end = -Infinity;
+  for (const entry of entries) {
+    const entryStart = entryStartMs(entry);
+    if (entryStart == null) continue;
+    start = Math.min(start, entryStart);
+    end = Math.max(end, entryStart + timingExtent(resolveCallTiming(entry)));
+  }
+  return Number.isFinite(start) ? { start, end: Math.max(end, start + 1) } : null;
+}
+
+/**
+ * 呼叫開始的 epoch ms；背景紀錄的 startTime 為 ISO 字串，HAR 與 Interceptor 紀錄為數字
+ */
+export function entryStartMs(entry) {
+  const startTime = entry?.startTime;
+  if (typeof startTime === 'string' && !/^\d+(\.\d+)?$/.test(startTime)) {
+    const parsed = Date.parse(startTime);
+    return Number.isFinite(parsed) ? parsed : null;
+  }
+  return normalizeTimestampMs(startTime);
+}
+
+function secondsToMs(timestamp) {
+  const value = Number(timestamp);
+  return timestamp != null && Number.isFinite(value) && value > 0 ? value * 1000 : null;
+}
+
+function round(value: number) {
+  return Math.round(value * 1000) / 1000;
+}
+
+function roundOrNull(value: number | null) {
+  return value == null ? null : round(value);
+}
@@ -0,0 +1,590 @@
+/**
+ * Proto Compiler - 在瀏覽器中將 .proto 原始碼編譯為 FileDescriptorSet
+ *
+ * 流程：
+ * 1. 以 protobufjs 的語法解析器逐檔解析，語法錯誤依檔案與行號回報。
+ * 2. 在上傳的檔案之間解析 import (支援路徑後綴比對)，Google WKT 則使用內建定義。
+ * 3. 解析所有型別參照並轉換為 FileDescriptorProto，交由 descriptor-import 註冊。
+ *    json_name、reserved、extension 宣告與範圍以及內建 option (例如 go_package、deprecated) 一併保留，重建 .proto 時才不會遺失；
+ *    自訂 option 需要 extension 定義才能編碼，因此略過。
+ *
+ * 注意：擴充功能頁面的 CSP 禁止 eval，而 protobufjs 的 resolveAll 會觸發程式碼產生 (codegen)，
+ * 因此這裡只使用其語法解析器，型別參照改以 lookup 手動解析。
+ */
+
+import protobuf from 'protobufjs';
+import { ScalarType, create, toBinary } from '@bufbuild/protobuf';
+import { protoCamelCase } from '@bufbuild/protobuf/reflect';
+import {
+  Edition,
+  EnumOptionsSchema,
+  EnumValueOptionsSchema,
+  FieldDescriptorProto_Label,
+  FieldDescriptorProto_Type,
+  FieldOptionsSchema,
+  FileDescriptorProtoSchema,
+  FileDescriptorSetSchema,
+  FileOptionsSchema,
+  MessageOptionsSchema,
+  MethodOptionsSchema,
+  ServiceOptionsSchema,
+} from '@bufbuild/protobuf/wkt';
+
+const { Type, Enum, Service, MapField, Field } = protobuf;
+
+// protobufjs 內建的 WKT 定義 (以 google/protobuf/xxx.proto 為 key)
+const bundledDefinitions: Record<string, any> = protobuf.common as any;
+// descriptor.proto 僅用於 custom option，由 ReflectionClient 補齊描述符即可，不需要型別定義
+const DESCRIPTOR_PROTO = 'google/protobuf/descriptor.proto';
+
+const SCALAR_TYPES = {
+  double: FieldDescriptorProto_Type.DOUBLE,
+  float: FieldDescriptorProto_Type.FLOAT,
+  int64: FieldDescriptorProto_Type.INT64,
+  uint64: FieldDescriptorProto_Type.UINT64,
+  int32: FieldDescriptorProto_Type.INT32,
+  fixed64: FieldDescriptorProto_Type.FIXED64,
+  fixed32: FieldDescriptorProto_Type.FIXED32,
+  bool: FieldDescriptorProto_Type.BOOL,
+  string: FieldDescriptorProto_Type.STRING,
+  bytes: FieldDescriptorProto_Type.BYTES,
+  uint32: FieldDescriptorProto_Type.UINT32,
+  sfixed32: FieldDescriptorProto_Type.SFIXED32,
+  sfixed64: FieldDescriptorProto_Type.SFIXED64,
+  sint32: FieldDescriptorProto_Type.SINT32,
+  sint64: FieldDescriptorProto_Type.SINT64,
+};
+
+/**
+ * 編譯一組 .proto 原始碼
+ * 有錯誤的檔案 (以及匯入它們的檔案) 會被排除，其餘檔案仍會正常編譯。
+ *
+ * @param {{path: string, source: string}[]} files 上傳的檔案，path 為相對路徑
+ * @returns {{descriptorSet: Uint8Array | null, errors: {name: string, line: number | null, message: string}[]}}
+ */
+export function compileProtoFiles(files) {
+  const errors = [];
+  let candidates = [];
+
+  // 1. 逐檔檢查語法，避免單一檔案的錯誤污染共用的 Root
+  for (const file of files) {
+    const path = normalizePath(file.path);
+    try {
+      const parsed = parseSource(path, file.source, new protobuf.Root());
+      candidates.push({
+        path,
+        source: file.source,
+        package: parsed.package ?? '',
+        options: fileOptions(parsed),
+        imports: [...(parsed.imports ?? []), ...(parsed.weakImports ?? [])],
+        ...detectSyntax(file.source),
+      });
+    } catch (e) {
+      errors.push(toSourceError(path, file.source, e));
+    }
+  }
+
+  // 2. 反覆排除無法編譯的檔案，直到剩餘的檔案全部可以解析
+  while (candidates.length > 0) {
+    candidates = excludeUnresolvedImports(candidates, errors);
+    const names = assignFileNames(candidates);
+    const result = buildRoot(candidates, names);
+
+    if (result.errors.length === 0) {
+      const protos = candidates.map(file => toFileDescriptor(file, names, result));
+      return {
+        descriptorSet: toBinary(FileDescriptorSetSchema, create(FileDescriptorSetSchema, { file: protos })),
+        errors,
+      };
+    }
+
+    errors.push(...result.errors);
+    const failed = new Set(result.errors.map(error => error.name));
+    candidates = candidates.filter(file => !failed.has(file.path));
+  }
+
+  return { descriptorSet: null, errors };
+}
+
+/**
+ * protobufjs 以模組層級的 parse.filename 標記目前解析的檔案，解析後的物件會帶有對應的 filename
+ */
+function parseSource(path, source, root) {
+  const parse: any = protobuf.parse;
+  parse.filename = path;
+  try {
+    return parse(source, root, { keepCase: true });
+  } finally {
+    parse.filename = null;
+  }
+}
+
+/**
+ * 檔案層級的 option 設定在 package 對應的 namespace 上；共用 Root 時同 package 的檔案會互相覆蓋，
+ * 因此在逐檔解析時取出
+ */
+function fileOptions(parsed) {
+  const namespace = parsed.package ? parsed.root.lookup(parsed.package) : null;
+  return { ...parsed.root.options, ...namespace?.options };
+}
+
+function detectSyntax(source) {
+  const match = source.match(/^\s*(syntax|edition)\s*=\s*["']([^"']+)["']/m);
+  if (match?.[1] === 'edition') {
+    return { syntax: 'editions', edition: match[2] === '2024' ? Edition.EDITION_2024 : Edition.EDITION_2023 };
+  }
+  return { syntax: match?.[2] === 'proto3' ? 'proto3' : 'proto2' };
+}
+
+function normalizePath(path) {
+  return String(path).replace(/\\/g, '/').replace(/^(\.\/|\/)+/, '');
+}
+
+/**
+ * 尋找 import 對應的上傳檔案：先完全比對，再以路徑後綴比對 (上傳資料夾時通常多了一層目錄)
+ */
+function findImportedFile(candidates, importPath) {
+  return candidates.find(file => file.path === importPath) ||
+    candidates.find(file => file.path.endsWith(`/${importPath}`)) ||
+    null;
+}
+
+function isBundledImport(importPath) {
+  return importPath === DESCRIPTOR_PROTO || Boolean(bundledDefinitions[importPath]);
+}
+
+/**
+ * 排除 import 無法解析的檔案；被排除的檔案會連帶使匯入它的檔案失敗
+ */
+function excludeUnresolvedImports(candidates, errors) {
+  let remaining = candidates;
+  let changed = true;
+
+  while (changed) {
+    changed = false;
+    const next = [];
+    for (const file of remaining) {
+      const missing = file.imports.find(importPath => {
+        return !findImportedFile(remaining, importPath) && !isBundledImport(importPath);
+      });
+      if (!missing) {
+        next.push(file);
+        continue;
+      }
+
+      const excluded = findImportedFile(candidates, missing);
+      errors.push({
+        name: file.path,
+        line: findLine(file.source, new RegExp(`import\\s+(?:public\\s+|weak\\s+)?["']${escapeRegExp(missing)}["']`)),
+        message: excluded ? `匯入的檔案編譯失敗: ${missing}` : `找不到匯入的檔案: ${missing}`,
+      });
+      changed = true;
+    }
+    remaining = next;
+  }
+
+  return remaining;
+}
+
+/**
+ * 決定每個檔案在描述符中的名稱
+ * 被其他檔案匯入時沿用 import 路徑，使 dependency 名稱能互相對應；否則使用上傳時的相對路徑。
+ */
+function assignFileNames(candidates) {
+  const names = new Map(candidates.map(file => [file.path, file.path]));
+  for (const file of candidates) {
+    for (const importPath of file.imports) {
+      const imported = findImportedFile(candidates, importPath);
+      if (imported) names.set(imported.path, importPath);
+    }
+  }
+  return names;
+}
+
+/**
+ * 將所有檔案解析到共用的 Root，並解析每個欄位與方法的型別參照
+ */
+function buildRoot(candidates, names) {
+  const root = new protobuf.Root();
+  const resolved = new Map();
+  // extension 欄位 -> 被擴充的訊息
+  const extendees = new Map();
+  const errors = [];
+  const sourcesByName = new Map();
+
+  for (const file of candidates) {
+    const name = names.get(file.path);
+    sourcesByName.set(name, file);
+    try {
+      parseSource(name, file.source, root);
+    } catch (e) {
+      errors.push(toSourceError(file.path, file.source, e));
+    }
+  }
+  if (errors.length > 0) return { root, resolved, extendees, errors };
+
+  const uploadedNames = new Set(names.values());
+  const importPaths: Set<string> = new Set(candidates.flatMap(file => file.imports));
+  for (const importPath of importPaths) {
+    if (uploadedNames.has(importPath) || !bundledDefinitions[importPath]) continue;
+    root.addJSON(bundledDefinitions[importPath].nested);
+    tagFilename(root, importPath);
+  }
+
+  const reportUnresolved = (obj, typeName, pattern) => {
+    const file = sourcesByName.get(obj.filename);
+    if (!file) return;
+    errors.push({
+      name: file.path,
+      line: findLine(file.source, pattern),
+      message: `找不到型別: ${typeName}`,
+    });
+  };
+
+  const resolveField = (field, scope) => {
+    if (SCALAR_TYPES[field.type] !== undefined) return;
+    const target = lookup(scope, field.type, true);
+    if (target) resolved.set(field, target);
+    else reportUnresolved(field, field.type, new RegExp(`\\b${escapeRegExp(field.name)}\\s*=\\s*${field.id}\\b`));
+  };
+
+  walkTypes(root, (obj) => {
+    if (obj instanceof Type) {
+      // protobufjs 將 extension 複製一份加到被擴充的訊息 (declaringField 指向宣告處)，只解析宣告處
+      for (const field of obj.fieldsArray) {
+        if (!field.declaringField) resolveField(field, obj);
+      }
+    } else if (isExtension(obj)) {
+      // extension 的型別與被擴充的訊息都相對於宣告所在的 scope 解析
+      const extendee = lookup(obj.parent, obj.extend, false);
+      // 自訂 option 擴充的 descriptor.proto 沒有型別定義 (見 DESCRIPTOR_PROTO)，與 option 一樣略過
+      if (!extendee && /^\.?google\.protobuf\./.test(obj.extend)) return;
+      if (extendee) extendees.set(obj, extendee);
+      else reportUnresolved(obj, obj.extend, new RegExp(`\\bextend\\s+${escapeRegExp(obj.extend)}\\b`));
+      resolveField(obj, obj.parent);
+    } else if (obj instanceof Service) {
+      for (const method of obj.methodsArray) {
+        const input = lookup(obj, method.requestType, false);
+        const output = lookup(obj, method.responseType, false);
+        if (input && output) {
+          resolved.set(method, [input, output]);
+          continue;
+        }
+        reportUnresolved(
+          method,
+          input ? method.responseType : method.requestType,
+          new RegExp(`\\brpc\\s+${escapeRegExp(method.name)}\\b`),
+        );
+      }
+    }
+  });
+
+  return { root, resolved, extendees, errors };
+}
+
+function lookup(parent, typeName, allowEnum) {
+  try {
+    return allowEnum ? parent.lookupTypeOrEnum(typeName) : parent.lookupType(typeName);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * 走訪 Root 下的所有 Type、Enum、Service 與 extension 宣告 (包含巢狀型別)
+ */
+function walkTypes(namespace, visit) {
+  for (const obj of namespace.nestedArray) {
+    if (obj instanceof Type || obj instanceof Enum || obj instanceof Service || isExtension(obj)) visit(obj);
+    if (obj.nestedArray) walkTypes(obj, visit);
+  }
+}
+
+/**
+ * `extend M { ... }` 宣告的欄位以 Field 的形式放在宣告所在的 namespace 或 message 中
+ */
+function isExtension(obj) {
+  return obj instanceof Field && obj.extend !== undefined;
+}
+
+function tagFilename(root, filename) {
+  walkTypes(root, (obj) => {
+    if (!obj.filename) obj.filename = filename;
+  });
+}
+
+// ============================================================================
+// 轉換為 FileDescriptorProto (Descriptor Conversion)
+// ============================================================================
+
+function toFileDescriptor(file, names, { root, resolved, extendees }) {
+  const name = names.get(file.path);
+  const messageType = [];
+  const enumType = [];
+  const service = [];
+  const extension = [];
+
+  collectTopLevel(root, name, (obj) => {
+    if (obj instanceof Type) messageType.push(toMessageDescriptor(obj, resolved, extendees));
+    else if (obj instanceof Enum) enumType.push(toEnumDescriptor(obj));
+    else if (obj instanceof Service) service.push(toServiceDescriptor(obj, resolved));
+    else if (extendees.has(obj)) extension.push(toExtensionDescriptor(obj, resolved, extendees));
+  });
+
+  // 依賴 = 宣告的 import + 實際參照到型別的檔案 (涵蓋 import public 轉傳的情況)
+  const dependency = new Set<string>(file.imports.map(importPath => {
+    const imported = [...names.entries()].find(([path]) => path === importPath || path.endsWith(`/${importPath}`));
+    return imported ? imported[1] : importPath;
+  }));
+  for (const [owner, target] of [...resolved, ...extendees]) {
+    if (owner.filename !== name) continue;
+    for (const referenced of [].concat(target)) {
+      if (referenced.filename && referenced.filename !== name) dependency.add(referenced.filename);
+    }
+  }
+
+  return create(FileDescriptorProtoSchema, {
+    name,
+    package: file.package,
+    dependency: [...dependency],
+    messageType,
+    enumType,
+    service,
+    extension,
+    syntax: file.syntax,
+    ...(file.edition ? { edition: file.edition } : {}),
+    ...toOptions(FileOptionsSchema, file.options),
+  });
+}
+
+/**
+ * 取出屬於特定檔案的頂層定義與 extension (不深入 message，巢狀型別由 message 自行轉換)
+ */
+function collectTopLevel(namespace, filename, visit) {
+  for (const obj of namespace.nestedArray) {
+    if (obj instanceof Type || obj instanceof Enum || obj instanceof Service || isExtension(obj)) {
+      if (obj.filename === filename) visit(obj);
+    } else if (obj.nestedArray) {
+      collectTopLevel(obj, filename, visit);
+    }
+  }
+}
+
+function toMessageDescriptor(type, resolved, extendees) {
+  // proto3 optional 產生的合成 oneof 必須排在一般 oneof 之後
+  const isSynthetic = (oneof) => oneof.fieldsArray.length === 1 && oneof.fieldsArray[0].options?.proto3_optional;
+  const oneofs = [
+    ...type.oneofsArray.filter(oneof => !isSynthetic(oneof)),
+    ...type.oneofsArray.filter(isSynthetic),
+  ];
+
+  const nestedType = [];
+  const field = [];
+  for (const f of type.fieldsArray) {
+    // 其他地方宣告的 extension 不屬於此訊息的欄位
+    if (f.declaringField) continue;
+    if (f instanceof MapField) {
+      const entry = toMapEntryDescriptor(f, resolved);
+      nestedType.push(entry);
+      field.push({
+        ...baseField(f),
+        label: FieldDescriptorProto_Label.REPEATED,
+        type: FieldDescriptorProto_Type.MESSAGE,
+        typeName: `${type.fullName}.${entry.name}`,
+      });
+      continue;
+    }
+
+    const oneofIndex = f.partOf ? oneofs.indexOf(f.partOf) : -1;
+    field.push({
+      ...toFieldDescriptor(f, resolved),
+      ...(oneofIndex !== -1 ? { oneofIndex } : {}),
+    });
+  }
+
+  for (const nested of type.nestedArray) {
+    if (nested instanceof Type) nestedType.push(toMessageDescriptor(nested, resolved, extendees));
+  }
+
+  return {
+    name: type.name,
+    field,
+    nestedType,
+    enumType: type.nestedArray.filter(nested => nested instanceof Enum).map(toEnumDescriptor),
+    oneofDecl: oneofs.map(oneof => ({ name: oneof.name })),
+    extension: type.nestedArray.filter(nested => extendees.has(nested)).map(nested => toExtensionDescriptor(nested, resolved, extendees)),
+    // protobufjs 的 extension 與保留範圍包含 end，DescriptorProto 的 ExtensionRange / ReservedRange 的 end 不包含
+    extensionRange: (type.extensions ?? []).map(([start, end]) => ({ start, end: end + 1 })),
+    ...toReserved(type.reserved, 1),
+    ...toOptions(MessageOptionsSchema, type.options),
+  };
+}
+
+function toFieldDescriptor(f, resolved) {
+  return {
+    ...baseField(f),
+    ...fieldType(f.type, resolved.get(f)),
+    // field.required 依賴 resolveAll 產生的 features，這裡直接讀取語法上的 rule
+    label: f.rule === 'repeated'
+      ? FieldDescriptorProto_Label.REPEATED
+      : f.rule === 'required' ? FieldDescriptorProto_Label.REQUIRED : FieldDescriptorProto_Label.OPTIONAL,
+    ...(f.options?.proto3_optional ? { proto3Optional: true } : {}),
+    ...(f.options?.default !== undefined && f.type !== 'bytes' ? { defaultValue: String(f.options.default) } : {}),
+  };
+}
+
+/**
+ * extension 宣告在描述符中是帶有 extendee 的欄位，放在宣告所在的檔案或 message
+ */
+function toExtensionDescriptor(f, resolved, extendees) {
+  return { ...toFieldDescriptor(f, resolved), extendee: extendees.get(f).fullName };
+}
+
+/**
+ * map<K, V> 在描述符中是 repeated 的合成訊息 XxxEntry { K key = 1; V value = 2; }
+ */
+function toMapEntryDescriptor(field, resolved) {
+  const entryName = field.name.split('_').map(part => part.charAt(0).toUpperCase() + part.slice(1)).join('') + 'Entry';
+  return {
+    name: entryName,
+    field: [
+      {
+        name: 'key',
+        number: 1,
+        jsonName: 'key',
+        label: FieldDescriptorProto_Label.OPTIONAL,
+        type: SCALAR_TYPES[field.keyType],
+      },
+      {
+        name: 'value',
+        number: 2,
+        jsonName: 'value',
+        label: FieldDescriptorProto_Label.OPTIONAL,
+        ...fieldType(field.type, resolved.get(field)),
+      },
+    ],
+    options: { mapEntry: true },
+  };
+}
+
+function baseField(field) {
+  return {
+    name: field.name,
+    number: field.id,
+    jsonName: field.options?.json_name ?? protoCamelCase(field.name),
+    ...toOptions(FieldOptionsSchema, field.options),
+  };
+}
+
+function fieldType(typeName, target) {
+  if (SCALAR_TYPES[typeName] !== undefined) return { type: SCALAR_TYPES[typeName] };
+  if (target instanceof Enum) return { type: FieldDescriptorProto_Type.ENUM, typeName: target.fullName };
+  return {
+    type: target.group ? FieldDescriptorProto_Type.GROUP : FieldDescriptorProto_Type.MESSAGE,
+    typeName: target.fullName,
+  };
+}
+
+function toEnumDescriptor(enumType) {
+  return {
+    name: enumType.name,
+    value: Object.entries(enumType.values).map(([name, number]) => ({
+      name,
+      number,
+      ...toOptions(EnumValueOptionsSchema, enumType.valuesOptions?.[name]),
+    })),
+    // EnumReservedRange 的 end 與 protobufjs 相同，皆包含
+    ...toReserved(enumType.reserved, 0),
+    ...toOptions(EnumOptionsSchema, enumType.options),
+  };
+}
+
+function toServiceDescriptor(service, resolved) {
+  return {
+    name: service.name,
+    method: service.methodsArray.map(method => ({
+      name: method.name,
+      inputType: resolved.get(method)[0].fullName,
+      outputType: resolved.get(method)[1].fullName,
+      clientStreaming: Boolean(method.requestStream),
+      serverStreaming: Boolean(method.responseStream),
+      ...toOptions(MethodOptionsSchema, method.options),
+    })),
+    ...toOptions(ServiceOptionsSchema, service.options),
+  };
+}
+
+/**
+ * protobufjs 的 reserved 混合範圍 [start, end] 與名稱
+ */
+function toReserved(reserved, endOffset) {
+  if (!reserved?.length) return {};
+  return {
+    reservedRange: reserved.filter(Array.isArray).map(([start, end]) => ({ start, end: end + endOffset })),
+    reservedName: reserved.filter(item => typeof item === 'string'),
+  };
+}
+
+/**
+ * 將 protobufjs 以 proto 名稱記錄的 option 轉為 *Options 訊息；只保留內建的純量與 enum option，
+ * json_name、default 等語法上的設定不屬於 *Options，自訂 option 則沒有 extension 定義可編碼
+ */
+function toOptions(schema, options) {
+  const init = {};
+  for (const [name, value] of Object.entries(options ?? {})) {
+    const field = schema.fields.find(item => item.name === name);
+    if (!field || value === undefined || value === null) continue;
+    if (field.fieldKind === 'enum') {
+      const number = typeof value === 'number' ? value : field.enum.values.find(item => item.name === value)?.number;
+      if (number !== undefined) init[field.localName] = number;
+    } else if (field.fieldKind === 'scalar') {
+      init[field.localName] = toScalarOption(field.scalar, value);
+    }
+  }
+  return Object.keys(init).length > 0 ? { options: init } : {};
+}
+
+function toScalarOption(scalar, value) {
+  switch (scalar) {
+    case ScalarType.BOOL:
+      return value === true || value === 'true';
+    case ScalarType.STRING:
+      return String(value);
+    case ScalarType.INT64:
+    case ScalarType.UINT64:
+      return BigInt(value);
+    default:
+      return Number(value);
+  }
+}
+
+// ============================================================================
+// 錯誤回報 (Error Reporting)
+// ============================================================================
+
+/**
+ * 將 protobufjs 的錯誤轉為 { name, line, message }
+ * 語法錯誤的訊息格式為 "illegal token 'x' (file, line N)"；其他錯誤則嘗試在原始碼中定位。
+ */
+function toSourceError(path, source, error) {
+  const message = String(error?.message ?? error);
+  const lineMatch = message.match(/line (\d+)\)$/);
+  if (lineMatch) {
+    return { name: path, line: Number(lineMatch[1]), message: message.replace(/\s*\([^()]*line \d+\)$/, '') };
+  }
+
+  const duplicate = message.match(/duplicate name '([^']+)'/);
+  const line = duplicate
+    ? findLine(source, new RegExp(`\\b(?:message|enum|service)\\s+${escapeRegExp(duplicate[1])}\\b`))
+    : null;
+  return { name: path, line, message };
+}
+
+function findLine(source, pattern) {
+  const index = source.split('\n').findIndex(line => pattern.test(line));
+  return index === -1 ? null : index + 1;
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
@@ -5,28 +5,93 @@
  * 1. 儲存與組合從 Reflection API 取得的 Protobuf 描述符 (FileRegistry)。
  * 2. 建立方法路徑 (/package.Service/Method) 與具體類型定義之間的對應。
  * 3. 動態地將二進位 Protobuf 資料轉換為易懂的 JavaScript JSON 物件，並處理各類特殊情況。
+ *
+ * Schema 依「來源 + Origin」分成獨立的命名空間，不同站點反射到同一 package 的不同版本時互不覆蓋。
+ * 查詢順序見 {@link SCHEMA_LOOKUP_ORDER}。
  */
 
 import { 
   createFileRegistry, 
   fromBinary,
   toBinary,
-  create
+  create,
+  getExtension,
+  isFieldSet,
+  ScalarType
 } from '@bufbuild/protobuf';
+import { scalarZeroValue } from '@bufbuild/protobuf/reflect';
 import { 
   FileDescriptorSetSchema 
 } from '@bufbuild/protobuf/wkt';
 import { createLogger } from './logger';
+import { decodeWireFormat } from './wire-format-decoder';
+import { googleRpcRegistry } from './google-rpc-schema';
+import { ANY_TYPE_NAME, unpackAny } from './any-unpack';
+import { UNKNOWN_FIELDS_KEY, previewUnknownFields } from './schema-drift';
+import { UNSET_FIELDS_KEY, formatBytes, formatEnum, formatInt64, type ValueRendering } from './value-rendering';
 
 const logger = createLogger('ProtoEngine');
 
+const INT64_SCALARS = new Set([
+  ScalarType.INT64,
+  ScalarType.UINT64,
+  ScalarType.SINT64,
+  ScalarType.FIXED64,
+  ScalarType.SFIXED64,
+]);
+
+/**
+ * Schema 的來源，依查詢優先順序排列：
+ * 使用者匯入的檔案 (不分 Origin) > 同 Origin 的 Reflection > 同 Origin 的 runtime 擷取 > 未指定來源的全域定義。
+ * 查詢時帶有 Origin 則不會退回其他 Origin 的命名空間，避免以別的站點的版本解碼；
+ * 未帶 Origin (例如 HAR 中的相對路徑) 時才依註冊先後由新到舊搜尋所有命名空間。
+ */
+export const SCHEMA_LOOKUP_ORDER = ['local', 'reflection', 'runtime', 'global'];
+
+/**
+ * @typedef {object} SchemaVersion
+ * @property {'local' | 'reflection' | 'runtime' | 'global'} source
+ * @property {string} origin 命名空間所屬的 Origin；local 與 global 為空字串
+ * @property {number} version 每次註冊遞增的版本號，同一命名空間重新註冊時會換成新版本
+ * @property {string} registeredAt
+ */
+
+/**
+ * @typedef {object} SchemaScope
+ * @property {string} [origin] 請求的 Origin，用於選擇命名空間
+ */
+
+let nextSchemaVersion = 1;
+
+function createNamespace(source, origin = '') {
+  return {
+    registry: null,
+    serviceMap: new Map(),
+    schemas: new Map(),
+    schema: { source, origin, version: 0, registeredAt: '' },
+  };
+}
+
+function bumpVersion(namespace) {
+  namespace.schema = { ...namespace.schema, version: nextSchemaVersion++, registeredAt: new Date().toISOString() };
+}
+
 /**
  * ProtoEngine 類別：管理全域 Protobuf Schema 定義與訊息轉換邏輯
  */
 class ProtoEngine {
+  // 未指定來源與 Origin 的定義 (向後相容)
   registry = null;
   serviceMap = new Map();
   schemas = new Map();
+  // 使用者匯入的本地定義，查詢時優先於 Reflection 與 runtime metadata
+  localRegistry = null;
+  localServiceMap = new Map();
+  // `${source} ${origin}` -> 依來源與 Origin 分開的命名空間；Map 的插入順序即註冊順序
+  namespaces = new Map();
+
+  globalSchema = { source: 'global', origin: '', version: 0, registeredAt: '' };
+  localSchema = { source: 'local', origin: '', version: 0, registeredAt: '' };
 
   constructor() {
   }
@@ -36,25 +101,28 @@ class ProtoEngine {
    * FileDescriptorSet 是一組編譯後的 .proto 檔案定義，Reflection API 會回傳此格式。
    * 
    * @param {Uint8Array} fileDescriptorSetBytes FileDescriptorSet 的原始二進位字節
+   * @param {{source: string, origin: string}} [scope] 註冊到的命名空間；省略時寫入全域定義
    */
-  registerFromBytes(fileDescriptorSetBytes) {
+  registerFromBytes(fileDescriptorSetBytes, scope = null) {
     try {
       // 1. 使用官方 Schema 定義解析接收到的二進位資料
       const fileDescriptorSet = fromBinary(FileDescriptorSetSchema, fileDescriptorSetBytes);
       
       // 2. 建立官方註冊表物件。此物件允許我們透過名稱動態查詢定義。
-      this.registry = createFileRegistry(fileDescriptorSet);
+      const registry = createFileRegistry(fileDescriptorSet);
+      const namespace = this._targetNamespace(scope);
+      namespace.registry = registry;
       
       // 3. 掃描所有載入的定義，建立內部的索引以便快速查核
-      for (const desc of this.registry) {
+      for (const desc of registry) {
         if (desc.kind === 'message') {
           // 儲存訊息類型定義
-          this.schemas.set(desc.typeName, desc);
+          namespace.schemas.set(desc.typeName, desc);
         } else if (desc.kind === 'service') {
           // 遍歷服務中的所有方法，建立路徑索引 (為了匹配 Network 請求中的 URL)
           for (const method of desc.methods) {
             const path = `/${desc.typeName}/${method.name}`;
-            this.serviceMap.set(path, {
+            namespace.serviceMap.set(path, {
               serviceName: desc.typeName,
               methodName: method.name,
               requestType: method.input.typeName,
@@ -63,8 +131,9 @@ class ProtoEngine {
           }
         }
       }
+      this._commitNamespace(namespace, scope);
       
-      logger.info(`成功註冊：${this.schemas.size} 個訊息，${this.serviceMap.size} 個方法`);
+      logger.info(`成功註冊：${namespace.schemas.size} 個訊息，${namespace.serviceMap.size} 個方法`);
     } catch (e) {
       logger.error('Schema 註冊失敗:', e);
     }
@@ -73,38 +142,134 @@ class ProtoEngine {
   /**
    * 註冊 Schema (向後兼容模式)
    * 用於銜接舊版實現或外部匯入的結構定義物件。
+   * 指定 scope 時整批取代該來源與 Origin 的既有定義，其他 Origin 的版本不受影響。
+   *
    * @param {object} data 包含 services 與 messages 的結構化物件
+   * @param {{source: string, origin: string}} [scope] 註冊到的命名空間；省略時合併到全域定義
    */
-  registerSchema(data) {
+  registerSchema(data, scope = null) {
+    const namespace = this._targetNamespace(scope);
+
     // 關鍵：如果有 registry 則直接儲存，這是從 Reflection 來的官方註冊表
     if (data.registry) {
-      this.registry = data.registry;
+      namespace.registry = data.registry;
     }
 
     // 處理訊息定義
     if (data.messages) {
       for (const [fullName, def] of Object.entries(data.messages)) {
         const key = fullName.replace(/^\.+/, '');
-        this.schemas.set(key, def);
+        namespace.schemas.set(key, def);
       }
     }
     // 處理服務與方法定義
     if (data.services) {
-      for (const service of data.services) {
-        for (const method of service.methods) {
-          const serviceName = service.fullName.replace(/^\.+/, '');
-          const path = `/${serviceName}/${method.name}`;
-          
-          this.serviceMap.set(path, {
-            serviceName: serviceName,
-            methodName: method.name,
-            requestType: method.requestType.replace(/^\.+/, ''),
-            responseType: method.responseType.replace(/^\.+/, ''),
-          });
-        }
+      this._indexServices(data.services, namespace.serviceMap);
+    }
+    this._commitNamespace(namespace, scope);
+    logger.debug(`Schema 註冊完成 (${namespace.schema.source} ${namespace.schema.origin})，共計 ${namespace.schemas.size} 訊息，${namespace.serviceMap.size} 方法，Registry: ${!!namespace.registry}`);
+  }
+
+  /**
+   * 註冊本地匯入的 Schema
+   * 每次呼叫會整批取代先前的本地定義，讓使用者移除已匯入的檔案時能同步失效。
+   * @param {object | null} data 包含 services 與 registry 的結構化物件，傳入 null 代表清除
+   */
+  registerLocalSchema(data) {
+    this.localRegistry = data?.registry ?? null;
+    this.localServiceMap = new Map();
+    if (data?.services) {
+      this._indexServices(data.services, this.localServiceMap);
+    }
+    this.localSchema = { ...this.localSchema, version: nextSchemaVersion++, registeredAt: new Date().toISOString() };
+    this._tagMethods(this.localServiceMap, this.localSchema);
+    logger.debug(`本地 Schema 註冊完成，共計 ${this.localServiceMap.size} 方法`);
+  }
+
+  /**
+   * 清除 Reflection、runtime 擷取與全域定義，保留使用者匯入的本地定義
+   */
+  clearRemoteSchemas() {
+    this.registry = null;
+    this.serviceMap.clear();
+    this.schemas.clear();
+    this.namespaces.clear();
+  }
+
+  /**
+   * 依來源與 Origin 列出已註冊的命名空間
+   * @returns {SchemaVersion[]}
+   */
+  listNamespaces() {
+    return [...this.namespaces.values()].map(namespace => namespace.schema);
+  }
+
+  /**
+   * 取得 scope 對應的命名空間；指定 scope 時建立全新的命名空間以取代舊版本
+   */
+  _targetNamespace(scope) {
+    if (!scope?.source) return this._globalNamespace();
+    return createNamespace(scope.source, scope.origin ?? '');
+  }
+
+  _commitNamespace(namespace, scope) {
+    if (!scope?.source) {
+      // 全域定義沿用既有欄位，並保持逐次合併的行為
+      this.registry = namespace.registry;
+      this.globalSchema = { ...this.globalSchema, version: nextSchemaVersion++, registeredAt: new Date().toISOString() };
+      this._tagMethods(this.serviceMap, this.globalSchema);
+      return;
+    }
+    bumpVersion(namespace);
+    this._tagMethods(namespace.serviceMap, namespace.schema);
+    const key = `${scope.source} ${scope.origin ?? ''}`;
+    // 重新插入讓最新註冊的命名空間排在最後
+    this.namespaces.delete(key);
+    this.namespaces.set(key, namespace);
+  }
+
+  _globalNamespace() {
+    return { registry: this.registry, serviceMap: this.serviceMap, schemas: this.schemas, schema: this.globalSchema };
+  }
+
+  _tagMethods(serviceMap, schema) {
+    for (const info of serviceMap.values()) info.schema = schema;
+  }
+
+  /**
+   * 依 {@link SCHEMA_LOOKUP_ORDER} 排列此次查詢可使用的命名空間
+   *
+   * @param {SchemaScope} [scope]
+   */
+  _lookupNamespaces(scope: { origin?: string } = {}) {
+    const local = { registry: this.localRegistry, serviceMap: this.localServiceMap, schemas: new Map(), schema: this.localSchema };
+    const origin = scope?.origin || '';
+    if (origin) {
+      const scoped = ['reflection', 'runtime']
+        .map(source => this.namespaces.get(`${source} ${origin}`))
+        .filter(Boolean);
+      return [local, ...scoped, this._globalNamespace()];
+    }
+    return [local, ...[...this.namespaces.values()].reverse(), this._globalNamespace()];
+  }
+
+  /**
+   * 將 legacy 格式的服務定義展開為「方法路徑 -> 型別」索引
+   */
+  _indexServices(services, targetMap) {
+    for (const service of services) {
+      for (const method of service.methods) {
+        const serviceName = service.fullName.replace(/^\.+/, '');
+        const path = `/${serviceName}/${method.name}`;
+        
+        targetMap.set(path, {
+          serviceName: serviceName,
+          methodName: method.name,
+          requestType: method.requestType.replace(/^\.+/, ''),
+          responseType: method.responseType.replace(/^\.+/, ''),
+        });
       }
     }
-    logger.debug(`Schema 註冊完成，共計 ${this.schemas.size} 訊息，${this.serviceMap.size} 方法，Registry: ${!!this.registry}`);
   }
 
   /**
@@ -112,19 +277,29 @@ class ProtoEngine {
    * 支援「完全精確匹配」與「自動後綴匹配」(處理忽略包名等情況)。
    * 
    * @param {string} path 請求路徑，例如 "/myapp.Greeter/SayHello"
-   * @returns {object | null} 包含方法定義的資訊物件
+   * @param {SchemaScope} [scope] 請求的 Origin
+   * @returns {object | null} 包含方法定義的資訊物件，`schema` 為提供此定義的 {@link SchemaVersion}
    */
-  findMethod(path) {
+  findMethod(path, scope = {}) {
     if (!path) return null;
 
+    // 每個命名空間先精確再寬鬆比對，優先順序較高的命名空間才不會被寬鬆比對蓋過
+    for (const namespace of this._lookupNamespaces(scope)) {
+      const info = this._matchMethod(namespace.serviceMap, path);
+      if (info) return info;
+    }
+    return null;
+  }
+
+  _matchMethod(serviceMap, path) {
     // 1. 完全匹配
-    if (this.serviceMap.has(path)) {
-      return this.serviceMap.get(path);
+    if (serviceMap.has(path)) {
+      return serviceMap.get(path);
     }
 
     // 2. 寬鬆匹配：當開發者使用了簡寫或是代理軟體截斷了完整包名時極其受用
     const pathLower = path.toLowerCase();
-    for (const [registeredPath, info] of this.serviceMap) {
+    for (const [registeredPath, info] of serviceMap) {
       if (registeredPath.toLowerCase().endsWith(pathLower)) {
         return info;
       }
@@ -138,45 +313,90 @@ class ProtoEngine {
    * 這是解碼二進位數據的前提。
    * 
    * @param {string} typeName 完整的類型名稱 (例如 "google.protobuf.Any")
+   * @param {SchemaScope} [scope] 請求的 Origin
    * @returns {object | null} 返回 legacy 格式的物件（包含 fields 陣列）
    */
-  findMessage(typeName) {
-    if (!typeName) return null;
-    
-    // 移除開頭的點（這是 Protobuf 名稱系統的標準化步驟）
-    const cleanName = typeName.replace(/^\.+/, '');
-    
-    let desc = null;
-    
-    // 優先從官方 Registry 中獲取，這是最準確的來源
-    if (this.registry) {
-      desc = this.registry.getMessage(cleanName);
-    }
+  findMessage(typeName, scope = {}) {
+    const desc = this._lookupMessage(typeName, scope)?.desc;
+    if (!desc) return null;
     
-    // 備援方案：從緩存的 schemas Map 中尋找
-    if (!desc && this.schemas.has(cleanName)) {
-      desc = this.schemas.get(cleanName);
+    // 如果是 @bufbuild/protobuf 的 DescMessage，轉換為 legacy 格式
+    if (desc.kind === 'message' && Array.isArray(desc.fields)) {
+      return this._toLegacyFormat(desc);
     }
     
-    // 後綴匹配備援（處理部分導入類型的命名差異）
-    if (!desc) {
-      for (const [key, msg] of this.schemas) {
-        if (key.endsWith(`.${cleanName}`) || key === cleanName) {
-          desc = msg;
-          break;
+    // 已經是 legacy 格式或其他格式，直接返回
+    return desc;
+  }
+
+  /**
+   * 回報此型別會由哪個命名空間的哪個版本解碼
+   *
+   * @param {string} typeName
+   * @param {SchemaScope} [scope]
+   * @returns {SchemaVersion | null} 找不到或來自內建 google.rpc 定義時回傳 null
+   */
+  findMessageSchema(typeName, scope = {}) {
+    return this._lookupMessage(typeName, scope)?.schema ?? null;
+  }
+
+  /**
+   * 取得定義此型別的官方 Registry，供重建 .proto 原始碼使用
+   * 以 legacy 格式註冊 (沒有 Registry) 或來自內建 google.rpc 定義時回傳 null。
+   *
+   * @param {string} typeName
+   * @param {SchemaScope} [scope]
+   * @returns {import('@bufbuild/protobuf').FileRegistry | null}
+   */
+  findRegistry(typeName, scope = {}) {
+    if (!typeName) return null;
+    const cleanName = typeName.replace(/^\.+/, '');
+    const namespace = this._lookupNamespaces(scope).find(item => item.registry?.getMessage(cleanName));
+    return namespace?.registry ?? null;
+  }
+
+  /**
+   * 列出此 scope 可解碼的所有訊息型別，供手動指定請求與回應型別
+   *
+   * @param {SchemaScope} [scope]
+   * @returns {string[]} 依名稱排序且不重複的完整型別名稱
+   */
+  listMessageTypes(scope = {}) {
+    const typeNames = new Set<string>();
+    for (const namespace of this._lookupNamespaces(scope)) {
+      if (namespace.registry) {
+        for (const desc of namespace.registry) {
+          if (desc.kind === 'message') typeNames.add(desc.typeName);
         }
       }
+      for (const key of namespace.schemas.keys()) typeNames.add(key);
     }
+    return [...typeNames].sort();
+  }
+
+  _lookupMessage(typeName, scope) {
+    if (!typeName) return null;
     
-    if (!desc) return null;
+    // 移除開頭的點（這是 Protobuf 名稱系統的標準化步驟）
+    const cleanName = typeName.replace(/^\.+/, '');
+    const namespaces = this._lookupNamespaces(scope);
     
-    // 如果是 @bufbuild/protobuf 的 DescMessage，轉換為 legacy 格式
-    if (desc.kind === 'message' && Array.isArray(desc.fields)) {
-      return this._toLegacyFormat(desc);
+    // 官方 Registry 是最準確的來源，其次是緩存的 schemas Map
+    for (const namespace of namespaces) {
+      const desc = namespace.registry?.getMessage(cleanName) ?? namespace.schemas.get(cleanName);
+      if (desc) return { desc, schema: namespace.schema };
     }
+    // 內建的 google.rpc 錯誤模型，供 grpc-status-details-bin 解碼使用
+    const builtin = googleRpcRegistry.getMessage(cleanName);
+    if (builtin) return { desc: builtin, schema: null };
     
-    // 已經是 legacy 格式或其他格式，直接返回
-    return desc;
+    // 後綴匹配備援（處理部分導入類型的命名差異）
+    for (const namespace of namespaces) {
+      for (const [key, msg] of namespace.schemas) {
+        if (key.endsWith(`.${cleanName}`)) return { desc: msg, schema: namespace.schema };
+      }
+    }
+    return null;
   }
 
   /**
@@ -264,12 +484,13 @@ class ProtoEngine {
    * 
    * @param {string} typeName 訊息類型名稱
    * @param {object} jsonData JSON 格式的請求資料
+   * @param {SchemaScope} [options]
    * @returns {Uint8Array | null} 編碼後的二進位資料
    */
-  encodeMessage(typeName, jsonData) {
+  encodeMessage(typeName, jsonData, options = {}) {
     if (!typeName || !jsonData) return null;
 
-    const schema = this.findMessage(typeName);
+    const schema = this.findMessage(typeName, options);
     // 優先使用 registry 中的描述符，否則使用 _desc 屬性（從 Reflection 轉換後的 legacy 物件）
     const descMessage = schema?.kind === 'message' ? schema : schema?._desc;
 
@@ -341,14 +562,18 @@ class ProtoEngine {
    * 
    * @param {string | null} typeName 訊息類型名稱
    * @param {Uint8Array} buffer 原始二進位數據
+   * @param {object} [options]
+   * @param {string} [options.origin] 請求的 Origin，用於選擇 Schema 命名空間 (見 {@link SCHEMA_LOOKUP_ORDER})
+   * @param {(typeName: string, bytes: Uint8Array) => object | null} [options.resolveAny] 已載入的 Schema 中找不到 Any 內含型別時的備援解碼器
+   * @param {import('./value-rendering').ValueRendering} [options.rendering] int64、bytes、enum 與未設定欄位的呈現方式
    * @returns {object} 解碼後的 JavaScript 物件。發生錯誤時會回傳帶有 _error 標記的物件。
    */
-  decodeMessage(typeName, buffer) {
+  decodeMessage(typeName, buffer, options = {}) {
     if (!buffer || buffer.length === 0) {
       return {};
     }
 
-    const schema = this.findMessage(typeName);
+    const schema = this.findMessage(typeName, options);
     
     // 確定是否能使用官方 API。官方 v2 庫要求使用 DescMessage 物件。
     const descMessage = schema?._desc || (schema?.kind === 'message' ? schema : null);
@@ -358,7 +583,7 @@ class ProtoEngine {
         // 使用從 registry 獲得的描述符進行解碼
         const message = fromBinary(descMessage, buffer);
         // 將官方的 Message 物件轉換為純 JS 物件（處理 BigInt 等相容性問題）
-        return this._messageToObject(message, descMessage);
+        return this._messageToObject(message, descMessage, options);
       } catch (e) {
         // 錯誤排查：處理 HAR 編碼損壞的問題
         // 許多瀏覽器開發者工具導出的 HAR 檔案會錯誤地將 binary 視為 UTF-8，導致數據損毀
@@ -380,17 +605,66 @@ class ProtoEngine {
       }
     }
     
-    // 無法找到對應 schema 時的處理
+    // 無法找到對應 schema 時的處理：附上 wire format 解讀，讓沒有 Reflection 的端點仍可檢視內容
     if (!typeName) {
-      return { _error: '未提供類型名稱', _rawLength: buffer.length };
+      return { _error: '未提供類型名稱', _decodeReason: 'missing_type', _rawLength: buffer.length, _wire: decodeWireFormat(buffer) };
     }
     return {
       _error: `找不到 Schema 定義: ${typeName}`,
       _decodeReason: 'missing_schema',
       _rawLength: buffer.length,
+      _wire: decodeWireFormat(buffer),
     };
   }
 
+  /**
+   * 解碼 `grpc-status-details-bin` 中的 google.rpc.Status
+   * `details` 內的每個 Any 依 type_url 以已載入的 Schema (含內建的 google.rpc 錯誤型別) 解開；
+   * 找不到定義時保留 wire format 解讀。
+   *
+   * @param {Uint8Array} buffer google.rpc.Status 的二進位資料
+   * @param {object} [options] 與 decodeMessage 相同
+   * @returns {object} 包含 code、message 與已解開 details 的物件；資料損毀時回傳帶有 _error 的物件
+   */
+  decodeRpcStatus(buffer, options = {}) {
+    try {
+      const statusDesc = googleRpcRegistry.getMessage('google.rpc.Status');
+      return this._messageToObject(fromBinary(statusDesc, buffer), statusDesc, options);
+    } catch (e) {
+      return { _error: `無法解碼 google.rpc.Status: ${e.message}` };
+    }
+  }
+
+  /**
+   * 僅在已載入的 Schema 認得此型別時解碼，供 Any 解包與其他解碼器作為備援
+   *
+   * @param {string} typeName 完整的類型名稱
+   * @param {Uint8Array} buffer 原始二進位數據
+   * @param {object} [options] 與 decodeMessage 相同
+   * @returns {object | null} 找不到型別時回傳 null
+   */
+  tryDecodeMessage(typeName, buffer, options = {}) {
+    const schema = this.findMessage(typeName, options);
+    const descMessage = schema?._desc || (schema?.kind === 'message' ? schema : null);
+    if (!descMessage || descMessage.kind !== 'message') return null;
+
+    try {
+      return this._messageToObject(fromBinary(descMessage, buffer), descMessage, options);
+    } catch (e) {
+      return { _error: `解碼失敗: ${e.message}`, _typeName: typeName };
+    }
+  }
+
+  /**
+   * 依 type_url 就地展開 Any：先查已載入的 Schema，再交給呼叫端提供的備援解碼器
+   */
+  _unpackAny(message, options) {
+    return unpackAny(message.typeUrl, message.value, [
+      (typeName, bytes) => this.tryDecodeMessage(typeName, bytes, options),
+      options.resolveAny,
+    ]);
+  }
+
   /**
    * 異常處理：嘗試從損壞的訊息中提取人類可讀的內容
    * 當 Schema 不匹配或編碼錯誤時，儘量讓使用者看到一點有用的東西。
@@ -418,70 +692,148 @@ class ProtoEngine {
    * - 處理重複欄位 (Repeated)。
    * - 處理對應表 (Map)。
    * - 處理大整數 (BigInt) 轉字串，防止 JSON.stringify 崩潰。
+   * - 展開 google.protobuf.Any 內含的訊息。
+   * - 提供 options.rendering 時依設定轉換 int64、bytes、enum 並處理未設定的欄位；
+   *   未提供時 (例如 Playground 模板) 保留原始的 bytes 與 enum 數值。
    * 
    * @param {object} message 解碼後的 Message 物件
    * @param {import('@bufbuild/protobuf').DescMessage} schema 對應的定義描述符
+   * @param {object} [options] 與 decodeMessage 相同
    */
-  _messageToObject(message, schema) {
+  _messageToObject(message, schema, options: { rendering?: ValueRendering } = {}) {
+    if (schema.typeName === ANY_TYPE_NAME) {
+      return this._unpackAny(message, options);
+    }
+
+    const rendering = options.rendering;
     const result = {
       $typeName: schema.typeName, // 元數據：用於 UI 顯示類別標籤
     };
+    const unsetFields = [];
     
     for (const field of schema.fields) {
-      // 透過官方定義的 localName 穩定存取 JS 欄位
-      const value = message[field.localName];
+      // 未設定的 oneof 成員不屬於任何預設值，一律略過
+      if (rendering && !field.oneof && !isFieldSet(message, field)) {
+        if (rendering.presence === 'hide') continue;
+        if (rendering.presence === 'grey') unsetFields.push(field.name);
+        result[field.name] = this._defaultFieldValue(message, field, rendering);
+        continue;
+      }
+
+      // 透過官方定義的 localName 穩定存取 JS 欄位；oneof 成員的值存放在 oneof 物件的 case/value 中
+      const value = field.oneof
+        ? (message[field.oneof.localName]?.case === field.localName ? message[field.oneof.localName].value : undefined)
+        : message[field.localName];
       
       if (value === undefined || value === null) continue;
       
-      switch (field.kind) {
-        case 'message': // 處理巢狀訊息
-          if (field.repeated) {
-            result[field.name] = Array.isArray(value) 
-              ? value.map(v => v ? this._messageToObject(v, field.message) : null)
-              : [];
-          } else if (value) {
-            result[field.name] = this._messageToObject(value, field.message);
-          }
-          break;
-          
-        case 'map': // 處理映射表
-          result[field.name] = {};
-          if (value instanceof Map) {
-            for (const [k, v] of value) {
-              if (field.mapValue.kind === 'message') {
-                result[field.name][k] = this._messageToObject(v, field.mapValue.message);
-              } else {
-                result[field.name][k] = this._convertValue(v);
-              }
-            }
-          }
-          break;
-          
-        case 'enum': // 處理枚舉
-          result[field.name] = this._convertValue(value);
-          break;
-          
-        case 'scalar':
-        default: // 處理普通純量
-          if (field.repeated) {
-            result[field.name] = Array.isArray(value)
-              ? value.map(v => this._convertValue(v))
-              : [];
-          } else {
-            result[field.name] = this._convertValue(value);
-          }
-          break;
-      }
+      result[field.name] = this._fieldToObject(value, field, options);
+    }
+
+    if (unsetFields.length > 0) {
+      result[UNSET_FIELDS_KEY] = unsetFields;
+    }
+
+    // Schema 不認得的欄位 (伺服器較新的版本) 以 wire format 預覽保留
+    const unknownFields = this._readExtensions(message, schema, result, options);
+    if (unknownFields.length > 0) {
+      result[UNKNOWN_FIELDS_KEY] = previewUnknownFields(unknownFields);
     }
     
     return result;
   }
 
+  /**
+   * 轉換單一欄位 (或 extension) 的值
+   */
+  _fieldToObject(value, field, options) {
+    const rendering = options.rendering;
+    switch (field.fieldKind) {
+      case 'message': // 處理巢狀訊息
+        return this._messageToObject(value, field.message, options);
+
+      case 'list': // 處理重複欄位 (Repeated)
+        return Array.isArray(value)
+          ? value.map(v => field.listKind === 'message' ? this._messageToObject(v, field.message, options) : this._convertValue(v, field, rendering))
+          : [];
+
+      case 'map': { // 處理映射表
+        const result = {};
+        for (const [k, v] of Object.entries(value)) {
+          result[k] = field.mapKind === 'message'
+            ? this._messageToObject(v, field.message, options)
+            : this._convertValue(v, field, rendering);
+        }
+        return result;
+      }
+
+      case 'enum': // 處理枚舉
+      case 'scalar':
+      default: // 處理普通純量
+        return this._convertValue(value, field, rendering);
+    }
+  }
+
+  /**
+   * @bufbuild/protobuf 將 extension 保留在 $unknown：以定義此型別的 Registry 取出已註冊的 extension，
+   * 與 cached-proto-decoder 相同以 `[完整名稱]` 為 key 寫入 result
+   *
+   * @returns {{no: number, wireType: number, data: Uint8Array}[]} 仍無法辨識的未知欄位
+   */
+  _readExtensions(message, schema, result, options) {
+    const unknown = message.$unknown ?? [];
+    if (unknown.length === 0) return unknown;
+    const registry = this.findRegistry(schema.typeName, options);
+    const resolved = new Set();
+    for (const { no } of unknown) {
+      const extension = registry?.getExtensionFor(schema, no);
+      if (!extension || resolved.has(no)) continue;
+      try {
+        result[`[${extension.typeName}]`] = this._fieldToObject(getExtension(message, extension), extension, options);
+        resolved.add(no);
+      } catch {
+        // wire type 與宣告不相符時保留為未知欄位
+      }
+    }
+    return unknown.filter(field => !resolved.has(field.no));
+  }
+
+  /**
+   * 未設定欄位的預設值：純量與 enum 取 proto2 宣告的預設值或零值，repeated 與 map 為空，訊息為 null
+   */
+  _defaultFieldValue(message, field, rendering) {
+    switch (field.fieldKind) {
+      case 'list':
+        return [];
+      case 'map':
+        return {};
+      case 'message':
+        return null;
+      case 'enum':
+        return this._convertValue(message[field.localName] ?? field.getDefaultValue() ?? field.enum.values[0]?.number ?? 0, field, rendering);
+      default:
+        return this._convertValue(message[field.localName] ?? field.getDefaultValue() ?? scalarZeroValue(field.scalar, false), field, rendering);
+    }
+  }
+
   /**
    * 數值修正：確保大整數可以傳遞給前端
-   * JavaScript 中的 number 精度限制為 2^53-1。超過此值的 BigInt 必須轉為字串。
+   * 未指定 rendering 時，JavaScript number 精度限制為 2^53-1，超過此值的 BigInt 轉為字串；
+   * 指定時依設定轉換 int64、bytes 與 enum。
+   *
+   * @param {any} value 純量、enum 數值或 bytes
+   * @param {import('@bufbuild/protobuf').DescField} [field] 值所屬的欄位 (repeated 與 map 為元素的型別)
+   * @param {import('./value-rendering').ValueRendering} [rendering]
    */
-  _convertValue(value) {
+  _convertValue(value, field = null, rendering = null) {
+    if (field && rendering) {
+      if (field.enum && typeof value === 'number') {
+        return formatEnum(value, field.enum.values.find(item => item.number === value)?.name, rendering.enums);
+      }
+      if (value instanceof Uint8Array) return formatBytes(value, rendering.bytes);
+      if (INT64_SCALARS.has(field.scalar)) return formatInt64(value, rendering.int64);
+      return value;
+    }
     if (typeof value === 'bigint') {
       if (value <= Number.MAX_SAFE_INTEGER && value >= Number.MIN_SAFE_INTEGER) {
         return Number(value); // 安全範圍內轉回 number
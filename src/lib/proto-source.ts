@@ -0,0 +1,556 @@
+/**
+ * Proto Source - 由已載入的描述符重建 .proto 原始碼
+ *
+ * 沒有原始 .proto 的服務只能從 Reflection、匯入的 Descriptor Set 或 runtime 擷取還原契約。
+ * Registry 來源直接使用每個檔案的 FileDescriptorProto；runtime 擷取的 entry.schema
+ * 先轉換為相同形狀的物件，兩者共用同一個輸出流程。
+ */
+
+import {
+  EnumOptionsSchema,
+  EnumValueOptionsSchema,
+  FieldOptionsSchema,
+  FileOptionsSchema,
+  MessageOptionsSchema,
+  MethodOptionsSchema,
+  OneofOptionsSchema,
+  ServiceOptionsSchema,
+} from '@bufbuild/protobuf/wkt';
+
+/**
+ * @typedef {object} ProtoSourceFile
+ * @property {string} name 檔案路徑，例如 `api/v1/user.proto`
+ * @property {string} source 重建的 .proto 原始碼
+ */
+
+const TYPE_NAMES = {
+  1: 'double', 2: 'float', 3: 'int64', 4: 'uint64', 5: 'int32', 6: 'fixed64', 7: 'fixed32', 8: 'bool',
+  9: 'string', 10: 'group', 11: 'message', 12: 'bytes', 13: 'uint32', 14: 'enum', 15: 'sfixed32',
+  16: 'sfixed64', 17: 'sint32', 18: 'sint64',
+};
+const SCALAR_TYPES = Object.fromEntries(Object.entries(TYPE_NAMES).map(([number, name]) => [name, Number(number)]));
+const LABEL_NAMES = { 1: 'optional', 2: 'required', 3: 'repeated' };
+const EDITION_NAMES = { 998: 'proto2', 999: 'proto3', 1000: '2023', 1001: '2024' };
+const MAX_FIELD_NUMBER = 536870911;
+
+const OPTION_SCHEMAS = new Map([
+  FileOptionsSchema,
+  MessageOptionsSchema,
+  FieldOptionsSchema,
+  OneofOptionsSchema,
+  EnumOptionsSchema,
+  EnumValueOptionsSchema,
+  ServiceOptionsSchema,
+  MethodOptionsSchema,
+].map(schema => [schema.typeName, schema]));
+
+// 不以 option 語法呈現的欄位：map_entry 由 map<K, V> 表示，其餘為編譯器內部資訊
+const HIDDEN_OPTIONS = new Set(['$typeName', '$unknown', 'uninterpretedOption', 'features', 'mapEntry']);
+
+// Well-Known Types 一律 import 官方路徑，不重新產生定義
+const WELL_KNOWN_FILES = {
+  Any: 'any', Api: 'api', Duration: 'duration', Empty: 'empty', FieldMask: 'field_mask',
+  Struct: 'struct', Value: 'struct', ListValue: 'struct', NullValue: 'struct', Timestamp: 'timestamp',
+  DoubleValue: 'wrappers', FloatValue: 'wrappers', Int64Value: 'wrappers', UInt64Value: 'wrappers',
+  Int32Value: 'wrappers', UInt32Value: 'wrappers', BoolValue: 'wrappers', StringValue: 'wrappers', BytesValue: 'wrappers',
+};
+
+/**
+ * 重建 Registry 中所有檔案的原始碼
+ * `google/protobuf/` 下的官方檔案由 protoc 內建提供，不重新產生。
+ *
+ * @param {import('@bufbuild/protobuf').FileRegistry} registry
+ * @returns {ProtoSourceFile[]} 依檔名排序
+ */
+export function generateProtoFiles(registry) {
+  return [...registry.files]
+    .filter(file => !file.name.startsWith('google/protobuf/'))
+    .map(file => ({ name: `${file.name}.proto`, source: renderProtoFile(file.proto) }))
+    .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * 重建 runtime 擷取的 Schema (entry.schema 與 entry.service)
+ * protobuf-ts 不保留檔案資訊，因此依 package 分檔，package 以型別名稱中第一個大寫開頭的片段之前的部分推斷。
+ *
+ * @param {{messages?: object, enums?: object}} schema runtime 擷取的 messages 與 enums
+ * @param {{typeName: string, methods?: object[]} | null} [service]
+ * @returns {ProtoSourceFile[]} 依檔名排序
+ */
+export function generateRuntimeProtoFiles(schema, service = null) {
+  return runtimeSchemaToFileDescriptors(schema, service)
+    .map(file => ({ name: file.name, source: renderProtoFile(file) }))
+    .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * 找出定義指定型別或服務的檔案
+ *
+ * @param {ProtoSourceFile[]} files
+ * @param {string} typeName 完整的型別或服務名稱
+ * @returns {ProtoSourceFile | null}
+ */
+export function findProtoFileDefining(files, typeName) {
+  if (!typeName) return null;
+  const name = typeName.replace(/^\.+/, '').split('.').pop();
+  const pattern = new RegExp(`^\\s*(?:message|service|enum)\\s+${name}\\s*\\{`, 'm');
+  const pkg = packageOf(typeName.replace(/^\.+/, ''));
+  return files.find(file => pattern.test(file.source) && file.source.includes(`package ${pkg};`) === Boolean(pkg))
+    ?? files.find(file => pattern.test(file.source))
+    ?? null;
+}
+
+/**
+ * 將 FileDescriptorProto (或相同形狀的物件) 轉為 .proto 原始碼
+ *
+ * @param {object} file FileDescriptorProto
+ * @returns {string}
+ */
+export function renderProtoFile(file) {
+  const writer = new SourceWriter();
+  const syntax = file.syntax || 'proto2';
+  const context = { pkg: file.package ?? '', syntax };
+
+  if (syntax === 'editions') {
+    writer.line(`edition = "${EDITION_NAMES[file.edition] ?? file.edition}";`);
+  } else {
+    writer.line(`syntax = "${syntax}";`);
+  }
+
+  if (context.pkg) {
+    writer.blank();
+    writer.line(`package ${context.pkg};`);
+  }
+
+  const dependencies = file.dependency ?? [];
+  if (dependencies.length > 0) {
+    writer.blank();
+    dependencies.forEach((dependency, index) => {
+      const modifier = file.publicDependency?.includes(index) ? 'public ' : file.weakDependency?.includes(index) ? 'weak ' : '';
+      writer.line(`import ${modifier}"${dependency}";`);
+    });
+  }
+
+  const fileOptions = formatOptions(file.options);
+  if (fileOptions.length > 0) {
+    writer.blank();
+    for (const option of fileOptions) writer.line(`option ${option};`);
+  }
+
+  for (const enumType of file.enumType ?? []) {
+    writer.blank();
+    renderEnum(writer, enumType);
+  }
+  for (const message of file.messageType ?? []) {
+    writer.blank();
+    renderMessage(writer, message, context);
+  }
+  renderExtensions(writer, file.extension ?? [], [], context);
+  for (const service of file.service ?? []) {
+    writer.blank();
+    renderService(writer, service, context);
+  }
+
+  return writer.toString();
+}
+
+function renderMessage(writer, message, context) {
+  writer.open(`message ${message.name} {`);
+  const nested = message.nestedType ?? [];
+  const body = [];
+
+  for (const option of formatOptions(message.options)) body.push(w => w.line(`option ${option};`));
+
+  const oneofs = message.oneofDecl ?? [];
+  const fields = message.field ?? [];
+  // proto3 optional 產生的合成 oneof 不應出現在原始碼中
+  const realOneofs = new Set(fields
+    .filter(field => isSet(field, 'oneofIndex') && !field.proto3Optional)
+    .map(field => field.oneofIndex));
+  const renderedOneofs = new Set();
+  for (const field of fields) {
+    const oneofIndex = isSet(field, 'oneofIndex') && realOneofs.has(field.oneofIndex) ? field.oneofIndex : undefined;
+    if (oneofIndex === undefined) {
+      body.push(w => renderField(w, field, nested, context, false));
+      continue;
+    }
+    if (renderedOneofs.has(oneofIndex)) continue;
+    renderedOneofs.add(oneofIndex);
+    body.push(w => {
+      w.open(`oneof ${oneofs[oneofIndex].name} {`);
+      for (const option of formatOptions(oneofs[oneofIndex].options)) w.line(`option ${option};`);
+      for (const member of fields.filter(item => isSet(item, 'oneofIndex') && item.oneofIndex === oneofIndex)) {
+        renderField(w, member, nested, context, true);
+      }
+      w.close();
+    });
+  }
+
+  for (const range of message.extensionRange ?? []) {
+    body.push(w => w.line(`extensions ${formatRange(range.start, range.end - 1)};`));
+  }
+  renderReserved(body, message.reservedRange ?? [], message.reservedName ?? [], true);
+
+  // map 與 group 的型別已在欄位中呈現
+  const inlineTypes = new Set(fields
+    .filter(field => field.type === 10 || isMapField(field, nested))
+    .map(field => lastSegment(field.typeName)));
+  for (const enumType of message.enumType ?? []) {
+    body.push(w => { w.blank(); renderEnum(w, enumType); });
+  }
+  for (const child of nested) {
+    if (inlineTypes.has(child.name)) continue;
+    body.push(w => { w.blank(); renderMessage(w, child, context); });
+  }
+
+  body.forEach(render => render(writer));
+  renderExtensions(writer, message.extension ?? [], nested, context);
+  writer.close();
+}
+
+function renderField(writer, field, nested, context, inOneof) {
+  if (field.comment) writer.line(`// ${field.comment}`);
+
+  const mapEntry = isMapField(field, nested) ? nested.find(type => type.name === lastSegment(field.typeName)) : null;
+  const options = formatFieldOptions(field);
+  const suffix = `${field.name} = ${field.number}${options.length > 0 ? ` [${options.join(', ')}]` : ''}`;
+
+  if (mapEntry) {
+    const [key, value] = [1, 2].map(number => mapEntry.field.find(item => item.number === number));
+    writer.line(`map<${fieldType(key, context)}, ${fieldType(value, context)}> ${suffix};`);
+    return;
+  }
+
+  const label = inOneof ? '' : fieldLabel(field, context);
+  if (field.type === 10) {
+    const group = nested.find(type => type.name === lastSegment(field.typeName));
+    writer.open(`${label}group ${lastSegment(field.typeName)} = ${field.number} {`);
+    for (const member of group?.field ?? []) renderField(writer, member, group.nestedType ?? [], context, false);
+    writer.close();
+    return;
+  }
+  writer.line(`${label}${fieldType(field, context)} ${suffix};`);
+}
+
+function fieldLabel(field, context) {
+  if (field.label === 3) return 'repeated ';
+  if (context.syntax === 'proto2') return `${LABEL_NAMES[field.label] ?? 'optional'} `;
+  return field.proto3Optional ? 'optional ' : '';
+}
+
+function fieldType(field, context) {
+  if (field.type === 11 || field.type === 14 || field.type === 10) return relativeName(field.typeName, context.pkg);
+  return TYPE_NAMES[field.type] ?? (field.typeName ? relativeName(field.typeName, context.pkg) : 'bytes');
+}
+
+function formatFieldOptions(field) {
+  const options = [];
+  if (isSet(field, 'defaultValue')) {
+    options.push(`default = ${formatDefault(field)}`);
+  }
+  if (field.jsonName && field.jsonName !== protoCamelCase(field.name)) {
+    options.push(`json_name = ${JSON.stringify(field.jsonName)}`);
+  }
+  return [...options, ...formatOptions(field.options)];
+}
+
+function formatDefault(field) {
+  // defaultValue 為 protoc 的文字表示；字串需加上引號，bytes 已經過 C 跳脫
+  if (field.type === 9) return JSON.stringify(field.defaultValue);
+  if (field.type === 12) return `"${field.defaultValue}"`;
+  return field.defaultValue;
+}
+
+function renderEnum(writer, enumType) {
+  writer.open(`enum ${enumType.name} {`);
+  for (const option of formatOptions(enumType.options)) writer.line(`option ${option};`);
+  for (const value of enumType.value ?? []) {
+    const options = formatOptions(value.options);
+    writer.line(`${value.name} = ${value.number}${options.length > 0 ? ` [${options.join(', ')}]` : ''};`);
+  }
+  const body = [];
+  // EnumReservedRange 的 end 為包含，與 message 的 ReservedRange 不同
+  renderReserved(body, enumType.reservedRange ?? [], enumType.reservedName ?? [], false);
+  body.forEach(render => render(writer));
+  writer.close();
+}
+
+function renderReserved(body, ranges, names, endExclusive) {
+  if (ranges.length > 0) {
+    const text = ranges.map(range => formatRange(range.start, endExclusive ? range.end - 1 : range.end)).join(', ');
+    body.push(w => w.line(`reserved ${text};`));
+  }
+  if (names.length > 0) {
+    body.push(w => w.line(`reserved ${names.map(name => JSON.stringify(name)).join(', ')};`));
+  }
+}
+
+function formatRange(start, end) {
+  if (start === end) return String(start);
+  return `${start} to ${end >= MAX_FIELD_NUMBER ? 'max' : end}`;
+}
+
+function renderExtensions(writer, extensions, nested, context) {
+  const byExtendee = new Map();
+  for (const extension of extensions) {
+    const list = byExtendee.get(extension.extendee) ?? [];
+    list.push(extension);
+    byExtendee.set(extension.extendee, list);
+  }
+  for (const [extendee, fields] of byExtendee) {
+    writer.blank();
+    writer.open(`extend ${relativeName(extendee, context.pkg)} {`);
+    for (const field of fields) renderField(writer, field, nested, context, false);
+    writer.close();
+  }
+}
+
+function renderService(writer, service, context) {
+  writer.open(`service ${service.name} {`);
+  for (const option of formatOptions(service.options)) writer.line(`option ${option};`);
+  for (const method of service.method ?? []) {
+    const input = `${method.clientStreaming ? 'stream ' : ''}${relativeName(method.inputType, context.pkg)}`;
+    const output = `${method.serverStreaming ? 'stream ' : ''}${relativeName(method.outputType, context.pkg)}`;
+    const signature = `rpc ${method.name}(${input}) returns (${output})`;
+    const options = formatOptions(method.options);
+    if (options.length === 0) {
+      writer.line(`${signature};`);
+      continue;
+    }
+    writer.open(`${signature} {`);
+    for (const option of options) writer.line(`option ${option};`);
+    writer.close();
+  }
+  writer.close();
+}
+
+/**
+ * 將 *Options 訊息中已設定的欄位轉為 `name = value`
+ * 自訂 option (extension) 存放於 $unknown，無法取得名稱因此略過。
+ */
+function formatOptions(options) {
+  if (!options) return [];
+  const schema = OPTION_SCHEMAS.get(options.$typeName);
+  if (!schema) return [];
+
+  const result = [];
+  for (const key of Object.keys(options)) {
+    if (HIDDEN_OPTIONS.has(key)) continue;
+    const field = schema.fields.find(item => item.localName === key);
+    const value = options[key];
+    if (!field || value === undefined || (field.fieldKind !== 'scalar' && field.fieldKind !== 'enum')) continue;
+    result.push(`${field.name} = ${formatOptionValue(field, value)}`);
+  }
+  return result;
+}
+
+function formatOptionValue(field, value) {
+  if (field.fieldKind === 'enum') return field.enum.values.find(item => item.number === value)?.name ?? String(value);
+  if (typeof value === 'string') return JSON.stringify(value);
+  return String(value);
+}
+
+/**
+ * proto2 訊息 (含 FileDescriptorProto) 未設定的欄位只存在於 prototype 的預設值，需以自有屬性判斷是否設定
+ */
+function isSet(message, key) {
+  return Object.prototype.hasOwnProperty.call(message, key) && message[key] !== undefined;
+}
+
+function isMapField(field, nested) {
+  if (field.type !== 11 || field.label !== 3) return false;
+  return Boolean(nested.find(type => type.name === lastSegment(field.typeName))?.options?.mapEntry);
+}
+
+/**
+ * 同 package 的型別省略 package 前綴，其餘保留完整名稱
+ */
+function relativeName(typeName, pkg) {
+  const name = String(typeName ?? '').replace(/^\.+/, '');
+  return pkg && name.startsWith(`${pkg}.`) ? name.slice(pkg.length + 1) : name;
+}
+
+function lastSegment(typeName) {
+  return String(typeName ?? '').split('.').pop();
+}
+
+/**
+ * protoc 預設的 json_name 規則：移除底線並將其後的字母轉為大寫
+ */
+function protoCamelCase(name) {
+  return name.replace(/_([a-z0-9])/g, (_, letter) => letter.toUpperCase()).replace(/_/g, '');
+}
+
+/**
+ * 型別名稱中第一個大寫開頭的片段之前視為 package (Protobuf 慣例：package 小寫、型別 PascalCase)
+ */
+function packageOf(typeName) {
+  const segments = typeName.split('.');
+  const index = segments.findIndex(segment => /^[A-Z]/.test(segment));
+  return segments.slice(0, index === -1 ? segments.length - 1 : index).join('.');
+}
+
+function fileNameOf(typeName) {
+  const pkg = packageOf(typeName);
+  if (pkg === 'google.protobuf' && WELL_KNOWN_FILES[typeName.split('.')[2]]) {
+    return `google/protobuf/${WELL_KNOWN_FILES[typeName.split('.')[2]]}.proto`;
+  }
+  return `${pkg || 'captured'}.proto`;
+}
+
+function isWellKnownType(typeName) {
+  return fileNameOf(typeName).startsWith('google/protobuf/');
+}
+
+/**
+ * 將 runtime 擷取的 Schema 轉為 FileDescriptorProto 形狀的物件
+ */
+export function runtimeSchemaToFileDescriptors(schema, service = null) {
+  const files = new Map();
+  const fileFor = (typeName) => {
+    const name = fileNameOf(typeName);
+    if (!files.has(name)) {
+      files.set(name, { name, package: packageOf(typeName), syntax: 'proto3', dependency: new Set(), messageType: [], enumType: [], service: [] });
+    }
+    return files.get(name);
+  };
+  const reference = (file, typeName) => {
+    const target = fileNameOf(typeName);
+    if (target !== file.name) file.dependency.add(target);
+    return `.${typeName}`;
+  };
+
+  // 先建立所有型別的節點，巢狀型別再掛到父型別底下；父型別未被擷取時補上空的佔位訊息
+  const nodes = new Map();
+  const ensureMessage = (typeName) => {
+    if (nodes.has(typeName)) return nodes.get(typeName);
+    const node = { name: lastSegment(typeName), field: [], nestedType: [], enumType: [], oneofDecl: [] };
+    nodes.set(typeName, node);
+    attach(typeName, node, 'nestedType', 'messageType');
+    return node;
+  };
+  const attach = (typeName, node, nestedKey, topKey) => {
+    const pkg = packageOf(typeName);
+    const parentName = typeName.slice(0, typeName.lastIndexOf('.'));
+    if (parentName.length > pkg.length) {
+      ensureMessage(parentName)[nestedKey].push(node);
+    } else {
+      fileFor(typeName)[topKey].push(node);
+    }
+  };
+
+  for (const enumType of Object.values<any>(schema?.enums ?? {})) {
+    const typeName = cleanName(enumType.typeName);
+    if (!typeName || isWellKnownType(typeName)) continue;
+    attach(typeName, {
+      name: lastSegment(typeName),
+      value: (enumType.values ?? []).map(value => ({ name: value.name, number: value.number })),
+    }, 'enumType', 'enumType');
+  }
+
+  for (const message of Object.values<any>(schema?.messages ?? {})) {
+    const typeName = cleanName(message.typeName);
+    if (!typeName || isWellKnownType(typeName)) continue;
+    const node = ensureMessage(typeName);
+    const file = fileFor(typeName);
+    for (const field of message.fields ?? []) {
+      node.field.push(runtimeField(field, node, typeName, (name) => reference(file, name)));
+    }
+  }
+
+  if (service?.typeName) {
+    const serviceName = cleanName(service.typeName);
+    const file = fileFor(serviceName);
+    file.service.push({
+      name: lastSegment(serviceName),
+      method: (service.methods ?? []).map(method => ({
+        name: method.name,
+        inputType: reference(file, cleanName(method.inputType)),
+        outputType: reference(file, cleanName(method.outputType)),
+        clientStreaming: Boolean(method.clientStreaming),
+        serverStreaming: Boolean(method.serverStreaming),
+      })),
+    });
+  }
+
+  return [...files.values()]
+    .filter(file => !file.name.startsWith('google/protobuf/'))
+    .map(file => ({ ...file, dependency: [...file.dependency].sort() }));
+}
+
+function runtimeField(field, message, messageName, reference) {
+  const descriptor: Record<string, any> = {
+    name: field.name,
+    number: field.number,
+    label: field.repeated ? 3 : 1,
+    proto3Optional: Boolean(field.optional) && !field.oneof,
+  };
+
+  if (field.oneof) {
+    let index = message.oneofDecl.findIndex(oneof => oneof.name === field.oneof);
+    if (index === -1) index = message.oneofDecl.push({ name: field.oneof }) - 1;
+    descriptor.oneofIndex = index;
+  }
+
+  if (field.kind === 'map') {
+    // protobuf-ts 以 map 欄位名稱推導 Entry 型別名稱，與 protoc 相同
+    const entryName = `${protoCamelCase(`_${field.name}`)}Entry`;
+    const value = runtimeMapValue(field, reference);
+    message.nestedType.push({
+      name: entryName,
+      options: { mapEntry: true },
+      field: [
+        { name: 'key', number: 1, label: 1, type: SCALAR_TYPES[field.keyType] ?? 9 },
+        { name: 'value', number: 2, label: 1, ...value },
+      ],
+    });
+    return { ...descriptor, label: 3, type: 11, typeName: `.${messageName}.${entryName}`, comment: value.comment };
+  }
+  if (field.kind === 'message') return { ...descriptor, type: 11, typeName: reference(cleanName(field.typeName)) };
+  if (field.kind === 'enum') return { ...descriptor, type: 14, typeName: reference(cleanName(field.typeName)) };
+  return { ...descriptor, type: SCALAR_TYPES[field.type] ?? 12 };
+}
+
+function runtimeMapValue(field, reference) {
+  if (field.valueTypeName) {
+    return { type: field.value === 'enum' ? 14 : 11, typeName: reference(cleanName(field.valueTypeName)) };
+  }
+  if (field.valueType) return { type: SCALAR_TYPES[field.valueType] ?? 12 };
+  return { type: 12, comment: '未擷取到 map 的值型別，以 bytes 表示' };
+}
+
+function cleanName(typeName) {
+  return String(typeName ?? '').replace(/^\.+/, '');
+}
+
+/**
+ * 以兩個空白縮排的行緩衝區
+ */
+class SourceWriter {
+  lines = [];
+  depth = 0;
+
+  line(text) {
+    this.lines.push(`${'  '.repeat(this.depth)}${text}`);
+  }
+
+  blank() {
+    // 區塊開頭或連續空行不需要再插入空白行
+    const last = this.lines[this.lines.length - 1];
+    if (last !== undefined && last !== '' && !last.endsWith('{')) this.lines.push('');
+  }
+
+  open(text) {
+    this.line(text);
+    this.depth += 1;
+  }
+
+  close() {
+    this.depth -= 1;
+    this.line('}');
+  }
+
+  toString() {
+    return `${this.lines.join('\n')}\n`;
+  }
+}
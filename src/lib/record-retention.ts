@@ -0,0 +1,107 @@
+/**
+ * Record Retention - 擷取紀錄的保留上限
+ *
+ * 背景以 IndexedDB 保存每個分頁的紀錄 (見 extension/record-store)，依筆數、保留時間與容量淘汰最舊的紀錄；
+ * 三項上限皆為 0 時不限制，只受瀏覽器配給擴充功能的儲存空間限制。
+ * 面板的 HAR 紀錄 (addLog) 也套用同樣的筆數上限。
+ */
+
+export interface RecordRetention {
+  /** 每個分頁最多保留的筆數 */
+  maxRecords: number;
+  /** 紀錄最長保留的分鐘數 */
+  maxAgeMinutes: number;
+  /** 每個分頁紀錄的容量上限 (MB，以 JSON 長度估算) */
+  maxMegabytes: number;
+}
+
+export interface RecordStats {
+  count: number;
+  bytes: number;
+}
+
+export const DEFAULT_RECORD_RETENTION: RecordRetention = Object.freeze({
+  maxRecords: 200,
+  maxAgeMinutes: 0,
+  maxMegabytes: 0,
+});
+
+// 面板一次載入的紀錄筆數；捲動到列表頂端時再載入更早的一頁
+export const RECORD_PAGE_SIZE = 200;
+
+const BYTES_PER_MEGABYTE = 1024 * 1024;
+
+/**
+ * 補齊或修正從 storage 讀回、或由設定頁輸入的保留設定；負數與非數字視為不限制
+ *
+ * @returns {RecordRetention}
+ */
+export function normalizeRecordRetention(value): RecordRetention {
+  const retention = value && typeof value === 'object' ? value : DEFAULT_RECORD_RETENTION;
+  return {
+    maxRecords: Math.floor(nonNegative(retention.maxRecords ?? DEFAULT_RECORD_RETENTION.maxRecords)),
+    maxAgeMinutes: nonNegative(retention.maxAgeMinutes ?? DEFAULT_RECORD_RETENTION.maxAgeMinutes),
+    maxMegabytes: nonNegative(retention.maxMegabytes ?? DEFAULT_RECORD_RETENTION.maxMegabytes),
+  };
+}
+
+/**
+ * 估算紀錄占用的容量 (JSON 字元數)；ArrayBuffer 等無法序列化的內容不計
+ */
+export function estimateRecordBytes(record) {
+  try {
+    return JSON.stringify(record)?.length ?? 0;
+  } catch {
+    return 0;
+  }
+}
+
+/**
+ * 紀錄的擷取時間 (毫秒)，沒有可用的時間戳記時使用 fallback
+ */
+export function recordTime(record, fallback = Date.now()) {
+  const value = record?.timestamp;
+  const time = typeof value === 'number' ? value : Date.parse(String(value ?? ''));
+  return Number.isFinite(time) ? time : fallback;
+}
+
+/**
+ * 早於此時間的紀錄已超過保留時間；未限制保留時間時回傳 null
+ */
+export function retentionCutoff(retention: RecordRetention, now = Date.now()) {
+  return retention.maxAgeMinutes > 0 ? now - retention.maxAgeMinutes * 60000 : null;
+}
+
+/**
+ * 分頁的統計是否超過筆數或容量上限
+ */
+export function exceedsRetention(stats: RecordStats, retention: RecordRetention) {
+  if (retention.maxRecords > 0 && stats.count > retention.maxRecords) return true;
+  return retention.maxMegabytes > 0 && stats.bytes > retention.maxMegabytes * BYTES_PER_MEGABYTE;
+}
+
+/**
+ * 淘汰時由最舊的紀錄開始判斷：超過保留時間或分頁仍超過上限時刪除，遇到第一筆可保留的紀錄即停止
+ *
+ * @param {{time: number}} record 最舊的紀錄
+ * @param {RecordStats} stats 刪除此紀錄前的分頁統計
+ * @param {number | null} cutoff retentionCutoff 的結果
+ */
+export function shouldEvictRecord(record, stats: RecordStats, retention: RecordRetention, cutoff: number | null) {
+  if (cutoff != null && record.time < cutoff) return true;
+  return exceedsRetention(stats, retention);
+}
+
+/**
+ * 以 B、KB、MB 顯示容量
+ */
+export function formatStorageSize(bytes: number) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < BYTES_PER_MEGABYTE) return `${Number((bytes / 1024).toFixed(1))} KB`;
+  return `${Number((bytes / BYTES_PER_MEGABYTE).toFixed(1))} MB`;
+}
+
+function nonNegative(value) {
+  const number = Number(value);
+  return Number.isFinite(number) && number > 0 ? number : 0;
+}
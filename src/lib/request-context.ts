@@ -0,0 +1,72 @@
+/**
+ * Request Context - 發出請求的執行環境
+ *
+ * 背景透過 `Target.setAutoAttach` 追蹤 iframe 與 Worker 的除錯 Session，輕量攔截器也會注入到每個 iframe；
+ * 紀錄以 `context` 標示發出請求的頁面、iframe 或 Worker 與其網址，列表可依此篩選。
+ */
+
+export type RequestContextType = 'page' | 'iframe' | 'worker' | 'service_worker' | 'shared_worker';
+
+export interface RequestContext {
+  type: RequestContextType;
+  url: string;
+}
+
+export interface RequestContextOption {
+  key: string;
+  type: RequestContextType;
+  origin: string;
+  count: number;
+}
+
+const CONTEXT_TYPES: RequestContextType[] = ['page', 'iframe', 'worker', 'service_worker', 'shared_worker'];
+
+/**
+ * 將 CDP `TargetInfo.type` 對應為紀錄使用的類型；未知的類型 (例如 other) 視為所屬的頁面
+ */
+export function normalizeContextType(type: string): RequestContextType {
+  return CONTEXT_TYPES.includes(type as RequestContextType) ? type as RequestContextType : 'page';
+}
+
+/**
+ * 篩選用的 Key：類型與 Origin；沒有 context 的紀錄 (例如 Interceptor 或舊版本的紀錄) 視為頁面本身
+ */
+export function requestContextKey(entry) {
+  const type = normalizeContextType(entry?.context?.type);
+  return `${type} ${contextOrigin(entry?.context?.url)}`;
+}
+
+/**
+ * 列出紀錄中出現的所有執行環境，頁面在前，其餘依類型與 Origin 排序
+ *
+ * @returns {RequestContextOption[]}
+ */
+export function listRequestContexts(entries): RequestContextOption[] {
+  const options = new Map<string, RequestContextOption>();
+  for (const entry of entries) {
+    const key = requestContextKey(entry);
+    const option = options.get(key);
+    if (option) {
+      option.count++;
+      continue;
+    }
+    options.set(key, {
+      key,
+      type: normalizeContextType(entry?.context?.type),
+      origin: contextOrigin(entry?.context?.url),
+      count: 1,
+    });
+  }
+  return [...options.values()].sort((a, b) => {
+    return CONTEXT_TYPES.indexOf(a.type) - CONTEXT_TYPES.indexOf(b.type) || a.origin.localeCompare(b.origin);
+  });
+}
+
+function contextOrigin(url) {
+  try {
+    const origin = new URL(String(url ?? '')).origin;
+    return origin === 'null' ? '' : origin;
+  } catch {
+    return '';
+  }
+}
@@ -0,0 +1,137 @@
+/**
+ * Schema Drift - 未知欄位與 Schema 版本落差偵測
+ *
+ * 伺服器送出目前載入的 Schema 不認得的欄位時 (前後端部署版本不一致)，
+ * ProtoEngine 與 cached-proto-decoder 會把這些欄位以 wire format 預覽保留在 `_unknown`。
+ * 此模組負責重建未知欄位的位元組，並從解碼結果中整理出各訊息型別的未知欄位編號。
+ */
+
+import { decodeWireFormat } from './wire-format-decoder';
+
+/**
+ * 解碼結果中保存未知欄位 wire format 預覽的屬性
+ */
+export const UNKNOWN_FIELDS_KEY = '_unknown';
+
+export interface MessageDrift {
+  typeName: string;
+  /** 未知欄位編號 (由小到大) */
+  fieldNumbers: number[];
+}
+
+export interface DriftSummary extends MessageDrift {
+  /** 出現未知欄位的請求數 */
+  entryCount: number;
+  methods: string[];
+}
+
+/**
+ * 以 bufbuild 的 `$unknown` 重建未知欄位的 wire format 預覽
+ * 每個項目的 data 為 Tag 之後的位元組 (含長度前綴與 Group 結尾)，補上 Tag 即為原始編碼。
+ *
+ * @param {{no: number, wireType: number, data: Uint8Array}[]} unknownFields
+ */
+export function previewUnknownFields(unknownFields) {
+  const parts = [];
+  for (const { no, wireType, data } of unknownFields) {
+    parts.push(encodeVarint((no << 3) | wireType), data);
+  }
+  const bytes = new Uint8Array(parts.reduce((total, part) => total + part.length, 0));
+  let offset = 0;
+  for (const part of parts) {
+    bytes.set(part, offset);
+    offset += part.length;
+  }
+  return decodeWireFormat(bytes);
+}
+
+/**
+ * 走訪解碼結果 (可為單一訊息或串流訊息陣列)，列出含有未知欄位的訊息型別
+ * 未知欄位本身的預覽與無 Schema 的 `_wire` 結果不會再往下走訪。
+ *
+ * @param {any} decoded
+ * @returns {MessageDrift[]}
+ */
+export function collectSchemaDrift(decoded): MessageDrift[] {
+  const byType = new Map<string, Set<number>>();
+  visit(decoded, byType);
+  return [...byType].map(([typeName, numbers]) => ({ typeName, fieldNumbers: sortNumbers(numbers) }));
+}
+
+function visit(value, byType: Map<string, Set<number>>) {
+  if (Array.isArray(value)) {
+    for (const item of value) visit(item, byType);
+    return;
+  }
+  if (!value || typeof value !== 'object' || value instanceof Uint8Array) return;
+
+  const unknown = value[UNKNOWN_FIELDS_KEY];
+  if (unknown && typeof unknown === 'object') {
+    const typeName = typeof value.$typeName === 'string' ? value.$typeName : '';
+    const numbers = byType.get(typeName) ?? new Set<number>();
+    for (const key of Object.keys(unknown)) {
+      if (/^\d+$/.test(key)) numbers.add(Number(key));
+    }
+    byType.set(typeName, numbers);
+  }
+
+  for (const [key, child] of Object.entries(value)) {
+    if (key === UNKNOWN_FIELDS_KEY || key === '_wire') continue;
+    visit(child, byType);
+  }
+}
+
+/**
+ * 合併兩份未知欄位清單 (例如串流新收到的訊息)，同一型別的欄位編號取聯集
+ */
+export function mergeSchemaDrift(current: MessageDrift[], added: MessageDrift[]): MessageDrift[] {
+  const byType = new Map<string, Set<number>>();
+  for (const drift of [...current, ...added]) {
+    const numbers = byType.get(drift.typeName) ?? new Set<number>();
+    for (const number of drift.fieldNumbers) numbers.add(number);
+    byType.set(drift.typeName, numbers);
+  }
+  return [...byType].map(([typeName, numbers]) => ({ typeName, fieldNumbers: sortNumbers(numbers) }));
+}
+
+/**
+ * 彙整整個 Session 中各訊息型別的未知欄位
+ *
+ * @param {{method?: string, schemaDrift?: MessageDrift[] | null}[]} entries
+ * @returns {DriftSummary[]} 依型別名稱排序
+ */
+export function summarizeSchemaDrift(entries): DriftSummary[] {
+  const byType = new Map<string, { numbers: Set<number>; entryCount: number; methods: Set<string> }>();
+  for (const entry of entries) {
+    for (const drift of entry.schemaDrift ?? []) {
+      const summary = byType.get(drift.typeName) ?? { numbers: new Set(), entryCount: 0, methods: new Set() };
+      for (const number of drift.fieldNumbers) summary.numbers.add(number);
+      summary.entryCount++;
+      if (entry.method) summary.methods.add(entry.method);
+      byType.set(drift.typeName, summary);
+    }
+  }
+  return [...byType]
+    .sort(([a], [b]) => a.localeCompare(b))
+    .map(([typeName, { numbers, entryCount, methods }]) => ({
+      typeName,
+      fieldNumbers: sortNumbers(numbers),
+      entryCount,
+      methods: [...methods].sort(),
+    }));
+}
+
+function sortNumbers(numbers: Set<number>) {
+  return [...numbers].sort((a, b) => a - b);
+}
+
+function encodeVarint(value: number) {
+  const bytes = [];
+  let remaining = value >>> 0;
+  while (remaining > 0x7f) {
+    bytes.push((remaining & 0x7f) | 0x80);
+    remaining >>>= 7;
+  }
+  bytes.push(remaining);
+  return Uint8Array.from(bytes);
+}
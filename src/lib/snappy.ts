@@ -0,0 +1,96 @@
+/**
+ * Snappy 解壓縮
+ *
+ * 同時支援 Raw Block 格式與 Framing 格式 (以 `sNaPpY` Stream Identifier 開頭，例如 Go 的 snappy.NewWriter)。
+ * Framing 格式的 CRC 僅用於偵測傳輸錯誤，除錯用途不另行驗證。
+ */
+
+import { OutputBuffer, concatBytes } from './inflate';
+
+const STREAM_IDENTIFIER = [0xff, 0x06, 0x00, 0x00, 0x73, 0x4e, 0x61, 0x50, 0x70, 0x59];
+
+/**
+ * @param {Uint8Array} input
+ * @returns {Uint8Array}
+ */
+export function snappyDecompress(input) {
+  return STREAM_IDENTIFIER.every((byte, i) => input[i] === byte)
+    ? decompressFramed(input)
+    : decompressBlock(input);
+}
+
+function decompressFramed(input) {
+  const parts = [];
+  let pos = 0;
+  while (pos + 4 <= input.length) {
+    const type = input[pos];
+    const length = input[pos + 1] | (input[pos + 2] << 8) | (input[pos + 3] << 16);
+    const start = pos + 4;
+    const end = start + length;
+    if (end > input.length) throw new Error('Snappy Frame 資料不完整');
+
+    if (type === 0x00) {
+      parts.push(decompressBlock(input.subarray(start + 4, end)));
+    } else if (type === 0x01) {
+      parts.push(input.slice(start + 4, end));
+    } else if (type >= 0x02 && type <= 0x7f) {
+      throw new Error(`無法略過的 Snappy Chunk 類型: ${type}`);
+    }
+    // 0x80-0xfe (含 Stream Identifier 與 Padding) 可略過
+    pos = end;
+  }
+  return concatBytes(parts);
+}
+
+function decompressBlock(input) {
+  let pos = 0;
+  let expectedLength = 0;
+  for (let shift = 0; ; shift += 7) {
+    if (pos >= input.length || shift > 28) throw new Error('無效的 Snappy 長度標頭');
+    const byte = input[pos++];
+    expectedLength += (byte & 0x7f) * 2 ** shift;
+    if (byte < 0x80) break;
+  }
+
+  const output = new OutputBuffer(expectedLength);
+  while (pos < input.length) {
+    const tag = input[pos++];
+    const upper = tag >> 2;
+    switch (tag & 0x03) {
+      case 0: { // Literal
+        let length = upper + 1;
+        if (upper >= 60) {
+          const bytes = upper - 59;
+          length = readLittleEndian(input, pos, bytes) + 1;
+          pos += bytes;
+        }
+        if (pos + length > input.length) throw new Error('Snappy Literal 超出資料範圍');
+        output.write(input.subarray(pos, pos + length));
+        pos += length;
+        break;
+      }
+      case 1: // Copy，1-byte Offset
+        output.copy(((tag >> 5) << 8) | input[pos], (upper & 0x07) + 4);
+        pos += 1;
+        break;
+      case 2: // Copy，2-byte Offset
+        output.copy(readLittleEndian(input, pos, 2), upper + 1);
+        pos += 2;
+        break;
+      default: // Copy，4-byte Offset
+        output.copy(readLittleEndian(input, pos, 4), upper + 1);
+        pos += 4;
+        break;
+    }
+  }
+
+  if (output.length !== expectedLength) throw new Error('Snappy 解壓後的長度與標頭不符');
+  return output.result();
+}
+
+function readLittleEndian(input, pos, bytes) {
+  if (pos + bytes > input.length) throw new Error('Snappy 資料不完整');
+  let value = 0;
+  for (let i = 0; i < bytes; i += 1) value += input[pos + i] * 2 ** (8 * i);
+  return value;
+}
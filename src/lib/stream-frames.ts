@@ -0,0 +1,76 @@
+/**
+ * Stream Frames - 串流回應的逐 Frame 擷取
+ *
+ * Lightweight 攔截器邊接收邊讀取 Streaming 回應時，網路分塊不一定對齊 gRPC-Web / Connect 的 5-byte Envelope。
+ * 切分器累積不完整的資料，每次只交出完整的 Frame，並計算其中的資料訊息數 (不含 Trailer / End-Stream Frame)，
+ * 讓背景以收到的時間標記每則訊息。
+ * 背景將各分塊的 Base64 分別存放 (見 extension/record-store)，面板只解碼新的分塊，串流結束時才合併為一段 Raw。
+ */
+
+import { CONNECT_END_STREAM_FLAG, connectContentKind } from './connect-protocol';
+import { concatBytes } from './inflate';
+
+const FRAME_HEADER_LENGTH = 5;
+const GRPC_WEB_TRAILER_FLAG = 0x80;
+
+/**
+ * 回應可逐 Frame 擷取時，回傳標示 Trailer / End-Stream Frame 的旗標
+ * grpc-web-text 的 Frame 位於 Base64 文字中，與 Connect Unary 一樣只能在結束後整段解碼。
+ *
+ * @param {string} contentType 回應的 Content-Type
+ * @returns {number | null}
+ */
+export function streamTrailerFlag(contentType) {
+  if (connectContentKind(contentType)?.streaming) return CONNECT_END_STREAM_FLAG;
+  const mediaType = String(contentType ?? '').split(';')[0].trim().toLowerCase();
+  return /^application\/grpc-web(\+(proto|json))?$/.test(mediaType) ? GRPC_WEB_TRAILER_FLAG : null;
+}
+
+/**
+ * @param {number} trailerFlag {@link streamTrailerFlag} 的結果
+ */
+export function createFrameSplitter(trailerFlag: number) {
+  let buffered = new Uint8Array(0);
+
+  return {
+    /**
+     * 加入新收到的分塊
+     *
+     * @param {Uint8Array} chunk
+     * @returns {{bytes: Uint8Array, messageCount: number}} 本次湊齊的完整 Frame (含標頭) 與其中的資料訊息數
+     */
+    push(chunk: Uint8Array) {
+      buffered = buffered.length > 0 ? concatBytes([buffered, chunk]) : chunk;
+      let offset = 0;
+      let messageCount = 0;
+      while (buffered.length - offset >= FRAME_HEADER_LENGTH) {
+        const view = new DataView(buffered.buffer, buffered.byteOffset + offset, FRAME_HEADER_LENGTH);
+        const end = offset + FRAME_HEADER_LENGTH + view.getUint32(1);
+        if (end > buffered.length) break;
+        if ((buffered[offset] & trailerFlag) === 0) messageCount++;
+        offset = end;
+      }
+      const bytes = buffered.slice(0, offset);
+      buffered = buffered.slice(offset);
+      return { bytes, messageCount };
+    },
+
+    /**
+     * 串流結束時尚未湊成完整 Frame 的位元組 (連線中斷或資料損毀)
+     */
+    remainder() {
+      return buffered;
+    },
+  };
+}
+
+/**
+ * 將分別編碼的 Base64 分塊合併為一段 Base64 (各分塊可能帶有 padding，不能直接串接)
+ *
+ * @param {string[]} chunks
+ * @returns {string | null} 沒有分塊時回傳 null
+ */
+export function joinBase64Chunks(chunks: string[]) {
+  if (!chunks?.length) return null;
+  return btoa(chunks.map((chunk) => atob(chunk)).join(''));
+}
@@ -0,0 +1,196 @@
+/**
+ * Type Inference - 依 Payload 位元組推測訊息型別
+ *
+ * 端點沒有型別對應時 (例如一般的 application/x-protobuf 端點或非 gRPC 的 URL 格式)，
+ * 以每個已載入的訊息型別解讀位元組並評分：
+ * - 欄位編號是否存在於該型別
+ * - wire type 是否與欄位型別相容 (repeated 純量允許 packed)
+ * - string 是否為合法 UTF-8、bool 是否為 0 或 1
+ * - 巢狀訊息、Group 與 map entry 是否能以其型別遞迴解析
+ * 每個欄位依其佔用的位元組數加權，較長的欄位對分數的影響較大。
+ */
+
+import { readVarint64 } from './descriptor-parser';
+import { PACKED_WIRE_TYPES, scanFields } from './hex-annotations';
+import { MAX_NESTING_DEPTH } from './wire-format-decoder';
+
+/**
+ * @typedef {object} TypeCandidate
+ * @property {string} typeName
+ * @property {number} confidence 0 到 1 之間的信心分數
+ * @property {number} matchedFields 與型別完全相符的欄位數
+ * @property {number} totalFields Payload 中的欄位數
+ */
+
+type Resolver = (typeName: string) => Map<number, any> | null;
+
+interface MessageScore {
+  matchedBytes: number;
+  totalBytes: number;
+  matchedFields: number;
+  totalFields: number;
+  coveredNumbers: Set<number>;
+}
+
+const DEFAULT_LIMIT = 5;
+const DEFAULT_MIN_CONFIDENCE = 0.5;
+// 信心分數中欄位相符程度佔八成，其餘依型別宣告的欄位有多少出現在 Payload 中，
+// 讓多個型別都能解讀同一份位元組時，欄位吻合較完整的型別排在前面
+const MATCH_WEIGHT = 0.8;
+
+const strictUtf8Decoder = new TextDecoder('utf-8', { fatal: true });
+
+/**
+ * 以候選型別逐一解讀訊息，回傳信心分數最高的幾個型別
+ *
+ * @param {Uint8Array[]} messages 同一方向的訊息 (已解除 Framing 與解壓)；Streaming 時所有訊息都需相符
+ * @param {string[]} typeNames 候選的完整型別名稱
+ * @param {object} options
+ * @param {(typeName: string) => Map<number, import('./hex-annotations').FieldLayout> | null} options.resolve 取得型別的欄位配置
+ * @param {number} [options.limit] 最多回傳的候選數
+ * @param {number} [options.minConfidence] 低於此分數的候選不回傳
+ * @returns {TypeCandidate[]} 依信心分數由高到低排列；沒有任何位元組時回傳空陣列
+ */
+export function inferMessageTypes(
+  messages: Uint8Array[],
+  typeNames: string[],
+  options: { resolve: Resolver, limit?: number, minConfidence?: number },
+) {
+  const { limit = DEFAULT_LIMIT, minConfidence = DEFAULT_MIN_CONFIDENCE } = options;
+  const payloads = messages.filter(bytes => bytes?.length > 0);
+  if (payloads.length === 0) return [];
+
+  const resolve = memoize(options.resolve);
+  const candidates = [];
+  for (const typeName of typeNames) {
+    const fields = resolve(typeName);
+    if (!fields || fields.size === 0) continue;
+
+    const scores = payloads.map(bytes => scoreMessageType(bytes, fields, resolve));
+    const matchedBytes = scores.reduce((sum, score) => sum + score.matchedBytes, 0);
+    const totalBytes = scores.reduce((sum, score) => sum + score.totalBytes, 0);
+    const covered = new Set(scores.flatMap(score => [...score.coveredNumbers]));
+    const match = matchedBytes / totalBytes;
+    const confidence = match * (MATCH_WEIGHT + (1 - MATCH_WEIGHT) * (covered.size / fields.size));
+    if (confidence < minConfidence) continue;
+
+    candidates.push({
+      typeName,
+      confidence,
+      matchedFields: scores.reduce((sum, score) => sum + score.matchedFields, 0),
+      totalFields: scores.reduce((sum, score) => sum + score.totalFields, 0),
+    });
+  }
+
+  return candidates
+    .sort((a, b) => b.confidence - a.confidence || a.typeName.localeCompare(b.typeName))
+    .slice(0, limit);
+}
+
+/**
+ * 以單一型別的欄位配置解讀一段位元組
+ *
+ * @param {Uint8Array} bytes
+ * @param {Map<number, import('./hex-annotations').FieldLayout>} fields
+ * @param {(typeName: string) => Map<number, import('./hex-annotations').FieldLayout> | null} resolve
+ * @param {number} [depth] 巢狀深度，超過 MAX_NESTING_DEPTH 時不再依型別遞迴
+ * @returns {MessageScore} 損毀而無法解析的位元組計入總數但不計入相符的位元組
+ */
+export function scoreMessageType(bytes: Uint8Array, fields: Map<number, any>, resolve: Resolver, depth = 0): MessageScore {
+  const { fields: scanned, errorAt } = scanFields(bytes, true);
+  const score: MessageScore = {
+    matchedBytes: 0,
+    totalBytes: bytes.length,
+    matchedFields: 0,
+    totalFields: scanned.length,
+    coveredNumbers: new Set(),
+  };
+
+  for (const field of scanned) {
+    const layout = fields.get(field.number);
+    const fraction = layout ? scoreField(bytes, field, layout, resolve, depth) : 0;
+    score.matchedBytes += (field.end - field.start) * fraction;
+    if (fraction === 1) score.matchedFields += 1;
+    if (fraction > 0) score.coveredNumbers.add(field.number);
+  }
+  // 無法解析的尾端位元組 (bytes.length - errorAt) 只計入總數
+  if (errorAt < bytes.length) score.totalFields += 1;
+  return score;
+}
+
+/**
+ * @returns {number} 0 (不相符) 到 1 (完全相符) 之間的分數；巢狀訊息依其內容給部分分數
+ */
+function scoreField(bytes, field, layout, resolve, depth) {
+  const data = bytes.subarray(field.dataStart, field.dataEnd);
+  switch (layout.kind) {
+    case 'map':
+      return field.wireType === 2 ? scoreNested(data, mapEntryLayout(layout), resolve, depth) : 0;
+    case 'message':
+      return field.wireType === 2 ? scoreNested(data, resolve(layout.typeName), resolve, depth) : 0;
+    case 'group':
+      return field.wireType === 3 ? scoreNested(data, resolve(layout.typeName), resolve, depth) : 0;
+    default:
+      return scoreScalar(data, field.wireType, layout.kind === 'enum' ? 'enum' : layout.type, layout.repeated) ? 1 : 0;
+  }
+}
+
+function scoreNested(data, fields, resolve, depth) {
+  if (data.length === 0) return 1;
+  // 巢狀型別未載入或超過深度上限時，只要能以 wire format 完整解析即視為相符
+  if (!fields || depth + 1 >= MAX_NESTING_DEPTH) {
+    return scanFields(data, true).error ? 0 : 1;
+  }
+  const score = scoreMessageType(data, fields, resolve, depth + 1);
+  return score.matchedBytes / score.totalBytes;
+}
+
+function scoreScalar(data, wireType, type, repeated) {
+  if (type === 'string') return wireType === 2 && isValidUtf8(data);
+  if (type === 'bytes') return wireType === 2;
+
+  const elementWireType = PACKED_WIRE_TYPES[type];
+  if (elementWireType === undefined) return false;
+  if (repeated && wireType === 2) return isValidPacked(data, type, elementWireType);
+  if (wireType !== elementWireType) return false;
+  return type !== 'bool' || readVarint64(data, 0)[0] <= 1n;
+}
+
+function isValidPacked(data, type, elementWireType) {
+  if (elementWireType === 1) return data.length % 8 === 0;
+  if (elementWireType === 5) return data.length % 4 === 0;
+  try {
+    for (let pos = 0; pos < data.length;) {
+      const [value, next] = readVarint64(data, pos);
+      if (type === 'bool' && value > 1n) return false;
+      pos = next;
+    }
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+function isValidUtf8(data) {
+  try {
+    strictUtf8Decoder.decode(data);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+function mapEntryLayout(layout) {
+  return new Map([
+    [1, { name: 'key', kind: 'scalar', type: layout.mapKey }],
+    [2, layout.mapValue],
+  ]);
+}
+
+function memoize(resolve: Resolver): Resolver {
+  const cache = new Map();
+  return (typeName) => {
+    if (!cache.has(typeName)) cache.set(typeName, resolve(typeName));
+    return cache.get(typeName);
+  };
+}
@@ -0,0 +1,34 @@
+/**
+ * 訊息型別的模糊搜尋
+ *
+ * 手動指定請求與回應型別時，使用者通常只記得訊息的短名稱或部分 package，
+ * 因此短名稱的權重高於完整名稱，且不限制比對位置。
+ */
+
+import Fuse from 'fuse.js';
+
+const DEFAULT_LIMIT = 50;
+
+/**
+ * 建立型別搜尋函式
+ *
+ * @param {string[]} typeNames 完整的訊息型別名稱
+ * @returns {(query: string, limit?: number) => string[]} 空白查詢依原順序回傳前 limit 筆，否則依相符程度排序
+ */
+export function createTypeSearch(typeNames: string[]) {
+  const items = typeNames.map(typeName => ({ typeName, name: typeName.split('.').pop() }));
+  const fuse = new Fuse(items, {
+    keys: [
+      { name: 'name', weight: 2 },
+      { name: 'typeName', weight: 1 },
+    ],
+    threshold: 0.4,
+    ignoreLocation: true,
+  });
+
+  return (query: string, limit = DEFAULT_LIMIT) => {
+    const trimmed = String(query ?? '').trim();
+    if (!trimmed) return typeNames.slice(0, limit);
+    return fuse.search(trimmed, { limit }).map(result => result.item.typeName);
+  };
+}
@@ -0,0 +1,123 @@
+/**
+ * Value Rendering - 解碼結果中數值的呈現方式
+ *
+ * ProtoEngine 與 cached-proto-decoder 在解碼時依同一組設定轉換數值，
+ * 讓 JsonTree、複製與匯出看到的是同一份資料：
+ * - int64：字串、number (超出安全整數範圍時會失去精度) 或 BigInt
+ * - bytes：base64、十六進位或 UTF-8 預覽
+ * - enum：名稱、數值或兩者
+ * - 未設定的欄位：隱藏、以預設值顯示，或以預設值顯示並標示為未設定 (灰色)
+ */
+
+export type Int64Rendering = 'string' | 'number' | 'bigint';
+export type BytesRendering = 'base64' | 'hex' | 'utf8';
+export type EnumRendering = 'name' | 'number' | 'both';
+export type PresenceRendering = 'hide' | 'default' | 'grey';
+
+export interface ValueRendering {
+  int64: Int64Rendering;
+  bytes: BytesRendering;
+  enums: EnumRendering;
+  presence: PresenceRendering;
+}
+
+export const VALUE_RENDERING_OPTIONS = Object.freeze({
+  int64: ['string', 'number', 'bigint'],
+  bytes: ['base64', 'hex', 'utf8'],
+  enums: ['name', 'number', 'both'],
+  presence: ['hide', 'default', 'grey'],
+});
+
+export const DEFAULT_VALUE_RENDERING: ValueRendering = Object.freeze({
+  int64: 'string',
+  bytes: 'base64',
+  enums: 'name',
+  presence: 'default',
+});
+
+/**
+ * 灰色模式下記錄未設定欄位名稱的隱藏屬性；與 `$typeName` 一樣不屬於訊息內容
+ */
+export const UNSET_FIELDS_KEY = '$unset';
+
+const META_KEYS = new Set(['$typeName', UNSET_FIELDS_KEY]);
+const BIGINT_MARKER = '\u0000bigint:';
+const utf8Decoder = new TextDecoder('utf-8', { fatal: false });
+
+/**
+ * 解碼結果中不屬於訊息內容的屬性 (JsonTree、搜尋與複製時略過)
+ */
+export function isMetaKey(key: string) {
+  return META_KEYS.has(key);
+}
+
+/**
+ * 補齊缺漏或不合法的設定值 (例如 localStorage 中舊版本保存的設定)
+ */
+export function normalizeValueRendering(value: Partial<ValueRendering> | null | undefined): ValueRendering {
+  const result = { ...DEFAULT_VALUE_RENDERING };
+  for (const key of Object.keys(VALUE_RENDERING_OPTIONS)) {
+    if (VALUE_RENDERING_OPTIONS[key].includes(value?.[key])) result[key] = value[key];
+  }
+  return result;
+}
+
+/**
+ * @param {bigint | number | string} value 64 位元整數 (bufbuild 以 bigint 表示，longAsString 時為字串)
+ * @param {Int64Rendering} mode
+ */
+export function formatInt64(value: bigint | number | string, mode: Int64Rendering) {
+  if (mode === 'number') return Number(value);
+  if (mode === 'bigint') return BigInt(value);
+  return String(value);
+}
+
+/**
+ * @param {Uint8Array} bytes
+ * @param {BytesRendering} mode hex 以空白分隔每個位元組；utf8 以替代字元呈現不合法的序列
+ */
+export function formatBytes(bytes: Uint8Array, mode: BytesRendering) {
+  if (mode === 'hex') return Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join(' ');
+  if (mode === 'utf8') return utf8Decoder.decode(bytes);
+  let binary = '';
+  for (const byte of bytes) binary += String.fromCharCode(byte);
+  return btoa(binary);
+}
+
+/**
+ * @param {number} number enum 數值
+ * @param {string | undefined} name 對應的名稱；Schema 中沒有此數值時一律顯示數值
+ * @param {EnumRendering} mode both 顯示為 "NAME (1)"
+ */
+export function formatEnum(number: number, name: string | undefined, mode: EnumRendering) {
+  if (name === undefined || mode === 'number') return number;
+  if (mode === 'both') return `${name} (${number})`;
+  return name;
+}
+
+/**
+ * int64 以 number 呈現且超出安全整數範圍時，數值已失去精度
+ */
+export function isLossyNumber(value: unknown) {
+  return typeof value === 'number' && Number.isInteger(value) && Math.abs(value) > Number.MAX_SAFE_INTEGER;
+}
+
+/**
+ * 序列化解碼結果供複製與匯出
+ * - 略過 `$typeName` 與 `$unset`
+ * - BigInt 輸出為不加引號的整數，保留完整精度
+ * - 未轉換的 Uint8Array 以 base64 字串表示
+ *
+ * @param {any} data
+ * @param {number} [indent]
+ */
+export function stringifyDecoded(data: unknown, indent = 2) {
+  const json = JSON.stringify(data, (key, value) => {
+    if (isMetaKey(key)) return undefined;
+    if (typeof value === 'bigint') return `${BIGINT_MARKER}${value}`;
+    if (value instanceof Uint8Array) return formatBytes(value, 'base64');
+    return value;
+  }, indent);
+  // JSON.stringify 將標記開頭的 NUL 字元跳脫為 \u0000；只有整段字串恰好符合標記格式時才會被替換
+  return json?.replace(/"\\u0000bigint:(-?\d+)"/g, '$1');
+}
@@ -0,0 +1,164 @@
+/**
+ * Wire Format Decoder - 無 Schema 的 Protobuf 解碼器
+ *
+ * 當 Reflection、runtime metadata 都無法提供型別時，仍可直接走訪 Protobuf 傳輸格式，
+ * 以欄位編號列出每個欄位所有「合理的解讀方式」：
+ * - Varint：int / sint (ZigZag) / bool
+ * - Fixed32、Fixed64：整數與浮點數
+ * - Length-delimited：字串、巢狀訊息與原始位元組
+ *
+ * 輸出的物件以 `$typeName` 標示節點種類 (wire、wire.varint…)，JsonTree 會據此標記為無 Schema 的解讀結果。
+ */
+
+import { readTag, readLengthDelimited, readVarint64 } from './descriptor-parser';
+
+export const MAX_NESTING_DEPTH = 8;
+
+const strictUtf8Decoder = new TextDecoder('utf-8', { fatal: true });
+
+/**
+ * 以 wire format 解碼整段 Payload
+ * 遇到損毀的資料時保留已解出的欄位，並以 `_error` 說明中斷原因。
+ *
+ * @param {Uint8Array} buffer 原始 Protobuf 二進位資料
+ * @returns {object} 以欄位編號為 key 的解讀結果
+ */
+export function decodeWireFormat(buffer) {
+  const bytes = buffer instanceof Uint8Array ? buffer : new Uint8Array(buffer);
+  const { fields, error } = parseFields(bytes, 0);
+  const result: Record<string, unknown> = { $typeName: 'wire', ...fields };
+  if (error) result._error = `無法完整解析 wire format: ${error}`;
+  return result;
+}
+
+/**
+ * 走訪一段位元組中的所有欄位
+ * 相同欄位編號出現多次時 (repeated 或 packed 以外的重複欄位) 會收集為陣列。
+ */
+function parseFields(bytes, depth) {
+  const fields = {};
+  let pos = 0;
+
+  try {
+    while (pos < bytes.length) {
+      const [fieldNum, wireType, valuePos] = readTag(bytes, pos);
+      if (fieldNum === 0) throw new Error(`位置 ${pos} 的欄位編號為 0`);
+
+      const [value, nextPos] = readValue(bytes, valuePos, wireType, depth);
+      const key = String(fieldNum);
+      if (key in fields) {
+        fields[key] = Array.isArray(fields[key]) ? [...fields[key], value] : [fields[key], value];
+      } else {
+        fields[key] = value;
+      }
+      pos = nextPos;
+    }
+  } catch (e) {
+    return { fields, error: e.message };
+  }
+
+  return { fields, error: null };
+}
+
+/**
+ * 依 Wire Type 讀取單一欄位值並產生所有解讀
+ */
+function readValue(bytes, pos, wireType, depth) {
+  switch (wireType) {
+    case 0: {
+      const [value, nextPos] = readVarint64(bytes, pos);
+      return [describeVarint(value), nextPos];
+    }
+    case 1: {
+      const view = readFixed(bytes, pos, 8);
+      const int = view.getBigInt64(0, true);
+      return [{
+        $typeName: 'wire.fixed64',
+        int: toJsonNumber(int),
+        ...(int < 0n ? { uint: toJsonNumber(view.getBigUint64(0, true)) } : {}),
+        double: view.getFloat64(0, true),
+      }, pos + 8];
+    }
+    case 5: {
+      const view = readFixed(bytes, pos, 4);
+      const int = view.getInt32(0, true);
+      return [{
+        $typeName: 'wire.fixed32',
+        int,
+        ...(int < 0 ? { uint: view.getUint32(0, true) } : {}),
+        float: view.getFloat32(0, true),
+      }, pos + 4];
+    }
+    case 2: {
+      const [data, nextPos] = readLengthDelimited(bytes, pos);
+      if (nextPos > bytes.length) throw new Error(`位置 ${pos} 的長度超出資料範圍`);
+      return [describeLengthDelimited(data, depth), nextPos];
+    }
+    default:
+      // Group (3/4) 已於 proto3 廢棄，其餘數值代表資料並非合法的 Protobuf
+      throw new Error(`位置 ${pos} 出現不支援的 wire type ${wireType}`);
+  }
+}
+
+function describeVarint(value) {
+  const int = BigInt.asIntN(64, value);
+  return {
+    $typeName: 'wire.varint',
+    int: toJsonNumber(int),
+    ...(int < 0n ? { uint: toJsonNumber(value) } : {}),
+    sint: toJsonNumber((value >> 1n) ^ -(value & 1n)),
+    ...(value <= 1n ? { bool: value === 1n } : {}),
+  };
+}
+
+/**
+ * Length-delimited 欄位可能是 string、bytes 或巢狀訊息，無法單從位元組判斷，
+ * 因此列出所有能成功解讀的形式，原始位元組則一律保留。
+ */
+function describeLengthDelimited(data, depth) {
+  const result: Record<string, unknown> = { $typeName: 'wire.len', length: data.length };
+
+  const text = tryDecodeText(data);
+  if (text !== null) result.string = text;
+
+  if (data.length > 0 && depth < MAX_NESTING_DEPTH) {
+    const nested = parseFields(data, depth + 1);
+    if (!nested.error && Object.keys(nested.fields).length > 0) {
+      result.message = { $typeName: 'wire.message', ...nested.fields };
+    }
+  }
+
+  result.bytes = bytesToBase64(data);
+  return result;
+}
+
+function tryDecodeText(data) {
+  try {
+    const text = strictUtf8Decoder.decode(data);
+    // 含控制字元 (換行與 Tab 除外) 的內容幾乎不會是人類可讀字串
+    return /[\x00-\x08\x0b\x0c\x0e-\x1f\x7f]/.test(text) ? null : text;
+  } catch {
+    return null;
+  }
+}
+
+function readFixed(bytes, pos, size) {
+  if (pos + size > bytes.length) throw new Error(`位置 ${pos} 的 ${size * 8} 位元欄位被截斷`);
+  return new DataView(bytes.buffer, bytes.byteOffset + pos, size);
+}
+
+/**
+ * 與 ProtoEngine._convertValue 相同的規則：安全範圍內轉為 number，超出則轉為字串
+ */
+function toJsonNumber(value) {
+  if (value <= BigInt(Number.MAX_SAFE_INTEGER) && value >= BigInt(Number.MIN_SAFE_INTEGER)) {
+    return Number(value);
+  }
+  return value.toString();
+}
+
+function bytesToBase64(bytes) {
+  let binary = '';
+  for (const byte of bytes) binary += String.fromCharCode(byte);
+  return btoa(binary);
+}
@@ -0,0 +1,545 @@
+/**
+ * Zstandard 解壓縮 (RFC 8878)
+ *
+ * 僅實作解碼端，結構對應規範附帶的 educational decoder：
+ * Frame → Block → Literals (Huffman) 與 Sequences (FSE)。
+ * 不支援外部字典；Content Checksum (XXH64) 僅略過，不驗證。
+ */
+
+import { OutputBuffer, concatBytes } from './inflate';
+
+const FRAME_MAGIC = 0xfd2fb528;
+const SKIPPABLE_MAGIC_MASK = 0xfffffff0;
+const SKIPPABLE_MAGIC = 0x184d2a50;
+
+const LL_BASE = [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 16, 18, 20, 22, 24, 28, 32, 40, 48, 64, 128, 256, 512, 1024, 2048, 4096, 8192, 16384, 32768, 65536];
+const LL_BITS = [0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 1, 1, 1, 1, 2, 2, 3, 3, 4, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 16];
+const ML_BASE = [
+  3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 16, 17, 18, 19, 20, 21, 22, 23, 24, 25, 26, 27, 28, 29, 30, 31, 32, 33, 34,
+  35, 37, 39, 41, 43, 47, 51, 59, 67, 83, 99, 131, 259, 515, 1027, 2051, 4099, 8195, 16387, 32771, 65539,
+];
+const ML_BITS = [
+  0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0,
+  1, 1, 1, 1, 2, 2, 3, 3, 4, 4, 5, 7, 8, 9, 10, 11, 12, 13, 14, 15, 16,
+];
+
+const LL_DEFAULT = [4, 3, 2, 2, 2, 2, 2, 2, 2, 2, 2, 2, 2, 1, 1, 1, 2, 2, 2, 2, 2, 2, 2, 2, 2, 3, 2, 1, 1, 1, 1, 1, -1, -1, -1, -1];
+const ML_DEFAULT = [
+  1, 4, 3, 2, 2, 2, 2, 2, 2, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1,
+  1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, -1, -1, -1, -1, -1, -1, -1,
+];
+const OF_DEFAULT = [1, 1, 1, 1, 1, 1, 2, 2, 2, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, -1, -1, -1, -1, -1];
+
+const SEQUENCE_TABLES = {
+  literalLength: { defaultTable: buildFseTable(LL_DEFAULT, 6), maxAccuracyLog: 9, maxSymbol: 35 },
+  offset: { defaultTable: buildFseTable(OF_DEFAULT, 5), maxAccuracyLog: 8, maxSymbol: 31 },
+  matchLength: { defaultTable: buildFseTable(ML_DEFAULT, 6), maxAccuracyLog: 9, maxSymbol: 52 },
+};
+
+/**
+ * 解壓一或多個串接的 Zstandard Frame
+ *
+ * @param {Uint8Array} input
+ * @returns {Uint8Array}
+ */
+export function zstdDecompress(input) {
+  const parts = [];
+  let pos = 0;
+  while (pos + 4 <= input.length) {
+    const magic = readLittleEndian(input, pos, 4);
+    if ((magic & SKIPPABLE_MAGIC_MASK) >>> 0 === SKIPPABLE_MAGIC) {
+      pos += 8 + readLittleEndian(input, pos + 4, 4);
+      continue;
+    }
+    if (magic !== FRAME_MAGIC) throw new Error('不是有效的 Zstandard 資料');
+    const frame = decodeFrame(input, pos + 4);
+    parts.push(frame.data);
+    pos = frame.end;
+  }
+  if (parts.length === 0) throw new Error('不是有效的 Zstandard 資料');
+  return concatBytes(parts);
+}
+
+function decodeFrame(input, start) {
+  let pos = start;
+  const descriptor = input[pos++];
+  const contentSizeFlag = descriptor >> 6;
+  const singleSegment = (descriptor >> 5) & 1;
+  const hasChecksum = (descriptor >> 2) & 1;
+  const dictionaryIdFlag = descriptor & 3;
+  if (descriptor & 0x08) throw new Error('Zstandard Frame 標頭的保留位元不為 0');
+
+  if (!singleSegment) pos += 1; // Window_Descriptor
+  const dictionaryIdSize = [0, 1, 2, 4][dictionaryIdFlag];
+  if (dictionaryIdSize && readLittleEndian(input, pos, dictionaryIdSize) !== 0) {
+    throw new Error('不支援使用字典壓縮的 Zstandard 資料');
+  }
+  pos += dictionaryIdSize;
+  const contentSizeBytes = [singleSegment ? 1 : 0, 2, 4, 8][contentSizeFlag];
+  let contentSize = contentSizeBytes ? readLittleEndian(input, pos, contentSizeBytes) : 0;
+  if (contentSizeBytes === 2) contentSize += 256;
+  pos += contentSizeBytes;
+
+  const output = new OutputBuffer(contentSize || input.length * 4);
+  const state = {
+    repeatOffsets: [1, 4, 8],
+    huffmanTable: null,
+    tables: { literalLength: null, offset: null, matchLength: null },
+  };
+
+  let last = 0;
+  while (!last) {
+    if (pos + 3 > input.length) throw new Error('Zstandard 資料不完整');
+    const header = readLittleEndian(input, pos, 3);
+    pos += 3;
+    last = header & 1;
+    const type = (header >> 1) & 3;
+    const size = header >> 3;
+
+    if (type === 0) {
+      if (pos + size > input.length) throw new Error('Zstandard 資料不完整');
+      output.write(input.subarray(pos, pos + size));
+      pos += size;
+    } else if (type === 1) {
+      if (pos >= input.length) throw new Error('Zstandard 資料不完整');
+      output.write(new Uint8Array(size).fill(input[pos]));
+      pos += 1;
+    } else if (type === 2) {
+      if (pos + size > input.length) throw new Error('Zstandard 資料不完整');
+      decodeCompressedBlock(input.subarray(pos, pos + size), output, state);
+      pos += size;
+    } else {
+      throw new Error('無效的 Zstandard 區塊類型');
+    }
+  }
+
+  if (hasChecksum) pos += 4;
+  return { data: output.result(), end: pos };
+}
+
+function decodeCompressedBlock(block, output, state) {
+  const { literals, end } = decodeLiterals(block, state);
+  let pos = end;
+
+  // Number_of_Sequences 依第一個位元組的範圍佔用 1 到 3 個位元組
+  let sequenceCount = block[pos++];
+  if (sequenceCount === undefined) throw new Error('Zstandard 區塊缺少 Sequences 標頭');
+  if (sequenceCount === 255) {
+    sequenceCount = block[pos] + (block[pos + 1] << 8) + 0x7f00;
+    pos += 2;
+  } else if (sequenceCount >= 128) {
+    sequenceCount = ((sequenceCount - 128) << 8) + block[pos];
+    pos += 1;
+  }
+  if (sequenceCount === 0) {
+    output.write(literals);
+    return;
+  }
+
+  const modes = block[pos++];
+  const tables = {};
+  for (const [name, shift] of [['literalLength', 6], ['offset', 4], ['matchLength', 2]] as const) {
+    const { table, size } = readSequenceTable(block, pos, (modes >> shift) & 3, SEQUENCE_TABLES[name], state.tables[name]);
+    tables[name] = table;
+    state.tables[name] = table;
+    pos += size;
+  }
+
+  executeSequences(new BackwardBitReader(block, pos, block.length), sequenceCount, tables, literals, output, state);
+}
+
+/**
+ * 依 Symbol Compression Mode 取得 FSE 表：Predefined、RLE、內嵌的機率表，或沿用前一個區塊的表
+ */
+function readSequenceTable(block, pos, mode, spec, previous) {
+  switch (mode) {
+    case 0:
+      return { table: spec.defaultTable, size: 0 };
+    case 1:
+      return { table: rleTable(block[pos]), size: 1 };
+    case 2: {
+      const { counts, accuracyLog, size } = readFseDescription(block, pos, spec.maxAccuracyLog, spec.maxSymbol);
+      return { table: buildFseTable(counts, accuracyLog), size };
+    }
+    default:
+      if (!previous) throw new Error('Zstandard 重複使用的 FSE 表不存在');
+      return { table: previous, size: 0 };
+  }
+}
+
+function executeSequences(reader, count, tables, literals, output, state) {
+  const { literalLength, offset: offsetTable, matchLength } = tables;
+  let llState = reader.read(literalLength.accuracyLog);
+  let ofState = reader.read(offsetTable.accuracyLog);
+  let mlState = reader.read(matchLength.accuracyLog);
+  const history = state.repeatOffsets;
+  let literalPos = 0;
+
+  for (let i = 0; i < count; i += 1) {
+    const ofCode = offsetTable.symbols[ofState];
+    const mlCode = matchLength.symbols[mlState];
+    const llCode = literalLength.symbols[llState];
+    if (llCode >= LL_BASE.length || mlCode >= ML_BASE.length || ofCode > 31) throw new Error('無效的 Zstandard Sequence 代碼');
+
+    const offsetValue = 2 ** ofCode + reader.read(ofCode);
+    const matchLen = ML_BASE[mlCode] + reader.read(ML_BITS[mlCode]);
+    const literalLen = LL_BASE[llCode] + reader.read(LL_BITS[llCode]);
+
+    let offset;
+    if (offsetValue > 3) {
+      offset = offsetValue - 3;
+      history[2] = history[1];
+      history[1] = history[0];
+      history[0] = offset;
+    } else {
+      const index = offsetValue - 1 + (literalLen === 0 ? 1 : 0);
+      if (index === 0) {
+        offset = history[0];
+      } else {
+        offset = index < 3 ? history[index] : history[0] - 1;
+        if (index > 1) history[2] = history[1];
+        history[1] = history[0];
+        history[0] = offset;
+      }
+    }
+
+    if (literalPos + literalLen > literals.length) throw new Error('Zstandard Literal 長度超出範圍');
+    output.write(literals.subarray(literalPos, literalPos + literalLen));
+    literalPos += literalLen;
+    output.copy(offset, matchLen);
+
+    if (i < count - 1) {
+      llState = literalLength.baselines[llState] + reader.read(literalLength.bitCounts[llState]);
+      mlState = matchLength.baselines[mlState] + reader.read(matchLength.bitCounts[mlState]);
+      ofState = offsetTable.baselines[ofState] + reader.read(offsetTable.bitCounts[ofState]);
+    }
+  }
+
+  output.write(literals.subarray(literalPos));
+}
+
+// ============================================================================
+// Literals Section
+// ============================================================================
+
+function decodeLiterals(block, state) {
+  const b0 = block[0];
+  const type = b0 & 3;
+  const sizeFormat = (b0 >> 2) & 3;
+
+  if (type === 0 || type === 1) {
+    let size;
+    let headerSize;
+    if ((sizeFormat & 1) === 0) {
+      size = b0 >> 3;
+      headerSize = 1;
+    } else if (sizeFormat === 1) {
+      size = (b0 >> 4) + (block[1] << 4);
+      headerSize = 2;
+    } else {
+      size = (b0 >> 4) + (block[1] << 4) + (block[2] << 12);
+      headerSize = 3;
+    }
+    if (type === 0) {
+      if (headerSize + size > block.length) throw new Error('Zstandard Literal 資料不完整');
+      return { literals: block.slice(headerSize, headerSize + size), end: headerSize + size };
+    }
+    return { literals: new Uint8Array(size).fill(block[headerSize]), end: headerSize + 1 };
+  }
+
+  const headerSize = [3, 3, 4, 5][sizeFormat];
+  const sizeBits = [10, 10, 14, 18][sizeFormat];
+  const header = readLittleEndian(block, 0, headerSize);
+  const regeneratedSize = Math.floor(header / 16) % 2 ** sizeBits;
+  const compressedSize = Math.floor(header / 2 ** (4 + sizeBits)) % 2 ** sizeBits;
+  const streamCount = sizeFormat === 0 ? 1 : 4;
+
+  let pos = headerSize;
+  const end = headerSize + compressedSize;
+  if (end > block.length) throw new Error('Zstandard Literal 資料不完整');
+  if (type === 2) {
+    const { table, size } = readHuffmanTable(block, pos);
+    state.huffmanTable = table;
+    pos += size;
+  } else if (!state.huffmanTable) {
+    throw new Error('Zstandard 重複使用的 Huffman 表不存在');
+  }
+
+  const literals = new Uint8Array(regeneratedSize);
+  if (streamCount === 1) {
+    decodeHuffmanStream(block, pos, end, state.huffmanTable, literals, 0, regeneratedSize);
+  } else {
+    const sizes = [readLittleEndian(block, pos, 2), readLittleEndian(block, pos + 2, 2), readLittleEndian(block, pos + 4, 2)];
+    const segment = Math.ceil(regeneratedSize / 4);
+    let streamStart = pos + 6;
+    for (let i = 0; i < 4; i += 1) {
+      const streamEnd = i < 3 ? streamStart + sizes[i] : end;
+      const outStart = segment * i;
+      const outEnd = i < 3 ? outStart + segment : regeneratedSize;
+      if (streamEnd > end || outEnd > regeneratedSize) throw new Error('Zstandard Huffman Stream 大小錯誤');
+      decodeHuffmanStream(block, streamStart, streamEnd, state.huffmanTable, literals, outStart, outEnd);
+      streamStart = streamEnd;
+    }
+  }
+  return { literals, end };
+}
+
+function readHuffmanTable(block, pos) {
+  const header = block[pos];
+  let weights;
+  let size;
+  if (header >= 128) {
+    const count = header - 127;
+    size = 1 + Math.ceil(count / 2);
+    weights = [];
+    for (let i = 0; i < count; i += 1) {
+      const byte = block[pos + 1 + (i >> 1)];
+      weights.push(i % 2 === 0 ? byte >> 4 : byte & 0x0f);
+    }
+  } else {
+    size = 1 + header;
+    weights = decodeHuffmanWeights(block, pos + 1, pos + 1 + header);
+  }
+
+  // 最後一個符號的權重由其餘權重推算，使總和補足為 2 的次方
+  let total = 0;
+  for (const weight of weights) if (weight > 0) total += 2 ** (weight - 1);
+  if (total === 0) throw new Error('無效的 Zstandard Huffman 權重');
+  const maxBits = highestBit(total) + 1;
+  const remainder = 2 ** maxBits - total;
+  if ((remainder & (remainder - 1)) !== 0) throw new Error('無效的 Zstandard Huffman 權重');
+  weights.push(highestBit(remainder) + 1);
+  if (maxBits > 11) throw new Error('Zstandard Huffman 碼長超過上限');
+
+  const tableSize = 2 ** maxBits;
+  const symbols = new Uint8Array(tableSize);
+  const bitCounts = new Uint8Array(tableSize);
+  const rankStart = new Array(maxBits + 2).fill(0);
+  for (const weight of weights) if (weight > 0) rankStart[weight + 1] += 2 ** (weight - 1);
+  for (let weight = 1; weight <= maxBits; weight += 1) rankStart[weight + 1] += rankStart[weight];
+  weights.forEach((weight, symbol) => {
+    if (weight === 0) return;
+    const length = 2 ** (weight - 1);
+    const start = rankStart[weight];
+    symbols.fill(symbol, start, start + length);
+    bitCounts.fill(maxBits + 1 - weight, start, start + length);
+    rankStart[weight] += length;
+  });
+
+  return { table: { maxBits, symbols, bitCounts }, size };
+}
+
+function decodeHuffmanWeights(block, start, end) {
+  const { counts, accuracyLog, size } = readFseDescription(block, start, 6, 255);
+  const table = buildFseTable(counts, accuracyLog);
+  const reader = new BackwardBitReader(block, start + size, end);
+  let state1 = reader.read(accuracyLog);
+  let state2 = reader.read(accuracyLog);
+  const weights = [];
+
+  // 兩個 State 交錯解碼，直到讀取超過 Bitstream 開頭為止
+  while (weights.length < 255) {
+    weights.push(table.symbols[state1]);
+    state1 = table.baselines[state1] + reader.read(table.bitCounts[state1]);
+    if (reader.overflowed()) {
+      weights.push(table.symbols[state2]);
+      break;
+    }
+    weights.push(table.symbols[state2]);
+    state2 = table.baselines[state2] + reader.read(table.bitCounts[state2]);
+    if (reader.overflowed()) {
+      weights.push(table.symbols[state1]);
+      break;
+    }
+  }
+  return weights;
+}
+
+function decodeHuffmanStream(block, start, end, table, output, outStart, outEnd) {
+  const reader = new BackwardBitReader(block, start, end);
+  const mask = 2 ** table.maxBits - 1;
+  let state = reader.read(table.maxBits);
+  for (let i = outStart; i < outEnd; i += 1) {
+    output[i] = table.symbols[state];
+    const bits = table.bitCounts[state];
+    state = ((state << bits) + reader.read(bits)) & mask;
+  }
+}
+
+// ============================================================================
+// FSE
+// ============================================================================
+
+/**
+ * 讀取 FSE 正規化機率表 (Forward Bitstream)
+ */
+function readFseDescription(block, start, maxAccuracyLog, maxSymbol) {
+  const reader = new ForwardBitReader(block, start);
+  const accuracyLog = reader.read(4) + 5;
+  if (accuracyLog > maxAccuracyLog) throw new Error('Zstandard FSE 精度超過上限');
+
+  let remaining = 2 ** accuracyLog;
+  const counts = [];
+  while (remaining > 0 && counts.length <= maxSymbol) {
+    const bits = highestBit(remaining + 1) + 1;
+    let value = reader.read(bits);
+    const lowerMask = 2 ** (bits - 1) - 1;
+    const threshold = 2 ** bits - 1 - (remaining + 1);
+    if ((value & lowerMask) < threshold) {
+      reader.rewind(1);
+      value &= lowerMask;
+    } else if (value > lowerMask) {
+      value -= threshold;
+    }
+    const probability = value - 1;
+    remaining -= Math.abs(probability);
+    counts.push(probability);
+
+    if (probability === 0) {
+      let repeat = reader.read(2);
+      while (true) {
+        for (let i = 0; i < repeat && counts.length <= maxSymbol; i += 1) counts.push(0);
+        if (repeat !== 3) break;
+        repeat = reader.read(2);
+      }
+    }
+  }
+  if (remaining !== 0) throw new Error('無效的 Zstandard FSE 機率表');
+
+  return { counts, accuracyLog, size: reader.bytesConsumed() };
+}
+
+function buildFseTable(counts, accuracyLog) {
+  const size = 2 ** accuracyLog;
+  const symbols = new Uint8Array(size);
+  const bitCounts = new Uint8Array(size);
+  const baselines = new Uint16Array(size);
+  const next = new Array(counts.length).fill(0);
+
+  let highThreshold = size;
+  counts.forEach((count, symbol) => {
+    if (count === -1) {
+      highThreshold -= 1;
+      symbols[highThreshold] = symbol;
+      next[symbol] = 1;
+    }
+  });
+
+  const step = (size >> 1) + (size >> 3) + 3;
+  const mask = size - 1;
+  let position = 0;
+  counts.forEach((count, symbol) => {
+    if (count <= 0) return;
+    next[symbol] = count;
+    for (let i = 0; i < count; i += 1) {
+      symbols[position] = symbol;
+      do {
+        position = (position + step) & mask;
+      } while (position >= highThreshold);
+    }
+  });
+  if (position !== 0) throw new Error('無效的 Zstandard FSE 機率表');
+
+  for (let state = 0; state < size; state += 1) {
+    const nextState = next[symbols[state]]++;
+    bitCounts[state] = accuracyLog - highestBit(nextState);
+    baselines[state] = (nextState << bitCounts[state]) - size;
+  }
+  return { accuracyLog, symbols, bitCounts, baselines };
+}
+
+function rleTable(symbol) {
+  return {
+    accuracyLog: 0,
+    symbols: Uint8Array.of(symbol),
+    bitCounts: Uint8Array.of(0),
+    baselines: Uint16Array.of(0),
+  };
+}
+
+// ============================================================================
+// Bitstreams
+// ============================================================================
+
+class ForwardBitReader {
+  input: Uint8Array;
+  start: number;
+  bitPos = 0;
+
+  constructor(input, start) {
+    this.input = input;
+    this.start = start;
+  }
+
+  read(count) {
+    const value = readBits(this.input, this.start, this.bitPos, count);
+    this.bitPos += count;
+    return value;
+  }
+
+  rewind(count) {
+    this.bitPos -= count;
+  }
+
+  bytesConsumed() {
+    return Math.ceil(this.bitPos / 8);
+  }
+}
+
+/**
+ * 由結尾往開頭讀取的 Bitstream；最後一個位元組的最高位 1 為結束標記
+ * 讀超過開頭時以 0 補齊，並透過 overflowed() 告知呼叫端
+ */
+class BackwardBitReader {
+  input: Uint8Array;
+  start: number;
+  offset: number;
+
+  constructor(input, start, end) {
+    if (end <= start || input[end - 1] === 0) throw new Error('無效的 Zstandard Bitstream');
+    this.input = input;
+    this.start = start;
+    this.offset = (end - start) * 8 - (8 - highestBit(input[end - 1]));
+  }
+
+  read(count) {
+    if (count === 0) return 0;
+    this.offset -= count;
+    if (this.offset >= 0) return readBits(this.input, this.start, this.offset, count);
+    const available = count + this.offset;
+    return available > 0 ? readBits(this.input, this.start, 0, available) * 2 ** -this.offset : 0;
+  }
+
+  overflowed() {
+    return this.offset < 0;
+  }
+}
+
+/**
+ * 讀取 LSB 優先排列、從 bitOffset 開始的 count 個位元
+ */
+function readBits(input, start, bitOffset, count) {
+  let value = 0;
+  let read = 0;
+  let pos = bitOffset;
+  while (read < count) {
+    const byte = input[start + (pos >> 3)] ?? 0;
+    const bitInByte = pos & 7;
+    const take = Math.min(8 - bitInByte, count - read);
+    value += ((byte >> bitInByte) & ((1 << take) - 1)) * 2 ** read;
+    read += take;
+    pos += take;
+  }
+  return value;
+}
+
+function readLittleEndian(input, pos, bytes) {
+  if (pos + bytes > input.length) throw new Error('Zstandard 資料不完整');
+  let value = 0;
+  for (let i = 0; i < bytes; i += 1) value += input[pos + i] * 2 ** (8 * i);
+  return value;
+}
+
+function highestBit(value) {
+  return 31 - Math.clz32(value);
+}
@@ -1,5 +1,14 @@
 import { writable } from 'svelte/store';
-import { clearLogs, replaceInspectorLogs, resetInspectorLogs } from './network';
+import {
+  captureRules,
+  clearLogs,
+  mergeInspectorRecords,
+  mutedCounts,
+  recordRetention,
+  replaceInspectorLogs,
+  resetInspectorLogs,
+} from './network';
+import { RECORD_PAGE_SIZE, normalizeRecordRetention } from '../lib/record-retention';
 
 export const activeTabId = writable(null);
 export const monitoring = writable(false);
@@ -8,8 +17,19 @@ export const inspectorError = writable('');
 export const requestDetectionEnabled = writable(false);
 export const protoDetectionEnabled = writable(false);
 export const detectionUpdating = writable(false);
+// 擷取規則所屬的頁面 Origin；沒有 Origin 的頁面 (例如 chrome://) 無法保存規則
+export const captureRulesOrigin = writable('');
+// 背景是否還保存比目前列表更早的紀錄；列表捲動到頂端時載入下一頁
+export const hasOlderRecords = writable(false);
+export const loadingOlderRecords = writable(false);
+// 背景保存的目前分頁紀錄統計 ({count, bytes})
+export const recordStats = writable({ count: 0, bytes: 0 });
 
 let refreshVersion = 0;
+// 已載入紀錄的游標 ({tabId, rev, oldestSeq})：刷新時只讀取 rev 之後變動的紀錄，
+// 載入更早的一頁時讀取 seq 早於 oldestSeq 的紀錄；尚未載入或背景不支援時為 null
+let recordCursor = null;
+let pagingVersion = 0;
 let detectionOperationVersion = 0;
 const clearingTabIds = new Set();
 
@@ -43,6 +63,7 @@ export function selectInspectorTab(tabId) {
   if (getStoreValue(activeTabId) !== tabId) {
     activeTabId.set(tabId);
     resetInspectorLogs();
+    resetRecordPaging();
   }
   ++refreshVersion;
   ++detectionOperationVersion;
@@ -50,13 +71,20 @@ export function selectInspectorTab(tabId) {
   void refreshInspector(tabId);
 }
 
-export async function refreshInspector(tabId) {
+/**
+ * 讀取背景的狀態與紀錄；已有游標時只合併之後新增、更新或淘汰的紀錄，
+ * reload 為 true 時 (例如匯入新的定義後需要重新解碼) 重新載入最新的一頁
+ */
+export async function refreshInspector(tabId, { reload = false } = {}) {
   const version = ++refreshVersion;
   try {
     const targetTabId = Number.isInteger(tabId) ? tabId : await getInspectorTabId();
+    const cursor = !reload && recordCursor?.tabId === targetTabId ? recordCursor : null;
     const [status, records] = await Promise.all([
       send({ type: 'status', tabId: targetTabId }),
-      send({ type: 'records', tabId: targetTabId }),
+      send(cursor
+        ? { type: 'records', tabId: targetTabId, sinceRev: cursor.rev }
+        : { type: 'records', tabId: targetTabId, limit: RECORD_PAGE_SIZE }),
     ]);
     const isCurrentView = () => {
       return version === refreshVersion &&
@@ -64,17 +92,42 @@ export async function refreshInspector(tabId) {
         !clearingTabIds.has(targetTabId);
     };
     if (!isCurrentView()) return;
+    // rev 倒退代表背景的紀錄已被清除，游標不再有效
+    if (cursor && !(records.rev >= cursor.rev)) return refreshInspector(targetTabId, { reload: true });
 
     monitoring.set(Boolean(status.attached));
     urlFilter.set(status.urlFilter ?? '');
     requestDetectionEnabled.set(Boolean(status.requestDetectionEnabled));
     protoDetectionEnabled.set(Boolean(status.protoDetectionEnabled));
-    const applied = await replaceInspectorLogs(
-      records.records ?? [],
-      status.hiddenServices ?? [],
-      isCurrentView,
-    );
-    if (!applied || !isCurrentView()) return;
+    captureRulesOrigin.set(status.captureRulesOrigin ?? '');
+    captureRules.set(status.captureRules ?? []);
+    mutedCounts.set(status.mutedCounts ?? {});
+    recordRetention.set(normalizeRecordRetention(status.recordRetention));
+    recordStats.set(status.recordStats ?? { count: 0, bytes: 0 });
+    const hiddenServices = status.hiddenServices ?? [];
+    if (cursor) {
+      // 尚未載入的較早紀錄被更新時留待載入該頁，避免列表中間出現缺口
+      const changed = (records.records ?? []).filter((record) => {
+        return cursor.oldestSeq === null || !(record._seq < cursor.oldestSeq);
+      });
+      const minSeq = records.minSeq ?? null;
+      const chunks = records.chunks ?? [];
+      const applied = await mergeInspectorRecords(changed, { hiddenServices, minSeq, chunks }, isCurrentView);
+      if (!applied || !isCurrentView()) return;
+      // 等待解碼期間可能已載入更早的一頁，以目前的游標為準
+      const oldestSeq = recordCursor.oldestSeq ?? oldestRecordSeq(changed);
+      recordCursor = { ...recordCursor, rev: records.rev, oldestSeq };
+      // 已載入的最舊紀錄也被淘汰時，背景已沒有更早的紀錄
+      if (minSeq === null || oldestSeq === null || minSeq >= oldestSeq) hasOlderRecords.set(false);
+    } else {
+      const applied = await replaceInspectorLogs(records.records ?? [], hiddenServices, isCurrentView);
+      if (!applied || !isCurrentView()) return;
+      ++pagingVersion;
+      recordCursor = Number.isInteger(records.rev)
+        ? { tabId: targetTabId, rev: records.rev, oldestSeq: oldestRecordSeq(records.records ?? []) }
+        : null;
+      hasOlderRecords.set(Boolean(records.hasMore));
+    }
     inspectorError.set('');
   } catch (error) {
     if (version !== refreshVersion) return;
@@ -137,6 +190,7 @@ export async function clearInspectorRecords(tabId) {
   if (!hasTargetTabId || getStoreValue(activeTabId) === tabId) {
     // 先清除目前面板，避免等待背景 storage 寫入才更新 UI。
     clearLogs(true);
+    resetRecordPaging();
   }
 
   let targetTabId;
@@ -157,6 +211,78 @@ export async function clearInspectorRecords(tabId) {
   }
 }
 
+/**
+ * 保存目前頁面 Origin 的擷取規則，並立即套用到列表與攔截器
+ *
+ * @returns {Promise<boolean>} 是否保存成功
+ */
+export async function saveCaptureRules(rules) {
+  try {
+    const tabId = await getInspectorTabId();
+    const result = await send({ type: 'setCaptureRules', tabId, rules });
+    if (getStoreValue(activeTabId) === tabId) {
+      captureRulesOrigin.set(result.captureRulesOrigin ?? '');
+      captureRules.set(result.captureRules ?? []);
+    }
+    inspectorError.set('');
+    return true;
+  } catch (error) {
+    inspectorError.set(error instanceof Error ? error.message : String(error));
+    return false;
+  }
+}
+
+/**
+ * 載入一頁比目前列表更早的紀錄，並合併到已載入的紀錄前
+ */
+export async function loadOlderRecords() {
+  const cursor = recordCursor;
+  if (!cursor || !getStoreValue(hasOlderRecords) || getStoreValue(loadingOlderRecords)) return;
+  const version = pagingVersion;
+  const isCurrentPage = () => {
+    return version === pagingVersion &&
+      recordCursor?.tabId === cursor.tabId &&
+      getStoreValue(activeTabId) === cursor.tabId &&
+      !clearingTabIds.has(cursor.tabId);
+  };
+  loadingOlderRecords.set(true);
+  try {
+    const page = await send({
+      type: 'records',
+      tabId: cursor.tabId,
+      limit: RECORD_PAGE_SIZE,
+      beforeSeq: cursor.oldestSeq,
+    });
+    const records = page.records ?? [];
+    const applied = await mergeInspectorRecords(records, {}, isCurrentPage);
+    if (!applied || !isCurrentPage()) return;
+    recordCursor = { ...recordCursor, oldestSeq: oldestRecordSeq(records) ?? recordCursor.oldestSeq };
+    hasOlderRecords.set(Boolean(page.hasMore));
+  } catch (error) {
+    if (isCurrentPage()) inspectorError.set(error instanceof Error ? error.message : String(error));
+  } finally {
+    loadingOlderRecords.set(false);
+  }
+}
+
+/**
+ * 保存紀錄保留設定；背景會立即依新設定淘汰紀錄
+ *
+ * @returns {Promise<boolean>} 是否保存成功
+ */
+export async function saveRecordRetention(retention) {
+  try {
+    const result = await send({ type: 'setRecordRetention', retention });
+    recordRetention.set(normalizeRecordRetention(result.recordRetention));
+    inspectorError.set('');
+    await refreshInspector();
+    return true;
+  } catch (error) {
+    inspectorError.set(error instanceof Error ? error.message : String(error));
+    return false;
+  }
+}
+
 export async function setHiddenServices(serviceNames) {
   try {
     const tabId = await getInspectorTabId();
@@ -166,6 +292,17 @@ export async function setHiddenServices(serviceNames) {
   }
 }
 
+function resetRecordPaging() {
+  recordCursor = null;
+  ++pagingVersion;
+  hasOlderRecords.set(false);
+}
+
+function oldestRecordSeq(records) {
+  const seqs = records.map((record) => record._seq).filter(Number.isInteger);
+  return seqs.length ? Math.min(...seqs) : null;
+}
+
 function getStoreValue(store) {
   let value;
   const unsubscribe = store.subscribe((next) => { value = next; });
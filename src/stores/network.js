@@ -3,39 +3,85 @@
  * 
  * 這是 Debugger 的數據中心，負責：
  * 1. 儲存與過濾網路請求紀錄 (gRPC Calls)。
- * 2. 實作複雜的解碼管線 (Extraction Pipeline)：處理 Base64、Gzip、gRPC Framing。
+ * 2. 實作複雜的解碼管線 (Extraction Pipeline)：處理 Base64、Gzip、gRPC / Connect Framing 與 Trailers。
  * 3. 處理多來源同步 (Merge Logic)：合併來自 HAR 檔案與即時攔截的請求數據。
  */
 
 import { writable, derived, get } from 'svelte/store';
 import { protoEngine } from '../lib/proto-engine';
-import { tryAutoReflection, hasReflected, services } from './schema';
-import { enablePostMessage, enableReflection } from './settings';
+import { tryAutoReflection, hasReflected, replaceCapturedServices, findMessageTypeOverride, setMessageTypeOverride } from './schema';
+import { enablePostMessage, enableReflection, valueRendering } from './settings';
 import { createLogger } from '../lib/logger';
 import { decodeCachedProtoMessage } from '../lib/cached-proto-decoder';
+import { parseTrailerBlock, grpcStatusFromMetadata, decodeBinaryMetadata } from '../lib/grpc-trailers';
+import {
+  CONNECT_COMPRESSED_FLAG,
+  CONNECT_END_STREAM_FLAG,
+  connectContentKind,
+  connectErrorStatus,
+  connectUnaryTrailers,
+  decodeBase64Url,
+  parseConnectEndStream,
+  parseConnectGetRequest,
+  parseJsonBytes,
+} from '../lib/connect-protocol';
+import { unpackAny } from '../lib/any-unpack';
+import { decompressPayload, mergeCompression, messageEncoding, sniffCompression } from '../lib/compression-codecs';
+import { findProtoFileDefining, generateProtoFiles, generateRuntimeProtoFiles } from '../lib/proto-source';
+import { annotateMessages, layoutFromDescriptor, layoutFromRuntimeSchema } from '../lib/hex-annotations';
+import { inferMessageTypes } from '../lib/type-inference';
+import { collectSchemaDrift, mergeSchemaDrift, summarizeSchemaDrift } from '../lib/schema-drift';
+import { listRequestContexts, requestContextKey } from '../lib/request-context';
+import { evaluateCaptureRules, rulesForRecordedHeaders } from '../lib/capture-rules';
+import { normalizeRecordRetention } from '../lib/record-retention';
+import { joinBase64Chunks } from '../lib/stream-frames';
 
 const logger = createLogger('Network');
-const MAX_LOG_ENTRIES = 200;
+// 推測型別時最多比對的訊息數，避免長時間的 Streaming 拖慢詳情頁
+const MAX_INFERENCE_MESSAGES = 5;
 
 // 原始日誌陣列
 export const log = writable([]);
 // UI 過濾關鍵字
 export const filterValue = writable('');
+// 依發出請求的執行環境 (頁面、iframe、Worker) 過濾；空字串代表全部
+export const contextFilter = writable('');
+// 目前頁面 Origin 的擷取規則；規則變更前已擷取的紀錄也依此過濾
+export const captureRules = writable([]);
+// 擷取時已被 mute 規則略過的呼叫次數 ({ [ruleId]: count })，由背景回報
+export const mutedCounts = writable({});
+// 紀錄保留設定 (見 lib/record-retention)，由背景回報；HAR 來源的紀錄也套用同樣的筆數上限
+export const recordRetention = writable(normalizeRecordRetention(null));
 // 目前選擇的日誌 ID
 export const selectedId = writable(null);
 // 是否在清除時保留紀錄 (Preserve Log)
 export const preserveLog = writable(false);
 
+// 數值呈現設定變更時重新解碼保留原始位元組的紀錄 (Proto 偵測的紀錄已由頁面 runtime 解碼，不受影響)；略過訂閱時立即收到的初始值
+let renderingInitialized = false;
+// 背景擷取且已載入面板的紀錄 (包含隱藏服務的紀錄)，分頁載入與增量刷新時合併於此
+let inspectorEntries = [];
+let inspectorHiddenServices = [];
+valueRendering.subscribe(() => {
+  if (!renderingInitialized) {
+    renderingInitialized = true;
+    return;
+  }
+  reprocessAllLogs(() => true).catch(e => logger.error('重新解碼失敗:', e));
+});
+
 /**
  * 衍生日誌 (Filtered Log)
- * 根據使用者輸入的關鍵字以及服務的隱藏設定進行即時過濾。
+ * 根據使用者輸入的關鍵字、擷取規則、服務的隱藏設定以及發出請求的執行環境進行即時過濾。
  */
 export const filteredLog = derived(
-  [log, filterValue],
-  ([$log, $filterValue]) => {
+  [log, filterValue, contextFilter, captureRules],
+  ([$log, $filterValue, $contextFilter, $captureRules]) => {
     const lowerFilter = $filterValue.toLowerCase();
 
     return $log.filter(entry => {
+      if (captureDecision(entry, $captureRules).action !== 'capture') return false;
+      if ($contextFilter && requestContextKey(entry) !== $contextFilter) return false;
       // 關鍵字過濾：比對方法名或 Endpoint
       if (!$filterValue) return true;
       const method = typeof entry.method === 'string' ? entry.method : '';
@@ -48,6 +94,32 @@ export const filteredLog = derived(
   }
 );
 
+/**
+ * 被 mute 規則略過的呼叫：擷取時由背景計數的次數，加上規則建立前已擷取、現在被隱藏的紀錄
+ *
+ * @returns {{total: number, byRule: Record<string, number>}}
+ */
+export const mutedSummary = derived(
+  [log, captureRules, mutedCounts],
+  ([$log, $captureRules, $mutedCounts]) => {
+    const byRule = { ...$mutedCounts };
+    for (const entry of $log) {
+      const decision = captureDecision(entry, $captureRules);
+      if (decision.action === 'mute') byRule[decision.ruleId] = (byRule[decision.ruleId] ?? 0) + 1;
+    }
+    return { total: Object.values(byRule).reduce((sum, count) => sum + count, 0), byRule };
+  }
+);
+
+/**
+ * 輕量攔截器的紀錄只保存部分請求標頭，未記錄的標頭規則不參與判斷
+ */
+function captureDecision(entry, rules) {
+  const headers = entry.requestHeaders ?? {};
+  const applicable = entry._source === 'lightweight' ? rulesForRecordedHeaders(rules, headers) : rules;
+  return evaluateCaptureRules(applicable, { url: entry.url ?? '', headers });
+}
+
 /**
  * 目前選擇的日誌條目
  */
@@ -59,6 +131,16 @@ export const selectedEntry = derived(
   }
 );
 
+/**
+ * 紀錄中出現的所有執行環境，供列表依來源過濾
+ */
+export const requestContexts = derived(log, $log => listRequestContexts($log));
+
+/**
+ * 整個 Session 中各訊息型別出現的未知欄位 (Schema 與伺服器版本不一致)
+ */
+export const schemaDriftSummary = derived(log, $log => summarizeSchemaDrift($log));
+
 /**
  * 新增網路日誌 (Main Entry Point)
  * 
@@ -100,8 +182,9 @@ export async function addLog(entry) {
       return newList;
     }
     logger.debug('New entry:', entry.id);
-    return list.length >= MAX_LOG_ENTRIES
-      ? [...list.slice(1), entry]
+    const { maxRecords } = get(recordRetention);
+    return maxRecords > 0 && list.length >= maxRecords
+      ? [...list.slice(list.length - maxRecords + 1), entry]
       : [...list, entry];
   });
 
@@ -130,14 +213,18 @@ function shouldProcessEntry(entry) {
 /**
  * 重新處理所有日誌
  * 當 Reflection 成功後，我們可以回頭解析那些之前顯示為 "No Schema" 的請求。
+ *
+ * @param {(entry: object) => boolean} [shouldRedecode] 符合的 entry 不論先前是否解碼成功都重新解碼
  */
-export async function reprocessAllLogs() {
+export async function reprocessAllLogs(shouldRedecode = null) {
   const currentLogs = get(log);
   
   if (!currentLogs || currentLogs.length === 0) return;
 
   for (const entry of currentLogs) {
-    const retryPlan = getEntryRetryPlan(entry);
+    const retryPlan = entry._source !== 'interceptor' && shouldRedecode?.(entry)
+      ? { request: hasRequestPayload(entry), response: hasResponsePayload(entry) }
+      : getEntryRetryPlan(entry);
     if (!retryPlan.request && !retryPlan.response) continue;
 
     await processEntry(entry, retryPlan);
@@ -147,13 +234,53 @@ export async function reprocessAllLogs() {
   log.set([...currentLogs]);
 }
 
+/**
+ * 手動指定此 entry 所屬端點 (Origin + 方法路徑) 的請求與回應型別，並立即重新解碼同一端點的所有紀錄
+ * 兩個型別皆為空時清除指定，恢復使用 Reflection 或 runtime metadata 對應的型別。
+ *
+ * @param {object} entry
+ * @param {{requestType?: string | null, responseType?: string | null} | null} types
+ */
+export async function overrideMessageTypes(entry, types) {
+  if (!entry?.method) return;
+  const origin = entryOrigin(entry);
+  setMessageTypeOverride(origin, entry.method, types);
+  await reprocessAllLogs((candidate) => candidate.method === entry.method && entryOrigin(candidate) === origin);
+}
+
+/**
+ * 決定解碼 entry 使用的訊息型別：使用者手動指定 > ProtoEngine 的方法對應 > runtime 擷取的型別
+ *
+ * @returns {{requestType: string | null, responseType: string | null, override: object | null}}
+ */
+export function resolveMessageTypes(entry) {
+  const origin = entryOrigin(entry);
+  const override = findMessageTypeOverride(origin, entry.method);
+  const methodInfo = protoEngine.findMethod(entry.method, { origin });
+  return {
+    requestType: override?.requestType || methodInfo?.requestType || entry.requestType || null,
+    responseType: override?.responseType || methodInfo?.responseType || entry.responseType || null,
+    override,
+  };
+}
+
+/**
+ * 列出解碼此 entry 時可選用的訊息型別 (依 entry 的 Origin 限定命名空間)
+ */
+export function listEntryMessageTypes(entry) {
+  return protoEngine.listMessageTypes({ origin: entryOrigin(entry) });
+}
+
 /**
  * 清除所有日誌
  */
 export function clearLogs(force = false) {
   if (get(preserveLog) && !force) return;
   log.set([]);
+  inspectorEntries = [];
   selectedId.set(null);
+  contextFilter.set('');
+  mutedCounts.set({});
 }
 
 /**
@@ -161,62 +288,178 @@ export function clearLogs(force = false) {
  * 這些紀錄已在頁面 runtime 解碼，絕不可再套用 HAR/Reflection 解碼流程。
  */
 export async function replaceInspectorLogs(records, hiddenServices = [], shouldApply = () => true) {
-  const hiddenServiceNames = new Set(hiddenServices);
-  const entries = [...records].sort((a, b) => {
-    return new Date(a.timestamp || 0).getTime() - new Date(b.timestamp || 0).getTime();
-  }).map((record) => {
+  const entries = await toInspectorEntries(records);
+  if (!shouldApply()) return false;
+  applyInspectorEntries(entries, hiddenServices);
+  return true;
+}
+
+/**
+ * 將背景新讀取的紀錄合併到已載入的紀錄，用於載入更早的一頁與增量刷新：
+ * 相同 ID 的紀錄以新讀取的版本取代，minSeq 有值時移除 seq 較小 (已被背景淘汰) 的紀錄。
+ * chunks 為其他進行中串流新附加的分塊，只解碼這些分塊並附加到已載入的紀錄。
+ * 未指定 hiddenServices 時沿用上次套用的隱藏服務。
+ *
+ * @param {object[]} records 背景回傳的紀錄 (附 `_seq`)
+ * @param {{hiddenServices?: string[], minSeq?: number | null, chunks?: object[]}} options minSeq 為 null 代表背景已沒有任何紀錄
+ */
+export async function mergeInspectorRecords(records, { hiddenServices = inspectorHiddenServices, minSeq, chunks = [] } = {}, shouldApply = () => true) {
+  const entries = await toInspectorEntries(records);
+  const loaded = new Map(inspectorEntries.map((entry) => [entry.id, entry]));
+  const decodedChunks = await Promise.all(chunks
+    .filter((chunk) => loaded.has(chunk.id))
+    .map((chunk) => decodeStreamChunk(loaded.get(chunk.id), chunk)));
+  if (!shouldApply()) return false;
+  const merged = new Map(inspectorEntries.map((entry) => [entry.id, entry]));
+  for (const decoded of decodedChunks) {
+    const entry = merged.get(decoded.chunk.id);
+    // 等待解碼期間紀錄可能已被清除或以新版本取代
+    if (entry && appendStreamChunk(entry, decoded)) merged.set(entry.id, { ...entry });
+  }
+  for (const entry of entries) merged.set(entry.id, entry);
+  const retained = minSeq === undefined
+    ? [...merged.values()]
+    : [...merged.values()].filter((entry) => minSeq !== null && !(entry._seq < minSeq));
+  applyInspectorEntries(retained, hiddenServices);
+  return true;
+}
+
+async function toInspectorEntries(records) {
+  const entries = records.map((record) => {
     const methodPath = record.endpoint || record.method || (record.service?.typeName && record.method?.name
       ? `/${record.service.typeName}/${record.method.name}`
       : '');
-    return {
-      ...record,
+    const { _chunks, ...fields } = record;
+    const entry = {
+      ...fields,
       method: methodPath,
       endpoint: record.method?.name || methodPath.split('/').pop() || '',
       startTime: record.timestamp,
-      grpcStatus: record.grpcStatus ?? (record.responseError || record.inspectorError ? 2 : 0),
+      grpcStatus: record.grpcStatus
+        ?? grpcStatusFromMetadata(record.responseHeaders)?.code
+        ?? (record.responseError || record.inspectorError ? 2 : 0),
       _source: record._source ?? 'protobuf-ts',
     };
+    entry.grpcStatusDetails = decodeStatusDetails(entry);
+    return entry;
   });
 
   await Promise.all(entries
-    .filter((entry) => entry._source === 'lightweight' && (entry.requestRaw || entry.responseRaw))
+    .filter((entry) => entry._source === 'lightweight' && (hasRequestPayload(entry) || entry.responseRaw))
     .map((entry) => processEntry(entry, getEntryRetryPlan(entry))));
+  // 進行中的串流附有目前所有的分塊
+  await Promise.all(records.map(async (record, index) => {
+    if (!Array.isArray(record._chunks)) return;
+    const decoded = await Promise.all(record._chunks.map((chunk) => decodeStreamChunk(entries[index], chunk)));
+    for (const item of decoded) appendStreamChunk(entries[index], item);
+  }));
+  return entries;
+}
 
-  if (!shouldApply()) return false;
-  const visibleEntries = entries.filter((entry) => {
+/**
+ * 解碼進行中串流的一個分塊；攔截器只送出完整的 Frame，各分塊可獨立解碼
+ *
+ * @param {object} chunk 背景保存的分塊 `{id, rev, direction, base64, messageTimes}`
+ */
+async function decodeStreamChunk(entry, chunk) {
+  const direction = chunk.direction === 'request' ? 'request' : 'response';
+  const types = resolveMessageTypes(entry);
+  const typeName = direction === 'request' ? types.requestType : types.responseType;
+  try {
+    const { frames, frameHeaders, trailers, codec, status, compression } = chunk.base64
+      ? await extractPayload(chunk.base64, true, direction === 'request' ? entry.requestHeaders : entry.responseHeaders, direction)
+      : { frames: [], trailers: null, status: null, compression: null };
+    return {
+      chunk,
+      direction,
+      trailers,
+      status,
+      compression,
+      payload: toPayloadBytes(typeName, frames, frameHeaders, codec),
+      messages: withArrivalTimes(decodeFrames(entry, typeName, frames, codec), chunk.messageTimes),
+    };
+  } catch (e) {
+    return { chunk, direction, error: e.message };
+  }
+}
+
+/**
+ * 將解碼後的分塊附加到 entry (依 rev 只附加一次)，並保留分塊的 Base64 供重新解碼時合併
+ *
+ * @returns {boolean} 是否有附加
+ */
+function appendStreamChunk(entry, decoded) {
+  const { chunk, direction } = decoded;
+  if (chunk.rev <= (entry._chunkRev ?? -Infinity)) return false;
+  entry._chunkRev = chunk.rev;
+  const rawChunks = entry[`${direction}RawChunks`] ?? (entry[`${direction}RawChunks`] = []);
+  if (chunk.base64) rawChunks.push(chunk.base64);
+  const times = entry[`${direction}MessageTimes`] ?? (entry[`${direction}MessageTimes`] = []);
+  times.push(...(chunk.messageTimes ?? []));
+  if (decoded.error) {
+    entry[`${direction}Messages`] = null;
+    entry[direction] = { _error: decoded.error };
+    return true;
+  }
+  // 先前的分塊解碼失敗時不再附加，留待串流結束後整段解碼
+  if (entry[direction]?._error && !Array.isArray(entry[`${direction}Messages`])) return true;
+  const messages = entry[`${direction}Messages`] ?? (entry[`${direction}Messages`] = []);
+  messages.push(...decoded.messages);
+  const payload = entry[`${direction}Payload`] ?? (entry[`${direction}Payload`] = { ...decoded.payload, frames: [] });
+  payload.frames.push(...decoded.payload.frames);
+  entry[`${direction}Compression`] = mergeCompression(entry[`${direction}Compression`] ?? null, decoded.compression);
+  if (direction === 'response' && (decoded.trailers || decoded.status)) applyTrailers(entry, decoded.trailers, decoded.status);
+  entry[direction] = collapseMessages(messages);
+  const drift = mergeSchemaDrift(entry.schemaDrift ?? [], collectSchemaDrift(decoded.messages.map((message) => message.data)));
+  entry.schemaDrift = drift.length > 0 ? drift : null;
+  return true;
+}
+
+function applyInspectorEntries(entries, hiddenServices) {
+  inspectorEntries = [...entries].sort((a, b) => {
+    return new Date(a.timestamp || 0).getTime() - new Date(b.timestamp || 0).getTime();
+  });
+  inspectorHiddenServices = hiddenServices;
+  const hiddenServiceNames = new Set(hiddenServices);
+  const visibleEntries = inspectorEntries.filter((entry) => {
     return !hiddenServiceNames.has(getEntryServiceName(entry));
   });
   log.set(visibleEntries);
+  // 同一服務在不同 Origin 擷取到的定義可能不同版本，分開列出
   const capturedServices = new Map();
-  for (const entry of entries) {
+  const capturedNames = new Set();
+  for (const entry of inspectorEntries) {
     const service = entry.service;
     if (!service?.typeName) continue;
-    capturedServices.set(service.typeName, {
+    const sourceHost = entryOrigin(entry);
+    capturedNames.add(service.typeName);
+    capturedServices.set(`${sourceHost} ${service.typeName}`, {
       fullName: service.typeName,
       name: service.typeName.split('.').pop(),
       methods: service.methods || [],
       hidden: hiddenServiceNames.has(service.typeName),
+      sourceHost,
+      source: 'runtime',
     });
   }
   for (const fullName of hiddenServiceNames) {
-    if (capturedServices.has(fullName)) continue;
-    capturedServices.set(fullName, {
+    if (capturedNames.has(fullName)) continue;
+    capturedServices.set(` ${fullName}`, {
       fullName,
       name: fullName.split('.').pop(),
       methods: [],
       hidden: true,
     });
   }
-  services.set([...capturedServices.values()]);
+  replaceCapturedServices([...capturedServices.values()]);
 
   const selected = get(selectedId);
   if (selected && !visibleEntries.some((entry) => entry.id === selected)) selectedId.set(null);
-  return true;
 }
 
 export function resetInspectorLogs() {
   clearLogs(true);
-  services.set([]);
+  replaceCapturedServices([]);
 }
 
 function getEntryServiceName(entry) {
@@ -235,39 +478,271 @@ async function processEntry(entry, forceReprocess = false) {
   const retryRequest = forceReprocess === true || forceReprocess?.request === true;
   const retryResponse = forceReprocess === true || forceReprocess?.response === true;
 
-  const methodInfo = protoEngine.findMethod(entry.method);
+  const types = resolveMessageTypes(entry);
+  entry.typeOverride = types.override;
   
-  // 處理請求資料解碼
-  if (entry.requestRaw && (retryRequest || !entry.request)) {
+  // 處理請求資料解碼 (Connect GET 請求的訊息位於 URL 查詢參數)
+  if (hasRequestPayload(entry) && (retryRequest || !entry.request)) {
     try {
-      const payload = await extractPayload(entry.requestRaw, entry.requestBase64Encoded, entry.requestHeaders);
-      if (payload) {
-        const typeName = methodInfo?.requestType || entry.requestType || null;
-        entry.request = decodePayload(entry, typeName, payload);
-      }
+      const requestRaw = streamRaw(entry, 'request');
+      const { frames, frameHeaders, codec, compression } = requestRaw
+        ? await extractPayload(requestRaw, entry.requestBase64Encoded, entry.requestHeaders, 'request')
+        : await extractConnectGetPayload(entry.url);
+      entry.requestCompression = compression ?? null;
+      const typeName = types.requestType;
+      entry.requestPayload = toPayloadBytes(typeName, frames, frameHeaders, codec);
+      entry.requestMessages = withArrivalTimes(decodeFrames(entry, typeName, frames, codec), entry.requestMessageTimes);
+      entry.request = collapseMessages(entry.requestMessages);
     } catch (e) {
+      entry.requestMessages = null;
       entry.request = { _error: e.message };
     }
   }
 
   // 處理回應資料解碼
-  if (entry.responseRaw && (retryResponse || !entry.response)) {
+  if (hasResponsePayload(entry) && (retryResponse || !entry.response)) {
     try {
-      const payload = await extractPayload(entry.responseRaw, entry.responseBase64Encoded, entry.responseHeaders);
-      const typeName = methodInfo?.responseType || entry.responseType || null;
-      if (payload) {
-        entry.response = decodePayload(entry, typeName, payload);
-      }
+      const responseRaw = streamRaw(entry, 'response');
+      const { frames, frameHeaders, trailers, codec, status, compression } = isConnectUnaryError(entry)
+        ? extractConnectUnaryError(entry)
+        : await extractPayload(responseRaw, entry.responseBase64Encoded, entry.responseHeaders, 'response');
+      entry.responseCompression = compression ?? null;
+      applyTrailers(entry, trailers, status);
+      const typeName = types.responseType;
+      entry.responsePayload = toPayloadBytes(typeName, frames, frameHeaders, codec);
+      entry.responseMessages = withArrivalTimes(decodeFrames(entry, typeName, frames, codec), entry.responseMessageTimes);
+      entry.response = collapseMessages(entry.responseMessages);
     } catch (e) {
+      entry.responseMessages = null;
       entry.response = { _error: e.message };
     }
   }
+
+  const drift = collectSchemaDrift([entry.request, entry.response]);
+  entry.schemaDrift = drift.length > 0 ? drift : null;
+}
+
+/**
+ * 進行中的串流沒有 requestRaw / responseRaw，重新解碼時才合併已附加的分塊
+ */
+function streamRaw(entry, direction) {
+  return entry[`${direction}Raw`] || joinBase64Chunks(entry[`${direction}RawChunks`]);
+}
+
+/**
+ * 記錄 Trailing Metadata 並以其中的 `grpc-status` 作為呼叫結果
+ * gRPC-Web 的錯誤常以 HTTP 200 回傳，只有 Trailer Frame 才能反映真正的狀態；
+ * 沒有 Trailer Frame 時則退回 Trailers-Only 回應放在標頭中的狀態。
+ * Connect 回應的狀態來自 End-Stream 訊息或錯誤 JSON，由呼叫端直接傳入。
+ */
+function applyTrailers(entry, trailers, connectStatus = null) {
+  entry.trailers = trailers;
+  entry.connectError = connectStatus?.code > 0 ? connectStatus : null;
+  entry.grpcStatusDetails = decodeStatusDetails(entry);
+  const status = connectStatus ?? grpcStatusFromMetadata(trailers) ?? grpcStatusFromMetadata(entry.responseHeaders);
+  if (!status) return;
+  entry.grpcStatus = status.code;
+  entry.grpcMessage = status.message;
+}
+
+/**
+ * 解碼 `grpc-status-details-bin` 攜帶的 google.rpc.Status (Rich Error Model)
+ * 可能出現在 Trailers，Trailers-Only 回應則放在標頭；Connect 則將詳情直接放在錯誤 JSON 中。
+ */
+function decodeStatusDetails(entry) {
+  if (entry.connectError?.details?.length > 0) return decodeConnectErrorDetails(entry);
+  const raw = entry.trailers?.['grpc-status-details-bin'] ?? entry.responseHeaders?.['grpc-status-details-bin'];
+  if (!raw) return null;
+  const bytes = decodeBinaryMetadata(raw);
+  return bytes
+    ? protoEngine.decodeRpcStatus(bytes, createDecodeOptions(entry).engineOptions)
+    : { _error: 'grpc-status-details-bin 不是有效的 Base64' };
+}
+
+/**
+ * 將 Connect 錯誤 JSON 的 details (`{type, value, debug}`) 轉為與 google.rpc.Status 相同的形狀，
+ * 讓錯誤面板不必區分協定。找不到型別定義時，退回伺服器提供的 debug JSON。
+ */
+function decodeConnectErrorDetails(entry) {
+  const { code, message, details } = entry.connectError;
+  const { engineOptions, cachedOptions } = createDecodeOptions(entry);
+  return {
+    $typeName: 'google.rpc.Status',
+    code,
+    message,
+    details: details.map((detail) => {
+      let bytes;
+      try {
+        bytes = decodeBase64Url(detail?.value ?? '');
+      } catch {
+        return { $typeName: detail?.type, _error: 'Connect 錯誤詳情不是有效的 Base64' };
+      }
+      const decoded = unpackAny(detail?.type, bytes, [cachedOptions.resolveAny, engineOptions.resolveAny]);
+      return decoded._error && detail?.debug && typeof detail.debug === 'object'
+        ? { $typeName: decoded.$typeName, '@type': detail.type, ...detail.debug }
+        : decoded;
+    }),
+  };
+}
+
+/**
+ * 逐一解碼每個 Length-Prefixed Frame
+ * Streaming 呼叫的每個 Frame 都是獨立的訊息，必須分開解碼才能得到正確的結果。
+ * Connect JSON 編碼的訊息直接解析，不經過 Protobuf 解碼器。
+ *
+ * @returns {{size: number, data: object}[]} 依收到順序排列的訊息
+ */
+function decodeFrames(entry, typeName, frames, codec = 'proto') {
+  return frames.map((frame) => ({
+    size: frame.length,
+    data: codec === 'json'
+      ? parseJsonBytes(frame) ?? { _error: '無法解析 JSON 訊息' }
+      : decodePayload(entry, typeName, frame),
+  }));
+}
+
+/**
+ * 附上 Lightweight 攔截器逐 Frame 擷取 Streaming 回應 (或 WebSocket 呼叫的雙向訊息) 時記錄的收發時間 (ms)
+ */
+function withArrivalTimes(messages, times) {
+  if (!Array.isArray(times) || times.length === 0) return messages;
+  return messages.map((message, index) => (times[index] ? { ...message, receivedAt: times[index] } : message));
+}
+
+/**
+ * 保留解除 Framing 與解壓後的位元組，供 Hex 檢視標註每個欄位的位置
+ *
+ * @returns {{typeName: string | null, codec: 'proto' | 'json', frames: {bytes: Uint8Array, frameHeader: {flags: number, length: number} | null}[]}}
+ */
+function toPayloadBytes(typeName, frames, frameHeaders = [], codec = 'proto') {
+  return {
+    typeName,
+    codec,
+    frames: frames.map((bytes, index) => ({ bytes, frameHeader: frameHeaders[index] ?? null })),
+  };
+}
+
+/**
+ * 標註 entry 請求或回應的位元組
+ *
+ * @param {'request' | 'response'} direction
+ * @returns {{bytes: Uint8Array, ranges: object[]} | null} 沒有保留位元組時 (例如 Interceptor 已解碼的紀錄) 回傳 null
+ */
+export function annotateEntryPayload(entry, direction) {
+  const payload = direction === 'request' ? entry?.requestPayload : entry?.responsePayload;
+  if (!payload) return null;
+  return annotateMessages(payload.frames, { typeName: payload.typeName, codec: payload.codec, resolve: createLayoutResolver(entry) });
+}
+
+/**
+ * 端點沒有型別對應或找不到型別定義時，以此 Origin 已載入的所有訊息型別推測 Payload 的型別
+ *
+ * @param {'request' | 'response'} direction
+ * @returns {import('../lib/type-inference').TypeCandidate[]} 已成功解碼、JSON 訊息或沒有保留位元組時回傳空陣列
+ */
+export function inferEntryMessageTypes(entry, direction) {
+  const payload = direction === 'request' ? entry?.requestPayload : entry?.responsePayload;
+  const decoded = direction === 'request' ? entry?.request : entry?.response;
+  if (!payload || payload.codec !== 'proto' || !isUnmappedPayload(decoded)) return [];
+  const messages = payload.frames.slice(0, MAX_INFERENCE_MESSAGES).map((frame) => frame.bytes);
+  return inferMessageTypes(messages, listEntryMessageTypes(entry), { resolve: createLayoutResolver(entry) });
+}
+
+/**
+ * 取得型別欄位配置的查詢順序與 decodePayload 相同：先查 ProtoEngine，再查 runtime Schema
+ */
+function createLayoutResolver(entry) {
+  const scope = { origin: entryOrigin(entry) };
+  return (typeName) => {
+    const schema = protoEngine.findMessage(typeName, scope);
+    const desc = schema?._desc || (schema?.kind === 'message' ? schema : null);
+    if (desc?.kind === 'message') return layoutFromDescriptor(desc);
+    const message = entry.schema?.messages?.[String(typeName ?? '').replace(/^\.+/, '')];
+    return message?.fields ? layoutFromRuntimeSchema(message) : null;
+  };
+}
+
+/**
+ * 單一訊息 (Unary) 維持原本的物件格式，多筆訊息則以陣列呈現，供搜尋與複製使用
+ */
+function collapseMessages(messages) {
+  return messages.length === 1 ? messages[0].data : messages.map((message) => message.data);
 }
 
 function decodePayload(entry, typeName, payload) {
-  const decoded = protoEngine.decodeMessage(typeName, payload);
-  if (!isSchemaDependentDecodeFailure(decoded)) return decoded;
-  return decodeCachedProtoMessage(entry.schema, typeName, payload) ?? decoded;
+  const { engineOptions, cachedOptions } = createDecodeOptions(entry);
+  const decoded = protoEngine.decodeMessage(typeName, payload, engineOptions);
+  if (!isSchemaDependentDecodeFailure(decoded)) {
+    recordSchemaVersion(entry, protoEngine.findMessageSchema(typeName, engineOptions));
+    return decoded;
+  }
+  const cached = decodeCachedProtoMessage(entry.schema, typeName, payload, cachedOptions);
+  if (!cached) return decoded;
+  recordSchemaVersion(entry, {
+    source: 'runtime',
+    origin: entryOrigin(entry),
+    version: 0,
+    registeredAt: entry.schemaUpdatedAt ?? '',
+  });
+  return cached;
+}
+
+/**
+ * 記錄解碼此 entry 時使用的 Schema 來源與版本，供詳情頁判斷是否以過期的定義解碼
+ */
+function recordSchemaVersion(entry, schema) {
+  if (schema) entry.schemaVersion = schema;
+}
+
+/**
+ * 重建 entry 所用 Schema 的 .proto 檔案
+ * 優先使用提供此方法定義的 Registry (Reflection 或匯入的檔案)，否則以 runtime 擷取的 entry.schema 重建。
+ *
+ * @returns {{files: {name: string, source: string}[], mainFile: string | null}}
+ *   `mainFile` 為定義此服務 (或請求型別) 的檔案
+ */
+export function reconstructProtoFiles(entry) {
+  if (!entry) return { files: [], mainFile: null };
+  const scope = { origin: entryOrigin(entry) };
+  const methodInfo = protoEngine.findMethod(entry.method, scope);
+  const { requestType, responseType } = resolveMessageTypes(entry);
+  const serviceName = methodInfo?.serviceName || entry.service?.typeName;
+
+  const registry = protoEngine.findRegistry(requestType, scope) ?? protoEngine.findRegistry(responseType, scope);
+  const files = registry
+    ? generateProtoFiles(registry)
+    : entry.schema ? generateRuntimeProtoFiles(entry.schema, entry.service) : [];
+  const main = findProtoFileDefining(files, serviceName) ?? findProtoFileDefining(files, requestType) ?? files[0];
+  return { files, mainFile: main?.name ?? null };
+}
+
+/**
+ * 取得 entry 的 Origin，作為選擇 Schema 命名空間的依據；HAR 中的相對路徑沒有 Origin
+ */
+function entryOrigin(entry) {
+  try {
+    return entry.url ? new URL(entry.url).origin : '';
+  } catch {
+    return '';
+  }
+}
+
+/**
+ * Any 的內含型別可能只存在於另一個來源的 Schema：
+ * Reflection 與匯入的定義由 ProtoEngine 解碼，runtime 擷取的定義由 cached decoder 解碼，兩者互為備援。
+ */
+function createDecodeOptions(entry) {
+  const rendering = get(valueRendering);
+  const engineOptions = {
+    origin: entryOrigin(entry),
+    rendering,
+    resolveAny: (typeName, bytes) => decodeCachedProtoMessage(entry.schema, typeName, bytes, cachedOptions),
+  };
+  const cachedOptions = {
+    rendering,
+    resolveAny: (typeName, bytes) => protoEngine.tryDecodeMessage(typeName, bytes, engineOptions),
+  };
+  return { engineOptions, cachedOptions };
 }
 
 function getEntryRetryPlan(entry) {
@@ -276,17 +751,36 @@ function getEntryRetryPlan(entry) {
   }
 
   return {
-    request: shouldRetryDecodedField(entry.requestRaw, entry.request),
-    response: shouldRetryDecodedField(entry.responseRaw, entry.response),
+    request: shouldRetryDecodedField(hasRequestPayload(entry), entry.request),
+    response: shouldRetryDecodedField(hasResponsePayload(entry), entry.response),
   };
 }
 
+function hasRequestPayload(entry) {
+  return Boolean(entry.requestRaw || entry.requestRawChunks?.length) || parseConnectGetRequest(entry.url) !== null;
+}
+
+function hasResponsePayload(entry) {
+  return Boolean(entry.responseRaw || entry.responseRawChunks?.length);
+}
+
 function shouldRetryDecodedField(rawPayload, decodedValue) {
   if (!rawPayload) return false;
   return isSchemaDependentDecodeFailure(decodedValue);
 }
 
+/**
+ * 沒有型別對應或找不到型別定義，只能以 wire format 呈現的 Payload
+ */
+function isUnmappedPayload(decodedValue) {
+  if (Array.isArray(decodedValue)) return decodedValue.some(isUnmappedPayload);
+  return decodedValue?._decodeReason === 'missing_type' || isSchemaDependentDecodeFailure(decodedValue);
+}
+
 function isSchemaDependentDecodeFailure(decodedValue) {
+  if (Array.isArray(decodedValue)) {
+    return decodedValue.some(isSchemaDependentDecodeFailure);
+  }
   return Boolean(
     decodedValue &&
     typeof decodedValue === 'object' &&
@@ -303,33 +797,131 @@ function isSchemaDependentDecodeFailure(decodedValue) {
 
 /**
  * 從各種混雜格式中提取出純粹的 Protobuf Payload
- * 管線順序：Base64 轉原文字節 -> 處理 gRPC-Web-Text 多重編碼 -> Gzip 解壓 -> gRPC Framing 剝離
+ * 管線順序：Base64 轉原文字節 -> 處理 gRPC-Web-Text 多重編碼 -> 整體 Gzip 解壓 -> gRPC Framing 剝離與逐 Frame 解壓
+ * Connect 的 Content-Type 改走 {@link extractConnectPayload}。
+ *
+ * @param {'request' | 'response'} direction 回應的 HTTP 層壓縮已由瀏覽器解開，只有請求需要處理 `content-encoding`
+ * @returns {Promise<{frames: Uint8Array[], frameHeaders?: {flags: number, length: number}[], trailers: Record<string, string> | null, codec?: 'proto' | 'json', status?: object | null, compression: object | null}>}
+ *   每個 Data Frame 的內容、原始的 5-byte 標頭與 Trailer Frame 中的 Metadata；沒有 Framing 時整個 Body 視為單一訊息。
+ *   `compression` 為套用的解碼器與結果 (見 compression-codecs)
  */
-async function extractPayload(data, isBase64, headers = {}) {
+async function extractPayload(data, isBase64, headers = {}, direction = 'response') {
   const contentType = (headers['content-type'] || '').toLowerCase();
   
   // 1. 初始轉換為 Uint8Array
   let buffer = decodeInitialData(data, isBase64);
+
+  const connect = connectContentKind(contentType);
+  if (connect) {
+    return extractConnectPayload(buffer, connect, headers, direction);
+  }
   
   // 2. 處理 grpc-web-text 特有的雙層 Base64 (整個 Body 都是 Base64)
   if (contentType.includes('grpc-web-text')) {
     buffer = handleGrpcWebText(buffer);
   }
   
-  // 3. 處理 Gzip 壓縮內容
-  const encoding = (headers['grpc-encoding'] || headers['connect-content-encoding'] || '').toLowerCase();
-  if (encoding === 'gzip') {
-    buffer = await decompressGzip(buffer);
+  // 3. 處理整個 Body 被 Gzip 壓縮的內容 (Frame 標頭不會以 gzip 的 Magic Number 開頭)
+  let compression = null;
+  if (sniffCompression(buffer) === 'gzip') {
+    ({ data: buffer, compression } = await decompressPayload('gzip', buffer));
   }
   
   // 4. 剝離 gRPC Framing (移除 5-byte 的 Length-Prefixed 標頭)
   const isGrpc = contentType.includes('grpc') || contentType.includes('connect');
   if (isGrpc) {
-    const extracted = await extractGrpcFrames(buffer);
-    if (extracted) return extracted;
+    const extracted = await extractGrpcFrames(buffer, messageEncoding(headers));
+    if (extracted) return { ...extracted, compression: mergeCompression(compression, extracted.compression) };
   }
   
-  return buffer;
+  return { frames: [buffer], trailers: null, compression };
+}
+
+/**
+ * 解析 Connect 格式的 Body
+ * - Unary：整個 Body 是一則訊息，以 `content-encoding` 壓縮；Trailers 來自 `trailer-` 前綴的標頭。
+ * - Streaming：5-byte Envelope，Flag 0x01 代表該訊息以 `connect-content-encoding` 壓縮，
+ *   Flag 0x02 為 End-Stream 訊息，攜帶呼叫結果與 Trailing Metadata。
+ */
+async function extractConnectPayload(buffer, connect, headers, direction) {
+  if (!connect.streaming) {
+    const encoding = direction === 'request' ? headers['content-encoding'] : null;
+    const { data, compression } = encoding && encoding !== 'identity'
+      ? await decompressPayload(encoding, buffer)
+      : { data: buffer, compression: null };
+    return {
+      frames: [data],
+      trailers: connectUnaryTrailers(headers),
+      codec: connect.codec,
+      status: null,
+      compression,
+    };
+  }
+
+  const encoding = headers['connect-content-encoding'];
+  const frames = [];
+  const frameHeaders = [];
+  let trailers = null;
+  let status = null;
+  let compression = null;
+  let pos = 0;
+
+  while (pos + 5 <= buffer.length) {
+    const flags = buffer[pos];
+    const length = ((buffer[pos + 1] << 24) | (buffer[pos + 2] << 16) | (buffer[pos + 3] << 8) | buffer[pos + 4]) >>> 0;
+    const start = pos + 5;
+    const end = start + length;
+    if (end > buffer.length) break;
+
+    let chunk = buffer.slice(start, end);
+    if ((flags & CONNECT_COMPRESSED_FLAG) !== 0) {
+      const result = await decompressPayload(encoding, chunk);
+      chunk = result.data;
+      compression = mergeCompression(compression, result.compression);
+    }
+    if ((flags & CONNECT_END_STREAM_FLAG) !== 0) {
+      ({ trailers, status } = parseConnectEndStream(chunk));
+    } else {
+      frames.push(chunk);
+      frameHeaders.push({ flags, length });
+    }
+    pos = end;
+  }
+
+  return { frames, frameHeaders, trailers, codec: connect.codec, status, compression };
+}
+
+/**
+ * Connect Unary 呼叫失敗時以非 200 的 HTTP 狀態回傳錯誤 JSON，而非訊息本身
+ */
+function isConnectUnaryError(entry) {
+  const requestKind = connectContentKind(entry.requestHeaders?.['content-type']);
+  const isUnary = requestKind ? !requestKind.streaming : parseConnectGetRequest(entry.url) !== null;
+  return isUnary && Number(entry.httpStatus) > 0 && Number(entry.httpStatus) !== 200;
+}
+
+function extractConnectUnaryError(entry) {
+  const body = decodeInitialData(entry.responseRaw, entry.responseBase64Encoded);
+  const error = parseJsonBytes(body);
+  return {
+    frames: [],
+    trailers: connectUnaryTrailers(entry.responseHeaders),
+    codec: 'json',
+    status: connectErrorStatus(error, Number(entry.httpStatus)),
+    compression: null,
+  };
+}
+
+/**
+ * 取出 Connect GET 請求放在查詢參數中的訊息
+ */
+async function extractConnectGetPayload(url) {
+  const request = parseConnectGetRequest(url);
+  if (!request) return { frames: [], codec: 'proto', compression: null };
+  const { data, compression } = request.compression
+    ? await decompressPayload(request.compression, request.message)
+    : { data: request.message, compression: null };
+  return { frames: [data], codec: request.codec, compression };
 }
 
 /**
@@ -381,45 +973,20 @@ function handleGrpcWebText(buffer) {
   }
 }
 
-/**
- * 使用主流瀏覽器內建的 DecompressionStream 進行解壓
- */
-async function decompressGzip(buffer) {
-  if (typeof DecompressionStream === 'undefined') return buffer;
-  
-  try {
-    const ds = new DecompressionStream('gzip');
-    const reader = new Response(buffer).body.pipeThrough(ds).getReader();
-    const chunks = [];
-    let totalLength = 0;
-    
-    while (true) {
-      const { done, value } = await reader.read();
-      if (done) break;
-      chunks.push(value);
-      totalLength += value.length;
-    }
-    
-    const result = new Uint8Array(totalLength);
-    let offset = 0;
-    for (const chunk of chunks) {
-      result.set(chunk, offset);
-      offset += chunk.length;
-    }
-    return result;
-  } catch (e) {
-    logger.warn('Gzip 解壓失敗:', e);
-    return buffer;
-  }
-}
-
 /**
  * 剝離 gRPC LPM (Length-Prefixed Framing)
  * 格式：[Flags:1b] [Length:4b] [Payload:Nb]
+ *
+ * @param {string | null} encoding `grpc-encoding` 協商的壓縮編碼；Flag 0x01 的 Frame 以此解壓
+ * @returns {Promise<{frames: Uint8Array[], frameHeaders: {flags: number, length: number}[], trailers: Record<string, string> | null, compression: object | null} | null>}
+ *   依序排列的 Data Frame (與其原始標頭) 與合併後的 Trailers；資料不含 Framing 時回傳 null
  */
-async function extractGrpcFrames(buffer) {
+async function extractGrpcFrames(buffer, encoding) {
   let pos = 0;
   const messageChunks = [];
+  const frameHeaders = [];
+  let trailers = null;
+  let compression = null;
   let hasFraming = false;
   
   while (pos + 5 <= buffer.length) {
@@ -432,30 +999,28 @@ async function extractGrpcFrames(buffer) {
     
     if (end > buffer.length) break;
     
-    // 僅處理 Data Frame (Bit 7 為 0)
+    // Bit 7 為 0 的是 Data Frame，為 1 的是帶有 grpc-status 等 Metadata 的 Trailer Frame
     const isCompressed = (flags & 0x01) === 0x01;
     const isData = (flags & 0x80) === 0;
     
+    let chunk = buffer.slice(start, end);
+    // 若標頭顯示此 Frame 單獨被壓縮，則交由註冊的解碼器解壓
+    if (isCompressed && length > 0) {
+      const result = await decompressPayload(encoding, chunk);
+      chunk = result.data;
+      compression = mergeCompression(compression, result.compression);
+    }
     if (isData) {
-      let chunk = buffer.slice(start, end);
-      // 若標頭顯示此 Frame 單獨被壓縮，則遞迴解壓
-      if (isCompressed && length > 0) {
-        chunk = await decompressGzip(chunk);
-      }
       messageChunks.push(chunk);
+      frameHeaders.push({ flags, length });
+    } else {
+      trailers = { ...trailers, ...parseTrailerBlock(chunk) };
     }
     pos = end;
   }
   
   if (!hasFraming) return null;
   
-  // 合併多個 Frames (處理 Streaming 的情況)
-  const totalLen = messageChunks.reduce((acc, c) => acc + c.length, 0);
-  const combined = new Uint8Array(totalLen);
-  let offset = 0;
-  for (const chunk of messageChunks) {
-    combined.set(chunk, offset);
-    offset += chunk.length;
-  }
-  return combined;
+  // Streaming 的每個 Frame 各自是一則訊息，保留順序交由呼叫端逐一解碼
+  return { frames: messageChunks, frameHeaders, trailers, compression };
 }
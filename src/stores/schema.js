@@ -5,12 +5,18 @@
  * 1. 協調 Auto-Reflection 請求，防止多個請求同時對同一個 Origin 進行反射。
  * 2. 儲存已註冊的服務列表，並提供可見性切換功能。
  * 3. 處理「本地定義優先」策略：若專案內已有特定 Service 的定義，則跳過 Reflection。
+ * 4. 管理使用者匯入的 Descriptor Set，並保存在 chrome.storage.local 以便跨工作階段沿用。
+ *
+ * 服務列表以「Origin + 服務名稱」區分，同一服務在不同站點的版本會各自列出並標示所屬 Origin。
+ * 使用者手動指定的請求/回應型別依「Origin + 方法路徑」保存在 localStorage，優先於其他來源對應的型別。
  */
 
 import { writable, get } from 'svelte/store';
 import { protoEngine } from '../lib/proto-engine';
 import reflectionClient from '../lib/reflection-client';
-import { enableReflection } from './settings';
+import { parseDescriptorSet, buildSchemaFromDescriptorSets } from '../lib/descriptor-import';
+import { compileProtoFiles } from '../lib/proto-compiler';
+import { enableReflection, STORAGE_KEYS } from './settings';
 import { createLogger } from '../lib/logger';
 
 const logger = createLogger('Schema');
@@ -21,6 +27,20 @@ export const services = writable([]);
 export const reflectionStatus = writable(null); // 'loading' | 'success' | 'failed' | null
 // 已知的伺服器站點 (用於 Playground 自動填充 URL)
 export const knownHosts = writable([]);
+// 已匯入的 Descriptor Set 檔案摘要 [{ name, size, importedAt }]
+export const importedDescriptors = writable([]);
+
+const IMPORTED_DESCRIPTORS_KEY = 'grpcDebuggerImportedDescriptors';
+
+// 手動指定的訊息型別 `${origin} ${method}` -> { requestType, responseType }
+export const messageTypeOverrides = writable(loadMessageTypeOverrides());
+
+messageTypeOverrides.subscribe(val => {
+  localStorage.setItem(STORAGE_KEYS.TYPE_OVERRIDES, JSON.stringify(val));
+});
+
+// 已匯入的 Descriptor Set 原始內容 [{ name, bytes, importedAt }]
+let importedDescriptorFiles = [];
 
 // 已完成反射的伺服器站點 (Set<origin>)
 const reflectedServers = new Set();
@@ -30,6 +50,8 @@ const reflectionPromises = new Map();
 
 // 旗標：追蹤是否已從本地檔案系統載入過 Schema
 let localProtoRegistered = false;
+// 旗標：目前是否有已匯入的 Descriptor Set (與 localProtoRegistered 分開，移除匯入的檔案時不影響自動偵測的結果)
+let importedProtoRegistered = false;
 
 /**
  * 等待同步：若特定 Origin 正處於反射狀態，則等待其完成
@@ -63,9 +85,9 @@ export async function tryAutoReflection(url) {
     const origin = new URL(url).origin;
     
     // 策略 1：本地搶佔檢測
-    if (localProtoRegistered && protoEngine.serviceMap.size > 0) {
+    if (localProtoRegistered || importedProtoRegistered) {
       const methodPath = new URL(url).pathname;
-      if (protoEngine.findMethod(methodPath)) {
+      if (protoEngine.findMethod(methodPath, { origin })) {
         // console.log(`[Schema] 已有本地定義，跳過反射：${methodPath}`);
         return false;
       }
@@ -110,7 +132,7 @@ async function performReflection(origin) {
     const result = await reflectionClient.fetchFromServer(origin);
     
     if (result) {
-      registerSchema(result, '', origin);
+      registerSchema(result, 'reflection', origin);
       reflectedServers.add(origin);
       knownHosts.update(hosts => hosts.includes(origin) ? hosts : [...hosts, origin]);
       reflectionStatus.set('success');
@@ -146,12 +168,13 @@ export function hasReflected(url) {
  * 註冊計畫：將結果載入引擎並同步到 UI Store
  * 
  * @param {object} data 包含 services 與 messages 的 schema 資料
- * @param {string} [source] 來源標籤
- * @param {string} [sourceHost] 服務來源的主機網址
+ * @param {string} [source] 來源標籤 (`reflection`、`runtime` 或 `auto-detect*`)
+ * @param {string} [sourceHost] 服務來源的 Origin；提供時註冊到該 Origin 專屬的命名空間
  */
 export function registerSchema(data, source = '', sourceHost = '') {
   // 1. 更新底層解碼引擎的註冊表
-  protoEngine.registerSchema(data);
+  const schemaSource = source === 'reflection' ? 'reflection' : 'runtime';
+  protoEngine.registerSchema(data, sourceHost ? { source: schemaSource, origin: sourceHost } : null);
 
   // 2. 標記本地註冊狀態
   if (source?.startsWith('auto-detect')) {
@@ -163,8 +186,9 @@ export function registerSchema(data, source = '', sourceHost = '') {
     services.update(list => {
       const newList = [...list];
       for (const service of data.services) {
-        const existingIdx = newList.findIndex(s => s.fullName === service.fullName);
-        const serviceWithHost = { ...service, sourceHost: sourceHost || service.sourceHost || '' };
+        const host = sourceHost || service.sourceHost || '';
+        const existingIdx = newList.findIndex(s => s.fullName === service.fullName && (s.sourceHost ?? '') === host && s.source !== 'local');
+        const serviceWithHost = { ...service, sourceHost: host, source: source === 'reflection' ? 'reflection' : service.source };
         if (existingIdx === -1) {
           newList.push(serviceWithHost);
         } else {
@@ -177,16 +201,236 @@ export function registerSchema(data, source = '', sourceHost = '') {
   }
 }
 
+/**
+ * 以擷取到的服務取代列表內容，保留本地匯入與 Reflection 取得的服務
+ * Inspector 每次刷新都會重建擷取列表，其他來源的定義不應因此消失。
+ *
+ * @param {object[]} capturedServices 從擷取紀錄整理出的服務列表
+ */
+export function replaceCapturedServices(capturedServices) {
+  const serviceKey = s => `${s.sourceHost ?? ''} ${s.fullName}`;
+  const capturedKeys = new Set(capturedServices.map(serviceKey));
+  const capturedNames = new Set(capturedServices.map(s => s.fullName));
+  services.update(list => [
+    ...capturedServices,
+    ...list.filter(s => s.source === 'local' && !capturedNames.has(s.fullName)),
+    ...list.filter(s => s.source === 'reflection' && !capturedKeys.has(serviceKey(s))),
+  ]);
+}
+
+/**
+ * 從 chrome.storage.local 載入先前匯入的 Descriptor Set
+ */
+export async function loadImportedDescriptors() {
+  if (typeof chrome === 'undefined' || !chrome.storage?.local) return;
+
+  let stored;
+  try {
+    stored = (await chrome.storage.local.get(IMPORTED_DESCRIPTORS_KEY))[IMPORTED_DESCRIPTORS_KEY] ?? [];
+  } catch (e) {
+    logger.error('載入已匯入的 Descriptor Set 失敗:', e);
+    return;
+  }
+
+  // 損毀的檔案只略過該檔案，其餘檔案照常載入
+  importedDescriptorFiles = stored.flatMap(file => {
+    try {
+      const bytes = base64ToBytes(file.data);
+      parseDescriptorSet(bytes);
+      return [{ name: file.name, bytes, importedAt: file.importedAt }];
+    } catch (e) {
+      logger.error(`載入已匯入的 Descriptor Set 失敗 (${file?.name}):`, e);
+      return [];
+    }
+  });
+  try {
+    applyImportedDescriptors();
+  } catch (e) {
+    // 保留已載入的清單，之後的匯入才不會覆寫使用者保存的檔案
+    logger.error('套用已匯入的 Descriptor Set 失敗:', e);
+  }
+}
+
+/**
+ * 匯入 Descriptor Set 檔案
+ * 同名檔案會被取代；無法解析的檔案不會影響其他檔案的匯入。
+ *
+ * @param {{name: string, bytes: Uint8Array}[]} files 使用者選擇的檔案
+ * @returns {Promise<{name: string, message: string}[]>} 各檔案的錯誤訊息
+ */
+export async function importDescriptorFiles(files) {
+  const errors = [];
+  const accepted = [];
+
+  for (const file of files) {
+    try {
+      parseDescriptorSet(file.bytes);
+      accepted.push({ name: file.name, bytes: file.bytes, importedAt: new Date().toISOString() });
+    } catch (e) {
+      errors.push({ name: file.name, message: e.message });
+    }
+  }
+  if (accepted.length === 0) return errors;
+
+  const acceptedNames = new Set(accepted.map(file => file.name));
+  const previousFiles = importedDescriptorFiles;
+  importedDescriptorFiles = [
+    ...previousFiles.filter(file => !acceptedNames.has(file.name)),
+    ...accepted,
+  ];
+
+  try {
+    applyImportedDescriptors();
+  } catch (e) {
+    importedDescriptorFiles = previousFiles;
+    applyImportedDescriptors();
+    return [...errors, ...accepted.map(file => ({ name: file.name, message: e.message }))];
+  }
+
+  await persistImportedDescriptors();
+  return errors;
+}
+
+/**
+ * 編譯並匯入 .proto 原始碼
+ * 同一次上傳的檔案會編譯成單一 Descriptor Set，保存與移除時視為一組。
+ *
+ * @param {{path: string, source: string}[]} files 使用者選擇的檔案，path 為相對路徑
+ * @returns {Promise<{name: string, line?: number | null, message: string}[]>} 各檔案的錯誤訊息
+ */
+export async function importProtoSources(files) {
+  if (files.length === 0) return [];
+
+  const { descriptorSet, errors } = compileProtoFiles(files);
+  if (!descriptorSet) return errors;
+
+  const importErrors = await importDescriptorFiles([{ name: describeProtoBundle(files), bytes: descriptorSet }]);
+  return [...errors, ...importErrors];
+}
+
+function describeProtoBundle(files) {
+  const paths = files.map(file => file.path);
+  if (paths.length === 1) return paths[0];
+
+  const [rootDir] = paths[0].split('/');
+  return paths.every(path => path.startsWith(`${rootDir}/`))
+    ? `${rootDir}/`
+    : `${paths[0]} 等 ${paths.length} 個檔案`;
+}
+
+/**
+ * 移除已匯入的 Descriptor Set
+ */
+export async function removeImportedDescriptor(name) {
+  importedDescriptorFiles = importedDescriptorFiles.filter(file => file.name !== name);
+  applyImportedDescriptors();
+  await persistImportedDescriptors();
+}
+
+/**
+ * 重建本地 Schema：將所有已匯入的檔案合併後註冊到引擎，並同步服務列表
+ */
+function applyImportedDescriptors() {
+  const schema = importedDescriptorFiles.length > 0
+    ? buildSchemaFromDescriptorSets(importedDescriptorFiles.map(file => file.bytes))
+    : null;
+
+  protoEngine.registerLocalSchema(schema);
+  importedProtoRegistered = importedDescriptorFiles.length > 0;
+
+  const localServices = (schema?.services ?? []).map(service => ({ ...service, sourceHost: '', source: 'local' }));
+  services.update(list => {
+    const existing = new Map(list.map(s => [s.fullName, s]));
+    const localNames = new Set(localServices.map(s => s.fullName));
+    return [
+      ...list.filter(s => s.source !== 'local' && !localNames.has(s.fullName)),
+      ...localServices.map(s => ({ ...s, hidden: existing.get(s.fullName)?.hidden ?? false })),
+    ];
+  });
+
+  importedDescriptors.set(importedDescriptorFiles.map(file => ({
+    name: file.name,
+    size: file.bytes.length,
+    importedAt: file.importedAt,
+  })));
+}
+
+async function persistImportedDescriptors() {
+  if (typeof chrome === 'undefined' || !chrome.storage?.local) return;
+
+  await chrome.storage.local.set({
+    [IMPORTED_DESCRIPTORS_KEY]: importedDescriptorFiles.map(file => ({
+      name: file.name,
+      data: bytesToBase64(file.bytes),
+      importedAt: file.importedAt,
+    })),
+  });
+}
+
+function bytesToBase64(bytes) {
+  let binary = '';
+  for (const byte of bytes) binary += String.fromCharCode(byte);
+  return btoa(binary);
+}
+
+function base64ToBytes(base64) {
+  return Uint8Array.from(atob(base64), c => c.charCodeAt(0));
+}
+
 /**
  * 清除所有暫存的 Schema 與反射紀錄 (用於 重置/Reset)
+ * 本地匯入的定義由使用者自行管理，不會在此清除。
  */
 export function clearAllSchemas() {
-  services.set([]);
+  services.update(list => list.filter(s => s.source === 'local'));
   reflectionStatus.set(null);
   reflectedServers.clear();
   reflectionPromises.clear();
-  protoEngine.schemas.clear();
-  protoEngine.serviceMap.clear();
+  protoEngine.clearRemoteSchemas();
+}
+
+function loadMessageTypeOverrides() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(STORAGE_KEYS.TYPE_OVERRIDES) || '{}');
+    return saved && typeof saved === 'object' && !Array.isArray(saved) ? saved : {};
+  } catch {
+    return {};
+  }
+}
+
+function messageTypeOverrideKey(origin, method) {
+  return `${origin || ''} ${method || ''}`;
+}
+
+/**
+ * 取得使用者為此 Origin 與方法路徑指定的訊息型別
+ * @returns {{requestType: string | null, responseType: string | null} | null}
+ */
+export function findMessageTypeOverride(origin, method) {
+  const overrides = get(messageTypeOverrides);
+  const key = messageTypeOverrideKey(origin, method);
+  return Object.prototype.hasOwnProperty.call(overrides, key) ? overrides[key] : null;
+}
+
+/**
+ * 指定或清除此 Origin 與方法路徑的訊息型別；兩個型別皆為空時移除對應
+ * @param {string} origin
+ * @param {string} method
+ * @param {{requestType?: string | null, responseType?: string | null} | null} types
+ */
+export function setMessageTypeOverride(origin, method, types) {
+  const key = messageTypeOverrideKey(origin, method);
+  const requestType = types?.requestType || null;
+  const responseType = types?.responseType || null;
+  messageTypeOverrides.update(overrides => {
+    const next = { ...overrides };
+    if (requestType || responseType) {
+      next[key] = { requestType, responseType };
+    } else {
+      delete next[key];
+    }
+    return next;
+  });
 }
 
 /**
@@ -1,4 +1,5 @@
 import { writable } from 'svelte/store';
+import { normalizeValueRendering } from '../lib/value-rendering';
 
 export const STORAGE_KEYS = Object.freeze({
   LANGUAGE: 'grpc_debugger_lang',
@@ -7,6 +8,10 @@ export const STORAGE_KEYS = Object.freeze({
   COMBINED_VIEW: 'grpc_debugger_combined_view',
   LIST_PANE_WIDTH: 'grpc_debugger_list_width',
   THEME: 'grpc_debugger_theme',
+  CANONICAL_JSON: 'grpc_debugger_canonical_json',
+  TYPE_OVERRIDES: 'grpc_debugger_type_overrides',
+  VALUE_RENDERING: 'grpc_debugger_value_rendering',
+  TIMELINE_COLUMN: 'grpc_debugger_timeline_column',
 });
 
 const initialLanguage = localStorage.getItem(STORAGE_KEYS.LANGUAGE) || 'en';
@@ -38,6 +43,37 @@ combinedView.subscribe(val => {
   localStorage.setItem(STORAGE_KEYS.COMBINED_VIEW, val ? 'true' : 'false');
 });
 
+// 以 Proto3 Canonical JSON 呈現 Well-Known Types (Timestamp、Duration、Wrapper、Struct…)
+const initialCanonicalJson = localStorage.getItem(STORAGE_KEYS.CANONICAL_JSON) === 'true';
+export const canonicalJson = writable(initialCanonicalJson);
+
+canonicalJson.subscribe(val => {
+  localStorage.setItem(STORAGE_KEYS.CANONICAL_JSON, val ? 'true' : 'false');
+});
+
+// int64、bytes、enum 與未設定欄位的呈現方式 (見 lib/value-rendering)
+function loadValueRendering() {
+  try {
+    return normalizeValueRendering(JSON.parse(localStorage.getItem(STORAGE_KEYS.VALUE_RENDERING) || 'null'));
+  } catch {
+    return normalizeValueRendering(null);
+  }
+}
+
+export const valueRendering = writable(loadValueRendering());
+
+valueRendering.subscribe(val => {
+  localStorage.setItem(STORAGE_KEYS.VALUE_RENDERING, JSON.stringify(val));
+});
+
+// 請求列表顯示各呼叫相對時間的 Waterfall 欄位
+const initialTimelineColumn = localStorage.getItem(STORAGE_KEYS.TIMELINE_COLUMN) === 'true';
+export const timelineColumn = writable(initialTimelineColumn);
+
+timelineColumn.subscribe(val => {
+  localStorage.setItem(STORAGE_KEYS.TIMELINE_COLUMN, val ? 'true' : 'false');
+});
+
 const initialTheme = localStorage.getItem(STORAGE_KEYS.THEME) || 'system';
 export const theme = writable(initialTheme);
 
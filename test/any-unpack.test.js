@@ -0,0 +1,145 @@
+import { describe, it, expect } from 'vitest';
+import { create, toBinary } from '@bufbuild/protobuf';
+import { anyPack } from '@bufbuild/protobuf/wkt';
+import { ProtoEngine } from '../src/lib/proto-engine.js';
+import { compileProtoFiles } from '../src/lib/proto-compiler.js';
+import { buildSchemaFromDescriptorSets } from '../src/lib/descriptor-import.js';
+import { decodeCachedProtoMessage } from '../src/lib/cached-proto-decoder.js';
+
+const EVENTS_PROTO = `
+syntax = "proto3";
+package demo.events;
+
+import "google/protobuf/any.proto";
+
+message Envelope {
+  string id = 1;
+  google.protobuf.Any payload = 2;
+  repeated google.protobuf.Any history = 3;
+}
+
+message OrderPlaced {
+  string order_id = 1;
+  google.protobuf.Any metadata = 2;
+}
+
+message Tag {
+  string name = 1;
+}
+`;
+
+function createEngine() {
+  const { descriptorSet } = compileProtoFiles([{ path: 'demo/events.proto', source: EVENTS_PROTO }]);
+  const schema = buildSchemaFromDescriptorSets([descriptorSet]);
+  const engine = new ProtoEngine();
+  engine.registerLocalSchema(schema);
+  return { engine, registry: schema.registry };
+}
+
+function encodeString(fieldNumber, text) {
+  const bytes = new TextEncoder().encode(text);
+  return [(fieldNumber << 3) | 2, bytes.length, ...bytes];
+}
+
+function encodeAny(typeUrl, value) {
+  return new Uint8Array([...encodeString(1, typeUrl), (2 << 3) | 2, value.length, ...value]);
+}
+
+describe('google.protobuf.Any 解包', () => {
+  it('ProtoEngine 依 type_url 遞迴展開 Any 並標示 @type', () => {
+    const { engine, registry } = createEngine();
+    const Envelope = registry.getMessage('demo.events.Envelope');
+    const OrderPlaced = registry.getMessage('demo.events.OrderPlaced');
+    const Tag = registry.getMessage('demo.events.Tag');
+
+    const bytes = toBinary(Envelope, create(Envelope, {
+      id: 'evt-1',
+      payload: anyPack(OrderPlaced, create(OrderPlaced, {
+        orderId: 'o-1',
+        metadata: anyPack(Tag, create(Tag, { name: 'vip' })),
+      })),
+      history: [anyPack(Tag, create(Tag, { name: 'created' }))],
+    }));
+
+    expect(engine.decodeMessage('demo.events.Envelope', bytes)).toEqual({
+      $typeName: 'demo.events.Envelope',
+      id: 'evt-1',
+      payload: {
+        $typeName: 'demo.events.OrderPlaced',
+        '@type': 'type.googleapis.com/demo.events.OrderPlaced',
+        order_id: 'o-1',
+        metadata: {
+          $typeName: 'demo.events.Tag',
+          '@type': 'type.googleapis.com/demo.events.Tag',
+          name: 'vip',
+        },
+      },
+      history: [{
+        $typeName: 'demo.events.Tag',
+        '@type': 'type.googleapis.com/demo.events.Tag',
+        name: 'created',
+      }],
+    });
+  });
+
+  it('找不到型別時標示錯誤並保留 wire format 解讀', () => {
+    const { engine } = createEngine();
+    const any = encodeAny('type.googleapis.com/acme.Unknown', new Uint8Array([0x08, 0x01]));
+    const bytes = new Uint8Array([...encodeString(1, 'evt-2'), (2 << 3) | 2, any.length, ...any]);
+
+    const result = engine.decodeMessage('demo.events.Envelope', bytes);
+
+    expect(result.payload).toMatchObject({
+      $typeName: 'acme.Unknown',
+      '@type': 'type.googleapis.com/acme.Unknown',
+      _error: '找不到 Any 型別定義: type.googleapis.com/acme.Unknown',
+    });
+    expect(result.payload._wire['1'].bool).toBe(true);
+  });
+
+  it('ProtoEngine 找不到的型別會交給 resolveAny 備援解碼', () => {
+    const { engine } = createEngine();
+    const any = encodeAny('type.googleapis.com/runtime.Only', new Uint8Array([0x08, 0x05]));
+
+    const result = engine.decodeMessage('google.protobuf.Any', any, {
+      resolveAny: (typeName, bytes) => ({ $typeName: typeName, size: bytes.length }),
+    });
+
+    expect(result).toEqual({
+      $typeName: 'runtime.Only',
+      '@type': 'type.googleapis.com/runtime.Only',
+      size: 2,
+    });
+  });
+
+  it('cached decoder 以 runtime schema 展開 Any，並可改用 resolveAny', () => {
+    const schema = {
+      messages: {
+        'runtime.Envelope': {
+          typeName: 'runtime.Envelope',
+          fields: [{ number: 1, name: 'payload', kind: 'message', typeName: 'google.protobuf.Any' }],
+        },
+        'runtime.Tag': {
+          typeName: 'runtime.Tag',
+          fields: [{ number: 1, name: 'name', kind: 'scalar', type: 'string' }],
+        },
+      },
+    };
+    const wrap = (any) => new Uint8Array([(1 << 3) | 2, any.length, ...any]);
+
+    const known = wrap(encodeAny('type.googleapis.com/runtime.Tag', new Uint8Array(encodeString(1, 'hot'))));
+    expect(decodeCachedProtoMessage(schema, 'runtime.Envelope', known)).toEqual({
+      $typeName: 'runtime.Envelope',
+      payload: { $typeName: 'runtime.Tag', '@type': 'type.googleapis.com/runtime.Tag', name: 'hot' },
+    });
+
+    const fromEngine = wrap(encodeAny('type.googleapis.com/reflected.Type', new Uint8Array([0x08, 0x01])));
+    expect(decodeCachedProtoMessage(schema, 'runtime.Envelope', fromEngine, {
+      resolveAny: (typeName) => (typeName === 'reflected.Type' ? { $typeName: typeName, ok: true } : null),
+    }).payload).toEqual({
+      $typeName: 'reflected.Type',
+      '@type': 'type.googleapis.com/reflected.Type',
+      ok: true,
+    });
+  });
+});
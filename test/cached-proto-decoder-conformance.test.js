@@ -0,0 +1,282 @@
+import { describe, expect, it } from 'vitest';
+import { ScalarType, create, createFileRegistry, fromBinary, setExtension, toBinary } from '@bufbuild/protobuf';
+import { FieldDescriptorProto_Label, FieldDescriptorProto_Type, FileDescriptorSetSchema } from '@bufbuild/protobuf/wkt';
+import { ProtoEngine } from '../src/lib/proto-engine.js';
+import { compileProtoFiles } from '../src/lib/proto-compiler.js';
+import { decodeCachedProtoMessage } from '../src/lib/cached-proto-decoder.js';
+import { decodeWireFormat } from '../src/lib/wire-format-decoder.js';
+import { collectSchemaDrift } from '../src/lib/schema-drift.js';
+import { DEFAULT_VALUE_RENDERING } from '../src/lib/value-rendering.js';
+
+// 以 ProtoEngine (@bufbuild/protobuf) 的解碼結果為基準，比對 runtime Schema 解碼器在相同描述符下的輸出
+
+const PROFILE_PROTO = `
+syntax = "proto3";
+package conf;
+
+enum Status {
+  STATUS_UNSPECIFIED = 0;
+  ACTIVE = 1;
+  BANNED = -1;
+}
+
+message Address {
+  string city = 1;
+  repeated string lines = 2;
+}
+
+message Scalars {
+  double d = 1;
+  float f = 2;
+  int32 i32 = 3;
+  int64 i64 = 4;
+  uint32 u32 = 5;
+  uint64 u64 = 6;
+  sint32 s32 = 7;
+  sint64 s64 = 8;
+  fixed32 fx32 = 9;
+  fixed64 fx64 = 10;
+  sfixed32 sfx32 = 11;
+  sfixed64 sfx64 = 12;
+  bool flag = 13;
+  string text = 14;
+  bytes data = 15;
+  Status status = 16;
+  optional int32 maybe = 17;
+}
+
+message Profile {
+  string id = 1;
+  Address home = 2;
+  repeated Address previous = 3;
+  map<string, int64> counters = 4;
+  map<int32, Address> addresses = 5;
+  map<bool, Status> flags = 6;
+  repeated Status history = 7;
+  repeated sint64 deltas = 8;
+  oneof contact {
+    string email = 9;
+    Address office = 10;
+  }
+  Scalars scalars = 11;
+}
+`;
+
+// proto2 的 group、預設值與擴充欄位 (直接組成描述符)
+const LEGACY_FILE = {
+  name: 'legacy.proto',
+  package: 'legacy',
+  syntax: 'proto2',
+  messageType: [{
+    name: 'Legacy',
+    field: [
+      { name: 'count', number: 1, label: FieldDescriptorProto_Label.OPTIONAL, type: FieldDescriptorProto_Type.INT32, defaultValue: '7' },
+      { name: 'label', number: 2, label: FieldDescriptorProto_Label.OPTIONAL, type: FieldDescriptorProto_Type.STRING, defaultValue: 'none' },
+      { name: 'item', number: 3, label: FieldDescriptorProto_Label.OPTIONAL, type: FieldDescriptorProto_Type.GROUP, typeName: '.legacy.Legacy.Item' },
+      { name: 'entry', number: 5, label: FieldDescriptorProto_Label.REPEATED, type: FieldDescriptorProto_Type.GROUP, typeName: '.legacy.Legacy.Entry' },
+    ],
+    nestedType: [
+      { name: 'Item', field: [{ name: 'name', number: 4, label: FieldDescriptorProto_Label.OPTIONAL, type: FieldDescriptorProto_Type.STRING }] },
+      { name: 'Entry', field: [{ name: 'value', number: 6, label: FieldDescriptorProto_Label.OPTIONAL, type: FieldDescriptorProto_Type.INT32 }] },
+    ],
+    extensionRange: [{ start: 100, end: 201 }],
+  }],
+  extension: [
+    { name: 'priority', number: 100, label: FieldDescriptorProto_Label.OPTIONAL, type: FieldDescriptorProto_Type.INT64, extendee: '.legacy.Legacy' },
+  ],
+};
+
+const RENDERINGS = [
+  DEFAULT_VALUE_RENDERING,
+  { int64: 'bigint', bytes: 'hex', enums: 'both', presence: 'grey' },
+  { int64: 'number', bytes: 'utf8', enums: 'number', presence: 'hide' },
+];
+
+const SCALAR_NAMES = Object.fromEntries(
+  Object.entries(ScalarType).filter(([, value]) => typeof value === 'number').map(([name, value]) => [value, name.toLowerCase()]),
+);
+
+function loadDescriptors() {
+  const { descriptorSet, errors } = compileProtoFiles([{ path: 'profile.proto', source: PROFILE_PROTO }]);
+  expect(errors).toEqual([]);
+  const fileSet = fromBinary(FileDescriptorSetSchema, descriptorSet);
+  fileSet.file.push(create(FileDescriptorSetSchema, { file: [LEGACY_FILE] }).file[0]);
+  const bytes = toBinary(FileDescriptorSetSchema, fileSet);
+
+  const engine = new ProtoEngine();
+  engine.registerFromBytes(bytes);
+  const registry = createFileRegistry(fileSet);
+  return { engine, registry, schema: runtimeSchemaFrom(registry) };
+}
+
+/**
+ * 依 background 的 captureRpcInPage 格式，將描述符轉為 runtime Schema
+ */
+function runtimeSchemaFrom(registry) {
+  const schema = { messages: {}, enums: {}, extensions: {} };
+  for (const type of registry) {
+    if (type.kind === 'message') {
+      schema.messages[type.typeName] = { typeName: type.typeName, fields: type.fields.map(runtimeField) };
+    } else if (type.kind === 'enum') {
+      schema.enums[type.typeName] = { typeName: type.typeName, values: type.values.map(({ name, number }) => ({ name, number })) };
+    } else if (type.kind === 'extension') {
+      const extendee = type.extendee.typeName;
+      schema.extensions[extendee] = [...(schema.extensions[extendee] ?? []), { ...runtimeField(type), name: type.typeName }];
+    }
+  }
+  return schema;
+}
+
+function runtimeField(field) {
+  const item = {
+    number: field.number,
+    name: field.name,
+    localName: field.localName,
+    jsonName: field.jsonName,
+    repeated: field.fieldKind === 'list',
+    oneof: field.oneof?.name,
+  };
+  const kind = field.fieldKind === 'list' ? field.listKind : field.fieldKind;
+  if (field.fieldKind === 'map') {
+    Object.assign(item, {
+      kind: 'map',
+      keyType: SCALAR_NAMES[field.mapKey],
+      value: field.mapKind,
+      valueType: SCALAR_NAMES[field.scalar],
+      valueTypeName: field.message?.typeName ?? field.enum?.typeName,
+    });
+  } else if (kind === 'scalar') {
+    Object.assign(item, { kind, type: SCALAR_NAMES[field.scalar] });
+  } else {
+    Object.assign(item, { kind, typeName: field.message?.typeName ?? field.enum?.typeName });
+  }
+
+  const defaultValue = field.fieldKind === 'scalar' || field.fieldKind === 'enum' ? field.getDefaultValue() : undefined;
+  if (defaultValue !== undefined) {
+    item.defaultValue = typeof defaultValue === 'bigint' ? String(defaultValue) : defaultValue instanceof Uint8Array ? Array.from(defaultValue) : defaultValue;
+  }
+  return item;
+}
+
+function encode(registry, typeName, init) {
+  const desc = registry.getMessage(typeName);
+  return toBinary(desc, create(desc, init));
+}
+
+function concat(...parts) {
+  const result = new Uint8Array(parts.reduce((total, part) => total + part.length, 0));
+  let offset = 0;
+  for (const part of parts) {
+    result.set(part, offset);
+    offset += part.length;
+  }
+  return result;
+}
+
+function expectConformance({ engine, schema }, typeName, bytes) {
+  for (const rendering of RENDERINGS) {
+    const expected = engine.decodeMessage(typeName, bytes, { rendering });
+    expect(expected._error).toBeUndefined();
+    expect(decodeCachedProtoMessage(schema, typeName, bytes, { rendering })).toEqual(expected);
+  }
+}
+
+const FULL_PROFILE = {
+  id: 'u-1',
+  home: { city: 'Taipei', lines: ['1F', 'No. 7'] },
+  previous: [{ city: 'Tainan' }, { lines: ['PO Box 1'] }],
+  counters: { visits: 9007199254740993n, errors: -3n },
+  addresses: { 1: { city: 'Kaohsiung' }, [-2]: {} },
+  flags: { true: -1, false: 1 },
+  history: [1, -1, 0, 5],
+  deltas: [-1n, 0n, 9223372036854775807n],
+  contact: { case: 'office', value: { city: 'Hsinchu' } },
+  scalars: {
+    d: 0.1,
+    f: 1.5,
+    i32: -2147483648,
+    i64: -9223372036854775808n,
+    u32: 4294967295,
+    u64: 18446744073709551615n,
+    s32: -5,
+    s64: -6n,
+    fx32: 4000000000,
+    fx64: 12345678901234567890n,
+    sfx32: -7,
+    sfx64: -8n,
+    flag: true,
+    text: '中文 ✓',
+    data: new Uint8Array([0x68, 0x69, 0xff]),
+    status: -1,
+    maybe: 0,
+  },
+};
+
+describe('cached proto decoder conformance', () => {
+  it('所有純量型別、map、repeated、巢狀訊息與 oneof 與 @bufbuild/protobuf 一致', () => {
+    const context = loadDescriptors();
+    expectConformance(context, 'conf.Profile', encode(context.registry, 'conf.Profile', FULL_PROFILE));
+    expectConformance(context, 'conf.Scalars', encode(context.registry, 'conf.Scalars', FULL_PROFILE.scalars));
+  });
+
+  it('未設定的欄位、空訊息與缺少 key 或 value 的 map entry 與 @bufbuild/protobuf 一致', () => {
+    const context = loadDescriptors();
+    expectConformance(context, 'conf.Profile', encode(context.registry, 'conf.Profile', {
+      contact: { case: 'email', value: 'a@b.test' },
+      home: {},
+    }));
+    // addresses 的 entry 只有 key，counters 的 entry 只有 value
+    expectConformance(context, 'conf.Profile', new Uint8Array([0x2a, 0x02, 0x08, 0x03, 0x22, 0x02, 0x10, 0x05]));
+  });
+
+  it('oneof 以最後出現的成員為準，重複出現的訊息欄位會合併', () => {
+    const context = loadDescriptors();
+    const first = encode(context.registry, 'conf.Profile', {
+      home: { city: 'Taipei', lines: ['1F'] },
+      contact: { case: 'office', value: { city: 'Hsinchu' } },
+    });
+    const second = encode(context.registry, 'conf.Profile', {
+      home: { lines: ['2F'] },
+      contact: { case: 'email', value: 'a@b.test' },
+    });
+    expectConformance(context, 'conf.Profile', concat(first, second));
+    expectConformance(context, 'conf.Profile', concat(second, first));
+  });
+
+  it('proto2 的 group、repeated group 與宣告的預設值與 @bufbuild/protobuf 一致', () => {
+    const context = loadDescriptors();
+    expectConformance(context, 'legacy.Legacy', encode(context.registry, 'legacy.Legacy', {
+      count: 0,
+      item: { name: 'x' },
+      entry: [{ value: 1 }, {}, { value: -2 }],
+    }));
+    expectConformance(context, 'legacy.Legacy', encode(context.registry, 'legacy.Legacy', { label: 'set' }));
+  });
+
+  it('擴充欄位以 [完整名稱] 呈現且不視為未知欄位，與 @bufbuild/protobuf 一致', () => {
+    const context = loadDescriptors();
+    const desc = context.registry.getMessage('legacy.Legacy');
+    const message = create(desc, { count: 1 });
+    setExtension(message, context.registry.getExtension('legacy.priority'), 42n);
+    const bytes = toBinary(desc, message);
+
+    expectConformance(context, 'legacy.Legacy', bytes);
+    const decoded = context.engine.decodeMessage('legacy.Legacy', bytes, { rendering: DEFAULT_VALUE_RENDERING });
+    expect(decoded['[legacy.priority]']).toBe('42');
+    expect(collectSchemaDrift(decoded)).toEqual([]);
+  });
+
+  it('Schema 沒有宣告或 wire type 不相符的欄位以 wire format 呈現於 _unknown', () => {
+    const context = loadDescriptors();
+    const known = encode(context.registry, 'conf.Profile', { id: 'u-1' });
+    // 欄位 99 (varint)、欄位 1 以 varint 編碼 (應為 string)、欄位 50 的 group
+    const unknown = new Uint8Array([0x98, 0x06, 0x2a, 0x08, 0x07, 0x93, 0x03, 0x08, 0x01, 0x94, 0x03]);
+    const bytes = concat(known, unknown);
+
+    const rendering = DEFAULT_VALUE_RENDERING;
+    const { _unknown, ...decoded } = decodeCachedProtoMessage(context.schema, 'conf.Profile', bytes, { rendering });
+    expect(decoded).toEqual(context.engine.decodeMessage('conf.Profile', known, { rendering }));
+    expect(_unknown).toEqual(decodeWireFormat(unknown));
+    expect(_unknown['99'].int).toBe(42);
+  });
+});
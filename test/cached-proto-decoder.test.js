@@ -1,5 +1,32 @@
 import { describe, expect, it } from 'vitest';
 import { decodeCachedProtoMessage } from '../src/lib/cached-proto-decoder.js';
+import { DEFAULT_VALUE_RENDERING } from '../src/lib/value-rendering.js';
+
+const RENDER_SCHEMA = {
+  messages: {
+    'render.Item': {
+      typeName: 'render.Item',
+      fields: [
+        { number: 1, name: 'id', kind: 'scalar', type: 'int64' },
+        { number: 2, name: 'raw', kind: 'scalar', type: 'bytes' },
+        { number: 3, name: 'color', kind: 'enum', typeName: 'render.Color' },
+        { number: 4, name: 'note', kind: 'scalar', type: 'string' },
+        { number: 5, name: 'ids', kind: 'scalar', type: 'int32', repeated: true },
+        { number: 6, name: 'label', kind: 'scalar', type: 'string', oneof: 'choice' },
+      ],
+    },
+  },
+  enums: {
+    'render.Color': { typeName: 'render.Color', values: [{ name: 'COLOR_UNSPECIFIED', number: 0 }, { name: 'RED', number: 1 }] },
+  },
+};
+
+// id = -1 (10 位元組 varint)、raw = "hi"、color = RED
+const RENDER_BYTES = new Uint8Array([
+  0x08, 0xff, 0xff, 0xff, 0xff, 0xff, 0xff, 0xff, 0xff, 0xff, 0x01,
+  0x12, 0x02, 0x68, 0x69,
+  0x18, 0x01,
+]);
 
 describe('cached proto decoder', () => {
   it('以保存的 runtime schema 解碼字串與數值欄位', () => {
@@ -21,4 +48,35 @@ describe('cached proto decoder', () => {
       new Uint8Array([0x0a, 0x03, 0x41, 0x64, 0x61, 0x10, 0x1e]),
     )).toEqual({ $typeName: 'example.User', name: 'Ada', age: 30 });
   });
+
+  it('依數值呈現設定轉換 int64、bytes 與 enum，並補上未設定欄位的預設值', () => {
+    expect(decodeCachedProtoMessage(RENDER_SCHEMA, 'render.Item', RENDER_BYTES, { rendering: DEFAULT_VALUE_RENDERING })).toEqual({
+      $typeName: 'render.Item',
+      id: '-1',
+      raw: 'aGk=',
+      color: 'RED',
+      note: '',
+      ids: [],
+    });
+
+    const rendering = { int64: 'bigint', bytes: 'hex', enums: 'both', presence: 'grey' };
+    expect(decodeCachedProtoMessage(RENDER_SCHEMA, 'render.Item', RENDER_BYTES, { rendering })).toEqual({
+      $typeName: 'render.Item',
+      id: -1n,
+      raw: '68 69',
+      color: 'RED (1)',
+      note: '',
+      ids: [],
+      $unset: ['note', 'ids'],
+    });
+  });
+
+  it('未指定呈現設定時只顯示 wire 上出現的欄位', () => {
+    expect(decodeCachedProtoMessage(RENDER_SCHEMA, 'render.Item', RENDER_BYTES)).toEqual({
+      $typeName: 'render.Item',
+      id: '-1',
+      raw: 'aGk=',
+      color: 'RED',
+    });
+  });
 });
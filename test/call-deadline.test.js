@@ -0,0 +1,87 @@
+import { describe, it, expect } from 'vitest';
+import {
+  GRPC_CANCELLED,
+  GRPC_DEADLINE_EXCEEDED,
+  GRPC_OK,
+  clientFailureStatus,
+  evaluateDeadline,
+  evaluateEntryDeadline,
+  formatTimeout,
+  parseConnectTimeout,
+  parseGrpcTimeout,
+  requestTimeout,
+} from '../src/lib/call-deadline.js';
+
+describe('call-deadline', () => {
+  it('解析 grpc-timeout 的各種單位', () => {
+    expect(parseGrpcTimeout('500m')).toBe(500);
+    expect(parseGrpcTimeout('3S')).toBe(3000);
+    expect(parseGrpcTimeout('2M')).toBe(120000);
+    expect(parseGrpcTimeout('1H')).toBe(3600000);
+    expect(parseGrpcTimeout('250000u')).toBe(250);
+    expect(parseGrpcTimeout('1000000n')).toBe(1);
+  });
+
+  it('拒絕不合法的 grpc-timeout 與 connect-timeout-ms', () => {
+    expect(parseGrpcTimeout('123456789S')).toBeNull();
+    expect(parseGrpcTimeout('10s')).toBeNull();
+    expect(parseGrpcTimeout('')).toBeNull();
+    expect(parseConnectTimeout('1500')).toBe(1500);
+    expect(parseConnectTimeout('-1')).toBeNull();
+    expect(parseConnectTimeout('12345678901')).toBeNull();
+  });
+
+  it('標頭名稱不分大小寫，grpc-timeout 優先於 connect-timeout-ms', () => {
+    expect(requestTimeout({ 'Grpc-Timeout': '2S' })).toEqual({ header: 'grpc-timeout', timeoutMs: 2000 });
+    expect(requestTimeout({ 'connect-timeout-ms': '800' })).toEqual({ header: 'connect-timeout-ms', timeoutMs: 800 });
+    expect(requestTimeout({ 'connect-timeout-ms': '800', 'grpc-timeout': '1S' })).toEqual({ header: 'grpc-timeout', timeoutMs: 1000 });
+    expect(requestTimeout({ 'content-type': 'application/grpc-web+proto' })).toBeNull();
+  });
+
+  it('比對耗時與期限，容許用戶端計時器與瀏覽器量測的少許誤差', () => {
+    const headers = { 'grpc-timeout': '1S' };
+    expect(evaluateDeadline(headers, 400)).toEqual({ header: 'grpc-timeout', timeoutMs: 1000, exceeded: false });
+    expect(evaluateDeadline(headers, 980).exceeded).toBe(true);
+    expect(evaluateDeadline(headers, 1200).exceeded).toBe(true);
+    expect(evaluateDeadline(headers, null).exceeded).toBeNull();
+    expect(evaluateDeadline(headers, 10, GRPC_DEADLINE_EXCEEDED).exceeded).toBe(true);
+    expect(evaluateDeadline({}, 5000)).toBeNull();
+  });
+
+  it('進行中的紀錄尚無法判斷是否超過期限', () => {
+    const headers = { 'connect-timeout-ms': '100' };
+    expect(evaluateEntryDeadline({ requestHeaders: headers, status: 'pending', duration: 500 }).exceeded).toBeNull();
+    expect(evaluateEntryDeadline({ requestHeaders: headers, status: 'finished', duration: 500 }).exceeded).toBe(true);
+    expect(evaluateEntryDeadline(null)).toBeNull();
+  });
+
+  it('成功的呼叫即使耗時接近期限也不視為超過，失敗或沒有狀態時才依耗時推斷', () => {
+    const headers = { 'grpc-timeout': '1S' };
+    expect(evaluateDeadline(headers, 995, GRPC_OK).exceeded).toBe(false);
+    expect(evaluateDeadline(headers, 1200, GRPC_OK).exceeded).toBe(false);
+    expect(evaluateDeadline(headers, 995, 14).exceeded).toBe(true);
+    expect(evaluateDeadline(headers, 995, null).exceeded).toBe(true);
+    expect(evaluateEntryDeadline({ requestHeaders: headers, status: 'finished', duration: 995, grpcStatus: 0 }).exceeded).toBe(false);
+  });
+
+  it('中斷的請求依期限區分 DEADLINE_EXCEEDED 與 CANCELLED，一般網路錯誤不推斷狀態', () => {
+    const exceeded = evaluateDeadline({ 'grpc-timeout': '500m' }, 510);
+    expect(clientFailureStatus({ canceled: true, deadline: exceeded })).toEqual({
+      grpcStatus: GRPC_DEADLINE_EXCEEDED,
+      grpcMessage: '呼叫超過期限 (grpc-timeout: 500 ms)',
+    });
+    const within = evaluateDeadline({ 'grpc-timeout': '5S' }, 120);
+    expect(clientFailureStatus({ canceled: true, deadline: within })).toEqual({
+      grpcStatus: GRPC_CANCELLED,
+      grpcMessage: '請求已由用戶端取消',
+    });
+    expect(clientFailureStatus({ canceled: true })?.grpcStatus).toBe(GRPC_CANCELLED);
+    expect(clientFailureStatus({ canceled: false, deadline: within })).toBeNull();
+  });
+
+  it('格式化期限', () => {
+    expect(formatTimeout(250)).toBe('250 ms');
+    expect(formatTimeout(1500)).toBe('1.5 s');
+    expect(formatTimeout(0.25)).toBe('0.25 ms');
+  });
+});
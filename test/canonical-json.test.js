@@ -0,0 +1,105 @@
+import { describe, it, expect } from 'vitest';
+import { toCanonicalJson } from '../src/lib/canonical-json.js';
+
+describe('toCanonicalJson', () => {
+  it('Timestamp 轉為 RFC 3339，小數位數取 0、3、6 或 9 位', () => {
+    const ts = (seconds, nanos) => ({ $typeName: 'google.protobuf.Timestamp', seconds, nanos });
+
+    expect(toCanonicalJson(ts(1700000000, 0))).toBe('2023-11-14T22:13:20Z');
+    expect(toCanonicalJson(ts('1700000000', 500000000))).toBe('2023-11-14T22:13:20.500Z');
+    expect(toCanonicalJson(ts(0, 1000))).toBe('1970-01-01T00:00:00.000001Z');
+    expect(toCanonicalJson(ts(0, 1))).toBe('1970-01-01T00:00:00.000000001Z');
+    expect(toCanonicalJson({ $typeName: 'google.protobuf.Timestamp' })).toBe('1970-01-01T00:00:00Z');
+  });
+
+  it('Duration 轉為帶 s 後綴的字串並保留負號', () => {
+    const duration = (seconds, nanos) => ({ $typeName: 'google.protobuf.Duration', seconds, nanos });
+
+    expect(toCanonicalJson(duration(1, 500000000))).toBe('1.500s');
+    expect(toCanonicalJson(duration(3, 0))).toBe('3s');
+    expect(toCanonicalJson(duration(-1, -500000000))).toBe('-1.500s');
+    expect(toCanonicalJson(duration(0, -1000))).toBe('-0.000001s');
+    expect(toCanonicalJson(duration('315576000000', 0))).toBe('315576000000s');
+  });
+
+  it('Wrapper 型別展開為內含的值，64 位元整數以字串表示', () => {
+    expect(toCanonicalJson({ $typeName: 'google.protobuf.StringValue', value: 'hi' })).toBe('hi');
+    expect(toCanonicalJson({ $typeName: 'google.protobuf.BoolValue' })).toBe(false);
+    expect(toCanonicalJson({ $typeName: 'google.protobuf.Int64Value', value: 42 })).toBe('42');
+    expect(toCanonicalJson({ $typeName: 'google.protobuf.UInt32Value', value: 7 })).toBe(7);
+  });
+
+  it('Struct、Value 與 ListValue 轉為一般 JSON', () => {
+    const value = (kind, v) => ({ $typeName: 'google.protobuf.Value', [kind]: v });
+    const struct = {
+      $typeName: 'google.protobuf.Struct',
+      fields: {
+        name: value('string_value', 'grpc'),
+        count: value('number_value', 3),
+        enabled: value('bool_value', true),
+        empty: value('null_value', 0),
+        tags: value('list_value', {
+          $typeName: 'google.protobuf.ListValue',
+          values: [value('string_value', 'a'), value('number_value', 1)],
+        }),
+        nested: value('struct_value', {
+          $typeName: 'google.protobuf.Struct',
+          fields: { ok: value('bool_value', false) },
+        }),
+      },
+    };
+
+    expect(toCanonicalJson(struct)).toEqual({
+      name: 'grpc',
+      count: 3,
+      enabled: true,
+      empty: null,
+      tags: ['a', 1],
+      nested: { ok: false },
+    });
+  });
+
+  it('FieldMask 轉為逗號分隔的 lowerCamelCase 路徑', () => {
+    expect(toCanonicalJson({
+      $typeName: 'google.protobuf.FieldMask',
+      paths: ['user.display_name', 'update_time'],
+    })).toBe('user.displayName,updateTime');
+  });
+
+  it('一般訊息保留 $typeName 並遞迴轉換欄位，且不修改原始資料', () => {
+    const original = {
+      $typeName: 'pkg.Event',
+      id: 'e1',
+      created_at: { $typeName: 'google.protobuf.Timestamp', seconds: 0, nanos: 0 },
+      history: [{ $typeName: 'google.protobuf.Duration', seconds: 2, nanos: 0 }],
+      raw: new Uint8Array([1, 2]),
+    };
+
+    expect(toCanonicalJson(original)).toEqual({
+      $typeName: 'pkg.Event',
+      id: 'e1',
+      created_at: '1970-01-01T00:00:00Z',
+      history: ['2s'],
+      raw: new Uint8Array([1, 2]),
+    });
+    expect(original.created_at).toEqual({ $typeName: 'google.protobuf.Timestamp', seconds: 0, nanos: 0 });
+  });
+
+  it('由 Any 展開的 Well-Known Type 表示為 @type 與 value', () => {
+    expect(toCanonicalJson({
+      $typeName: 'google.protobuf.Duration',
+      '@type': 'type.googleapis.com/google.protobuf.Duration',
+      seconds: 1,
+      nanos: 0,
+    })).toEqual({
+      $typeName: 'google.protobuf.Duration',
+      '@type': 'type.googleapis.com/google.protobuf.Duration',
+      value: '1s',
+    });
+  });
+
+  it('無法轉換的 Well-Known Type 保留原始結構', () => {
+    const outOfRange = { $typeName: 'google.protobuf.Timestamp', seconds: 1e15, nanos: 0 };
+    expect(toCanonicalJson(outOfRange)).toEqual(outOfRange);
+  });
+});
@@ -0,0 +1,79 @@
+import { describe, it, expect } from 'vitest';
+import {
+  captureRuleHeaderNames,
+  createCaptureRule,
+  evaluateCaptureRules,
+  normalizeCaptureRules,
+  parseRpcPath,
+  rulesForRecordedHeaders,
+  validateCaptureRule,
+} from '../src/lib/capture-rules.js';
+
+const call = {
+  url: 'https://api.example.com/acme.user.v1.UserService/GetUser',
+  headers: { 'Content-Type': 'application/grpc-web+proto', 'X-Tenant': 'blue' },
+};
+
+describe('capture-rules', () => {
+  it('從 gRPC 路徑取出服務與方法', () => {
+    expect(parseRpcPath(call.url)).toEqual({ service: 'acme.user.v1.UserService', method: 'GetUser' });
+    expect(parseRpcPath('/api/pkg.Svc/Do?x=1')).toEqual({ service: 'pkg.Svc', method: 'Do' });
+  });
+
+  it('沒有規則時全部擷取', () => {
+    expect(evaluateCaptureRules([], call)).toEqual({ action: 'capture', ruleId: null });
+  });
+
+  it('glob 需符合整個字串且不分大小寫，正規表示式只需部分符合', () => {
+    const glob = createCaptureRule({ id: 'g', action: 'exclude', field: 'url', pattern: 'https://api.example.com/*' });
+    expect(evaluateCaptureRules([glob], call)).toEqual({ action: 'exclude', ruleId: 'g' });
+    const partial = createCaptureRule({ id: 'p', action: 'exclude', field: 'url', pattern: 'example.com' });
+    expect(evaluateCaptureRules([partial], call).action).toBe('capture');
+    const regex = createCaptureRule({ id: 'r', action: 'mute', field: 'method', syntax: 'regex', pattern: '^get' });
+    expect(evaluateCaptureRules([regex], call)).toEqual({ action: 'mute', ruleId: 'r' });
+  });
+
+  it('比對服務、Content-Type 與指定的請求標頭', () => {
+    const service = createCaptureRule({ id: 's', field: 'service', pattern: 'acme.user.*' });
+    const contentType = createCaptureRule({ id: 'c', field: 'contentType', pattern: 'application/grpc-web*' });
+    const header = createCaptureRule({ id: 'h', field: 'header', header: 'X-Tenant', pattern: 'blue' });
+    const missing = createCaptureRule({ id: 'm', field: 'header', header: 'x-other', pattern: '*' });
+    expect(evaluateCaptureRules([service], call).ruleId).toBe('s');
+    expect(evaluateCaptureRules([contentType], call).ruleId).toBe('c');
+    expect(evaluateCaptureRules([header], call).ruleId).toBe('h');
+    expect(evaluateCaptureRules([missing], call).ruleId).toBeNull();
+  });
+
+  it('第一條符合的規則決定結果，存在 include 規則時未符合的呼叫不擷取', () => {
+    const include = createCaptureRule({ id: 'i', action: 'include', field: 'service', pattern: '*.UserService' });
+    const exclude = createCaptureRule({ id: 'e', action: 'exclude', field: 'method', pattern: 'GetUser' });
+    expect(evaluateCaptureRules([include, exclude], call)).toEqual({ action: 'capture', ruleId: 'i' });
+    expect(evaluateCaptureRules([exclude, include], call)).toEqual({ action: 'exclude', ruleId: 'e' });
+    expect(evaluateCaptureRules([include], { url: 'https://api.example.com/acme.Other/Get' })).toEqual({ action: 'exclude', ruleId: null });
+  });
+
+  it('只記錄規則比對的標頭，只有部分標頭時略過未記錄之標頭的規則', () => {
+    const tenant = createCaptureRule({ id: 't', action: 'include', field: 'header', header: 'X-Tenant', pattern: 'blue' });
+    const disabled = createCaptureRule({ id: 'd', enabled: false, field: 'header', header: 'authorization', pattern: '*' });
+    const service = createCaptureRule({ id: 's', field: 'service', pattern: 'acme.*' });
+    expect(captureRuleHeaderNames([tenant, disabled, service, tenant])).toEqual(['x-tenant']);
+    expect(rulesForRecordedHeaders([tenant, service], { 'content-type': 'application/grpc-web' })).toEqual([service]);
+    expect(rulesForRecordedHeaders([tenant, service], { 'X-Tenant': 'red' })).toEqual([tenant, service]);
+    expect(evaluateCaptureRules(rulesForRecordedHeaders([tenant], {}), { url: call.url, headers: {} }).action).toBe('capture');
+  });
+
+  it('停用或無效的規則不參與比對', () => {
+    const disabled = createCaptureRule({ id: 'd', enabled: false, pattern: '*' });
+    const invalid = createCaptureRule({ id: 'x', syntax: 'regex', pattern: '(' });
+    expect(validateCaptureRule(invalid)).toBe('invalid_pattern');
+    expect(validateCaptureRule(createCaptureRule({ field: 'header', pattern: '*' }))).toBe('empty_header');
+    expect(validateCaptureRule(createCaptureRule())).toBe('empty_pattern');
+    expect(evaluateCaptureRules([disabled, invalid], call).action).toBe('capture');
+  });
+
+  it('補齊從 storage 讀回的規則', () => {
+    const [rule] = normalizeCaptureRules([{ id: 'a', action: 'bogus', field: 'header', header: ' X-Key ', pattern: 'v' }]);
+    expect(rule).toEqual({ id: 'a', enabled: true, action: 'exclude', field: 'header', header: 'x-key', syntax: 'glob', pattern: 'v' });
+    expect(normalizeCaptureRules(null)).toEqual([]);
+  });
+});
@@ -0,0 +1,86 @@
+import { deflateRawSync, deflateSync, gzipSync } from 'node:zlib';
+import { describe, it, expect } from 'vitest';
+import {
+  decompressPayload,
+  hasCompressionCodec,
+  mergeCompression,
+  messageEncoding,
+  registerCompressionCodec,
+  sniffCompression,
+} from '../src/lib/compression-codecs.js';
+
+const text = (bytes) => new TextDecoder().decode(bytes);
+const input = new TextEncoder().encode('hello hello hello hello grpc debugger '.repeat(20));
+
+describe('compression-codecs', () => {
+  it('gzip 與 deflate (zlib 與 Raw) 以純 JS 解壓', async () => {
+    const gzip = await decompressPayload('gzip', gzipSync(input));
+    expect(gzip.compression).toEqual({ encoding: 'gzip', status: 'applied' });
+    expect(text(gzip.data)).toBe(text(input));
+
+    expect(text((await decompressPayload('deflate', deflateSync(input))).data)).toBe(text(input));
+    expect(text((await decompressPayload('deflate', deflateRawSync(input))).data)).toBe(text(input));
+  });
+
+  it('gzip 支援多個串接的 Member', async () => {
+    const joined = new Uint8Array([...gzipSync(Buffer.from('ab')), ...gzipSync(Buffer.from('cd'))]);
+    expect(text((await decompressPayload('gzip', joined)).data)).toBe('abcd');
+  });
+
+  it('snappy 同時支援 Raw Block 與 Framing 格式', async () => {
+    // "abc" Literal 後接 offset 3、長度 9 的 Copy
+    const block = [0x0c, 0x08, 0x61, 0x62, 0x63, 0x15, 0x03];
+    expect(text((await decompressPayload('snappy', new Uint8Array(block))).data)).toBe('abcabcabcabc');
+
+    const framed = new Uint8Array([
+      0xff, 0x06, 0x00, 0x00, 0x73, 0x4e, 0x61, 0x50, 0x70, 0x59,
+      0x00, 0x0b, 0x00, 0x00, 0, 0, 0, 0, ...block,
+      0x01, 0x06, 0x00, 0x00, 0, 0, 0, 0, 0x78, 0x79,
+    ]);
+    expect(sniffCompression(framed)).toBe('snappy');
+    expect(text((await decompressPayload('snappy', framed)).data)).toBe('abcabcabcabcxy');
+  });
+
+  it('zstd 解壓 CLI 產生的 Frame', async () => {
+    const frame = Uint8Array.from(atob('KLUv/SQlzQAAmGhlbGxvIGdycGMgZGVidWdnZXIBAPFKEVbzEho='), (c) => c.charCodeAt(0));
+    const result = await decompressPayload('zstd', frame);
+    expect(result.compression).toEqual({ encoding: 'zstd', status: 'applied' });
+    expect(text(result.data)).toBe('hello hello hello hello grpc debugger');
+  });
+
+  it('缺少解碼器或解壓失敗時保留原始資料並回報狀態', async () => {
+    const bytes = new Uint8Array([1, 2, 3]);
+    expect(await decompressPayload('lz4', bytes)).toEqual({ data: bytes, compression: { encoding: 'lz4', status: 'missing' } });
+
+    const failed = await decompressPayload('gzip', bytes);
+    expect(failed.data).toBe(bytes);
+    expect(failed.compression).toMatchObject({ encoding: 'gzip', status: 'failed', error: expect.any(String) });
+  });
+
+  it('未指定編碼時依 Magic Number 推測格式', async () => {
+    expect(sniffCompression(gzipSync(input))).toBe('gzip');
+    expect(sniffCompression(deflateSync(input))).toBe('deflate');
+    expect(sniffCompression(new Uint8Array([10, 11]))).toBeNull();
+    expect((await decompressPayload('identity', gzipSync(input))).compression.encoding).toBe('gzip');
+  });
+
+  it('messageEncoding 讀取 grpc-encoding 或 connect-content-encoding', () => {
+    expect(messageEncoding({ 'grpc-encoding': 'gzip' })).toBe('gzip');
+    expect(messageEncoding({ 'connect-content-encoding': 'zstd' })).toBe('zstd');
+    expect(messageEncoding({ 'content-encoding': 'gzip' })).toBeNull();
+  });
+
+  it('mergeCompression 保留最需要注意的狀態', () => {
+    const applied = { encoding: 'gzip', status: 'applied' };
+    const missing = { encoding: 'lz4', status: 'missing' };
+    expect(mergeCompression(null, applied)).toBe(applied);
+    expect(mergeCompression(applied, missing)).toBe(missing);
+    expect(mergeCompression(missing, applied)).toBe(missing);
+  });
+
+  it('registerCompressionCodec 可註冊自訂編碼 (不分大小寫)', async () => {
+    registerCompressionCodec('X-Reverse', (bytes) => bytes.slice().reverse());
+    expect(hasCompressionCodec('x-reverse')).toBe(true);
+    expect([...(await decompressPayload('x-reverse', new Uint8Array([1, 2, 3]))).data]).toEqual([3, 2, 1]);
+  });
+});
@@ -0,0 +1,61 @@
+import { describe, it, expect } from 'vitest';
+import {
+  connectContentKind,
+  connectErrorStatus,
+  connectUnaryTrailers,
+  isConnectRequest,
+  parseConnectEndStream,
+  parseConnectGetRequest,
+} from '../src/lib/connect-protocol.js';
+
+describe('connect-protocol', () => {
+  it('connectContentKind 區分 unary 與 streaming 以及編碼方式', () => {
+    expect(connectContentKind('application/proto')).toEqual({ streaming: false, codec: 'proto' });
+    expect(connectContentKind('application/json; charset=utf-8')).toEqual({ streaming: false, codec: 'json' });
+    expect(connectContentKind('application/connect+json')).toEqual({ streaming: true, codec: 'json' });
+    expect(connectContentKind('application/grpc-web+proto')).toBeNull();
+  });
+
+  it('isConnectRequest 依協定標頭、streaming content-type 或 GET 查詢參數判斷', () => {
+    expect(isConnectRequest({ headers: { 'content-type': 'application/json', 'connect-protocol-version': '1' } })).toBe(true);
+    expect(isConnectRequest({ headers: { 'content-type': 'application/json' } })).toBe(false);
+    expect(isConnectRequest({ headers: { 'content-type': 'application/connect+proto' } })).toBe(true);
+    expect(isConnectRequest({ method: 'GET', url: 'https://a.test/pkg.S/M?encoding=json&message=%7B%7D' })).toBe(true);
+    expect(isConnectRequest({ method: 'GET', url: 'https://a.test/pkg.S/M' })).toBe(false);
+  });
+
+  it('parseConnectGetRequest 解析 base64、percent-encoding 與壓縮參數', () => {
+    expect(parseConnectGetRequest('https://a.test/pkg.S/M?encoding=proto&base64=1&message=CgFh&compression=gzip')).toEqual({
+      message: new Uint8Array([0x0a, 0x01, 0x61]),
+      codec: 'proto',
+      compression: 'gzip',
+    });
+    expect(parseConnectGetRequest('https://a.test/pkg.S/M?encoding=json&message=%7B%22a%22%3A1%7D&compression=identity')).toEqual({
+      message: new TextEncoder().encode('{"a":1}'),
+      codec: 'json',
+      compression: null,
+    });
+    expect(parseConnectGetRequest('https://a.test/pkg.S/M?encoding=xml&message=x')).toBeNull();
+  });
+
+  it('connectErrorStatus 將字串 code 對應為 gRPC 狀態碼，缺少時依 HTTP 狀態推算', () => {
+    expect(connectErrorStatus({ code: 'permission_denied', message: 'no' }, 403)).toEqual({ code: 7, message: 'no', details: [] });
+    expect(connectErrorStatus(undefined, 503)).toEqual({ code: 14, message: null, details: [] });
+    expect(connectErrorStatus({ code: 'bogus' }, 500)).toEqual({ code: 2, message: null, details: [] });
+    expect(connectErrorStatus({ code: 'internal', details: [null, 'x', { type: 'a.B', value: '' }] }).details)
+      .toEqual([{ type: 'a.B', value: '' }]);
+  });
+
+  it('parseConnectEndStream 合併 metadata，沒有 error 代表成功', () => {
+    const success = parseConnectEndStream(new TextEncoder().encode('{"metadata":{"X-Id":["a","b"]}}'));
+    expect(success).toEqual({ trailers: { 'x-id': 'a, b' }, status: { code: 0, message: null, details: [] } });
+
+    const failure = parseConnectEndStream(new TextEncoder().encode('{"error":{"code":"internal","message":"boom"}}'));
+    expect(failure).toEqual({ trailers: null, status: { code: 13, message: 'boom', details: [] } });
+  });
+
+  it('connectUnaryTrailers 只取出 trailer- 前綴的標頭', () => {
+    expect(connectUnaryTrailers({ 'content-type': 'application/proto', 'trailer-x-id': 'a' })).toEqual({ 'x-id': 'a' });
+    expect(connectUnaryTrailers({ 'content-type': 'application/proto' })).toBeNull();
+  });
+});
@@ -0,0 +1,201 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { get } from 'svelte/store';
+import { create, toBinary } from '@bufbuild/protobuf';
+import {
+  FileDescriptorSetSchema,
+  FieldDescriptorProto_Type,
+  FieldDescriptorProto_Label,
+} from '@bufbuild/protobuf/wkt';
+
+globalThis.localStorage = globalThis.localStorage || (() => {
+  let store = {};
+  return {
+    getItem: (key) => store[key] ?? null,
+    setItem: (key, value) => { store[key] = String(value); },
+    removeItem: (key) => { delete store[key]; },
+    clear: () => { store = {}; },
+  };
+})();
+
+const { parseDescriptorSet, buildSchemaFromDescriptorSets } = await import('../src/lib/descriptor-import.js');
+const { protoEngine } = await import('../src/lib/proto-engine.js');
+const { default: reflectionClient } = await import('../src/lib/reflection-client.js');
+const { enableReflection } = await import('../src/stores/settings.js');
+const {
+  services,
+  importedDescriptors,
+  importDescriptorFiles,
+  importProtoSources,
+  removeImportedDescriptor,
+  loadImportedDescriptors,
+  replaceCapturedServices,
+  registerSchema,
+  tryAutoReflection,
+} = await import('../src/stores/schema.js');
+
+function makeDescriptorSet(pkg = 'demo') {
+  return toBinary(FileDescriptorSetSchema, create(FileDescriptorSetSchema, {
+    file: [{
+      name: `${pkg}/greeter.proto`,
+      package: pkg,
+      syntax: 'proto3',
+      messageType: [
+        {
+          name: 'HelloRequest',
+          field: [{
+            name: 'name',
+            number: 1,
+            type: FieldDescriptorProto_Type.STRING,
+            label: FieldDescriptorProto_Label.OPTIONAL,
+            jsonName: 'name',
+          }],
+        },
+        { name: 'HelloReply' },
+      ],
+      service: [{
+        name: 'Greeter',
+        method: [{ name: 'SayHello', inputType: `.${pkg}.HelloRequest`, outputType: `.${pkg}.HelloReply` }],
+      }],
+    }],
+  }));
+}
+
+describe('descriptor-import', () => {
+  describe('parseDescriptorSet', () => {
+    it('應取出每個 FileDescriptorProto', () => {
+      expect(parseDescriptorSet(makeDescriptorSet())).toHaveLength(1);
+    });
+
+    it('非 FileDescriptorSet 內容應拋出錯誤', () => {
+      expect(() => parseDescriptorSet(new TextEncoder().encode('not a descriptor'))).toThrow('FileDescriptorSet');
+      expect(() => parseDescriptorSet(new Uint8Array(0))).toThrow('FileDescriptorSet');
+    });
+  });
+
+  describe('buildSchemaFromDescriptorSets', () => {
+    it('應建立包含服務與訊息的 Schema', () => {
+      const schema = buildSchemaFromDescriptorSets([makeDescriptorSet()]);
+
+      expect(schema.registry.getMessage('demo.HelloRequest')).toBeDefined();
+      expect(schema.services.map((s) => s.fullName)).toEqual(['demo.Greeter']);
+    });
+  });
+
+  describe('schema store', () => {
+    let storage;
+
+    beforeEach(async () => {
+      vi.spyOn(console, 'debug').mockImplementation(() => {});
+      storage = {};
+      globalThis.chrome = {
+        storage: {
+          local: {
+            get: vi.fn(async (key) => ({ [key]: storage[key] })),
+            set: vi.fn(async (items) => { Object.assign(storage, items); }),
+          },
+        },
+      };
+      for (const file of get(importedDescriptors)) {
+        await removeImportedDescriptor(file.name);
+      }
+      services.set([]);
+    });
+
+    it('匯入後應能以本地定義解碼並列出服務', async () => {
+      const errors = await importDescriptorFiles([{ name: 'demo.binpb', bytes: makeDescriptorSet() }]);
+
+      expect(errors).toEqual([]);
+      expect(protoEngine.findMethod('/demo.Greeter/SayHello').requestType).toBe('demo.HelloRequest');
+      expect(protoEngine.decodeMessage('demo.HelloRequest', new Uint8Array([0x0a, 0x02, 0x68, 0x69])).name).toBe('hi');
+      expect(get(services)).toEqual([expect.objectContaining({ fullName: 'demo.Greeter', source: 'local' })]);
+      expect(get(importedDescriptors).map((file) => file.name)).toEqual(['demo.binpb']);
+    });
+
+    it('應回報無法解析的檔案且不影響其他檔案', async () => {
+      const errors = await importDescriptorFiles([
+        { name: 'broken.binpb', bytes: new Uint8Array([0xff]) },
+        { name: 'demo.binpb', bytes: makeDescriptorSet() },
+      ]);
+
+      expect(errors).toEqual([{ name: 'broken.binpb', message: expect.any(String) }]);
+      expect(get(importedDescriptors).map((file) => file.name)).toEqual(['demo.binpb']);
+    });
+
+    it('應保存於 chrome.storage.local 並可重新載入', async () => {
+      await importDescriptorFiles([{ name: 'demo.binpb', bytes: makeDescriptorSet() }]);
+      protoEngine.registerLocalSchema(null);
+      services.set([]);
+
+      await loadImportedDescriptors();
+
+      expect(protoEngine.findMethod('/demo.Greeter/SayHello')).not.toBeNull();
+      expect(get(services).map((s) => s.fullName)).toEqual(['demo.Greeter']);
+    });
+
+    it('載入時只略過損毀的檔案，之後的匯入保留其他已保存的檔案', async () => {
+      await importDescriptorFiles([{ name: 'demo.binpb', bytes: makeDescriptorSet() }]);
+      storage.grpcDebuggerImportedDescriptors.push({ name: 'broken.binpb', data: '%%%', importedAt: '2026-01-01T00:00:00.000Z' });
+      protoEngine.registerLocalSchema(null);
+      vi.spyOn(console, 'error').mockImplementation(() => {});
+
+      await loadImportedDescriptors();
+      expect(get(importedDescriptors).map((file) => file.name)).toEqual(['demo.binpb']);
+
+      await importDescriptorFiles([{ name: 'other.binpb', bytes: makeDescriptorSet('other') }]);
+      expect(storage.grpcDebuggerImportedDescriptors.map((file) => file.name)).toEqual(['demo.binpb', 'other.binpb']);
+    });
+
+    it('移除匯入的檔案不影響自動偵測的定義，已知的方法不再發起 Reflection', async () => {
+      enableReflection.set(true);
+      registerSchema(buildSchemaFromDescriptorSets([makeDescriptorSet('detected')]), 'auto-detect', 'https://detected.test');
+      await importDescriptorFiles([{ name: 'demo.binpb', bytes: makeDescriptorSet() }]);
+      await removeImportedDescriptor('demo.binpb');
+      const fetchFromServer = vi.spyOn(reflectionClient, 'fetchFromServer').mockResolvedValue(null);
+
+      expect(await tryAutoReflection('https://detected.test/detected.Greeter/SayHello')).toBe(false);
+      expect(fetchFromServer).not.toHaveBeenCalled();
+    });
+
+    it('移除後應清除本地定義', async () => {
+      await importDescriptorFiles([{ name: 'demo.binpb', bytes: makeDescriptorSet() }]);
+      await removeImportedDescriptor('demo.binpb');
+
+      expect(protoEngine.findMethod('/demo.Greeter/SayHello')).toBeNull();
+      expect(get(services)).toEqual([]);
+      expect(storage.grpcDebuggerImportedDescriptors).toEqual([]);
+    });
+
+    it('應編譯 .proto 原始碼並以資料夾名稱匯入', async () => {
+      const errors = await importProtoSources([
+        { path: 'protos/greeter.proto', source: 'syntax = "proto3";\npackage src;\nmessage Req { string name = 1; }\nservice Greeter { rpc Hi(Req) returns (Req); }\n' },
+        { path: 'protos/broken.proto', source: 'syntax = "proto3";\nmessage {\n' },
+      ]);
+
+      expect(errors).toEqual([{ name: 'protos/broken.proto', line: 2, message: expect.any(String) }]);
+      expect(get(importedDescriptors).map((file) => file.name)).toEqual(['protos/']);
+      expect(protoEngine.findMethod('/src.Greeter/Hi').requestType).toBe('src.Req');
+    });
+
+    it('擷取紀錄刷新服務列表時應保留本地服務', async () => {
+      await importDescriptorFiles([{ name: 'demo.binpb', bytes: makeDescriptorSet() }]);
+
+      replaceCapturedServices([{ fullName: 'other.Service', name: 'Service', methods: [] }]);
+
+      expect(get(services).map((s) => s.fullName)).toEqual(['other.Service', 'demo.Greeter']);
+    });
+
+    it('不同 Origin 反射到的同名服務各自列出，並在擷取刷新後保留', () => {
+      const schema = buildSchemaFromDescriptorSets([makeDescriptorSet('multi')]);
+      registerSchema(schema, 'reflection', 'https://a.test');
+      registerSchema(schema, 'reflection', 'https://b.test');
+
+      replaceCapturedServices([{ fullName: 'multi.Greeter', name: 'Greeter', methods: [], sourceHost: 'https://a.test', source: 'runtime' }]);
+
+      expect(get(services)
+        .filter((s) => s.fullName === 'multi.Greeter')
+        .map((s) => `${s.source} ${s.sourceHost}`)).toEqual(['runtime https://a.test', 'reflection https://b.test']);
+      expect(protoEngine.findMethod('/multi.Greeter/SayHello', { origin: 'https://b.test' }).schema)
+        .toMatchObject({ source: 'reflection', origin: 'https://b.test' });
+    });
+  });
+});
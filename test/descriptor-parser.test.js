@@ -2,6 +2,7 @@ import { describe, it, expect } from 'vitest';
 import {
   readTag,
   readVarint,
+  readVarint64,
   readLengthDelimited,
   skipField,
   parseListServicesResponse,
@@ -54,6 +55,27 @@ describe('descriptor-parser', () => {
       });
     });
 
+    describe('readVarint64', () => {
+      it('應以 BigInt 保留超過 32 位元的數值', () => {
+        // 2^40 = 1099511627776
+        const data = new Uint8Array([0x80, 0x80, 0x80, 0x80, 0x80, 0x20]);
+        const [value, pos] = readVarint64(data, 0);
+        expect(value).toBe(1099511627776n);
+        expect(pos).toBe(6);
+      });
+
+      it('應將 10 位元組的負數編碼解析為無號 64 位元數值', () => {
+        const data = new Uint8Array([0xff, 0xff, 0xff, 0xff, 0xff, 0xff, 0xff, 0xff, 0xff, 0x01]);
+        const [value, pos] = readVarint64(data, 0);
+        expect(value).toBe(18446744073709551615n);
+        expect(pos).toBe(10);
+      });
+
+      it('Varint 被截斷時應拋出錯誤', () => {
+        expect(() => readVarint64(new Uint8Array([0x80, 0x80]), 0)).toThrow();
+      });
+    });
+
     describe('readTag', () => {
       it('應正確解析 field number 和 wire type', () => {
         const [fieldNum, wireType, pos] = readTag(new Uint8Array([0x08]), 0);
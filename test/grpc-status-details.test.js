@@ -0,0 +1,98 @@
+import { describe, it, expect } from 'vitest';
+import { create, toBinary } from '@bufbuild/protobuf';
+import { anyPack, DurationSchema } from '@bufbuild/protobuf/wkt';
+import { ProtoEngine } from '../src/lib/proto-engine.js';
+import { googleRpcRegistry } from '../src/lib/google-rpc-schema.js';
+import { decodeBinaryMetadata, grpcStatusName } from '../src/lib/grpc-trailers.js';
+
+const StatusSchema = googleRpcRegistry.getMessage('google.rpc.Status');
+const ErrorInfoSchema = googleRpcRegistry.getMessage('google.rpc.ErrorInfo');
+const BadRequestSchema = googleRpcRegistry.getMessage('google.rpc.BadRequest');
+const RetryInfoSchema = googleRpcRegistry.getMessage('google.rpc.RetryInfo');
+
+function encodeStatus(details) {
+  return toBinary(StatusSchema, create(StatusSchema, {
+    code: 7,
+    message: 'permission denied',
+    details,
+  }));
+}
+
+describe('grpc-status-details-bin', () => {
+  it('decodeRpcStatus 會解開標準 google.rpc 錯誤詳情', () => {
+    const bytes = encodeStatus([
+      anyPack(ErrorInfoSchema, create(ErrorInfoSchema, {
+        reason: 'IAM_DENIED',
+        domain: 'example.com',
+        metadata: { resource: 'projects/1' },
+      })),
+      anyPack(BadRequestSchema, create(BadRequestSchema, {
+        fieldViolations: [{ field: 'name', description: 'required' }],
+      })),
+      anyPack(RetryInfoSchema, create(RetryInfoSchema, {
+        retryDelay: create(DurationSchema, { seconds: 3n, nanos: 0 }),
+      })),
+    ]);
+
+    const status = new ProtoEngine().decodeRpcStatus(bytes);
+
+    expect(status.code).toBe(7);
+    expect(status.message).toBe('permission denied');
+    expect(status.details).toEqual([
+      {
+        $typeName: 'google.rpc.ErrorInfo',
+        '@type': 'type.googleapis.com/google.rpc.ErrorInfo',
+        reason: 'IAM_DENIED',
+        domain: 'example.com',
+        metadata: { resource: 'projects/1' },
+      },
+      {
+        $typeName: 'google.rpc.BadRequest',
+        '@type': 'type.googleapis.com/google.rpc.BadRequest',
+        field_violations: [{
+          $typeName: 'google.rpc.BadRequest.FieldViolation',
+          field: 'name',
+          description: 'required',
+          reason: '',
+        }],
+      },
+      {
+        $typeName: 'google.rpc.RetryInfo',
+        '@type': 'type.googleapis.com/google.rpc.RetryInfo',
+        retry_delay: { $typeName: 'google.protobuf.Duration', seconds: 3, nanos: 0 },
+      },
+    ]);
+  });
+
+  it('未知的 detail 型別保留 type 名稱與 wire format 解讀', () => {
+    const bytes = encodeStatus([{
+      $typeName: 'google.protobuf.Any',
+      typeUrl: 'type.googleapis.com/acme.QuotaDetail',
+      value: new Uint8Array([0x08, 0x2a]),
+    }]);
+
+    const [detail] = new ProtoEngine().decodeRpcStatus(bytes).details;
+
+    expect(detail.$typeName).toBe('acme.QuotaDetail');
+    expect(detail['@type']).toBe('type.googleapis.com/acme.QuotaDetail');
+    expect(detail._decodeReason).toBe('missing_schema');
+    expect(detail._wire['1'].int).toBe(42);
+  });
+
+  it('損毀的資料回傳 _error', () => {
+    expect(new ProtoEngine().decodeRpcStatus(new Uint8Array([0x0a, 0x05, 0x01])))
+      .toHaveProperty('_error');
+  });
+
+  it('decodeBinaryMetadata 接受省略 padding 的 Base64', () => {
+    expect(decodeBinaryMetadata('CAc')).toEqual(new Uint8Array([0x08, 0x07]));
+    expect(decodeBinaryMetadata('CAc=')).toEqual(new Uint8Array([0x08, 0x07]));
+    expect(decodeBinaryMetadata('***')).toBeNull();
+  });
+
+  it('grpcStatusName 回傳標準狀態碼名稱', () => {
+    expect(grpcStatusName(7)).toBe('PERMISSION_DENIED');
+    expect(grpcStatusName(16)).toBe('UNAUTHENTICATED');
+    expect(grpcStatusName(42)).toBe('CODE_42');
+  });
+});
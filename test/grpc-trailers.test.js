@@ -0,0 +1,46 @@
+import { describe, it, expect } from 'vitest';
+import { parseTrailerBlock, extractTrailers, grpcStatusFromMetadata } from '../src/lib/grpc-trailers.js';
+
+function trailerFrame(text) {
+  const body = new TextEncoder().encode(text);
+  return new Uint8Array([0x80, 0, 0, 0, body.length, ...body]);
+}
+
+describe('grpc-trailers', () => {
+  it('parseTrailerBlock 將 key 轉為小寫並合併同名 metadata', () => {
+    const block = new TextEncoder().encode('Grpc-Status: 7\r\ngrpc-message: denied\r\nx-trace: a\r\nX-Trace: b\r\n');
+
+    expect(parseTrailerBlock(block)).toEqual({
+      'grpc-status': '7',
+      'grpc-message': 'denied',
+      'x-trace': 'a, b',
+    });
+  });
+
+  it('extractTrailers 只解析 0x80 的 Trailer Frame', () => {
+    const data = new Uint8Array([
+      0x00, 0, 0, 0, 2, 0x0a, 0x00,
+      ...trailerFrame('grpc-status:0\r\ngrpc-message:\r\n'),
+    ]);
+
+    expect(extractTrailers(data)).toEqual({ 'grpc-status': '0', 'grpc-message': '' });
+    expect(extractTrailers(new Uint8Array([0x00, 0, 0, 0, 1, 0x08]))).toBeNull();
+  });
+
+  it('grpcStatusFromMetadata 會解碼 percent-encoded 的 grpc-message', () => {
+    expect(grpcStatusFromMetadata({ 'grpc-status': '7', 'grpc-message': '%E6%B2%92%E6%9C%89%20%E6%AC%8A%E9%99%90' })).toEqual({
+      code: 7,
+      message: '沒有 權限',
+    });
+    expect(grpcStatusFromMetadata({ 'grpc-status': '13', 'grpc-message': '100%' })).toEqual({
+      code: 13,
+      message: '100%',
+    });
+  });
+
+  it('grpcStatusFromMetadata 在缺少或無效的 grpc-status 時回傳 null', () => {
+    expect(grpcStatusFromMetadata(null)).toBeNull();
+    expect(grpcStatusFromMetadata({ 'content-type': 'application/grpc-web' })).toBeNull();
+    expect(grpcStatusFromMetadata({ 'grpc-status': 'abc' })).toBeNull();
+  });
+});
@@ -0,0 +1,50 @@
+import { describe, it, expect } from 'vitest';
+import { createGrpcWebSocketCall, isGrpcWebSocket, toHttpUrl } from '../src/lib/grpc-websocket.js';
+
+const encoder = new TextEncoder();
+
+function frame(flags, payload) {
+  return [flags, 0, 0, 0, payload.length, ...payload];
+}
+
+describe('grpc-websocket', () => {
+  it('以子協定辨識 gRPC WebSocket，並將網址轉為對應的 HTTP Origin', () => {
+    expect(isGrpcWebSocket(['grpc-websockets'])).toBe(true);
+    expect(isGrpcWebSocket('grpc-websockets')).toBe(true);
+    expect(isGrpcWebSocket(undefined)).toBe(false);
+    expect(toHttpUrl('wss://api.test/pkg.Chat/Talk')).toBe('https://api.test/pkg.Chat/Talk');
+    expect(toHttpUrl('ws://localhost:8080/x')).toBe('http://localhost:8080/x');
+  });
+
+  it('用戶端的第一則訊息為沒有前置位元組的請求標頭，其後為 0x00 開頭的資料 Frame，單一 0x01 為結束傳送', () => {
+    const call = createGrpcWebSocketCall();
+    const headerBytes = encoder.encode('content-type: application/grpc-web+proto\r\nx-grpc-web: 1\r\n');
+
+    expect(call.sent(headerBytes)).toEqual({
+      headers: { 'content-type': 'application/grpc-web+proto', 'x-grpc-web': '1' },
+      messageCount: 0,
+    });
+    expect(call.sent(new Uint8Array([0, ...frame(0, [8, 1])]))).toEqual({ bytes: new Uint8Array(frame(0, [8, 1])), messageCount: 1 });
+    expect(call.sent(new Uint8Array([1]))).toEqual({ messageCount: 0, finishSend: true });
+  });
+
+  it('重組被拆開的回應 Frame，並移除位於資料之前的回應標頭 Frame', () => {
+    const call = createGrpcWebSocketCall();
+    const headers = encoder.encode('content-type: application/grpc-web+proto\r\n');
+    const trailers = encoder.encode('grpc-status: 0\r\n');
+
+    // grpcwebproxy 將 Header Frame 的 5-byte 標頭與內容分成兩則 WebSocket 訊息
+    expect(call.received(new Uint8Array(frame(0x80, headers).slice(0, 5)))).toEqual({ bytes: new Uint8Array(), messageCount: 0 });
+    expect(call.received(new Uint8Array(frame(0x80, headers).slice(5)))).toEqual({
+      headers: { 'content-type': 'application/grpc-web+proto' },
+      bytes: new Uint8Array(),
+      messageCount: 0,
+    });
+    expect(call.received(new Uint8Array([...frame(0, [8, 2]), ...frame(0, [8, 3])]))).toEqual({
+      bytes: new Uint8Array([...frame(0, [8, 2]), ...frame(0, [8, 3])]),
+      messageCount: 2,
+    });
+    // 資料之後的 0x80 Frame 是 Trailers，保留給解碼管線
+    expect(call.received(new Uint8Array(frame(0x80, trailers)))).toEqual({ bytes: new Uint8Array(frame(0x80, trailers)), messageCount: 0 });
+  });
+});
@@ -0,0 +1,190 @@
+import { describe, it, expect } from 'vitest';
+import { create, toBinary } from '@bufbuild/protobuf';
+import { ProtoEngine } from '../src/lib/proto-engine.js';
+import { compileProtoFiles } from '../src/lib/proto-compiler.js';
+import { decodeWireFormat } from '../src/lib/wire-format-decoder.js';
+import { findClosestPath } from '../src/lib/json-search.js';
+import {
+  annotateMessages,
+  layoutFromDescriptor,
+  layoutFromRuntimeSchema,
+  pathAtOffset,
+  rangesForPath,
+} from '../src/lib/hex-annotations.js';
+
+const ORDER_PROTO = `
+syntax = "proto3";
+package demo;
+
+message Money {
+  string currency = 1;
+  int64 units = 2;
+}
+
+message Order {
+  string id = 1;
+  Money total = 2;
+  repeated int32 counts = 3;
+  map<string, int32> quantities = 4;
+  repeated Money payments = 5;
+  oneof note {
+    string text = 6;
+  }
+  sint32 delta = 7;
+}
+`;
+
+function createEngine() {
+  const engine = new ProtoEngine();
+  const { descriptorSet, errors } = compileProtoFiles([{ path: 'order.proto', source: ORDER_PROTO }]);
+  expect(errors).toEqual([]);
+  engine.registerFromBytes(descriptorSet);
+  return engine;
+}
+
+function descriptorOf(engine, typeName) {
+  const schema = engine.findMessage(typeName);
+  return schema?._desc || schema;
+}
+
+function resolverFor(engine) {
+  return (typeName) => {
+    const desc = descriptorOf(engine, typeName);
+    return desc?.kind === 'message' ? layoutFromDescriptor(desc) : null;
+  };
+}
+
+function containerPaths(ranges) {
+  return [...new Set(ranges.filter((range) => range.kind === 'field').map((range) => range.path))];
+}
+
+function encodeOrder(engine) {
+  const desc = descriptorOf(engine, 'demo.Order');
+  return toBinary(desc, create(desc, {
+    id: 'A1',
+    total: { currency: 'TWD', units: 300n },
+    counts: [1, 2, 300],
+    quantities: { apple: 3 },
+    payments: [{ currency: 'USD' }, { currency: 'JPY' }],
+    note: { case: 'text', value: 'hi' },
+    delta: -2,
+  }));
+}
+
+describe('hex-annotations', () => {
+  it('標註 Frame 標頭、Tag、長度與值的位置', () => {
+    const engine = createEngine();
+    const bytes = encodeOrder(engine);
+    const { bytes: all, ranges } = annotateMessages([{ bytes, frameHeader: { flags: 0, length: bytes.length } }], {
+      typeName: 'demo.Order',
+      resolve: resolverFor(engine),
+    });
+
+    expect(all.length).toBe(bytes.length + 5);
+    expect([...all.slice(0, 5)]).toEqual([0, 0, 0, 0, bytes.length]);
+    expect(ranges.find((range) => range.kind === 'frame')).toMatchObject({ start: 0, end: 5, flags: 0, length: bytes.length });
+
+    // id = "A1"：Tag 0x0a、長度 2、值 "A1"
+    const idRanges = ranges.filter((range) => range.path === 'id');
+    expect(idRanges.map(({ kind, start, end }) => [kind, start, end])).toEqual([
+      ['field', 5, 9], ['tag', 5, 6], ['length', 6, 7], ['value', 7, 9],
+    ]);
+    expect(idRanges[1]).toMatchObject({ fieldNumber: 1, wireType: 2, name: 'id', type: 'string' });
+
+    // 每個位元組只屬於一個 frame / tag / length / value
+    const leaves = ranges.filter((range) => ['frame', 'tag', 'length', 'value'].includes(range.kind));
+    const covered = leaves.reduce((total, range) => total + range.end - range.start, 0);
+    expect(covered).toBe(all.length);
+  });
+
+  it('路徑與 ProtoEngine 的解碼結果一致', () => {
+    const engine = createEngine();
+    const bytes = encodeOrder(engine);
+    const { ranges } = annotateMessages([{ bytes }], { typeName: 'demo.Order', resolve: resolverFor(engine) });
+    const decoded = engine.decodeMessage('demo.Order', bytes);
+
+    const paths = containerPaths(ranges);
+    expect(paths).toEqual(expect.arrayContaining([
+      'id', 'total', 'total.currency', 'total.units', 'counts', 'counts.0', 'counts.2',
+      'quantities.apple', 'payments.0', 'payments.1.currency', 'text', 'delta',
+    ]));
+    for (const path of paths) expect(findClosestPath(decoded, path)).toBe(path);
+  });
+
+  it('點選位元組取得最內層欄位，選取欄位取得其所有位元組', () => {
+    const engine = createEngine();
+    const bytes = encodeOrder(engine);
+    const { ranges } = annotateMessages([{ bytes }], { typeName: 'demo.Order', resolve: resolverFor(engine) });
+
+    const units = ranges.find((range) => range.path === 'total.units' && range.kind === 'value');
+    expect(pathAtOffset(ranges, units.start)).toBe('total.units');
+    const totalTag = ranges.find((range) => range.path === 'total' && range.kind === 'tag');
+    expect(pathAtOffset(ranges, totalTag.start)).toBe('total');
+
+    const payments = rangesForPath(ranges, 'payments');
+    expect(new Set(payments.map((range) => range.path))).toEqual(new Set([
+      'payments.0', 'payments.0.currency', 'payments.1', 'payments.1.currency',
+    ]));
+    expect(rangesForPath(ranges, '')).toHaveLength(ranges.filter((range) => range.kind === 'field' || range.kind === 'message').length);
+  });
+
+  it('Streaming 的每則訊息以索引為路徑前綴', () => {
+    const engine = createEngine();
+    const desc = descriptorOf(engine, 'demo.Money');
+    const first = toBinary(desc, create(desc, { currency: 'TWD' }));
+    const second = toBinary(desc, create(desc, { units: 5n }));
+    const { ranges } = annotateMessages([
+      { bytes: first, frameHeader: { flags: 0, length: first.length } },
+      { bytes: second, frameHeader: { flags: 0, length: second.length } },
+    ], { typeName: 'demo.Money', resolve: resolverFor(engine) });
+
+    expect(containerPaths(ranges)).toEqual(['0.currency', '1.units']);
+    expect(pathAtOffset(ranges, first.length + 5)).toBe('1');
+  });
+
+  it('沒有 Schema 時路徑與 wire format 解讀一致', () => {
+    const engine = createEngine();
+    const bytes = encodeOrder(engine);
+    const { ranges } = annotateMessages([{ bytes }], { typeName: 'demo.Missing' });
+    const decoded = { _wire: decodeWireFormat(bytes) };
+
+    const paths = containerPaths(ranges);
+    expect(paths).toEqual(expect.arrayContaining(['_wire.1', '_wire.2.message.1', '_wire.5.0.message.1', '_wire.5.1']));
+    for (const path of paths) expect(findClosestPath(decoded, path)).toBe(path);
+  });
+
+  it('未知欄位對應到解碼結果 _unknown 中的 wire format 預覽', () => {
+    const engine = createEngine();
+    // total 內含未知的 #9；頂層的 #20 出現兩次
+    const bytes = new Uint8Array([...encodeOrder(engine), 0xa0, 0x01, 0x01, 0x12, 0x02, 0x48, 0x05, 0xa0, 0x01, 0x02]);
+    const { ranges } = annotateMessages([{ bytes }], { typeName: 'demo.Order', resolve: resolverFor(engine) });
+    const decoded = engine.decodeMessage('demo.Order', bytes);
+
+    const paths = containerPaths(ranges);
+    expect(paths).toEqual(expect.arrayContaining(['_unknown.20.0', '_unknown.20.1', 'total._unknown.9']));
+    for (const path of paths) expect(findClosestPath(decoded, path)).toBe(path);
+  });
+
+  it('runtime Schema 的欄位配置與損毀資料的標註', () => {
+    const fields = layoutFromRuntimeSchema({
+      fields: [
+        { number: 1, name: 'name', kind: 'scalar', type: 'string' },
+        { number: 2, name: 'ids', kind: 'scalar', type: 'int32', repeated: 1 },
+      ],
+    });
+    const bytes = new Uint8Array([0x0a, 0x01, 0x61, 0x12, 0x02, 0x01, 0x02, 0x1a, 0x09]);
+    const { ranges } = annotateMessages([{ bytes }], { typeName: 'demo.Runtime', resolve: () => fields });
+
+    expect(containerPaths(ranges)).toEqual(['name', 'ids', 'ids.0', 'ids.1']);
+    expect(ranges.at(-1)).toMatchObject({ kind: 'value', start: 7, end: 9, path: '', error: expect.any(String) });
+  });
+
+  it('Connect JSON 訊息整段標示為值', () => {
+    const bytes = new TextEncoder().encode('{"id":"A1"}');
+    const { ranges } = annotateMessages([{ bytes }], { codec: 'json', typeName: 'demo.Order' });
+    expect(ranges).toEqual([
+      { start: 0, end: bytes.length, kind: 'message', path: '' },
+      { start: 0, end: bytes.length, kind: 'value', path: '', type: 'json' },
+    ]);
+  });
+});
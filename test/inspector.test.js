@@ -120,6 +120,112 @@ describe('inspector clearing', () => {
     expect(get(protoDetectionEnabled)).toBe(false);
   });
 
+  it('刷新時載入目前 Origin 的擷取規則，儲存後立即套用', async () => {
+    const rule = { id: 'r1', enabled: true, action: 'mute', field: 'method', header: '', syntax: 'glob', pattern: 'Ping' };
+    chrome.runtime.sendMessage.mockImplementation((message) => {
+      if (message.type === 'status') {
+        return Promise.resolve({ ok: true, attached: false, hiddenServices: [], captureRulesOrigin: 'https://app.test', captureRules: [], mutedCounts: { r0: 2 } });
+      }
+      if (message.type === 'records') return Promise.resolve({ ok: true, records: [] });
+      if (message.type === 'setCaptureRules') {
+        return Promise.resolve({ ok: true, captureRulesOrigin: 'https://app.test', captureRules: message.rules });
+      }
+      return Promise.resolve({ ok: true });
+    });
+    const { captureRulesOrigin, saveCaptureRules } = await import('../src/stores/inspector.js');
+    const { captureRules, mutedCounts } = await import('../src/stores/network.js');
+    activeTabId.set(12);
+
+    await refreshInspector(12);
+    expect(get(captureRulesOrigin)).toBe('https://app.test');
+    expect(get(mutedCounts)).toEqual({ r0: 2 });
+
+    await expect(saveCaptureRules([rule])).resolves.toBe(true);
+    expect(chrome.runtime.sendMessage).toHaveBeenCalledWith({ type: 'setCaptureRules', tabId: 12, rules: [rule] });
+    expect(get(captureRules)).toEqual([rule]);
+  });
+
+  it('刷新時只合併之後變動的紀錄，捲動到頂端時載入更早的一頁並接在列表前', async () => {
+    const startTime = Date.parse('2026-01-01T00:00:00Z');
+    const makeRecord = (seq, extra = {}) => ({
+      id: `record-${seq}`,
+      tabId: 12,
+      endpoint: '/demo.Service/Call',
+      timestamp: new Date(startTime + seq * 1000).toISOString(),
+      ...extra,
+    });
+    // 模擬背景保存的紀錄：seq 決定順序，每次新增或更新都讓 rev 遞增
+    let stored = Array.from({ length: 450 }, (_, index) => ({ seq: index + 1, rev: index + 1, record: makeRecord(index + 1) }));
+    let rev = 450;
+    const withSeq = ({ seq, record }) => ({ ...record, _seq: seq });
+    chrome.runtime.sendMessage.mockImplementation((message) => {
+      if (message.type === 'status') {
+        return Promise.resolve({
+          ok: true,
+          attached: true,
+          hiddenServices: [],
+          recordRetention: { maxRecords: 0, maxAgeMinutes: 60, maxMegabytes: 0 },
+          recordStats: { count: stored.length, bytes: 9000 },
+        });
+      }
+      if (message.type === 'records' && Number.isInteger(message.sinceRev)) {
+        return Promise.resolve({
+          ok: true,
+          records: stored.filter((item) => item.rev > message.sinceRev).map(withSeq),
+          rev,
+          minSeq: stored[0]?.seq ?? null,
+        });
+      }
+      if (message.type === 'records') {
+        const older = stored.filter((item) => message.beforeSeq == null || item.seq < message.beforeSeq);
+        return Promise.resolve({
+          ok: true,
+          records: older.slice(-message.limit).map(withSeq),
+          hasMore: older.length > message.limit,
+          rev,
+        });
+      }
+      return Promise.resolve({ ok: true });
+    });
+    const { hasOlderRecords, loadOlderRecords, recordStats } = await import('../src/stores/inspector.js');
+    const { recordRetention } = await import('../src/stores/network.js');
+    activeTabId.set(12);
+
+    await refreshInspector(12);
+    expect(chrome.runtime.sendMessage).toHaveBeenCalledWith({ type: 'records', tabId: 12, limit: 200 });
+    expect(get(log)).toHaveLength(200);
+    expect(get(log)[0].id).toBe('record-251');
+    expect(get(hasOlderRecords)).toBe(true);
+    expect(get(recordRetention)).toEqual({ maxRecords: 0, maxAgeMinutes: 60, maxMegabytes: 0 });
+    expect(get(recordStats)).toEqual({ count: 450, bytes: 9000 });
+
+    stored.push({ seq: 451, rev: ++rev, record: makeRecord(451) });
+    stored[299] = { ...stored[299], rev: ++rev, record: makeRecord(300, { grpcStatus: 5 }) };
+    await refreshInspector(12);
+    expect(chrome.runtime.sendMessage).toHaveBeenLastCalledWith({ type: 'records', tabId: 12, sinceRev: 450 });
+    expect(get(log)).toHaveLength(201);
+    expect(get(log).at(-1).id).toBe('record-451');
+    expect(get(log).find((entry) => entry.id === 'record-300').grpcStatus).toBe(5);
+
+    await loadOlderRecords();
+    expect(chrome.runtime.sendMessage).toHaveBeenLastCalledWith({ type: 'records', tabId: 12, limit: 200, beforeSeq: 251 });
+    await loadOlderRecords();
+    expect(chrome.runtime.sendMessage).toHaveBeenLastCalledWith({ type: 'records', tabId: 12, limit: 200, beforeSeq: 51 });
+    expect(get(log)).toHaveLength(451);
+    expect(get(log)[0].id).toBe('record-1');
+    expect(get(hasOlderRecords)).toBe(false);
+
+    const callCount = chrome.runtime.sendMessage.mock.calls.length;
+    await loadOlderRecords();
+    expect(chrome.runtime.sendMessage).toHaveBeenCalledTimes(callCount);
+
+    // 背景淘汰最舊的紀錄後，刷新時一併移除
+    stored = stored.filter((item) => item.seq > 100);
+    await refreshInspector(12);
+    expect(get(log)).toHaveLength(351);
+    expect(get(log)[0].id).toBe('record-101');
+  });
+
   it('較晚完成的舊分頁刷新不會覆蓋目前面板', async () => {
     const responses = new Map();
     chrome.runtime.sendMessage.mockImplementation((message) => {
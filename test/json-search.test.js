@@ -1,5 +1,5 @@
 import { describe, expect, it } from 'vitest';
-import { createSearchIndex } from '../src/lib/json-search.js';
+import { createSearchIndex, findClosestPath } from '../src/lib/json-search.js';
 
 describe('json search index', () => {
   it('保留既有匹配路徑並標記需展開的祖先節點', () => {
@@ -31,4 +31,12 @@ describe('json search index', () => {
 
     expect(createSearchIndex(data, 'needle').matches).toEqual(['value:value']);
   });
+
+  it('findClosestPath 退回資料中存在的最近祖先路徑', () => {
+    const data = { items: [{ name: 'a' }], createdAt: '2024-01-01T00:00:00Z' };
+    expect(findClosestPath(data, 'items.0.name')).toBe('items.0.name');
+    expect(findClosestPath(data, 'createdAt.seconds')).toBe('createdAt');
+    expect(findClosestPath(data, 'missing.field')).toBe('');
+    expect(findClosestPath(data, '')).toBe('');
+  });
 });
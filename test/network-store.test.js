@@ -1,3 +1,4 @@
+import { gzipSync } from 'node:zlib';
 import { get } from 'svelte/store';
 import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
 
@@ -19,12 +20,27 @@ const {
   selectedId,
   addLog,
   replaceInspectorLogs,
+  mergeInspectorRecords,
   reprocessAllLogs,
   clearLogs,
+  annotateEntryPayload,
+  overrideMessageTypes,
+  resolveMessageTypes,
+  inferEntryMessageTypes,
+  schemaDriftSummary,
+  contextFilter,
+  requestContexts,
+  captureRules,
+  mutedCounts,
+  recordRetention,
+  mutedSummary,
 } = await import('../src/stores/network.js');
 const { protoEngine } = await import('../src/lib/proto-engine.js');
-const { services } = await import('../src/stores/schema.js');
-const { enablePostMessage, enableReflection } = await import('../src/stores/settings.js');
+const { compileProtoFiles } = await import('../src/lib/proto-compiler.js');
+const { services, messageTypeOverrides } = await import('../src/stores/schema.js');
+const { enablePostMessage, enableReflection, valueRendering, STORAGE_KEYS } = await import('../src/stores/settings.js');
+const { DEFAULT_VALUE_RENDERING } = await import('../src/lib/value-rendering.js');
+const { normalizeRecordRetention } = await import('../src/lib/record-retention.js');
 
 function makeEntry(overrides = {}) {
   return {
@@ -149,7 +165,8 @@ describe('network selective reprocessing', () => {
     expect(protoEngine.decodeMessage).toHaveBeenCalledTimes(1);
     expect(protoEngine.decodeMessage).toHaveBeenCalledWith(
       'pkg.Response',
-      expect.any(Uint8Array)
+      expect.any(Uint8Array),
+      { origin: '', rendering: DEFAULT_VALUE_RENDERING, resolveAny: expect.any(Function) }
     );
     expect(responseSchemaDependentEntry.response).toEqual({
       $typeName: 'pkg.Response',
@@ -204,6 +221,7 @@ describe('network store optimization paths', () => {
     selectedId.set(null);
     enablePostMessage.set(true);
     enableReflection.set(true);
+    recordRetention.set(normalizeRecordRetention(null));
   });
 
   it('filteredLog 保留已停用服務的歷史紀錄', () => {
@@ -244,13 +262,541 @@ describe('network store optimization paths', () => {
       schema: { messages: {}, enums: {} },
     })]);
 
-    expect(protoEngine.decodeMessage).toHaveBeenCalledWith('pkg.Request', expect.any(Uint8Array));
+    expect(protoEngine.decodeMessage).toHaveBeenCalledWith('pkg.Request', expect.any(Uint8Array), { origin: '', rendering: DEFAULT_VALUE_RENDERING, resolveAny: expect.any(Function) });
     expect(get(log)[0].request).toEqual({
       $typeName: 'pkg.Request',
       size: 3,
     });
   });
 
+  it('streaming 回應的每個 gRPC frame 會各自解碼並保留順序與大小', async () => {
+    const frames = new Uint8Array([
+      0, 0, 0, 0, 2, 10, 11,
+      0, 0, 0, 0, 3, 20, 21, 22,
+      0x80, 0, 0, 0, 1, 99,
+    ]);
+    await replaceInspectorLogs([makeEntry({
+      id: 'server-stream',
+      _source: 'lightweight',
+      responseRaw: frames,
+      responseHeaders: { 'content-type': 'application/grpc-web+proto' },
+    })]);
+
+    const entry = get(log)[0];
+    expect(protoEngine.decodeMessage).toHaveBeenCalledTimes(2);
+    expect(entry.responseMessages).toEqual([
+      { size: 2, data: { $typeName: 'pkg.Response', size: 2 } },
+      { size: 3, data: { $typeName: 'pkg.Response', size: 3 } },
+    ]);
+    expect(entry.response).toEqual([
+      { $typeName: 'pkg.Response', size: 2 },
+      { $typeName: 'pkg.Response', size: 3 },
+    ]);
+  });
+
+  it('串流中的回應依背景記錄的時間標示每則訊息的收到時間', async () => {
+    await replaceInspectorLogs([makeEntry({
+      id: 'live-stream',
+      _source: 'lightweight',
+      status: 'pending',
+      responseRaw: new Uint8Array([0, 0, 0, 0, 1, 10, 0, 0, 0, 0, 1, 20]),
+      responseHeaders: { 'content-type': 'application/grpc-web+proto' },
+      responseMessageTimes: [1700000000100, 1700000000250],
+    })]);
+
+    const entry = get(log)[0];
+    expect(entry.status).toBe('pending');
+    expect(entry.responseMessages.map((message) => message.receivedAt)).toEqual([1700000000100, 1700000000250]);
+    expect(entry.response).toHaveLength(2);
+  });
+
+  it('進行中的串流依序解碼背景附上的各個分塊', async () => {
+    const toBase64 = (bytes) => btoa(String.fromCharCode(...bytes));
+    await replaceInspectorLogs([makeEntry({
+      id: 'chunked-stream',
+      _source: 'lightweight',
+      status: 'pending',
+      responseRaw: null,
+      responseBase64Encoded: true,
+      responseHeaders: { 'content-type': 'application/grpc-web+proto' },
+      _chunks: [
+        { id: 'chunked-stream', rev: 3, direction: 'response', base64: toBase64([0, 0, 0, 0, 1, 10]), messageTimes: [1700000000100] },
+        { id: 'chunked-stream', rev: 5, direction: 'response', base64: toBase64([0, 0, 0, 0, 2, 20, 21]), messageTimes: [1700000000250] },
+      ],
+    })]);
+
+    const entry = get(log)[0];
+    expect(entry._chunks).toBeUndefined();
+    expect(entry.responseMessages.map((message) => message.size)).toEqual([1, 2]);
+    expect(entry.responseMessages.map((message) => message.receivedAt)).toEqual([1700000000100, 1700000000250]);
+    expect(entry.responsePayload.frames).toHaveLength(2);
+  });
+
+  it('增量刷新只解碼新附加的分塊，重複的分塊不再附加', async () => {
+    const toBase64 = (bytes) => btoa(String.fromCharCode(...bytes));
+    const first = { id: 'live', rev: 2, direction: 'response', base64: toBase64([0, 0, 0, 0, 1, 10]), messageTimes: [1] };
+    const second = { id: 'live', rev: 4, direction: 'response', base64: toBase64([0, 0, 0, 0, 2, 20, 21]), messageTimes: [2] };
+    await replaceInspectorLogs([makeEntry({
+      id: 'live',
+      _source: 'lightweight',
+      status: 'pending',
+      responseRaw: null,
+      responseBase64Encoded: true,
+      responseHeaders: { 'content-type': 'application/grpc-web+proto' },
+      _chunks: [first],
+    })]);
+    protoEngine.decodeMessage.mockClear();
+
+    await mergeInspectorRecords([], { chunks: [first, second] });
+
+    expect(protoEngine.decodeMessage).toHaveBeenCalledTimes(2);
+    const entry = get(log)[0];
+    expect(entry.response).toEqual([
+      { $typeName: 'pkg.Response', size: 1 },
+      { $typeName: 'pkg.Response', size: 2 },
+    ]);
+    expect(entry.responseRawChunks).toEqual([first.base64, second.base64]);
+
+    protoEngine.decodeMessage.mockClear();
+    await reprocessAllLogs(() => true);
+    expect(get(log)[0].responseMessages.map((message) => message.receivedAt)).toEqual([1, 2]);
+  });
+
+  it('保留解除 framing 後的位元組與原始標頭，供 Hex 檢視標註', async () => {
+    await replaceInspectorLogs([makeEntry({
+      id: 'hex-stream',
+      _source: 'lightweight',
+      responseRaw: new Uint8Array([0, 0, 0, 0, 2, 8, 1, 0, 0, 0, 0, 2, 8, 2, 0x80, 0, 0, 0, 1, 99]),
+      responseHeaders: { 'content-type': 'application/grpc-web+proto' },
+    })]);
+
+    const entry = get(log)[0];
+    expect(entry.responsePayload).toEqual({
+      typeName: 'pkg.Response',
+      codec: 'proto',
+      frames: [
+        { bytes: new Uint8Array([8, 1]), frameHeader: { flags: 0, length: 2 } },
+        { bytes: new Uint8Array([8, 2]), frameHeader: { flags: 0, length: 2 } },
+      ],
+    });
+
+    // 找不到 pkg.Response 的定義時，路徑與 wire format 解讀一致
+    const { bytes, ranges } = annotateEntryPayload(entry, 'response');
+    expect([...bytes]).toEqual([0, 0, 0, 0, 2, 8, 1, 0, 0, 0, 0, 2, 8, 2]);
+    expect(ranges.filter((range) => range.kind === 'frame').map((range) => range.start)).toEqual([0, 7]);
+    expect(ranges.filter((range) => range.kind === 'field').map((range) => range.path)).toEqual(['0._wire.1', '1._wire.1']);
+    expect(annotateEntryPayload(entry, 'request')).toBeNull();
+  });
+
+  it('unary 回應維持單一物件，沒有 framing 的 body 視為單一訊息', async () => {
+    await replaceInspectorLogs([
+      makeEntry({
+        id: 'unary',
+        _source: 'lightweight',
+        responseRaw: new Uint8Array([0, 0, 0, 0, 2, 10, 11]),
+        responseHeaders: { 'content-type': 'application/grpc' },
+      }),
+      makeEntry({
+        id: 'unframed',
+        _source: 'lightweight',
+        responseRaw: new Uint8Array([10, 11, 12]),
+        responseHeaders: { 'content-type': 'application/proto' },
+      }),
+    ]);
+
+    const [unary, unframed] = get(log);
+    expect(unary.response).toEqual({ $typeName: 'pkg.Response', size: 2 });
+    expect(unary.responseMessages).toHaveLength(1);
+    expect(unframed.response).toEqual({ $typeName: 'pkg.Response', size: 3 });
+  });
+
+  it('HTTP 200 的 gRPC-Web 回應以 Trailer Frame 的 grpc-status 作為結果', async () => {
+    const trailer = new TextEncoder().encode('grpc-status:7\r\ngrpc-message:permission%20denied\r\nx-request-id:abc\r\n');
+    await replaceInspectorLogs([makeEntry({
+      id: 'permission-denied',
+      _source: 'lightweight',
+      httpStatus: 200,
+      responseRaw: new Uint8Array([0x80, 0, 0, 0, trailer.length, ...trailer]),
+      responseHeaders: { 'content-type': 'application/grpc-web+proto' },
+    })]);
+
+    const entry = get(log)[0];
+    expect(entry.trailers).toEqual({
+      'grpc-status': '7',
+      'grpc-message': 'permission%20denied',
+      'x-request-id': 'abc',
+    });
+    expect(entry.grpcStatus).toBe(7);
+    expect(entry.grpcMessage).toBe('permission denied');
+    expect(entry.responseMessages).toEqual([]);
+  });
+
+  it('grpc-status-details-bin 會解碼為 google.rpc.Status', async () => {
+    // google.rpc.Status { code: 7, message: "no" }
+    const details = btoa(String.fromCharCode(0x08, 0x07, 0x12, 0x02, 0x6e, 0x6f)).replace(/=+$/, '');
+    await replaceInspectorLogs([makeEntry({
+      id: 'rich-error',
+      responseHeaders: { 'grpc-status': '7', 'grpc-status-details-bin': details },
+    })]);
+
+    expect(get(log)[0].grpcStatusDetails).toEqual({
+      $typeName: 'google.rpc.Status',
+      code: 7,
+      message: 'no',
+      details: [],
+    });
+  });
+
+  it('沒有 Trailer Frame 時以 Trailers-Only 回應的標頭決定狀態', async () => {
+    await replaceInspectorLogs([makeEntry({
+      id: 'trailers-only',
+      _source: 'lightweight',
+      responseHeaders: { 'content-type': 'application/grpc', 'grpc-status': '5' },
+    })]);
+
+    expect(get(log)[0].grpcStatus).toBe(5);
+  });
+
+  it('Connect unary JSON 訊息直接解析，不經過 Protobuf 解碼器', async () => {
+    await replaceInspectorLogs([makeEntry({
+      id: 'connect-json',
+      _source: 'lightweight',
+      httpStatus: 200,
+      requestRaw: new TextEncoder().encode('{"name":"a"}'),
+      requestHeaders: { 'content-type': 'application/json' },
+      responseRaw: new TextEncoder().encode('{"greeting":"hi"}'),
+      responseHeaders: { 'content-type': 'application/json', 'trailer-x-trace': 'abc' },
+    })]);
+
+    const entry = get(log)[0];
+    expect(protoEngine.decodeMessage).not.toHaveBeenCalled();
+    expect(entry.request).toEqual({ name: 'a' });
+    expect(entry.response).toEqual({ greeting: 'hi' });
+    expect(entry.trailers).toEqual({ 'x-trace': 'abc' });
+  });
+
+  it('Connect streaming 的 End-Stream 訊息決定狀態與 Trailing Metadata', async () => {
+    const endStream = new TextEncoder().encode(JSON.stringify({
+      error: { code: 'resource_exhausted', message: 'quota' },
+      metadata: { 'X-Retry': ['1', '2'] },
+    }));
+    await replaceInspectorLogs([makeEntry({
+      id: 'connect-stream',
+      _source: 'lightweight',
+      httpStatus: 200,
+      responseRaw: new Uint8Array([0, 0, 0, 0, 2, 10, 11, 0x02, 0, 0, 0, endStream.length, ...endStream]),
+      responseHeaders: { 'content-type': 'application/connect+proto' },
+    })]);
+
+    const entry = get(log)[0];
+    expect(entry.responseMessages).toEqual([{ size: 2, data: { $typeName: 'pkg.Response', size: 2 } }]);
+    expect(entry.trailers).toEqual({ 'x-retry': '1, 2' });
+    expect(entry.grpcStatus).toBe(8);
+    expect(entry.grpcMessage).toBe('quota');
+  });
+
+  it('Connect unary 錯誤 JSON 依 code 對應 gRPC 狀態並解碼錯誤詳情', async () => {
+    // google.rpc.ErrorInfo { reason: "r" }
+    const value = btoa(String.fromCharCode(0x0a, 0x01, 0x72)).replace(/=+$/, '');
+    await replaceInspectorLogs([makeEntry({
+      id: 'connect-error',
+      _source: 'lightweight',
+      httpStatus: 404,
+      requestRaw: new Uint8Array([10, 11]),
+      requestHeaders: { 'content-type': 'application/proto' },
+      responseRaw: new TextEncoder().encode(JSON.stringify({
+        code: 'not_found',
+        message: 'missing',
+        details: [{ type: 'google.rpc.ErrorInfo', value }],
+      })),
+      responseHeaders: { 'content-type': 'application/json' },
+    })]);
+
+    const entry = get(log)[0];
+    expect(entry.grpcStatus).toBe(5);
+    expect(entry.grpcMessage).toBe('missing');
+    expect(entry.responseMessages).toEqual([]);
+    expect(entry.grpcStatusDetails).toEqual({
+      $typeName: 'google.rpc.Status',
+      code: 5,
+      message: 'missing',
+      details: [{ $typeName: 'google.rpc.ErrorInfo', '@type': 'google.rpc.ErrorInfo', reason: 'r', domain: '', metadata: {} }],
+    });
+  });
+
+  it('Connect 錯誤詳情中的 null 項目不影響其他詳情的解碼', async () => {
+    const value = btoa(String.fromCharCode(0x0a, 0x01, 0x72)).replace(/=+$/, '');
+    await replaceInspectorLogs([makeEntry({
+      id: 'connect-error-null-detail',
+      _source: 'lightweight',
+      httpStatus: 500,
+      requestRaw: new Uint8Array([10, 11]),
+      requestHeaders: { 'content-type': 'application/proto' },
+      responseRaw: new TextEncoder().encode(JSON.stringify({
+        code: 'internal',
+        message: 'boom',
+        details: [null, { type: 'google.rpc.ErrorInfo', value }],
+      })),
+      responseHeaders: { 'content-type': 'application/json' },
+    })]);
+
+    const entry = get(log)[0];
+    expect(entry.grpcStatus).toBe(13);
+    expect(entry.grpcStatusDetails.details).toEqual([
+      { $typeName: 'google.rpc.ErrorInfo', '@type': 'google.rpc.ErrorInfo', reason: 'r', domain: '', metadata: {} },
+    ]);
+  });
+
+  it('Connect GET 請求從查詢參數取得並解碼訊息', async () => {
+    await replaceInspectorLogs([makeEntry({
+      id: 'connect-get',
+      _source: 'lightweight',
+      url: 'https://api.example.com/pkg.Service/Call?connect=v1&encoding=proto&base64=1&message=CgE',
+      responseRaw: new Uint8Array([10, 11, 12]),
+      responseHeaders: { 'content-type': 'application/proto' },
+    })]);
+
+    const entry = get(log)[0];
+    expect(protoEngine.decodeMessage).toHaveBeenCalledWith('pkg.Request', new Uint8Array([10, 1]), { origin: 'https://api.example.com', rendering: DEFAULT_VALUE_RENDERING, resolveAny: expect.any(Function) });
+    expect(entry.request).toEqual({ $typeName: 'pkg.Request', size: 2 });
+    expect(entry.response).toEqual({ $typeName: 'pkg.Response', size: 3 });
+  });
+
+  it('壓縮的 frame 依 grpc-encoding 解壓並記錄採用的編碼，缺少解碼器時標示 missing', async () => {
+    const compressed = gzipSync(new Uint8Array([10, 11, 12]));
+    await replaceInspectorLogs([
+      makeEntry({
+        id: 'gzip-frame',
+        _source: 'lightweight',
+        requestRaw: new Uint8Array([0, 0, 0, 0, 1, 10]),
+        requestHeaders: { 'content-type': 'application/grpc-web+proto' },
+        responseRaw: new Uint8Array([1, 0, 0, 0, compressed.length, ...compressed]),
+        responseHeaders: { 'content-type': 'application/grpc-web+proto', 'grpc-encoding': 'gzip' },
+      }),
+      makeEntry({
+        id: 'lz4-frame',
+        _source: 'lightweight',
+        responseRaw: new Uint8Array([1, 0, 0, 0, 2, 10, 11]),
+        responseHeaders: { 'content-type': 'application/grpc-web+proto', 'grpc-encoding': 'lz4' },
+      }),
+    ]);
+
+    const [gzip, lz4] = get(log);
+    expect(gzip.response).toEqual({ $typeName: 'pkg.Response', size: 3 });
+    expect(gzip.requestCompression).toBeNull();
+    expect(gzip.responseCompression).toEqual({ encoding: 'gzip', status: 'applied' });
+    expect(lz4.responseCompression).toEqual({ encoding: 'lz4', status: 'missing' });
+  });
+
+  it('Connect unary 請求的 content-encoding 與 streaming envelope 的壓縮都會解開', async () => {
+    const compressed = gzipSync(new Uint8Array([10, 11]));
+    await replaceInspectorLogs([makeEntry({
+      id: 'connect-compressed',
+      _source: 'lightweight',
+      httpStatus: 200,
+      requestRaw: compressed,
+      requestHeaders: { 'content-type': 'application/proto', 'content-encoding': 'gzip' },
+      responseRaw: new Uint8Array([0x01, 0, 0, 0, compressed.length, ...compressed]),
+      responseHeaders: { 'content-type': 'application/connect+proto', 'connect-content-encoding': 'gzip' },
+    })]);
+
+    const entry = get(log)[0];
+    expect(entry.request).toEqual({ $typeName: 'pkg.Request', size: 2 });
+    expect(entry.response).toEqual({ $typeName: 'pkg.Response', size: 2 });
+    expect(entry.requestCompression).toEqual({ encoding: 'gzip', status: 'applied' });
+    expect(entry.responseCompression).toEqual({ encoding: 'gzip', status: 'applied' });
+  });
+
+  it('任一 frame 缺少 schema 時會重試整個 streaming 回應', async () => {
+    const streamEntry = makeEntry({
+      id: 'stream-missing-schema',
+      responseRaw: new Uint8Array([0, 0, 0, 0, 1, 10, 0, 0, 0, 0, 1, 11]),
+      responseHeaders: { 'content-type': 'application/grpc' },
+      response: [
+        { $typeName: 'pkg.Response', size: 1 },
+        { _error: '找不到 Schema 定義: pkg.Response', _decodeReason: 'missing_schema' },
+      ],
+    });
+    log.set([streamEntry]);
+
+    await reprocessAllLogs();
+
+    expect(streamEntry.response).toEqual([
+      { $typeName: 'pkg.Response', size: 1 },
+      { $typeName: 'pkg.Response', size: 1 },
+    ]);
+  });
+
+  it('手動指定的型別依 Origin 與端點保存，並立即重新解碼同一端點的紀錄', async () => {
+    const decoded = (typeName, size = 3) => ({ $typeName: typeName, size });
+    const url = 'https://a.test/pkg.Service/Call';
+    const first = makeEntry({ id: 'first', url, requestRaw: new Uint8Array([1, 2, 3]), request: decoded('pkg.Request') });
+    const second = makeEntry({ id: 'second', url, requestRaw: new Uint8Array([4, 5, 6]), request: decoded('pkg.Request') });
+    const otherOrigin = makeEntry({
+      id: 'other-origin',
+      url: 'https://b.test/pkg.Service/Call',
+      requestRaw: new Uint8Array([7, 8, 9]),
+      request: decoded('pkg.Request'),
+    });
+    log.set([first, second, otherOrigin]);
+
+    await overrideMessageTypes(first, { requestType: 'pkg.Manual', responseType: '' });
+
+    expect(get(log).map((entry) => entry.request.$typeName)).toEqual(['pkg.Manual', 'pkg.Manual', 'pkg.Request']);
+    expect(first.typeOverride).toEqual({ requestType: 'pkg.Manual', responseType: null });
+    expect(resolveMessageTypes(second)).toMatchObject({ requestType: 'pkg.Manual', responseType: 'pkg.Response' });
+    expect(JSON.parse(localStorage.getItem(STORAGE_KEYS.TYPE_OVERRIDES))).toEqual({
+      'https://a.test /pkg.Service/Call': { requestType: 'pkg.Manual', responseType: null },
+    });
+
+    await overrideMessageTypes(first, null);
+
+    expect(get(log).map((entry) => entry.request.$typeName)).toEqual(['pkg.Request', 'pkg.Request', 'pkg.Request']);
+    expect(first.typeOverride).toBeNull();
+    expect(get(messageTypeOverrides)).toEqual({});
+  });
+
+  it('數值呈現設定變更時以新設定重新解碼所有紀錄', async () => {
+    const entry = makeEntry({
+      id: 'rendering',
+      url: 'https://a.test/pkg.Service/Call',
+      requestRaw: new Uint8Array([1, 2, 3]),
+      request: { $typeName: 'pkg.Request', size: 3 },
+    });
+    log.set([entry]);
+    const rendering = { ...DEFAULT_VALUE_RENDERING, int64: 'bigint', presence: 'grey' };
+
+    try {
+      valueRendering.set(rendering);
+      await vi.waitFor(() => expect(protoEngine.decodeMessage).toHaveBeenCalledWith(
+        'pkg.Request',
+        expect.any(Uint8Array),
+        expect.objectContaining({ rendering }),
+      ));
+      expect(JSON.parse(localStorage.getItem(STORAGE_KEYS.VALUE_RENDERING))).toEqual(rendering);
+    } finally {
+      log.set([]);
+      valueRendering.set(DEFAULT_VALUE_RENDERING);
+    }
+  });
+
+  it('解碼結果含有未知欄位時記錄 Schema 落差，並依訊息型別彙整整個 Session', async () => {
+    protoEngine.decodeMessage.mockImplementation((typeName, payload) => ({
+      $typeName: typeName,
+      item: { $typeName: 'pkg.Item', _unknown: { $typeName: 'wire', '9': { int: payload.length } } },
+      _unknown: typeName === 'pkg.Response' ? { $typeName: 'wire', '7': { int: 1 }, '5': [{ int: 1 }, { int: 2 }] } : undefined,
+    }));
+    await replaceInspectorLogs([
+      makeEntry({
+        id: 'drift-stream',
+        _source: 'lightweight',
+        responseRaw: new Uint8Array([0, 0, 0, 0, 1, 10, 0, 0, 0, 0, 2, 20, 21]),
+        responseHeaders: { 'content-type': 'application/grpc-web+proto' },
+      }),
+      makeEntry({ id: 'drift-other', method: '/pkg.Service/Other', _source: 'lightweight', requestRaw: new Uint8Array([1]) }),
+    ]);
+
+    const [stream, other] = get(log);
+    expect(stream.schemaDrift).toEqual([
+      { typeName: 'pkg.Response', fieldNumbers: [5, 7] },
+      { typeName: 'pkg.Item', fieldNumbers: [9] },
+    ]);
+    expect(other.schemaDrift).toEqual([{ typeName: 'pkg.Item', fieldNumbers: [9] }]);
+    expect(get(schemaDriftSummary)).toEqual([
+      { typeName: 'pkg.Item', fieldNumbers: [9], entryCount: 2, methods: ['/pkg.Service/Call', '/pkg.Service/Other'] },
+      { typeName: 'pkg.Response', fieldNumbers: [5, 7], entryCount: 1, methods: ['/pkg.Service/Call'] },
+    ]);
+  });
+
+  it('沒有型別對應的 Payload 依此 Origin 已載入的型別推測', async () => {
+    const { descriptorSet } = compileProtoFiles([{
+      path: 'infer.proto',
+      source: 'syntax = "proto3"; package infer; message Greeting { string text = 1; } message Count { int32 value = 1; }',
+    }]);
+    protoEngine.registerFromBytes(descriptorSet, { source: 'reflection', origin: 'https://infer.test' });
+    protoEngine.findMethod.mockReturnValue(null);
+    protoEngine.decodeMessage.mockRestore();
+
+    try {
+      await replaceInspectorLogs([makeEntry({
+        id: 'unmapped',
+        _source: 'lightweight',
+        url: 'https://infer.test/api/greet',
+        method: '/api/greet',
+        responseRaw: new Uint8Array([0x0a, 0x02, 0x68, 0x69]),
+        responseHeaders: { 'content-type': 'application/x-protobuf' },
+      })]);
+
+      const entry = get(log)[0];
+      expect(entry.response._decodeReason).toBe('missing_type');
+      expect(inferEntryMessageTypes(entry, 'response').map((candidate) => candidate.typeName)).toEqual(['infer.Greeting']);
+      expect(inferEntryMessageTypes(entry, 'request')).toEqual([]);
+
+      await overrideMessageTypes(entry, { responseType: 'infer.Greeting' });
+      expect(get(log)[0].response).toMatchObject({ text: 'hi' });
+      expect(inferEntryMessageTypes(get(log)[0], 'response')).toEqual([]);
+    } finally {
+      await overrideMessageTypes(get(log)[0], null);
+      protoEngine.clearRemoteSchemas();
+    }
+  });
+
+  it('filteredLog 依發出請求的執行環境過濾，清除紀錄時重設', () => {
+    log.set([
+      makeEntry({ id: 'page', context: { type: 'page', url: 'https://app.test/' } }),
+      makeEntry({ id: 'frame', context: { type: 'iframe', url: 'https://pay.test/checkout' } }),
+      makeEntry({ id: 'worker', context: { type: 'worker', url: 'https://app.test/sw.js' } }),
+    ]);
+    expect(get(requestContexts).map((context) => context.key)).toEqual([
+      'page https://app.test', 'iframe https://pay.test', 'worker https://app.test',
+    ]);
+
+    contextFilter.set('iframe https://pay.test');
+    expect(get(filteredLog).map((entry) => entry.id)).toEqual(['frame']);
+
+    clearLogs(true);
+    expect(get(contextFilter)).toBe('');
+  });
+
+  it('filteredLog 套用擷取規則，mute 規則隱藏的紀錄與背景回報的次數一併計數', () => {
+    log.set([
+      makeEntry({ id: 'call', url: 'https://api.test/pkg.Service/Call' }),
+      makeEntry({ id: 'ping', url: 'https://api.test/pkg.Health/Ping' }),
+      makeEntry({ id: 'debug', url: 'https://api.test/pkg.Service/Debug', requestHeaders: { 'x-debug': '1' } }),
+    ]);
+    captureRules.set([
+      { id: 'mute-health', enabled: true, action: 'mute', field: 'service', header: '', syntax: 'glob', pattern: '*.Health' },
+      { id: 'no-debug', enabled: true, action: 'exclude', field: 'header', header: 'x-debug', syntax: 'regex', pattern: '^1$' },
+    ]);
+    mutedCounts.set({ 'mute-health': 3 });
+    try {
+      expect(get(filteredLog).map((entry) => entry.id)).toEqual(['call']);
+      expect(get(mutedSummary)).toEqual({ total: 4, byRule: { 'mute-health': 4 } });
+    } finally {
+      captureRules.set([]);
+      clearLogs(true);
+    }
+    expect(get(mutedCounts)).toEqual({});
+  });
+
+  it('輕量攔截器的紀錄未記錄規則比對的標頭時，略過該標頭規則', () => {
+    log.set([
+      makeEntry({ id: 'blue', _source: 'lightweight', url: 'https://api.test/pkg.Service/A', requestHeaders: { 'x-tenant': 'blue' } }),
+      makeEntry({ id: 'red', _source: 'lightweight', url: 'https://api.test/pkg.Service/B', requestHeaders: { 'x-tenant': 'red' } }),
+      makeEntry({ id: 'unknown', _source: 'lightweight', url: 'https://api.test/pkg.Service/C', requestHeaders: {} }),
+      makeEntry({ id: 'cdp', url: 'https://api.test/pkg.Service/D', requestHeaders: {} }),
+    ]);
+    captureRules.set([
+      { id: 'tenant', enabled: true, action: 'include', field: 'header', header: 'x-tenant', syntax: 'glob', pattern: 'blue' },
+    ]);
+    try {
+      expect(get(filteredLog).map((entry) => entry.id)).toEqual(['blue', 'unknown']);
+    } finally {
+      captureRules.set([]);
+      clearLogs(true);
+    }
+  });
+
   it('filteredLog 在 entry 缺少 endpoint 時仍可依 method 過濾', () => {
     filterValue.set('stream');
     log.set([
@@ -348,4 +894,16 @@ describe('network store optimization paths', () => {
     expect(entries[0].id).toBe('entry-1');
     expect(entries.at(-1).id).toBe('entry-200');
   });
+
+  it('addLog 依紀錄保留設定的筆數上限淘汰，0 代表不限制', async () => {
+    recordRetention.set({ maxRecords: 2, maxAgeMinutes: 0, maxMegabytes: 0 });
+    for (const id of ['a', 'b', 'c']) {
+      await addLog(makeEntry({ id, _source: 'interceptor', request: {} }));
+    }
+    expect(get(log).map(entry => entry.id)).toEqual(['b', 'c']);
+
+    recordRetention.set({ maxRecords: 0, maxAgeMinutes: 0, maxMegabytes: 0 });
+    await addLog(makeEntry({ id: 'd', _source: 'interceptor', request: {} }));
+    expect(get(log).map(entry => entry.id)).toEqual(['b', 'c', 'd']);
+  });
 });
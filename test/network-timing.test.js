@@ -0,0 +1,95 @@
+import { describe, it, expect } from 'vitest';
+import { buildCdpTiming, entryStartMs, resolveCallTiming, timelineRange, timingExtent } from '../src/lib/network-timing.js';
+
+const resourceTiming = {
+  requestTime: 100.005,
+  dnsStart: 1,
+  dnsEnd: 4,
+  connectStart: 4,
+  connectEnd: 20,
+  sslStart: 10,
+  sslEnd: 20,
+  sendStart: 21,
+  sendEnd: 22,
+  receiveHeadersEnd: 60,
+};
+
+describe('network-timing', () => {
+  it('以 ResourceTiming 拆出各階段，並將 TLS 從連線中獨立出來', () => {
+    const timing = buildCdpTiming({
+      startTimestamp: 100,
+      resourceTiming,
+      firstDataTimestamp: 100.07,
+      lastDataTimestamp: 100.2,
+      endTimestamp: 100.25,
+    });
+    expect(timing.source).toBe('cdp');
+    expect(timing.phases).toEqual([
+      { name: 'queueing', start: 0, end: 5 },
+      { name: 'dns', start: 6, end: 9 },
+      { name: 'connect', start: 9, end: 15 },
+      { name: 'tls', start: 15, end: 25 },
+      { name: 'send', start: 26, end: 27 },
+      { name: 'wait', start: 27, end: 65 },
+      { name: 'download', start: 65, end: 250 },
+    ]);
+    expect(timing.firstMessage).toBe(70);
+    expect(timing.lastMessage).toBe(200);
+    expect(timing.total).toBe(250);
+  });
+
+  it('略過未發生的階段 (-1)，重用連線時沒有 DNS、連線與 TLS', () => {
+    const timing = buildCdpTiming({
+      startTimestamp: 100,
+      resourceTiming: { ...resourceTiming, dnsStart: -1, dnsEnd: -1, connectStart: -1, connectEnd: -1, sslStart: -1, sslEnd: -1 },
+    });
+    expect(timing.phases.map((phase) => phase.name)).toEqual(['queueing', 'send', 'wait']);
+    expect(timing.total).toBeNull();
+    expect(timingExtent(timing)).toBe(65);
+  });
+
+  it('沒有開始時間時回傳 null，沒有 ResourceTiming 時仍保留總耗時', () => {
+    expect(buildCdpTiming({ startTimestamp: undefined })).toBeNull();
+    const timing = buildCdpTiming({ startTimestamp: 100, endTimestamp: 100.5 });
+    expect(timing.phases).toEqual([]);
+    expect(timing.total).toBe(500);
+  });
+
+  it('Lightweight 紀錄以訊息抵達時間與 duration 估算等待與下載', () => {
+    const timing = resolveCallTiming({
+      startTime: '2026-01-01T00:00:00.000Z',
+      duration: 900,
+      status: 'finished',
+      responseMessageTimes: [Date.parse('2026-01-01T00:00:00.300Z'), Date.parse('2026-01-01T00:00:00.800Z')],
+    });
+    expect(timing).toEqual({
+      source: 'lightweight',
+      phases: [{ name: 'wait', start: 0, end: 300 }, { name: 'download', start: 300, end: 900 }],
+      firstMessage: 300,
+      lastMessage: 800,
+      total: 900,
+    });
+    expect(resolveCallTiming({ startTime: 1000, status: 'pending' })).toBeNull();
+  });
+
+  it('優先使用背景量測的 timing', () => {
+    const timing = buildCdpTiming({ startTimestamp: 100, resourceTiming, endTimestamp: 100.1 });
+    expect(resolveCallTiming({ timing, duration: 5 })).toBe(timing);
+  });
+
+  it('開始時間接受 ISO 字串與秒或毫秒的數字', () => {
+    expect(entryStartMs({ startTime: '2026-01-01T00:00:00.000Z' })).toBe(Date.parse('2026-01-01T00:00:00.000Z'));
+    expect(entryStartMs({ startTime: 1712345678 })).toBe(1712345678000);
+    expect(entryStartMs({ startTime: 'invalid' })).toBeNull();
+  });
+
+  it('時間軸範圍涵蓋最早開始到最晚結束的呼叫', () => {
+    const base = 1712345678000;
+    expect(timelineRange([
+      { startTime: base + 500, duration: 100, status: 'finished' },
+      { startTime: base, duration: 700, status: 'finished' },
+      { startTime: base + 900, status: 'pending' },
+    ])).toEqual({ start: base, end: base + 900 });
+    expect(timelineRange([])).toBeNull();
+  });
+});
@@ -0,0 +1,156 @@
+import { describe, it, expect } from 'vitest';
+import { fromBinary, toBinary, create } from '@bufbuild/protobuf';
+import { FileDescriptorSetSchema } from '@bufbuild/protobuf/wkt';
+import { compileProtoFiles } from '../src/lib/proto-compiler.js';
+import { buildSchemaFromDescriptorSets } from '../src/lib/descriptor-import.js';
+
+const COMMON_PROTO = `
+syntax = "proto3";
+package demo.common;
+
+message Money {
+  string currency_code = 1;
+  int64 units = 2;
+}
+
+enum Status {
+  STATUS_UNSPECIFIED = 0;
+  STATUS_ACTIVE = 1;
+}
+`;
+
+const ORDER_PROTO = `
+syntax = "proto3";
+package demo.order;
+
+import "common/money.proto";
+import "google/protobuf/timestamp.proto";
+
+message Order {
+  string id = 1;
+  demo.common.Money total = 2;
+  map<string, int32> quantities = 3;
+  optional string note = 4;
+  oneof payment {
+    string card_token = 5;
+    string voucher = 6;
+  }
+  repeated Item items = 7;
+  google.protobuf.Timestamp created_at = 8;
+  demo.common.Status status = 9;
+
+  message Item {
+    string sku = 1;
+  }
+}
+
+service OrderService {
+  rpc GetOrder(Order) returns (Order);
+  rpc WatchOrders(Order) returns (stream Order);
+}
+`;
+
+function compile(files) {
+  return compileProtoFiles(files);
+}
+
+function buildRegistry(descriptorSet) {
+  return buildSchemaFromDescriptorSets([descriptorSet]).registry;
+}
+
+describe('proto-compiler', () => {
+  it('應編譯跨檔案 import 並能建立 Registry', () => {
+    const { descriptorSet, errors } = compile([
+      { path: 'protos/common/money.proto', source: COMMON_PROTO },
+      { path: 'protos/order/order.proto', source: ORDER_PROTO },
+    ]);
+
+    expect(errors).toEqual([]);
+    const set = fromBinary(FileDescriptorSetSchema, descriptorSet);
+    expect(set.file.map((f) => f.name)).toEqual(['common/money.proto', 'protos/order/order.proto']);
+
+    const registry = buildRegistry(descriptorSet);
+    const order = registry.getMessage('demo.order.Order');
+    expect(order.field.total.message.typeName).toBe('demo.common.Money');
+    expect(order.field.quantities.fieldKind).toBe('map');
+    expect(order.field.createdAt.message.typeName).toBe('google.protobuf.Timestamp');
+    expect(order.field.status.enum.typeName).toBe('demo.common.Status');
+    expect(order.field.items.message.typeName).toBe('demo.order.Order.Item');
+    expect(order.oneofs.map((o) => o.name)).toEqual(['payment']);
+    expect(order.field.note.presence).toBe(1);
+
+    const service = registry.getService('demo.order.OrderService');
+    expect(service.methods.map((m) => m.methodKind)).toEqual(['unary', 'server_streaming']);
+  });
+
+  it('產生的描述符應能正確編解碼訊息', () => {
+    const { descriptorSet } = compile([
+      { path: 'common/money.proto', source: COMMON_PROTO },
+    ]);
+    const money = buildRegistry(descriptorSet).getMessage('demo.common.Money');
+
+    expect(money.field.currencyCode.jsonName).toBe('currencyCode');
+    const bytes = toBinary(money, create(money, { currencyCode: 'TWD', units: 100n }));
+    expect(fromBinary(money, bytes).currencyCode).toBe('TWD');
+  });
+
+  it('應支援 proto2 與 custom option', () => {
+    const { descriptorSet, errors } = compile([{
+      path: 'legacy.proto',
+      source: `
+syntax = "proto2";
+package legacy;
+import "google/protobuf/descriptor.proto";
+
+extend google.protobuf.FieldOptions {
+  optional bool sensitive = 50000;
+}
+
+message User {
+  required string name = 1 [(sensitive) = true];
+  optional int32 age = 2 [default = 18];
+  repeated int32 scores = 3 [packed = true];
+}
+`,
+    }]);
+
+    expect(errors).toEqual([]);
+    const user = buildRegistry(descriptorSet).getMessage('legacy.User');
+    expect(user.field.name.presence).toBe(3);
+    expect(user.field.age.getDefaultValue()).toBe(18);
+    expect(user.field.scores.packed).toBe(true);
+  });
+
+  it('語法錯誤應回報檔案與行號', () => {
+    const { descriptorSet, errors } = compile([{
+      path: 'broken.proto',
+      source: 'syntax = "proto3";\n\nmessage Broken {\n  string name = ;\n}\n',
+    }]);
+
+    expect(descriptorSet).toBeNull();
+    expect(errors).toEqual([{ name: 'broken.proto', line: 4, message: expect.stringContaining("illegal") }]);
+  });
+
+  it('找不到 import 時應回報所在行，並連帶排除依賴它的檔案', () => {
+    const { descriptorSet, errors } = compile([
+      { path: 'a.proto', source: 'syntax = "proto3";\nimport "missing.proto";\nmessage A {}\n' },
+      { path: 'b.proto', source: 'syntax = "proto3";\nimport "a.proto";\nmessage B { A a = 1; }\n' },
+      { path: 'c.proto', source: 'syntax = "proto3";\nmessage C {}\n' },
+    ]);
+
+    expect(errors).toEqual([
+      { name: 'a.proto', line: 2, message: '找不到匯入的檔案: missing.proto' },
+      { name: 'b.proto', line: 2, message: '匯入的檔案編譯失敗: a.proto' },
+    ]);
+    expect(fromBinary(FileDescriptorSetSchema, descriptorSet).file.map((f) => f.name)).toEqual(['c.proto']);
+  });
+
+  it('找不到型別時應回報欄位所在行', () => {
+    const { errors } = compile([{
+      path: 'types.proto',
+      source: 'syntax = "proto3";\nmessage A {\n  string ok = 1;\n  Unknown bad = 2;\n}\n',
+    }]);
+
+    expect(errors).toEqual([{ name: 'types.proto', line: 4, message: '找不到型別: Unknown' }]);
+  });
+});
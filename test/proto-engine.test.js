@@ -1,5 +1,32 @@
 import { describe, it, expect, beforeEach } from 'vitest';
+import { create, toBinary } from '@bufbuild/protobuf';
 import { ProtoEngine } from '../src/lib/proto-engine.js';
+import { compileProtoFiles } from '../src/lib/proto-compiler.js';
+import { DEFAULT_VALUE_RENDERING } from '../src/lib/value-rendering.js';
+import { decodeWireFormat } from '../src/lib/wire-format-decoder.js';
+
+const RENDER_PROTO = `
+syntax = "proto3";
+package render;
+
+enum Color {
+  COLOR_UNSPECIFIED = 0;
+  RED = 1;
+}
+
+message Item {
+  int64 id = 1;
+  bytes raw = 2;
+  Color color = 3;
+  string note = 4;
+  Item child = 5;
+  repeated uint64 ids = 6;
+  oneof choice {
+    string label = 7;
+  }
+  optional int32 count = 8;
+}
+`;
 
 describe('proto-engine', () => {
   let engine;
@@ -98,6 +125,23 @@ describe('proto-engine', () => {
       expect(engine.findMethod('/NonExistent/Method')).toBeNull();
     });
 
+    it('本地匯入的定義應優先於其他來源', () => {
+      engine.registerLocalSchema({
+        services: [{
+          fullName: 'api.v1.UserService',
+          methods: [
+            { name: 'GetUser', requestType: '.local.GetUserRequest', responseType: '.local.GetUserResponse' }
+          ]
+        }]
+      });
+
+      expect(engine.findMethod('/api.v1.UserService/GetUser').requestType).toBe('local.GetUserRequest');
+      expect(engine.findMethod('/api.v1.UserService/ListUsers').requestType).toBe('api.v1.ListUsersRequest');
+
+      engine.registerLocalSchema(null);
+      expect(engine.findMethod('/api.v1.UserService/GetUser').requestType).toBe('api.v1.GetUserRequest');
+    });
+
     it('空路徑應回傳 null', () => {
       expect(engine.findMethod(null)).toBeNull();
       expect(engine.findMethod('')).toBeNull();
@@ -142,6 +186,81 @@ describe('proto-engine', () => {
     });
   });
 
+  describe('per-origin namespaces', () => {
+    const service = (requestType) => ({
+      fullName: 'api.v1.UserService',
+      methods: [{ name: 'GetUser', requestType, responseType: '.api.v1.GetUserResponse' }],
+    });
+    const message = (version) => ({ name: 'User', fullName: 'api.v1.User', fields: [], version });
+
+    beforeEach(() => {
+      engine.registerSchema({ services: [service('.v1.Request')], messages: { 'api.v1.User': message(1) } }, { source: 'reflection', origin: 'https://a.test' });
+      engine.registerSchema({ services: [service('.v2.Request')], messages: { 'api.v1.User': message(2) } }, { source: 'reflection', origin: 'https://b.test' });
+    });
+
+    it('不同 Origin 的同名 package 互不覆蓋', () => {
+      expect(engine.findMethod('/api.v1.UserService/GetUser', { origin: 'https://a.test' }).requestType).toBe('v1.Request');
+      expect(engine.findMethod('/api.v1.UserService/GetUser', { origin: 'https://b.test' }).requestType).toBe('v2.Request');
+      expect(engine.findMessage('api.v1.User', { origin: 'https://a.test' }).version).toBe(1);
+      expect(engine.findMessage('api.v1.User', { origin: 'https://b.test' }).version).toBe(2);
+    });
+
+    it('帶 Origin 時不會退回其他 Origin 的定義，未帶 Origin 時使用最新註冊的版本', () => {
+      expect(engine.findMethod('/api.v1.UserService/GetUser', { origin: 'https://c.test' })).toBeNull();
+      expect(engine.findMessage('api.v1.User', { origin: 'https://c.test' })).toBeNull();
+      expect(engine.findMessage('api.v1.User').version).toBe(2);
+    });
+
+    it('查詢順序為本地匯入 > Reflection > runtime 擷取 > 全域定義', () => {
+      engine.registerSchema({ services: [service('.runtime.Request')] }, { source: 'runtime', origin: 'https://a.test' });
+      engine.registerSchema({ services: [service('.global.Request')] });
+      const find = (origin) => engine.findMethod('/api.v1.UserService/GetUser', { origin }).requestType;
+
+      expect(find('https://a.test')).toBe('v1.Request');
+      engine.registerSchema({ services: [] }, { source: 'reflection', origin: 'https://a.test' });
+      expect(find('https://a.test')).toBe('runtime.Request');
+      expect(find('https://c.test')).toBe('global.Request');
+      engine.registerLocalSchema({ services: [service('.local.Request')] });
+      expect(find('https://b.test')).toBe('local.Request');
+    });
+
+    it('方法與訊息會標示解碼所用的 Schema 來源與版本，重新註冊時版本遞增', () => {
+      const first = engine.findMessageSchema('api.v1.User', { origin: 'https://a.test' });
+      expect(first).toMatchObject({ source: 'reflection', origin: 'https://a.test', version: expect.any(Number) });
+      expect(engine.findMethod('/api.v1.UserService/GetUser', { origin: 'https://a.test' }).schema).toEqual(first);
+
+      engine.registerSchema({ messages: { 'api.v1.User': message(3) } }, { source: 'reflection', origin: 'https://a.test' });
+      expect(engine.findMessageSchema('api.v1.User', { origin: 'https://a.test' }).version).toBeGreaterThan(first.version);
+      expect(engine.findMessageSchema('google.rpc.Status')).toBeNull();
+      expect(engine.listNamespaces().map(({ source, origin }) => `${source} ${origin}`)).toEqual([
+        'reflection https://b.test',
+        'reflection https://a.test',
+      ]);
+    });
+
+    it('listMessageTypes 依查詢順序列出此 Origin 可用的訊息型別', () => {
+      engine.registerSchema({ messages: { 'api.v1.Profile': message(1) } }, { source: 'runtime', origin: 'https://b.test' });
+      engine.registerSchema({ messages: { 'shared.Empty': message(1) } });
+      const { descriptorSet } = compileProtoFiles([{
+        path: 'local.proto',
+        source: 'syntax = "proto3"; package local; message Labels { message Entry {} }',
+      }]);
+      engine.registerFromBytes(descriptorSet, { source: 'reflection', origin: 'https://c.test' });
+
+      expect(engine.listMessageTypes({ origin: 'https://a.test' })).toEqual(['api.v1.User', 'shared.Empty']);
+      expect(engine.listMessageTypes({ origin: 'https://b.test' })).toEqual(['api.v1.Profile', 'api.v1.User', 'shared.Empty']);
+      expect(engine.listMessageTypes({ origin: 'https://c.test' })).toEqual(['local.Labels', 'local.Labels.Entry', 'shared.Empty']);
+    });
+
+    it('clearRemoteSchemas 清除所有 Origin 的定義但保留本地匯入', () => {
+      engine.registerLocalSchema({ services: [service('.local.Request')] });
+      engine.clearRemoteSchemas();
+      expect(engine.listNamespaces()).toEqual([]);
+      expect(engine.findMessage('api.v1.User')).toBeNull();
+      expect(engine.findMethod('/api.v1.UserService/GetUser').requestType).toBe('local.Request');
+    });
+  });
+
   describe('decodeMessage', () => {
     it('應正確處理空 buffer', () => {
       const result = engine.decodeMessage('test.Simple', new Uint8Array(0));
@@ -171,6 +290,84 @@ describe('proto-engine', () => {
       const result = engine.decodeMessage('unknown.Type', buffer);
       expect(result._rawLength).toBe(2);
     });
+
+    it('找不到 schema 時應附上 wire format 解讀', () => {
+      const buffer = new Uint8Array([0x08, 0x0a]);
+      const result = engine.decodeMessage('unknown.Type', buffer);
+      expect(result._wire.$typeName).toBe('wire');
+      expect(result._wire['1'].int).toBe(10);
+    });
+  });
+
+  describe('value rendering', () => {
+    let bytes;
+
+    beforeEach(() => {
+      const { descriptorSet, errors } = compileProtoFiles([{ path: 'render.proto', source: RENDER_PROTO }]);
+      expect(errors).toEqual([]);
+      engine.registerFromBytes(descriptorSet);
+      const schema = engine.findMessage('render.Item');
+      const desc = schema?._desc || schema;
+      bytes = toBinary(desc, create(desc, {
+        id: 9007199254740993n,
+        raw: new Uint8Array([0x68, 0x69]),
+        color: 1,
+        ids: [5n],
+      }));
+    });
+
+    it('預設以字串呈現 int64、base64 呈現 bytes、名稱呈現 enum，並顯示未設定欄位的預設值', () => {
+      expect(engine.decodeMessage('render.Item', bytes, { rendering: DEFAULT_VALUE_RENDERING })).toEqual({
+        $typeName: 'render.Item',
+        id: '9007199254740993',
+        raw: 'aGk=',
+        color: 'RED',
+        note: '',
+        child: null,
+        ids: ['5'],
+        count: 0,
+      });
+    });
+
+    it('依設定轉換數值並隱藏未設定的欄位', () => {
+      const rendering = { int64: 'number', bytes: 'hex', enums: 'both', presence: 'hide' };
+      expect(engine.decodeMessage('render.Item', bytes, { rendering })).toEqual({
+        $typeName: 'render.Item',
+        id: 9007199254740992,
+        raw: '68 69',
+        color: 'RED (1)',
+        ids: [5],
+      });
+    });
+
+    it('灰色模式以 $unset 標示未設定的欄位，BigInt 模式保留完整精度', () => {
+      const rendering = { int64: 'bigint', bytes: 'utf8', enums: 'number', presence: 'grey' };
+      const result = engine.decodeMessage('render.Item', bytes, { rendering });
+      expect(result).toMatchObject({ id: 9007199254740993n, raw: 'hi', color: 1, ids: [5n], note: '', count: 0 });
+      expect(result.$unset).toEqual(['note', 'child', 'count']);
+      expect(result).not.toHaveProperty('label');
+    });
+  });
+
+  describe('unknown fields', () => {
+    it('Schema 不認得的欄位以 wire format 預覽保留在 _unknown，巢狀訊息亦同', () => {
+      const { descriptorSet, errors } = compileProtoFiles([{ path: 'render.proto', source: RENDER_PROTO }]);
+      expect(errors).toEqual([]);
+      engine.registerFromBytes(descriptorSet);
+      const schema = engine.findMessage('render.Item');
+      const desc = schema?._desc || schema;
+      const known = toBinary(desc, create(desc, { note: 'a' }));
+      // #20 = 42 (varint)、#21 = "hi"；child 內含未知的 #30 = 1
+      const unknown = [0xa0, 0x01, 0x2a, 0xaa, 0x01, 0x02, 0x68, 0x69];
+      const bytes = new Uint8Array([...known, ...unknown, 0x2a, 0x03, 0xf0, 0x01, 0x01]);
+
+      const result = engine.decodeMessage('render.Item', bytes);
+      expect(result.note).toBe('a');
+      expect(result._unknown).toEqual(decodeWireFormat(new Uint8Array(unknown)));
+      expect(result._unknown['20'].int).toBe(42);
+      expect(result.child._unknown['30'].int).toBe(1);
+      expect(engine.decodeMessage('render.Item', known)).not.toHaveProperty('_unknown');
+    });
   });
 
   describe('_convertValue', () => {
@@ -0,0 +1,319 @@
+import { execFileSync } from 'node:child_process';
+import { mkdtempSync, readFileSync, rmSync, writeFileSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { describe, it, expect } from 'vitest';
+import { create } from '@bufbuild/protobuf';
+import {
+  FieldDescriptorProto_Label,
+  FieldDescriptorProto_Type,
+  FileDescriptorProtoSchema,
+} from '@bufbuild/protobuf/wkt';
+import { compileProtoFiles } from '../src/lib/proto-compiler.js';
+import { buildSchemaFromDescriptorSets } from '../src/lib/descriptor-import.js';
+import {
+  findProtoFileDefining,
+  generateProtoFiles,
+  generateRuntimeProtoFiles,
+  renderProtoFile,
+} from '../src/lib/proto-source.js';
+import { crc32, createZip } from '../src/lib/zip.js';
+
+const COMMON_PROTO = `
+syntax = "proto3";
+package demo.common;
+
+message Money {
+  string currency_code = 1;
+  int64 units = 2;
+}
+
+enum Status {
+  STATUS_UNSPECIFIED = 0;
+  STATUS_ACTIVE = 1;
+}
+`;
+
+const ORDER_PROTO = `
+syntax = "proto3";
+package demo.order;
+
+import "common/money.proto";
+import "google/protobuf/timestamp.proto";
+
+message Order {
+  string id = 1;
+  demo.common.Money total = 2;
+  map<string, int32> quantities = 3;
+  optional string note = 4;
+  oneof payment {
+    string card_token = 5;
+    string voucher = 6;
+  }
+  repeated Item items = 7;
+  google.protobuf.Timestamp created_at = 8;
+  demo.common.Status status = 9;
+
+  message Item {
+    string sku = 1;
+  }
+}
+
+service OrderService {
+  rpc GetOrder(Order) returns (Order);
+  rpc WatchOrders(Order) returns (stream Order);
+  rpc Sync(stream Order) returns (stream Order);
+}
+`;
+
+function registryFrom(files) {
+  const { descriptorSet, errors } = compileProtoFiles(files);
+  expect(errors).toEqual([]);
+  return buildSchemaFromDescriptorSets([descriptorSet]).registry;
+}
+
+function loadedRegistry() {
+  return registryFrom([
+    { path: 'common/money.proto', source: COMMON_PROTO },
+    { path: 'order/order.proto', source: ORDER_PROTO },
+  ]);
+}
+
+describe('proto-source', () => {
+  it('由 Registry 重建可讀的 proto3 原始碼', () => {
+    const files = generateProtoFiles(loadedRegistry());
+    expect(files.map((file) => file.name)).toEqual(['common/money.proto', 'order/order.proto']);
+
+    const order = findProtoFileDefining(files, 'demo.order.OrderService');
+    expect(order.name).toBe('order/order.proto');
+    expect(order.source).toContain('syntax = "proto3";');
+    expect(order.source).toContain('package demo.order;');
+    expect(order.source).toContain('import "common/money.proto";');
+    expect(order.source).toContain('map<string, int32> quantities = 3;');
+    expect(order.source).toContain('optional string note = 4;');
+    expect(order.source).toMatch(/oneof payment \{\n\s+string card_token = 5;\n\s+string voucher = 6;\n\s+\}/);
+    expect(order.source).toContain('repeated Order.Item items = 7;');
+    expect(order.source).toContain('rpc WatchOrders(Order) returns (stream Order);');
+    expect(order.source).toContain('rpc Sync(stream Order) returns (stream Order);');
+    // proto3 optional 的合成 oneof 不應出現在輸出中
+    expect(order.source).not.toContain('oneof _note');
+
+    const common = findProtoFileDefining(files, 'demo.common.Status');
+    expect(common.source).toMatch(/enum Status \{\n\s+STATUS_UNSPECIFIED = 0;\n\s+STATUS_ACTIVE = 1;\n\}/);
+  });
+
+  it('輸出 option、reserved 與 proto2 的 default', () => {
+    const source = renderProtoFile(create(FileDescriptorProtoSchema, {
+      name: 'legacy/user.proto',
+      package: 'legacy',
+      options: { goPackage: 'example.com/legacy', javaMultipleFiles: true },
+      messageType: [{
+        name: 'User',
+        field: [
+          { name: 'name', number: 1, label: FieldDescriptorProto_Label.REQUIRED, type: FieldDescriptorProto_Type.STRING },
+          { name: 'age', number: 2, label: FieldDescriptorProto_Label.OPTIONAL, type: FieldDescriptorProto_Type.INT32, defaultValue: '18' },
+          {
+            name: 'scores', number: 3, label: FieldDescriptorProto_Label.REPEATED, type: FieldDescriptorProto_Type.INT32,
+            options: { packed: true, deprecated: true },
+          },
+        ],
+        reservedRange: [{ start: 20, end: 26 }],
+        reservedName: ['legacy'],
+      }],
+      enumType: [{
+        name: 'Role',
+        value: [{ name: 'ROLE_UNKNOWN', number: 0 }, { name: 'ROLE_ADMIN', number: 1, options: { deprecated: true } }],
+      }],
+    }));
+
+    expect(source).toContain('syntax = "proto2";');
+    expect(source).toContain('option go_package = "example.com/legacy";');
+    expect(source).toContain('option java_multiple_files = true;');
+    expect(source).toContain('required string name = 1;');
+    expect(source).toContain('optional int32 age = 2 [default = 18];');
+    expect(source).toContain('repeated int32 scores = 3 [packed = true, deprecated = true];');
+    expect(source).toContain('reserved 20 to 25;');
+    expect(source).toContain('reserved "legacy";');
+    expect(source).toContain('ROLE_ADMIN = 1 [deprecated = true];');
+  });
+
+  it('由 .proto 編譯後重建時保留 json_name、reserved 與內建 option', () => {
+    const files = generateProtoFiles(registryFrom([{
+      path: 'account/account.proto',
+      source: `
+syntax = "proto3";
+package demo.account;
+option go_package = "example.com/demo/account;account";
+
+message Account {
+  option deprecated = true;
+  reserved 2, 9 to 11, 40 to max;
+  reserved "legacy_id";
+  string user_name = 1 [json_name = "userId", deprecated = true];
+  map<string, int32> tags = 3 [deprecated = true];
+}
+
+enum Tier {
+  reserved 5, 8 to 9;
+  reserved "TIER_GOLD";
+  TIER_UNKNOWN = 0;
+  TIER_BASIC = 1 [deprecated = true];
+}
+
+service AccountService {
+  option deprecated = true;
+  rpc GetAccount(Account) returns (Account) {
+    option idempotency_level = NO_SIDE_EFFECTS;
+  }
+}
+`,
+    }]));
+    const { source } = findProtoFileDefining(files, 'demo.account.Account');
+
+    expect(source).toContain('option go_package = "example.com/demo/account;account";');
+    expect(source).toMatch(/message Account \{\n\s+option deprecated = true;/);
+    expect(source).toContain('string user_name = 1 [json_name = "userId", deprecated = true];');
+    expect(source).toContain('map<string, int32> tags = 3 [deprecated = true];');
+    expect(source).toContain('reserved 2, 9 to 11, 40 to max;');
+    expect(source).toContain('reserved "legacy_id";');
+    expect(source).toContain('reserved 5, 8 to 9;');
+    expect(source).toContain('reserved "TIER_GOLD";');
+    expect(source).toContain('TIER_BASIC = 1 [deprecated = true];');
+    expect(source).toMatch(/service AccountService \{\n\s+option deprecated = true;/);
+    expect(source).toMatch(/rpc GetAccount\(Account\) returns \(Account\) \{\n\s+option idempotency_level = NO_SIDE_EFFECTS;/);
+  });
+
+  it('extension 宣告與範圍在編譯與重建後保留，不會變成被擴充訊息的欄位', () => {
+    const source = `
+syntax = "proto2";
+package legacy;
+
+message Legacy {
+  optional string name = 1;
+  extensions 100 to 200;
+}
+
+extend Legacy {
+  optional int32 priority = 100;
+}
+
+message Tag {
+  extend Legacy {
+    repeated Tag tags = 101;
+  }
+  optional string value = 1;
+}
+`;
+    const registry = registryFrom([{ path: 'legacy.proto', source }]);
+    const legacy = registry.getMessage('legacy.Legacy');
+    expect(legacy.fields.map((field) => field.name)).toEqual(['name']);
+    expect(legacy.proto.extensionRange.map(({ start, end }) => [start, end])).toEqual([[100, 201]]);
+    expect(registry.getExtension('legacy.priority').extendee.typeName).toBe('legacy.Legacy');
+    expect(registry.getExtension('legacy.Tag.tags').message.typeName).toBe('legacy.Tag');
+
+    const files = generateProtoFiles(registry);
+    const { source: rebuiltSource } = findProtoFileDefining(files, 'legacy.Legacy');
+    expect(rebuiltSource).toContain('extensions 100 to 200;');
+    expect(rebuiltSource).toMatch(/extend Legacy \{\n\s+optional int32 priority = 100;/);
+
+    const rebuilt = registryFrom(files.map((file) => ({ path: file.name, source: file.source })));
+    expect(rebuilt.getMessage('legacy.Legacy').fields.map((field) => field.name)).toEqual(['name']);
+    expect(rebuilt.getExtension('legacy.priority').number).toBe(100);
+    expect(rebuilt.getExtension('legacy.Tag.tags').extendee.typeName).toBe('legacy.Legacy');
+  });
+
+  it('重建的原始碼可再次編譯為相同的型別', () => {
+    const files = generateProtoFiles(loadedRegistry());
+    const rebuilt = registryFrom(files.map((file) => ({ path: file.name, source: file.source })));
+
+    const order = rebuilt.getMessage('demo.order.Order');
+    expect(order.field.quantities.fieldKind).toBe('map');
+    expect(order.field.note.presence).toBe(1);
+    expect(order.field.items.message.typeName).toBe('demo.order.Order.Item');
+    expect(order.oneofs.map((oneof) => oneof.name)).toEqual(['payment']);
+    expect(rebuilt.getService('demo.order.OrderService').methods.map((method) => method.methodKind))
+      .toEqual(['unary', 'server_streaming', 'bidi_streaming']);
+  });
+
+  it('由 runtime 擷取的 Schema 重建套件、巢狀型別與 map', () => {
+    const schema = {
+      messages: {
+        'demo.v1.ListRequest': {
+          typeName: 'demo.v1.ListRequest',
+          fields: [
+            { number: 1, name: 'page_size', kind: 'scalar', type: 'int32' },
+            { number: 2, name: 'filter', kind: 'message', typeName: 'demo.v1.ListRequest.Filter' },
+            { number: 3, name: 'labels', kind: 'map', keyType: 'string', value: 'scalar', valueType: 'string' },
+            { number: 4, name: 'since', kind: 'message', typeName: 'google.protobuf.Timestamp' },
+            { number: 5, name: 'state', kind: 'enum', typeName: 'demo.v1.State' },
+            { number: 6, name: 'ids', kind: 'scalar', type: 'string', repeated: 2 },
+          ],
+        },
+        'demo.v1.ListRequest.Filter': {
+          typeName: 'demo.v1.ListRequest.Filter',
+          fields: [{ number: 1, name: 'query', kind: 'scalar', type: 'string', optional: true }],
+        },
+        'demo.v1.ListResponse': { typeName: 'demo.v1.ListResponse', fields: [] },
+      },
+      enums: {
+        'demo.v1.State': { typeName: 'demo.v1.State', values: [{ name: 'STATE_UNSPECIFIED', number: 0 }, { name: 'STATE_READY', number: 1 }] },
+      },
+    };
+    const service = {
+      typeName: 'demo.v1.ListService',
+      methods: [{ name: 'List', inputType: 'demo.v1.ListRequest', outputType: 'demo.v1.ListResponse', serverStreaming: true }],
+    };
+
+    const [file] = generateRuntimeProtoFiles(schema, service);
+    expect(file.name).toBe('demo.v1.proto');
+    expect(file.source).toContain('package demo.v1;');
+    expect(file.source).toContain('import "google/protobuf/timestamp.proto";');
+    expect(file.source).toMatch(/message ListRequest \{[\s\S]*message Filter \{\n\s+optional string query = 1;/);
+    expect(file.source).toContain('map<string, string> labels = 3;');
+    expect(file.source).toContain('google.protobuf.Timestamp since = 4;');
+    expect(file.source).toContain('repeated string ids = 6;');
+    expect(file.source).toContain('rpc List(ListRequest) returns (stream ListResponse);');
+
+    const rebuilt = registryFrom([{ path: file.name, source: file.source }]);
+    expect(rebuilt.getMessage('demo.v1.ListRequest').field.state.enum.typeName).toBe('demo.v1.State');
+  });
+
+  it('未擷取到 map 值型別時以 bytes 表示並加上註解', () => {
+    const [file] = generateRuntimeProtoFiles({
+      messages: {
+        'demo.Config': { typeName: 'demo.Config', fields: [{ number: 1, name: 'values', kind: 'map', keyType: 'string', value: 'message' }] },
+      },
+      enums: {},
+    });
+    expect(file.source).toContain('map<string, bytes> values = 1;');
+    expect(file.source).toContain('未擷取到 map 的值型別');
+  });
+
+  it('createZip 產生可由 unzip 讀取的檔案', () => {
+    expect(crc32(new TextEncoder().encode('123456789'))).toBe(0xcbf43926);
+
+    const zip = createZip([
+      { name: 'common/money.proto', data: COMMON_PROTO },
+      { name: 'order/order.proto', data: ORDER_PROTO },
+    ], new Date(2024, 0, 2, 3, 4, 6));
+    expect([...zip.slice(0, 4)]).toEqual([0x50, 0x4b, 0x03, 0x04]);
+
+    const dir = mkdtempSync(join(tmpdir(), 'proto-zip-'));
+    try {
+      writeFileSync(join(dir, 'protos.zip'), zip);
+      let hasUnzip = true;
+      try {
+        execFileSync('unzip', ['-qq', 'protos.zip'], { cwd: dir, stdio: 'ignore' });
+      } catch (e) {
+        if (e.code !== 'ENOENT') throw e;
+        hasUnzip = false;
+      }
+      if (hasUnzip) {
+        expect(readFileSync(join(dir, 'common/money.proto'), 'utf8')).toBe(COMMON_PROTO);
+        expect(readFileSync(join(dir, 'order/order.proto'), 'utf8')).toBe(ORDER_PROTO);
+      }
+    } finally {
+      rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
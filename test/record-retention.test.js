@@ -0,0 +1,58 @@
+import { describe, it, expect } from 'vitest';
+import {
+  DEFAULT_RECORD_RETENTION,
+  estimateRecordBytes,
+  exceedsRetention,
+  formatStorageSize,
+  normalizeRecordRetention,
+  recordTime,
+  retentionCutoff,
+  shouldEvictRecord,
+} from '../src/lib/record-retention.js';
+
+describe('record-retention', () => {
+  it('補齊缺少的設定，負數與非數字視為不限制', () => {
+    expect(normalizeRecordRetention(null)).toEqual(DEFAULT_RECORD_RETENTION);
+    expect(normalizeRecordRetention({ maxAgeMinutes: 30 })).toEqual({ maxRecords: 200, maxAgeMinutes: 30, maxMegabytes: 0 });
+    expect(normalizeRecordRetention({ maxRecords: 1500.7, maxAgeMinutes: -5, maxMegabytes: 'abc' })).toEqual({
+      maxRecords: 1500,
+      maxAgeMinutes: 0,
+      maxMegabytes: 0,
+    });
+    expect(normalizeRecordRetention({ maxRecords: 0 }).maxRecords).toBe(0);
+  });
+
+  it('依筆數或容量判斷是否超過上限，0 代表不限制', () => {
+    const retention = { maxRecords: 3, maxAgeMinutes: 0, maxMegabytes: 1 };
+    expect(exceedsRetention({ count: 3, bytes: 100 }, retention)).toBe(false);
+    expect(exceedsRetention({ count: 4, bytes: 100 }, retention)).toBe(true);
+    expect(exceedsRetention({ count: 1, bytes: 1024 * 1024 + 1 }, retention)).toBe(true);
+    expect(exceedsRetention({ count: 1e6, bytes: 1e12 }, { maxRecords: 0, maxAgeMinutes: 0, maxMegabytes: 0 })).toBe(false);
+  });
+
+  it('超過保留時間的紀錄即使未達上限也會淘汰', () => {
+    const now = Date.parse('2026-01-01T01:00:00.000Z');
+    const retention = { maxRecords: 0, maxAgeMinutes: 30, maxMegabytes: 0 };
+    const cutoff = retentionCutoff(retention, now);
+    expect(cutoff).toBe(now - 30 * 60000);
+    expect(shouldEvictRecord({ time: now - 31 * 60000 }, { count: 1, bytes: 0 }, retention, cutoff)).toBe(true);
+    expect(shouldEvictRecord({ time: now - 29 * 60000 }, { count: 1, bytes: 0 }, retention, cutoff)).toBe(false);
+    expect(retentionCutoff(DEFAULT_RECORD_RETENTION, now)).toBeNull();
+  });
+
+  it('紀錄時間接受 ISO 字串與毫秒，無法解析時使用 fallback', () => {
+    expect(recordTime({ timestamp: '2026-01-01T00:00:00.000Z' })).toBe(Date.parse('2026-01-01T00:00:00.000Z'));
+    expect(recordTime({ timestamp: 1712345678000 })).toBe(1712345678000);
+    expect(recordTime({}, 42)).toBe(42);
+  });
+
+  it('以 JSON 長度估算容量並格式化', () => {
+    expect(estimateRecordBytes({ id: 'a' })).toBe(JSON.stringify({ id: 'a' }).length);
+    const circular = {};
+    circular.self = circular;
+    expect(estimateRecordBytes(circular)).toBe(0);
+    expect(formatStorageSize(512)).toBe('512 B');
+    expect(formatStorageSize(1536)).toBe('1.5 KB');
+    expect(formatStorageSize(3 * 1024 * 1024)).toBe('3 MB');
+  });
+});
@@ -0,0 +1,30 @@
+import { describe, it, expect } from 'vitest';
+import { listRequestContexts, normalizeContextType, requestContextKey } from '../src/lib/request-context.js';
+
+describe('request-context', () => {
+  it('CDP 的 Target 類型對應為紀錄的執行環境類型', () => {
+    expect(normalizeContextType('iframe')).toBe('iframe');
+    expect(normalizeContextType('service_worker')).toBe('service_worker');
+    expect(normalizeContextType('other')).toBe('page');
+    expect(normalizeContextType(undefined)).toBe('page');
+  });
+
+  it('依類型與 Origin 彙整執行環境，沒有 context 的紀錄視為頁面', () => {
+    const entries = [
+      { context: { type: 'worker', url: 'https://app.test/worker.js' } },
+      { context: { type: 'iframe', url: 'https://pay.test/checkout?step=1' } },
+      { context: { type: 'page', url: 'https://app.test/' } },
+      { context: { type: 'iframe', url: 'https://pay.test/other' } },
+      {},
+    ];
+
+    expect(requestContextKey(entries[1])).toBe('iframe https://pay.test');
+    expect(requestContextKey(entries[4])).toBe('page ');
+    expect(listRequestContexts(entries)).toEqual([
+      { key: 'page ', type: 'page', origin: '', count: 1 },
+      { key: 'page https://app.test', type: 'page', origin: 'https://app.test', count: 1 },
+      { key: 'iframe https://pay.test', type: 'iframe', origin: 'https://pay.test', count: 2 },
+      { key: 'worker https://app.test', type: 'worker', origin: 'https://app.test', count: 1 },
+    ]);
+  });
+});
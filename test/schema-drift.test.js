@@ -0,0 +1,42 @@
+import { describe, it, expect } from 'vitest';
+import { collectSchemaDrift, previewUnknownFields, summarizeSchemaDrift } from '../src/lib/schema-drift.js';
+import { decodeWireFormat } from '../src/lib/wire-format-decoder.js';
+
+describe('schema-drift', () => {
+  it('以 Tag 與 bufbuild 保留的資料重建未知欄位的 wire format 預覽', () => {
+    const preview = previewUnknownFields([
+      { no: 20, wireType: 0, data: new Uint8Array([0x2a]) },
+      { no: 3, wireType: 2, data: new Uint8Array([0x02, 0x68, 0x69]) },
+    ]);
+    expect(preview).toEqual(decodeWireFormat(new Uint8Array([0xa0, 0x01, 0x2a, 0x1a, 0x02, 0x68, 0x69])));
+    expect(preview['20'].int).toBe(42);
+  });
+
+  it('走訪巢狀訊息與串流陣列，略過 _unknown 與 _wire 的內容', () => {
+    const unknown = (...numbers) => Object.fromEntries([['$typeName', 'wire'], ...numbers.map((number) => [String(number), { int: 1 }])]);
+    const decoded = [
+      [
+        { $typeName: 'a.Reply', _unknown: unknown(7, 3), items: [{ $typeName: 'a.Item', _unknown: unknown(9) }] },
+        { $typeName: 'a.Reply', _unknown: unknown(4) },
+      ],
+      { $typeName: 'a.Request', _wire: { $typeName: 'wire', '1': { _unknown: unknown(1) } } },
+    ];
+
+    expect(collectSchemaDrift(decoded)).toEqual([
+      { typeName: 'a.Reply', fieldNumbers: [3, 4, 7] },
+      { typeName: 'a.Item', fieldNumbers: [9] },
+    ]);
+    expect(collectSchemaDrift({ $typeName: 'a.Request', id: '1' })).toEqual([]);
+  });
+
+  it('彙整每個訊息型別的未知欄位、請求數與方法', () => {
+    expect(summarizeSchemaDrift([
+      { method: '/a.S/Get', schemaDrift: [{ typeName: 'a.Reply', fieldNumbers: [7] }] },
+      { method: '/a.S/List', schemaDrift: [{ typeName: 'a.Reply', fieldNumbers: [3, 7] }, { typeName: 'a.Item', fieldNumbers: [9] }] },
+      { method: '/a.S/Get', schemaDrift: null },
+    ])).toEqual([
+      { typeName: 'a.Item', fieldNumbers: [9], entryCount: 1, methods: ['/a.S/List'] },
+      { typeName: 'a.Reply', fieldNumbers: [3, 7], entryCount: 2, methods: ['/a.S/Get', '/a.S/List'] },
+    ]);
+  });
+});
@@ -24,6 +24,9 @@ describe('settings store', () => {
     expect(STORAGE_KEYS.COMBINED_VIEW).toBe('grpc_debugger_combined_view');
     expect(STORAGE_KEYS.LIST_PANE_WIDTH).toBe('grpc_debugger_list_width');
     expect(STORAGE_KEYS.THEME).toBe('grpc_debugger_theme');
+    expect(STORAGE_KEYS.CANONICAL_JSON).toBe('grpc_debugger_canonical_json');
+    expect(STORAGE_KEYS.VALUE_RENDERING).toBe('grpc_debugger_value_rendering');
+    expect(STORAGE_KEYS.TIMELINE_COLUMN).toBe('grpc_debugger_timeline_column');
   });
 
   it('language store 預設為 en', async () => {
@@ -42,6 +45,36 @@ describe('settings store', () => {
     expect(value).toBe(false);
   });
 
+  it('canonicalJson store 預設為 false', async () => {
+    vi.resetModules();
+    localStorageMock.clear();
+    const { canonicalJson } = await import('../src/stores/settings.js');
+    let value;
+    canonicalJson.subscribe(v => value = v)();
+    expect(value).toBe(false);
+  });
+
+  it('timelineColumn store 預設為 false 並保存切換結果', async () => {
+    vi.resetModules();
+    localStorageMock.clear();
+    const { timelineColumn } = await import('../src/stores/settings.js');
+    let value;
+    timelineColumn.subscribe(v => value = v)();
+    expect(value).toBe(false);
+    timelineColumn.set(true);
+    expect(localStorageMock.getItem('grpc_debugger_timeline_column')).toBe('true');
+  });
+
+  it('valueRendering store 讀取保存的設定並補齊不合法的值', async () => {
+    vi.resetModules();
+    localStorageMock.clear();
+    localStorageMock.setItem('grpc_debugger_value_rendering', JSON.stringify({ int64: 'number', bytes: 'binary' }));
+    const { valueRendering } = await import('../src/stores/settings.js');
+    let value;
+    valueRendering.subscribe(v => value = v)();
+    expect(value).toEqual({ int64: 'number', bytes: 'base64', enums: 'name', presence: 'default' });
+  });
+
   it('theme store 預設為 system', async () => {
     vi.resetModules();
     localStorageMock.clear();
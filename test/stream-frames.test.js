@@ -0,0 +1,39 @@
+import { describe, it, expect } from 'vitest';
+import { createFrameSplitter, joinBase64Chunks, streamTrailerFlag } from '../src/lib/stream-frames.js';
+
+function frame(flags, payload) {
+  return [flags, 0, 0, 0, payload.length, ...payload];
+}
+
+describe('stream-frames', () => {
+  it('只有可逐 Frame 擷取的 Content-Type 回傳 Trailer 旗標', () => {
+    expect(streamTrailerFlag('application/grpc-web+proto')).toBe(0x80);
+    expect(streamTrailerFlag('application/grpc-web; charset=utf-8')).toBe(0x80);
+    expect(streamTrailerFlag('application/connect+json')).toBe(0x02);
+    expect(streamTrailerFlag('application/grpc-web-text')).toBeNull();
+    expect(streamTrailerFlag('application/proto')).toBeNull();
+  });
+
+  it('累積跨分塊的資料，只交出完整的 Frame 並計算資料訊息數', () => {
+    const splitter = createFrameSplitter(0x80);
+    const bytes = [...frame(0, [1, 2]), ...frame(0, [3]), ...frame(0x80, [4, 5, 6])];
+
+    expect(splitter.push(new Uint8Array(bytes.slice(0, 4)))).toEqual({ bytes: new Uint8Array(), messageCount: 0 });
+    expect(splitter.push(new Uint8Array(bytes.slice(4, 10)))).toEqual({ bytes: new Uint8Array(bytes.slice(0, 7)), messageCount: 1 });
+    expect(splitter.push(new Uint8Array(bytes.slice(10)))).toEqual({ bytes: new Uint8Array(bytes.slice(7)), messageCount: 1 });
+    expect(splitter.remainder()).toHaveLength(0);
+  });
+
+  it('Connect End-Stream Frame 不計入訊息數，未完成的 Frame 保留為剩餘位元組', () => {
+    const splitter = createFrameSplitter(0x02);
+    const { messageCount } = splitter.push(new Uint8Array([...frame(0x01, [9]), ...frame(0x02, [0x7b, 0x7d]), 0, 0]));
+    expect(messageCount).toBe(1);
+    expect([...splitter.remainder()]).toEqual([0, 0]);
+  });
+
+  it('合併各自帶有 padding 的 Base64 分塊', () => {
+    expect(joinBase64Chunks([btoa('\x00\x01'), btoa('\x02'), btoa('\x03\x04\x05')])).toBe(btoa('\x00\x01\x02\x03\x04\x05'));
+    expect(joinBase64Chunks([])).toBeNull();
+    expect(joinBase64Chunks(undefined)).toBeNull();
+  });
+});
@@ -0,0 +1,117 @@
+import { describe, it, expect } from 'vitest';
+import { create, toBinary } from '@bufbuild/protobuf';
+import { ProtoEngine } from '../src/lib/proto-engine.js';
+import { compileProtoFiles } from '../src/lib/proto-compiler.js';
+import { layoutFromDescriptor } from '../src/lib/hex-annotations.js';
+import { inferMessageTypes, scoreMessageType } from '../src/lib/type-inference.js';
+
+const SHOP_PROTO = `
+syntax = "proto3";
+package shop;
+
+message Money {
+  string currency = 1;
+  int64 units = 2;
+}
+
+message Order {
+  string id = 1;
+  Money total = 2;
+  repeated int32 counts = 3;
+  map<string, int32> quantities = 4;
+  bool paid = 5;
+}
+
+message User {
+  string name = 1;
+  int64 age = 2;
+}
+
+message Flag {
+  bool enabled = 1;
+}
+
+message Counter {
+  int32 value = 1;
+}
+
+message Blob {
+  bytes data = 1;
+}
+`;
+
+function createEngine() {
+  const engine = new ProtoEngine();
+  const { descriptorSet, errors } = compileProtoFiles([{ path: 'shop.proto', source: SHOP_PROTO }]);
+  expect(errors).toEqual([]);
+  engine.registerFromBytes(descriptorSet);
+  return engine;
+}
+
+function setup() {
+  const engine = createEngine();
+  const descriptorOf = (typeName) => {
+    const schema = engine.findMessage(typeName);
+    return schema?._desc || schema;
+  };
+  const resolve = (typeName) => {
+    const desc = descriptorOf(typeName);
+    return desc?.kind === 'message' ? layoutFromDescriptor(desc) : null;
+  };
+  const encode = (typeName, value) => {
+    const desc = descriptorOf(typeName);
+    return toBinary(desc, create(desc, value));
+  };
+  return { typeNames: engine.listMessageTypes(), resolve, encode };
+}
+
+describe('type-inference', () => {
+  it('依欄位編號、wire type 與巢狀訊息排出最可能的型別', () => {
+    const { typeNames, resolve, encode } = setup();
+    const bytes = encode('shop.Order', {
+      id: 'A1',
+      total: { currency: 'TWD', units: 300n },
+      counts: [1, 2, 3],
+      quantities: { apple: 2 },
+      paid: true,
+    });
+
+    const candidates = inferMessageTypes([bytes], typeNames, { resolve });
+    expect(candidates[0]).toMatchObject({ typeName: 'shop.Order', matchedFields: 5, totalFields: 5 });
+    expect(candidates[0].confidence).toBeCloseTo(1);
+    // User 的第 2 個欄位是 int64，與巢狀訊息的 wire type 不相容
+    const user = inferMessageTypes([bytes], ['shop.User'], { resolve, minConfidence: 0 })[0];
+    expect(user.confidence).toBeLessThan(0.5);
+  });
+
+  it('不合法的 UTF-8 與超出範圍的 bool 不視為相符', () => {
+    const { typeNames, resolve } = setup();
+    const invalidText = new Uint8Array([0x0a, 0x02, 0xc3, 0x28]);
+    expect(inferMessageTypes([invalidText], typeNames, { resolve }).map((c) => c.typeName)).toEqual(['shop.Blob']);
+
+    const boolTwo = new Uint8Array([0x08, 0x02]);
+    expect(scoreMessageType(boolTwo, resolve('shop.Flag'), resolve).matchedBytes).toBe(0);
+    expect(scoreMessageType(new Uint8Array([0x08, 0x01]), resolve('shop.Flag'), resolve).matchedBytes).toBe(2);
+  });
+
+  it('Streaming 的所有訊息都需相符，且空的 Payload 不推測', () => {
+    const { typeNames, resolve, encode } = setup();
+    // 結構相同的型別信心分數相同，依名稱排序
+    const user = encode('shop.User', { name: 'Ann', age: 30n });
+    expect(inferMessageTypes([user], typeNames, { resolve }).map((c) => c.typeName).slice(0, 2)).toEqual(['shop.Money', 'shop.User']);
+    expect(inferMessageTypes([encode('shop.Flag', { enabled: true })], typeNames, { resolve }).map((c) => c.typeName))
+      .toEqual(['shop.Counter', 'shop.Flag']);
+    // 第二則訊息的值為 2，不可能是 bool
+    const stream = inferMessageTypes([encode('shop.Flag', { enabled: true }), encode('shop.Counter', { value: 2 })], typeNames, { resolve });
+    expect(stream.map((c) => c.typeName)).toEqual(['shop.Counter', 'shop.Flag']);
+    expect(stream[1].confidence).toBeCloseTo(0.5);
+    expect(inferMessageTypes([new Uint8Array()], typeNames, { resolve })).toEqual([]);
+  });
+
+  it('損毀的位元組只計入總數', () => {
+    const { resolve } = setup();
+    const truncated = new Uint8Array([0x0a, 0x01, 0x61, 0x12, 0x09]);
+    const score = scoreMessageType(truncated, resolve('shop.User'), resolve);
+    expect(score).toMatchObject({ matchedBytes: 3, totalBytes: 5, matchedFields: 1, totalFields: 2 });
+  });
+});
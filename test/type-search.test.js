@@ -0,0 +1,26 @@
+import { describe, it, expect } from 'vitest';
+import { createTypeSearch } from '../src/lib/type-search.js';
+
+const TYPES = [
+  'acme.billing.v1.Invoice',
+  'acme.billing.v1.InvoiceLine',
+  'acme.orders.v1.GetOrderRequest',
+  'acme.orders.v1.GetOrderResponse',
+  'acme.orders.v1.Order',
+];
+
+describe('type-search', () => {
+  it('空白查詢依原順序回傳，並限制筆數', () => {
+    const search = createTypeSearch(TYPES);
+    expect(search('')).toEqual(TYPES);
+    expect(search('  ', 2)).toEqual(TYPES.slice(0, 2));
+  });
+
+  it('以短名稱或 package 模糊比對', () => {
+    const search = createTypeSearch(TYPES);
+    expect(search('getordrresp')[0]).toBe('acme.orders.v1.GetOrderResponse');
+    expect(search('invoice').slice(0, 2)).toEqual(['acme.billing.v1.Invoice', 'acme.billing.v1.InvoiceLine']);
+    expect(search('billing')).toEqual(expect.arrayContaining(['acme.billing.v1.Invoice', 'acme.billing.v1.InvoiceLine']));
+    expect(search('zzzz')).toEqual([]);
+  });
+});
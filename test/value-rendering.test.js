@@ -0,0 +1,51 @@
+import { describe, expect, it } from 'vitest';
+import {
+  DEFAULT_VALUE_RENDERING,
+  formatBytes,
+  formatEnum,
+  formatInt64,
+  isLossyNumber,
+  normalizeValueRendering,
+  stringifyDecoded,
+} from '../src/lib/value-rendering.js';
+
+describe('value-rendering', () => {
+  it('依模式轉換 int64、bytes 與 enum', () => {
+    expect(formatInt64(12n, 'string')).toBe('12');
+    expect(formatInt64('12', 'number')).toBe(12);
+    expect(formatInt64('-12', 'bigint')).toBe(-12n);
+
+    const bytes = new Uint8Array([0xe4, 0xbd, 0xa0, 0xff]);
+    expect(formatBytes(bytes, 'base64')).toBe('5L2g/w==');
+    expect(formatBytes(bytes, 'hex')).toBe('e4 bd a0 ff');
+    expect(formatBytes(bytes, 'utf8')).toBe('你�');
+
+    expect(formatEnum(1, 'RED', 'name')).toBe('RED');
+    expect(formatEnum(1, 'RED', 'number')).toBe(1);
+    expect(formatEnum(1, 'RED', 'both')).toBe('RED (1)');
+    expect(formatEnum(7, undefined, 'name')).toBe(7);
+  });
+
+  it('超出安全整數範圍的 number 標示為失去精度', () => {
+    expect(isLossyNumber(formatInt64(9007199254740993n, 'number'))).toBe(true);
+    expect(isLossyNumber(Number.MAX_SAFE_INTEGER)).toBe(false);
+    expect(isLossyNumber('9007199254740993')).toBe(false);
+  });
+
+  it('補齊缺漏或不合法的設定值', () => {
+    expect(normalizeValueRendering(null)).toEqual(DEFAULT_VALUE_RENDERING);
+    expect(normalizeValueRendering({ int64: 'bigint', bytes: 'binary' })).toEqual({ ...DEFAULT_VALUE_RENDERING, int64: 'bigint' });
+  });
+
+  it('序列化時略過隱藏屬性並完整輸出 BigInt', () => {
+    const json = stringifyDecoded({
+      $typeName: 'demo.Item',
+      $unset: ['note'],
+      id: 9007199254740993n,
+      ids: [-1n],
+      note: '',
+      raw: new Uint8Array([0x68, 0x69]),
+    }, 0);
+    expect(json).toBe('{"id":9007199254740993,"ids":[-1],"note":"","raw":"aGk="}');
+  });
+});
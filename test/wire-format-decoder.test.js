@@ -0,0 +1,83 @@
+import { describe, it, expect } from 'vitest';
+import { decodeWireFormat } from '../src/lib/wire-format-decoder.js';
+
+describe('wire-format-decoder', () => {
+  it('應以欄位編號列出 varint 的所有解讀', () => {
+    // field 1 = 1, field 2 = 3
+    const result = decodeWireFormat(new Uint8Array([0x08, 0x01, 0x10, 0x03]));
+
+    expect(result.$typeName).toBe('wire');
+    expect(result['1']).toEqual({ $typeName: 'wire.varint', int: 1, sint: -1, bool: true });
+    expect(result['2']).toEqual({ $typeName: 'wire.varint', int: 3, sint: -2 });
+  });
+
+  it('負數 varint 應同時提供有號與無號解讀', () => {
+    const result = decodeWireFormat(new Uint8Array([
+      0x08, 0xff, 0xff, 0xff, 0xff, 0xff, 0xff, 0xff, 0xff, 0xff, 0x01,
+    ]));
+
+    expect(result['1'].int).toBe(-1);
+    expect(result['1'].uint).toBe('18446744073709551615');
+  });
+
+  it('應解讀 fixed32 與 fixed64 的整數與浮點數', () => {
+    const bytes = new Uint8Array(1 + 4 + 1 + 8);
+    const view = new DataView(bytes.buffer);
+    bytes[0] = 0x0d; // field 1, wire type 5
+    view.setFloat32(1, 1.5, true);
+    bytes[5] = 0x11; // field 2, wire type 1
+    view.setFloat64(6, 2.25, true);
+
+    const result = decodeWireFormat(bytes);
+
+    expect(result['1'].$typeName).toBe('wire.fixed32');
+    expect(result['1'].float).toBe(1.5);
+    expect(result['1'].int).toBe(view.getInt32(1, true));
+    expect(result['2'].$typeName).toBe('wire.fixed64');
+    expect(result['2'].double).toBe(2.25);
+  });
+
+  it('length-delimited 欄位應提供字串、巢狀訊息與 bytes 解讀', () => {
+    // field 1 = "hi", field 2 = { field 1 = 150 }
+    const result = decodeWireFormat(new Uint8Array([
+      0x0a, 0x02, 0x68, 0x69,
+      0x12, 0x03, 0x08, 0x96, 0x01,
+    ]));
+
+    expect(result['1'].string).toBe('hi');
+    expect(result['1'].bytes).toBe('aGk=');
+    expect(result['2'].string).toBeUndefined();
+    expect(result['2'].message).toEqual({
+      $typeName: 'wire.message',
+      1: { $typeName: 'wire.varint', int: 150, sint: 75 },
+    });
+  });
+
+  it('無法完整解析為訊息的 length-delimited 欄位不應提供 message 解讀', () => {
+    const result = decodeWireFormat(new Uint8Array([0x0a, 0x02, 0x08, 0x80]));
+
+    expect(result['1'].message).toBeUndefined();
+    expect(result['1'].length).toBe(2);
+  });
+
+  it('重複出現的欄位應收集為陣列', () => {
+    const result = decodeWireFormat(new Uint8Array([0x08, 0x01, 0x08, 0x02]));
+
+    expect(result['1']).toHaveLength(2);
+    expect(result['1'][1].int).toBe(2);
+  });
+
+  it('資料損毀時應保留已解析欄位並標示錯誤', () => {
+    // field 1 = 1，接著是被截斷的 length-delimited 欄位
+    const result = decodeWireFormat(new Uint8Array([0x08, 0x01, 0x12, 0x05, 0x01]));
+
+    expect(result['1'].int).toBe(1);
+    expect(result._error).toContain('wire format');
+  });
+
+  it('應拒絕不支援的 wire type', () => {
+    const result = decodeWireFormat(new Uint8Array([0x0b]));
+
+    expect(result._error).toContain('wire type 3');
+  });
+});